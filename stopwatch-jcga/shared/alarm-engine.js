@@ -0,0 +1,455 @@
+// alarm-engine.js
+/**
+ * AlarmEngine Class
+ * Rings an alarm when a timer expires and keeps it active until someone
+ * acknowledges it. Tones are synthesized with the Web Audio API; the tone,
+ * volume, repeat-until-dismissed mode and volume escalation are user
+ * settings, and each timer may pick its own tone. An alarm can be snoozed
+ * (it rings again after the given number of minutes) or dismissed.
+ *
+ * Settings and the active alarms are saved through an optional StateStore,
+ * so an alarm nobody acknowledged rings again after a reload. With the app
+ * open in several tabs, only the tab for which `audible` returns true plays
+ * the sound; `sync` applies the alarms changed in another tab. Emits `change`
+ * after every modification, `ring` when an alarm (re)starts ringing,
+ * `dismiss` when it is acknowledged and `unlock` once sound can play.
+ */
+class AlarmEngine {
+    /**
+     * Synthesized tones. Each cycle plays its notes, given as
+     * [frequency in Hz, offset in s, length in s, oscillator type].
+     */
+    static TONES = Object.freeze({
+        chime: { name: 'Chime', cycle: 2, notes: [[1047, 0, 0.8, 'sine'], [784, 0.35, 1.2, 'sine']] },
+        beep: { name: 'Beep', cycle: 1, notes: [[880, 0, 0.15, 'square'], [880, 0.25, 0.15, 'square'], [880, 0.5, 0.15, 'square']] },
+        bell: { name: 'Bell', cycle: 2.5, notes: [[660, 0, 1.8, 'triangle'], [1320, 0, 0.9, 'sine'], [1980, 0, 0.4, 'sine']] },
+        digital: { name: 'Digital', cycle: 1, notes: [[2000, 0, 0.08, 'square'], [2000, 0.12, 0.08, 'square'], [2000, 0.24, 0.08, 'square'], [2000, 0.36, 0.08, 'square']] },
+        rising: { name: 'Rising', cycle: 2, notes: [[523, 0, 0.3, 'sine'], [659, 0.35, 0.3, 'sine'], [784, 0.7, 0.3, 'sine'], [1047, 1.05, 0.5, 'sine']] }
+    });
+
+    /**
+     * Short note played by countdown warnings (see `cue`).
+     */
+    static CUE = Object.freeze({ name: 'Cue', cycle: 0.2, notes: [[1319, 0, 0.12, 'sine']] });
+
+    /**
+     * Settings used until the user changes them.
+     */
+    static DEFAULTS = Object.freeze({ tone: 'chime', volume: 0.7, repeat: true, escalate: true });
+
+    /**
+     * With escalation, an alarm starts at this share of the volume and gains
+     * another step on every repetition until it reaches the full volume.
+     */
+    static ESCALATION_START = 0.3;
+    static ESCALATION_STEP = 0.1;
+
+    /**
+     * @param {Object} [options]
+     * @param {StateStore} [options.store] - Store used to load and save the settings and active alarms.
+     * @param {function(): AudioContext|null} [options.createContext] - Audio context factory, injectable for tests.
+     * @param {function(Function, number): *} [options.schedule] - Runs a callback after a delay (setTimeout).
+     * @param {function(*)} [options.cancel] - Cancels a scheduled callback (clearTimeout).
+     * @param {function(): number} [options.now] - Current epoch in ms, injectable for tests.
+     * @param {function(): boolean} [options.audible] - Whether this tab plays the alarms (see TabSync), checked on every cycle.
+     */
+    constructor({
+        store = null,
+        createContext = AlarmEngine.createAudioContext,
+        schedule = (callback, delay) => setTimeout(callback, delay),
+        cancel = handle => clearTimeout(handle),
+        now = () => Date.now(),
+        audible = () => true
+    } = {}) {
+        this.store = store;
+        this.createContext = createContext;
+        this.audible = audible;
+        this.schedule = schedule;
+        this.cancel = cancel;
+        this.now = now;
+        this.context = null;     // AudioContext, created on first use
+        this.alarms = new Map(); // Active alarms by timer id
+        this.listeners = {};     // Event listeners by event name
+
+        const saved = store ? store.load('alarm') : null;
+        this.settings = this.normalizeSettings(saved && saved.settings);
+
+        // Alarms nobody acknowledged before the page was closed ring again (or stay snoozed)
+        (saved && Array.isArray(saved.active) ? saved.active : []).forEach(item => {
+            if (!item || typeof item.id !== 'string') return;
+            const details = { label: item.label, tone: item.tone };
+            if (Number.isFinite(item.snoozedUntil) && item.snoozedUntil > this.now()) {
+                this.alarms.set(item.id, this.createAlarm(item.id, details));
+                this.snoozeUntil(item.id, item.snoozedUntil);
+            } else {
+                this.ring(item.id, details);
+            }
+        });
+    }
+
+    /**
+     * Subscribes to an event.
+     * @param {'change'|'ring'|'dismiss'|'unlock'} event - Event name.
+     * @param {Function} listener - Called with the event payload.
+     * @returns {Function} A function that removes the listener.
+     */
+    on(event, listener) {
+        if (!this.listeners[event]) {
+            this.listeners[event] = [];
+        }
+        this.listeners[event].push(listener);
+        return () => {
+            this.listeners[event] = this.listeners[event].filter(fn => fn !== listener);
+        };
+    }
+
+    /**
+     * Notifies every listener of an event.
+     * @param {string} event - Event name.
+     * @param {*} payload - Data passed to the listeners.
+     */
+    emit(event, payload) {
+        (this.listeners[event] || []).slice().forEach(listener => listener(payload));
+    }
+
+    /**
+     * Saves the settings and active alarms and notifies `change` listeners.
+     */
+    emitChange() {
+        this.save();
+        this.emit('change', this);
+    }
+
+    /**
+     * Rings an engine's alarm when it expires. The alarm is dismissed when
+     * the engine leaves the expired state (reset, new duration, removal).
+     * @param {TimerEngine} engine - Countdown engine to follow.
+     * @param {string} id - Alarm id, unique per timer.
+     * @param {Object} [details]
+     * @param {function(): string} [details.label] - Returns the label shown while ringing.
+     * @param {function(): (string|null)} [details.tone] - Returns the timer's tone (null for the default one).
+     * @returns {Function} A function that stops following the engine.
+     */
+    track(engine, id, { label = () => '', tone = () => null } = {}) {
+        const offExpire = engine.on('expire', () => this.ring(id, { label: label(), tone: tone() }));
+        const offState = engine.on('statechange', ({ from }) => {
+            if (from === TimerEngine.STATES.EXPIRED) this.dismiss(id);
+        });
+        return () => {
+            offExpire();
+            offState();
+        };
+    }
+
+    /**
+     * Starts ringing (again) for a timer.
+     * @param {string} id - Alarm id.
+     * @param {Object} [details]
+     * @param {string} [details.label] - Label shown while ringing.
+     * @param {string|null} [details.tone] - Tone of this timer; null or unknown for the default tone.
+     */
+    ring(id, details = {}) {
+        const previous = this.alarms.get(id);
+        if (previous) this.stopSound(previous);
+
+        const alarm = this.createAlarm(id, details);
+        this.alarms.set(id, alarm);
+        this.playCycle(alarm);
+        this.emit('ring', this.describe(alarm));
+        this.emitChange();
+    }
+
+    /**
+     * Silences an alarm and rings it again later.
+     * @param {string} id - Alarm id.
+     * @param {number} minutes - Snooze length in minutes.
+     */
+    snooze(id, minutes) {
+        if (!(minutes > 0)) {
+            throw new Error('Snooze needs a positive number of minutes');
+        }
+        this.snoozeUntil(id, this.now() + minutes * 60000);
+        this.emitChange();
+    }
+
+    /**
+     * Silences an alarm until a given time, then rings it again.
+     * @param {string} id - Alarm id.
+     * @param {number} until - Epoch in ms.
+     */
+    snoozeUntil(id, until) {
+        const alarm = this.get(id);
+        this.stopSound(alarm);
+        alarm.snoozedUntil = until;
+        alarm.handle = this.schedule(() => this.ring(id, alarm), Math.max(0, until - this.now()));
+    }
+
+    /**
+     * Acknowledges an alarm: stops it and forgets it.
+     * @param {string} id - Alarm id.
+     * @returns {boolean} False when no alarm was active for this id.
+     */
+    dismiss(id) {
+        const alarm = this.alarms.get(id);
+        if (!alarm) return false;
+
+        this.stopSound(alarm);
+        this.alarms.delete(id);
+        this.emit('dismiss', { id });
+        this.emitChange();
+        return true;
+    }
+
+    /**
+     * Takes over the settings and active alarms saved by another tab (see
+     * TabSync): alarms dismissed there are dismissed here, and alarms snoozed
+     * or ringing there are snoozed or ringing here.
+     * @param {*} saved - The settings and alarms as saved by the other tab.
+     */
+    sync(saved) {
+        this.settings = this.normalizeSettings(saved && saved.settings);
+        const active = new Map((saved && Array.isArray(saved.active) ? saved.active : [])
+            .filter(item => item && typeof item.id === 'string')
+            .map(item => [item.id, item]));
+
+        [...this.alarms.keys()].filter(id => !active.has(id)).forEach(id => this.dismiss(id));
+        active.forEach((item, id) => {
+            const alarm = this.alarms.get(id);
+            const details = { label: item.label, tone: item.tone };
+            if (Number.isFinite(item.snoozedUntil) && item.snoozedUntil > this.now()) {
+                if (alarm && alarm.snoozedUntil === item.snoozedUntil) return;
+                if (!alarm) this.alarms.set(id, this.createAlarm(id, details));
+                this.snoozeUntil(id, item.snoozedUntil);
+            } else if (!alarm || alarm.snoozedUntil) {
+                this.ring(id, details);
+            }
+        });
+        this.emitChange();
+    }
+
+    /**
+     * @param {string} id - Alarm id.
+     * @returns {boolean} True while the alarm rings or is snoozed.
+     */
+    isActive(id) {
+        return this.alarms.has(id);
+    }
+
+    /**
+     * @returns {Array<{id: string, label: string, tone: (string|null), snoozedUntil: (number|null)}>}
+     *     The active alarms, in the order they started.
+     */
+    list() {
+        return [...this.alarms.values()].map(alarm => this.describe(alarm));
+    }
+
+    /**
+     * Changes the settings.
+     * @param {Object} changes - Any of `tone`, `volume` (0 to 1), `repeat` and `escalate`.
+     */
+    configure(changes) {
+        this.settings = this.normalizeSettings({ ...this.settings, ...changes });
+        this.emitChange();
+    }
+
+    /**
+     * Plays one cycle of a tone, e.g. to try it out.
+     * @param {string} [tone] - Tone name; the default tone when omitted.
+     */
+    preview(tone = this.settings.tone) {
+        this.playTone(AlarmEngine.TONES[tone] || AlarmEngine.TONES[this.settings.tone], this.settings.volume, []);
+    }
+
+    /**
+     * Plays a short cue once at the alarm volume, e.g. for a countdown warning.
+     */
+    cue() {
+        if (this.audible()) {
+            this.playTone(AlarmEngine.CUE, this.settings.volume, []);
+        }
+    }
+
+    /**
+     * Creates or resumes the audio context. Browsers only allow sound after a
+     * user gesture, so the app calls this on the first click or key press.
+     */
+    unlock() {
+        const context = this.getContext();
+        if (!context) return;
+        Promise.resolve(context.state === 'suspended' ? context.resume() : undefined)
+            .then(() => this.emit('unlock'))
+            .catch(error => console.warn(`Could not resume the audio: ${error.message}`));
+    }
+
+    /**
+     * Whether sound can play in this tab: the audio context exists and is
+     * running, which browsers only allow after a user gesture (see `unlock`).
+     * @returns {boolean} True once the audio is unlocked.
+     */
+    get canPlay() {
+        return Boolean(this.context) && this.context.state === 'running';
+    }
+
+    /**
+     * Plays a cycle of an alarm's tone and, in repeat mode, schedules the next one.
+     * @param {Object} alarm - Active alarm.
+     */
+    playCycle(alarm) {
+        const tone = AlarmEngine.TONES[alarm.tone] || AlarmEngine.TONES[this.settings.tone];
+        const { volume, repeat, escalate } = this.settings;
+        if (this.audible()) {
+            this.playTone(tone, escalate ? Math.min(volume, alarm.level) : volume, alarm.nodes);
+        }
+        if (!repeat) return;
+
+        alarm.handle = this.schedule(() => {
+            alarm.nodes = [];
+            alarm.level += volume * AlarmEngine.ESCALATION_STEP;
+            this.playCycle(alarm);
+        }, tone.cycle * 1000);
+    }
+
+    /**
+     * Plays the notes of a tone once.
+     * @param {Object} tone - One of `AlarmEngine.TONES`.
+     * @param {number} level - Gain between 0 and 1.
+     * @param {Array<OscillatorNode>} nodes - Receives the oscillators, so they can be stopped early.
+     */
+    playTone(tone, level, nodes) {
+        const context = this.getContext();
+        if (!context || level <= 0) return;
+
+        const start = context.currentTime;
+        tone.notes.forEach(([frequency, offset, length, type]) => {
+            const oscillator = context.createOscillator();
+            const gain = context.createGain();
+            oscillator.type = type;
+            oscillator.frequency.value = frequency;
+            // Short attack and exponential decay, so notes do not click
+            gain.gain.setValueAtTime(0.0001, start + offset);
+            gain.gain.exponentialRampToValueAtTime(level, start + offset + 0.02);
+            gain.gain.exponentialRampToValueAtTime(0.0001, start + offset + length);
+            oscillator.connect(gain);
+            gain.connect(context.destination);
+            oscillator.start(start + offset);
+            oscillator.stop(start + offset + length);
+            nodes.push(oscillator);
+        });
+    }
+
+    /**
+     * Stops the sound of an alarm and its scheduled repetition or snooze.
+     * @param {Object} alarm - Active alarm.
+     */
+    stopSound(alarm) {
+        if (alarm.handle !== null) {
+            this.cancel(alarm.handle);
+            alarm.handle = null;
+        }
+        alarm.nodes.forEach(node => {
+            try {
+                node.stop();
+            } catch (error) {
+                // Already stopped
+            }
+        });
+        alarm.nodes = [];
+    }
+
+    /**
+     * @returns {AudioContext|null} The audio context, or null when Web Audio is unavailable.
+     */
+    getContext() {
+        if (!this.context) {
+            try {
+                this.context = this.createContext();
+            } catch (error) {
+                console.warn(`Web Audio is not available: ${error.message}`);
+            }
+        }
+        return this.context;
+    }
+
+    /**
+     * Saves the settings and active alarms, if a store is configured.
+     */
+    save() {
+        if (this.store) {
+            this.store.save('alarm', { settings: this.settings, active: this.list() });
+        }
+    }
+
+    /**
+     * @param {string} id - Alarm id.
+     * @returns {Object} The active alarm.
+     */
+    get(id) {
+        const alarm = this.alarms.get(id);
+        if (!alarm) {
+            throw new Error(`No active alarm with id ${id}`);
+        }
+        return alarm;
+    }
+
+    /**
+     * @param {string} id - Alarm id.
+     * @param {{label: (string|undefined), tone: (string|null|undefined)}} details - Label and tone.
+     * @returns {Object} A new, silent alarm.
+     */
+    createAlarm(id, { label = '', tone = null }) {
+        return {
+            id,
+            label: typeof label === 'string' ? label : '',
+            tone: AlarmEngine.isTone(tone) ? tone : null,
+            snoozedUntil: null,
+            level: this.settings.volume * AlarmEngine.ESCALATION_START,
+            handle: null, // Scheduled repetition or end of snooze
+            nodes: []     // Oscillators of the cycle being played
+        };
+    }
+
+    /**
+     * @param {Object} alarm - Active alarm.
+     * @returns {{id: string, label: string, tone: (string|null), snoozedUntil: (number|null)}} Its public fields.
+     */
+    describe({ id, label, tone, snoozedUntil }) {
+        return { id, label, tone, snoozedUntil };
+    }
+
+    /**
+     * Validates settings, falling back to the defaults.
+     * @param {Object} [raw] - Saved or changed settings.
+     * @returns {{tone: string, volume: number, repeat: boolean, escalate: boolean}} Valid settings.
+     */
+    normalizeSettings(raw) {
+        const settings = { ...AlarmEngine.DEFAULTS };
+        if (!raw || typeof raw !== 'object') return settings;
+        if (AlarmEngine.isTone(raw.tone)) settings.tone = raw.tone;
+        if (Number.isFinite(raw.volume)) settings.volume = Math.min(1, Math.max(0, raw.volume));
+        if (typeof raw.repeat === 'boolean') settings.repeat = raw.repeat;
+        if (typeof raw.escalate === 'boolean') settings.escalate = raw.escalate;
+        return settings;
+    }
+
+    /**
+     * @param {*} name - Tone name to check.
+     * @returns {boolean} True for the names of `AlarmEngine.TONES`.
+     */
+    static isTone(name) {
+        return typeof name === 'string' && Object.prototype.hasOwnProperty.call(AlarmEngine.TONES, name);
+    }
+
+    /**
+     * Default audio context factory.
+     * @returns {AudioContext|null} A new context, or null without Web Audio support.
+     */
+    static createAudioContext() {
+        const AudioContextClass = globalThis.AudioContext || globalThis.webkitAudioContext;
+        return AudioContextClass ? new AudioContextClass() : null;
+    }
+}
+
+// Allow the alarm engine to be required from Node (unit tests) as well as loaded with a <script> tag
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { AlarmEngine };
+}
@@ -0,0 +1,95 @@
+// app-updater.js
+/**
+ * AppUpdater Class
+ * Registers the app's service worker (see offline-cache.js), which keeps the
+ * app working offline, and tells when a new version has been cached so the
+ * app can offer to switch to it.
+ *
+ * A new version waits until every tab of the old one is closed, unless the
+ * user accepts the update (`apply`): the waiting worker then takes over and
+ * the page reloads into the new version. Pages opened from file:// have no
+ * service worker, and no updates.
+ */
+class AppUpdater {
+    /**
+     * @param {Object} [options]
+     * @param {string|null} [options.serviceWorkerUrl] - Script of the app's service worker; null to work online only.
+     * @param {Window} [options.window] - Window whose service workers are used, injectable for tests.
+     */
+    constructor({ serviceWorkerUrl = null, window: win = globalThis.window } = {}) {
+        this.window = win;
+        this.listeners = [];      // `update` listeners
+        this.registration = null; // Service worker registration, once registered
+        this.updating = false;    // True once the user accepted the update
+
+        if (serviceWorkerUrl && win.navigator.serviceWorker && win.isSecureContext) {
+            const container = win.navigator.serviceWorker;
+            container.register(serviceWorkerUrl)
+                .then(registration => this.watch(registration))
+                .catch(error => console.warn(`App service worker not available: ${error.message}`));
+            // The first install also takes control of the page; only an accepted update reloads it
+            container.addEventListener('controllerchange', () => {
+                if (this.updating) win.location.reload();
+            });
+        }
+    }
+
+    /**
+     * Subscribes to new versions.
+     * @param {Function} listener - Called when a new version is ready to be used.
+     * @returns {Function} A function that removes the listener.
+     */
+    onUpdate(listener) {
+        this.listeners.push(listener);
+        return () => {
+            this.listeners = this.listeners.filter(fn => fn !== listener);
+        };
+    }
+
+    /**
+     * Whether a new version is waiting to be used.
+     * @returns {boolean} True when an update can be applied.
+     */
+    get available() {
+        return Boolean(this.registration && this.registration.waiting && this.window.navigator.serviceWorker.controller);
+    }
+
+    /**
+     * Follows a registration: a worker that finishes installing while an
+     * older one controls the page is a new version.
+     * @param {ServiceWorkerRegistration} registration - The app's registration.
+     */
+    watch(registration) {
+        this.registration = registration;
+        if (this.available) {
+            this.emitUpdate(); // Cached while the page was closed
+        }
+        registration.addEventListener('updatefound', () => {
+            const worker = registration.installing;
+            if (!worker) return;
+            worker.addEventListener('statechange', () => {
+                if (worker.state === 'installed' && this.available) {
+                    this.emitUpdate();
+                }
+            });
+        });
+    }
+
+    /**
+     * Switches to the new version: the waiting worker takes over and the page reloads.
+     * @returns {boolean} False when no update is waiting.
+     */
+    apply() {
+        if (!this.available) return false;
+        this.updating = true;
+        this.registration.waiting.postMessage({ type: 'skip-waiting' });
+        return true;
+    }
+
+    /**
+     * Notifies every `update` listener.
+     */
+    emitUpdate() {
+        this.listeners.slice().forEach(listener => listener());
+    }
+}
@@ -0,0 +1,248 @@
+// countdown-warnings.js
+/**
+ * CountdownWarnings Class
+ * Warns before a countdown reaches zero. Each threshold (e.g. 5 min, 1 min
+ * and 10 s left) can colour the display, make it pulse and play a short cue.
+ *
+ * The stage of a countdown is its most urgent threshold reached so far
+ * (`stageFor`), which the apps show while it runs or is paused. A watched
+ * engine emits `warning` once each time it crosses a threshold. Crossings are
+ * found by comparing successive ticks, so a threshold passed while the tab
+ * was throttled still fires on the next tick; several thresholds passed
+ * together fire once, as the most urgent of them.
+ *
+ * The thresholds are saved through an optional StateStore. Emits `change`
+ * when they change and `warning` when one fires.
+ */
+class CountdownWarnings {
+    /**
+     * Display colours a threshold can use ('none' keeps the usual colour).
+     */
+    static COLORS = Object.freeze(['none', 'amber', 'red']);
+
+    /**
+     * Thresholds used until the user changes them.
+     */
+    static DEFAULTS = Object.freeze([
+        Object.freeze({ at: 5 * 60000, color: 'amber', pulse: false, cue: true }),
+        Object.freeze({ at: 60000, color: 'red', pulse: false, cue: true }),
+        Object.freeze({ at: 10000, color: 'red', pulse: true, cue: true })
+    ]);
+
+    /**
+     * Most thresholds kept.
+     */
+    static MAX_THRESHOLDS = 5;
+
+    /**
+     * @param {Object} [options]
+     * @param {StateStore} [options.store] - Store used to load and save the thresholds.
+     * @param {AlarmEngine} [options.alarmEngine] - Plays the cue of the thresholds that have one.
+     * @param {I18n} [options.i18n] - Translates the error messages; English by default.
+     */
+    constructor({ store = null, alarmEngine = null, i18n = new I18n() } = {}) {
+        this.store = store;
+        this.alarmEngine = alarmEngine;
+        this.i18n = i18n;
+        this.listeners = {}; // Event listeners by event name
+
+        const saved = store ? store.load('warnings') : null;
+        this.thresholds = Array.isArray(saved)
+            ? CountdownWarnings.sort(saved.filter(CountdownWarnings.isThreshold))
+            : CountdownWarnings.DEFAULTS.map(threshold => ({ ...threshold }));
+    }
+
+    /**
+     * Whether a value is a valid threshold.
+     * @param {*} threshold - Value to check.
+     * @returns {boolean} True if valid.
+     */
+    static isThreshold(threshold) {
+        return Boolean(threshold)
+            && Number.isFinite(threshold.at) && threshold.at > 0
+            && CountdownWarnings.COLORS.includes(threshold.color)
+            && typeof threshold.pulse === 'boolean'
+            && typeof threshold.cue === 'boolean';
+    }
+
+    /**
+     * Orders thresholds from the earliest (most time left) to the most urgent,
+     * dropping repeated times and any beyond `MAX_THRESHOLDS`.
+     * @param {Array<Object>} thresholds - Valid thresholds.
+     * @returns {Array<Object>} Copies of the thresholds, sorted.
+     */
+    static sort(thresholds) {
+        return thresholds
+            .map(({ at, color, pulse, cue }) => ({ at: Math.round(at), color, pulse, cue }))
+            .sort((a, b) => b.at - a.at)
+            .filter((threshold, index, sorted) => index === 0 || threshold.at !== sorted[index - 1].at)
+            .slice(0, CountdownWarnings.MAX_THRESHOLDS);
+    }
+
+    /**
+     * Shows a stage on an element as `warning-<colour>` and `warning-pulse`
+     * classes, which the apps' style sheets style.
+     * @param {HTMLElement} element - The time display.
+     * @param {Object|null} stage - A threshold from `stageFor`, or null for none.
+     */
+    static showStage(element, stage) {
+        CountdownWarnings.COLORS.filter(color => color !== 'none').forEach(color => {
+            element.classList.toggle(`warning-${color}`, Boolean(stage) && stage.color === color);
+        });
+        element.classList.toggle('warning-pulse', Boolean(stage) && stage.pulse);
+    }
+
+    /**
+     * Subscribes to an event.
+     * @param {'change'|'warning'} event - Event name.
+     * @param {Function} listener - Called with the event payload.
+     * @returns {Function} A function that removes the listener.
+     */
+    on(event, listener) {
+        if (!this.listeners[event]) {
+            this.listeners[event] = [];
+        }
+        this.listeners[event].push(listener);
+        return () => {
+            this.listeners[event] = this.listeners[event].filter(fn => fn !== listener);
+        };
+    }
+
+    /**
+     * Notifies every listener of an event.
+     * @param {string} event - Event name.
+     * @param {*} payload - Data passed to the listeners.
+     */
+    emit(event, payload) {
+        (this.listeners[event] || []).slice().forEach(listener => listener(payload));
+    }
+
+    /**
+     * Adds a threshold.
+     * @param {{at: number, color: string, pulse: boolean, cue: boolean}} threshold - Time left in ms and what happens then.
+     */
+    add(threshold) {
+        if (this.thresholds.length >= CountdownWarnings.MAX_THRESHOLDS) {
+            throw new Error(this.i18n.t('warnings.tooMany', { count: CountdownWarnings.MAX_THRESHOLDS }));
+        }
+        this.replace([...this.thresholds, threshold]);
+    }
+
+    /**
+     * A threshold to offer when the user adds one: half way between the most
+     * urgent threshold and zero, or one minute when there is none.
+     * @returns {{at: number, color: string, pulse: boolean, cue: boolean}} The new threshold.
+     */
+    nextDefault() {
+        const last = this.thresholds[this.thresholds.length - 1];
+        const at = last ? Math.max(1000, Math.round(last.at / 2000) * 1000) : 60000;
+        return { at, color: 'amber', pulse: false, cue: true };
+    }
+
+    /**
+     * Changes a threshold.
+     * @param {number} index - Position in `thresholds`.
+     * @param {Object} changes - Fields to change (`at`, `color`, `pulse`, `cue`).
+     */
+    update(index, changes) {
+        if (!this.thresholds[index]) {
+            throw new Error(`Unknown warning #${index}`);
+        }
+        this.replace(this.thresholds.map((threshold, i) => (i === index ? { ...threshold, ...changes } : threshold)));
+    }
+
+    /**
+     * Removes a threshold.
+     * @param {number} index - Position in `thresholds`.
+     */
+    remove(index) {
+        this.replace(this.thresholds.filter((threshold, i) => i !== index));
+    }
+
+    /**
+     * Validates and saves a new list of thresholds, then notifies the listeners.
+     * @param {Array<Object>} thresholds - The thresholds, in any order.
+     */
+    replace(thresholds) {
+        const invalid = thresholds.find(threshold => !CountdownWarnings.isThreshold(threshold));
+        if (invalid) {
+            throw new Error(`Invalid warning ${JSON.stringify(invalid)}`);
+        }
+        const times = thresholds.map(threshold => Math.round(threshold.at));
+        const repeated = times.find((at, index) => times.indexOf(at) !== index);
+        if (repeated !== undefined) {
+            throw new Error(this.i18n.t('warnings.duplicate', { time: this.i18n.formatDuration(repeated) }));
+        }
+        this.thresholds = CountdownWarnings.sort(thresholds);
+        if (this.store) {
+            this.store.save('warnings', this.thresholds);
+        }
+        this.emit('change', this.thresholds);
+    }
+
+    /**
+     * The most urgent threshold reached with the given time left.
+     * @param {number} remaining - Time left in ms.
+     * @returns {Object|null} The threshold, or null before the first one (and at zero).
+     */
+    stageFor(remaining) {
+        if (remaining <= 0) return null;
+        const reached = this.thresholds.filter(threshold => remaining <= threshold.at);
+        return reached.length > 0 ? reached[reached.length - 1] : null;
+    }
+
+    /**
+     * Time until the next threshold is reached, so a hidden tab can be woken for it.
+     * @param {number} remaining - Time left in ms.
+     * @returns {number|null} Time in ms, or null when no threshold is ahead.
+     */
+    nextIn(remaining) {
+        const next = this.thresholds.find(threshold => threshold.at < remaining);
+        return next ? remaining - next.at : null;
+    }
+
+    /**
+     * Fires the thresholds an engine crosses while it runs. Starting,
+     * pausing or restoring the engine only records the time left, so a
+     * countdown restored past a threshold does not fire it again.
+     * @param {TimerEngine} engine - Countdown engine to follow.
+     * @param {string} id - Id of the timer, passed with its warnings.
+     * @returns {Function} A function that stops following the engine.
+     */
+    watch(engine, id) {
+        let last = engine.getRemaining(); // Time left at the previous tick
+        const offState = engine.on('statechange', () => {
+            last = engine.getRemaining();
+        });
+        const offTick = engine.on('tick', ({ remaining }) => {
+            const crossed = this.thresholds.filter(threshold => last > threshold.at && remaining <= threshold.at);
+            last = remaining;
+            // At zero the alarm takes over
+            if (remaining > 0 && crossed.length > 0) {
+                this.warn(id, crossed[crossed.length - 1], remaining);
+            }
+        });
+        return () => {
+            offState();
+            offTick();
+        };
+    }
+
+    /**
+     * Plays a threshold's cue, if it has one, and emits `warning`.
+     * @param {string} id - Id of the timer.
+     * @param {Object} threshold - The threshold reached.
+     * @param {number} remaining - Time left in ms.
+     */
+    warn(id, threshold, remaining) {
+        if (threshold.cue && this.alarmEngine) {
+            this.alarmEngine.cue();
+        }
+        this.emit('warning', { id, threshold, remaining });
+    }
+}
+
+// Allow the warnings to be required from Node (unit tests) as well as loaded with a <script> tag
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { CountdownWarnings };
+}
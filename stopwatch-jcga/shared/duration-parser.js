@@ -0,0 +1,196 @@
+// duration-parser.js
+/**
+ * DurationParser Class
+ * DOM-free parser that turns typed countdown durations into milliseconds.
+ * Accepted forms:
+ *   - units: "1h 30m", "90s", "2.5 min", "1 hour and 15 minutes"
+ *   - clock: "1:30" (minutes:seconds), "1:30:00" (hours:minutes:seconds)
+ *   - time of day: "until 14:45", "until 2:45 pm", "until 9am" (the next
+ *     occurrence of that time, tomorrow if it has already passed today)
+ * Spanish unit names and words are understood too ("1 hora y 15 minutos",
+ * "hasta 14:45").
+ *
+ * Invalid input throws an Error whose message can be shown to the user as is,
+ * in the language of the injected I18n.
+ */
+class DurationParser {
+    /**
+     * Default limit shared with the digit keypad: 99 hours, 59 minutes, 59 seconds.
+     */
+    static DEFAULT_MAX_MS = 99 * 3600000 + 59 * 60000 + 59 * 1000;
+
+    /**
+     * Unit names (lower case) and their length in ms.
+     */
+    static UNITS = Object.freeze({
+        h: 3600000, hr: 3600000, hrs: 3600000, hour: 3600000, hours: 3600000,
+        m: 60000, min: 60000, mins: 60000, minute: 60000, minutes: 60000,
+        s: 1000, sec: 1000, secs: 1000, second: 1000, seconds: 1000,
+        hora: 3600000, horas: 3600000, minuto: 60000, minutos: 60000,
+        seg: 1000, segs: 1000, segundo: 1000, segundos: 1000
+    });
+
+    /**
+     * Words that introduce a time of day ("until 14:45").
+     */
+    static UNTIL_WORDS = Object.freeze(['until', 'hasta']);
+
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.maxMs] - Longest accepted duration in ms.
+     * @param {function(): Date} [options.now] - Current date, injectable for tests ("until" form).
+     * @param {I18n} [options.i18n] - Translates the error messages; English by default.
+     */
+    constructor({ maxMs = DurationParser.DEFAULT_MAX_MS, now = () => new Date(), i18n = new I18n() } = {}) {
+        this.maxMs = maxMs;
+        this.now = now;
+        this.i18n = i18n;
+    }
+
+    /**
+     * Parses a typed duration.
+     * @param {string} text - The user's input.
+     * @returns {number} Duration in ms, validated with `validate`.
+     */
+    parse(text) {
+        const input = typeof text === 'string' ? text.trim().toLowerCase() : '';
+        if (!input) {
+            throw new Error(this.i18n.t('parser.empty'));
+        }
+
+        let ms;
+        const until = DurationParser.UNTIL_WORDS.find(word => input.startsWith(`${word} `));
+        if (until) {
+            ms = this.parseUntil(input.slice(until.length).trim());
+        } else if (/^\d+(:\d+){1,2}$/.test(input)) {
+            ms = this.parseClock(input);
+        } else {
+            ms = this.parseUnits(input);
+        }
+        return this.validate(ms);
+    }
+
+    /**
+     * Checks a duration against the zero and maximum limits.
+     * @param {number} ms - Duration in ms.
+     * @returns {number} The duration, rounded to whole ms.
+     */
+    validate(ms) {
+        const rounded = Math.round(ms);
+        if (!Number.isFinite(rounded) || rounded <= 0) {
+            throw new Error(this.i18n.t('parser.zero'));
+        }
+        if (rounded > this.maxMs) {
+            throw new Error(this.i18n.t('parser.max', { max: DurationParser.formatLimit(this.maxMs) }));
+        }
+        return rounded;
+    }
+
+    /**
+     * Parses "m:ss" or "h:mm:ss".
+     * @param {string} input - Normalized input.
+     * @returns {number} Duration in ms.
+     */
+    parseClock(input) {
+        const parts = input.split(':').map(part => parseInt(part, 10));
+        // Every part after the first is a sexagesimal field
+        if (parts.slice(1).some(value => value > 59)) {
+            throw new Error(this.i18n.t('parser.clockRange', { input }));
+        }
+        const [hours, minutes, seconds] = parts.length === 3 ? parts : [0, ...parts];
+        return (hours * 3600 + minutes * 60 + seconds) * 1000;
+    }
+
+    /**
+     * Parses a list of number-unit pairs such as "1h 30m" or "2.5 min".
+     * @param {string} input - Normalized input.
+     * @returns {number} Duration in ms.
+     */
+    parseUnits(input) {
+        // Separators allowed between pairs: spaces, commas and "and"/"y"
+        const rest = input.replace(/\b(?:and|y)\b|,/g, ' ');
+        const pattern = /(\d+(?:\.\d+)?|\.\d+)\s*([a-z]+)/g;
+        const seen = new Set();
+        let total = 0;
+        let consumed = '';
+        let match;
+
+        while ((match = pattern.exec(rest)) !== null) {
+            const [text, amount, unit] = match;
+            const unitMs = DurationParser.UNITS[unit];
+            if (!unitMs) {
+                throw new Error(this.i18n.t('parser.unknownUnit', { unit }));
+            }
+            if (seen.has(unitMs)) {
+                throw new Error(this.i18n.t('parser.repeatedUnit', { input }));
+            }
+            seen.add(unitMs);
+            total += parseFloat(amount) * unitMs;
+            consumed += text;
+        }
+
+        // Anything left over (a bare number, stray words) is rejected rather than guessed
+        if (consumed.replace(/\s/g, '') !== rest.replace(/\s/g, '')) {
+            if (/^\d*\.?\d+$/.test(input)) {
+                throw new Error(this.i18n.t('parser.missingUnit', { input }));
+            }
+            throw new Error(this.i18n.t('parser.unknown', { input }));
+        }
+        return total;
+    }
+
+    /**
+     * Parses the time of day after "until" and returns the time left until it.
+     * @param {string} input - Time such as "14:45", "2:45 pm" or "9am".
+     * @returns {number} Duration in ms until the next occurrence of that time.
+     */
+    parseUntil(input) {
+        const match = /^(\d{1,2})(?::(\d{2}))?(?::(\d{2}))?\s*(am|pm)?$/.exec(input);
+        if (!match) {
+            throw new Error(this.i18n.t('parser.unknownTime', { input }));
+        }
+
+        let hours = parseInt(match[1], 10);
+        const minutes = match[2] ? parseInt(match[2], 10) : 0;
+        const seconds = match[3] ? parseInt(match[3], 10) : 0;
+        const meridiem = match[4];
+        if (meridiem) {
+            if (hours < 1 || hours > 12) {
+                throw new Error(this.i18n.t('parser.invalidTime', { input }));
+            }
+            hours = (hours % 12) + (meridiem === 'pm' ? 12 : 0);
+        }
+        if (hours > 23 || minutes > 59 || seconds > 59) {
+            throw new Error(this.i18n.t('parser.invalidTime', { input }));
+        }
+        if (!meridiem && !match[2]) {
+            throw new Error(this.i18n.t('parser.ambiguousTime', { input }));
+        }
+
+        const now = this.now();
+        const target = new Date(now.getTime());
+        target.setHours(hours, minutes, seconds, 0);
+        if (target <= now) {
+            target.setDate(target.getDate() + 1); // Already passed today: count down to tomorrow
+        }
+        return target - now;
+    }
+
+    /**
+     * Formats a limit as HH:MM:SS for error messages.
+     * @param {number} ms - Limit in ms.
+     * @returns {string} The formatted limit, e.g. "99:59:59".
+     */
+    static formatLimit(ms) {
+        const totalSeconds = Math.floor(ms / 1000);
+        const hours = Math.floor(totalSeconds / 3600);
+        const minutes = Math.floor((totalSeconds % 3600) / 60);
+        const seconds = totalSeconds % 60;
+        return [hours, minutes, seconds].map(value => String(value).padStart(2, '0')).join(':');
+    }
+}
+
+// Allow the parser to be required from Node (unit tests) as well as loaded with a <script> tag
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { DurationParser };
+}
@@ -0,0 +1,188 @@
+// expiry-notifier.js
+/**
+ * ExpiryNotifier Class
+ * Tells the user with a system notification when a countdown expires in a
+ * background tab. (Countdowns expire on time there because TickScheduler,
+ * see tick-scheduler.js, wakes them up when they should reach zero.)
+ *
+ * When a countdown expires while the page is hidden or unfocused, a
+ * notification is shown. Through the service worker (notification-sw.js)
+ * it offers Pause and Restart buttons, which are reported to `onAction`
+ * listeners; without one (e.g. pages opened from file://) a plain
+ * notification is shown, which brings the tab back when clicked.
+ */
+class ExpiryNotifier {
+    /**
+     * Buttons of the expiry notification (their titles are translated).
+     */
+    static ACTIONS = Object.freeze(['pause', 'restart']);
+
+    /**
+     * @param {Object} [options]
+     * @param {string|null} [options.serviceWorkerUrl] - Script of the notification service worker; null to show plain notifications.
+     * @param {Window} [options.window] - Window whose Notification API and service workers are used, injectable for tests.
+     * @param {I18n} [options.i18n] - Translates the notification text; English by default.
+     */
+    constructor({ serviceWorkerUrl = null, window: win = globalThis.window, i18n = new I18n() } = {}) {
+        this.window = win;
+        this.i18n = i18n;
+        this.watched = new Map();      // Watched engines by id: { engine, label }
+        this.notifications = new Map(); // Plain notifications shown, by id
+        this.listeners = [];           // `action` listeners
+        this.registration = null;      // Service worker registration, once active
+
+        if (serviceWorkerUrl && win.navigator.serviceWorker && win.isSecureContext) {
+            const container = win.navigator.serviceWorker;
+            container.register(serviceWorkerUrl)
+                .then(registration => ExpiryNotifier.whenActive(registration))
+                .then(registration => {
+                    this.registration = registration;
+                })
+                .catch(error => console.warn(`Notification service worker not available: ${error.message}`));
+            // Buttons clicked on a notification are forwarded by the service worker
+            container.addEventListener('message', event => {
+                const { type, id, action } = event.data || {};
+                if (type === 'expiry-notification' && this.watched.has(id)) {
+                    this.emitAction(id, action);
+                }
+            });
+            if (container.startMessages) container.startMessages();
+        }
+    }
+
+    /**
+     * Subscribes to notification buttons.
+     * @param {function({id: string, action: ('pause'|'restart'|'open')})} listener - Called when a button is clicked.
+     * @returns {Function} A function that removes the listener.
+     */
+    onAction(listener) {
+        this.listeners.push(listener);
+        return () => {
+            this.listeners = this.listeners.filter(fn => fn !== listener);
+        };
+    }
+
+    /**
+     * Notifies `action` listeners.
+     * @param {string} id - Countdown id.
+     * @param {string} action - Button clicked ('open' for the notification itself).
+     */
+    emitAction(id, action) {
+        this.listeners.slice().forEach(listener => listener({ id, action }));
+    }
+
+    /**
+     * Notifies the expiry of a countdown from now on. The
+     * notification is closed when the countdown leaves the expired state.
+     * Starting a countdown asks for the notification permission, once.
+     * @param {TimerEngine} engine - Countdown engine to watch.
+     * @param {string} id - Countdown id, unique per timer.
+     * @param {Object} [details]
+     * @param {function(): string} [details.label] - Returns the name shown in the notification.
+     * @returns {Function} A function that stops watching.
+     */
+    watch(engine, id, { label = () => this.i18n.t('timers.countdown') } = {}) {
+        this.watched.set(id, { engine, label });
+
+        const offState = engine.on('statechange', ({ from, to }) => {
+            if (to === TimerEngine.STATES.RUNNING) this.requestPermission();
+            if (from === TimerEngine.STATES.EXPIRED) this.close(id);
+        });
+        const offExpire = engine.on('expire', () => {
+            if (this.window.document.visibilityState !== 'visible' || !this.window.document.hasFocus()) {
+                this.notify(id, label());
+            }
+        });
+
+        return () => {
+            offState();
+            offExpire();
+            this.watched.delete(id);
+        };
+    }
+
+    /**
+     * Asks for the notification permission if the user was never asked.
+     * Outside a user gesture (e.g. a timer restored on load) nothing is asked.
+     */
+    requestPermission() {
+        const { Notification, navigator } = this.window;
+        if (!Notification || Notification.permission !== 'default') return;
+        if (navigator.userActivation && !navigator.userActivation.isActive) return;
+        try {
+            const request = Notification.requestPermission();
+            if (request && request.catch) {
+                request.catch(error => console.warn(`Notification permission request failed: ${error.message}`));
+            }
+        } catch (error) {
+            console.warn(`Notification permission request failed: ${error.message}`);
+        }
+    }
+
+    /**
+     * Shows the expiry notification of a countdown, if notifications are allowed.
+     * @param {string} id - Countdown id.
+     * @param {string} label - Countdown name.
+     */
+    notify(id, label) {
+        const { Notification } = this.window;
+        if (!Notification || Notification.permission !== 'granted') return;
+
+        const title = this.i18n.t('notifier.title', { label });
+        const options = { body: this.i18n.t('notifier.body'), tag: `expiry-${id}`, requireInteraction: true };
+        try {
+            if (this.registration) {
+                this.registration.showNotification(title, {
+                    ...options,
+                    actions: ExpiryNotifier.ACTIONS.map(action => ({ action, title: this.i18n.t(`notifier.actions.${action}`) })),
+                    data: { id, url: this.window.location.href }
+                }).catch(error => console.warn(`Could not show notification: ${error.message}`));
+                return;
+            }
+            const notification = new Notification(title, options);
+            notification.onclick = () => {
+                this.window.focus();
+                notification.close();
+                this.emitAction(id, 'open');
+            };
+            this.notifications.set(id, notification);
+        } catch (error) {
+            console.warn(`Could not show notification: ${error.message}`);
+        }
+    }
+
+    /**
+     * Closes the expiry notification of a countdown, if one is shown.
+     * @param {string} id - Countdown id.
+     */
+    close(id) {
+        const notification = this.notifications.get(id);
+        if (notification) {
+            notification.close();
+            this.notifications.delete(id);
+        }
+        if (this.registration) {
+            this.registration.getNotifications({ tag: `expiry-${id}` })
+                .then(list => list.forEach(item => item.close()))
+                .catch(() => {});
+        }
+    }
+
+    /**
+     * Waits until a service worker registration has an active worker.
+     * (`navigator.serviceWorker.ready` cannot be used: the worker does not
+     * control the app's pages, it only shows their notifications.)
+     * @param {ServiceWorkerRegistration} registration - New or existing registration.
+     * @returns {Promise<ServiceWorkerRegistration>} The registration, once active.
+     */
+    static whenActive(registration) {
+        if (registration.active) return Promise.resolve(registration);
+        const worker = registration.installing || registration.waiting;
+        return new Promise((resolve, reject) => {
+            worker.addEventListener('statechange', () => {
+                if (worker.state === 'activated') resolve(registration);
+                if (worker.state === 'redundant') reject(new Error('Service worker could not be installed'));
+            });
+        });
+    }
+}
@@ -0,0 +1,52 @@
+// focus-keeper.js
+/**
+ * FocusKeeper Class
+ * Keeps keyboard focus on a group of buttons that replace one another
+ * (Start -> Pause -> Continue). Hiding the focused button would otherwise
+ * drop focus to the page, and keyboard and screen reader users would have
+ * to find their way back; instead it moves to the first button still shown.
+ */
+class FocusKeeper {
+    /**
+     * @param {HTMLElement} root - Element containing the buttons; changes to its subtree's `class`/`hidden` are watched.
+     * @param {Array<HTMLElement>} buttons - The buttons, in order of preference.
+     */
+    constructor(root, buttons) {
+        this.root = root;
+        this.buttons = buttons;
+        this.lastFocused = null; // Button of the group that has (or last had) focus
+
+        root.addEventListener('focusin', event => {
+            this.lastFocused = buttons.includes(event.target) ? event.target : null;
+        });
+        // Focus moved on to another element: nothing to keep. (A hidden button loses focus without a successor.)
+        root.ownerDocument.addEventListener('focusin', event => {
+            if (!root.contains(event.target)) this.lastFocused = null;
+        });
+
+        this.observer = new MutationObserver(() => this.check());
+        this.observer.observe(root, { attributes: true, attributeFilter: ['class', 'hidden'], subtree: true });
+    }
+
+    /**
+     * Moves focus on if the focused button was hidden.
+     */
+    check() {
+        const focused = this.lastFocused;
+        if (!focused || FocusKeeper.isShown(focused)) return;
+        const active = this.root.ownerDocument.activeElement;
+        if (active && active !== focused && active !== this.root.ownerDocument.body) return;
+
+        const next = this.buttons.find(button => button !== focused && FocusKeeper.isShown(button) && !button.disabled);
+        if (next) next.focus();
+    }
+
+    /**
+     * Whether an element is shown, i.e. neither it nor an ancestor is hidden.
+     * @param {HTMLElement} element - Element to check.
+     * @returns {boolean} True if shown.
+     */
+    static isShown(element) {
+        return element.isConnected && !element.closest('.hidden, [hidden]');
+    }
+}
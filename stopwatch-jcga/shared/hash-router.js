@@ -0,0 +1,139 @@
+// hash-router.js
+/**
+ * HashRouter Class
+ * Keeps the open view in the URL hash ("#/stopwatch", "#/countdown") so views
+ * can be bookmarked and shared, and the browser's Back/Forward buttons move
+ * between them. A route may carry parameters, as in
+ * "#/countdown?t=5m&autostart=1&label=Break".
+ *
+ * The app reports every view it shows with `navigate()`, which adds a history
+ * entry. Changes the app did not make (Back/Forward, an edited or pasted
+ * hash) are reported to `onRoute` listeners.
+ */
+class HashRouter {
+    /**
+     * @param {Object} options
+     * @param {Array<string>} options.views - Known view names; the first one is the default view ("#/").
+     * @param {Window} [options.window] - Window whose location and history are used, injectable for tests.
+     */
+    constructor({ views, window: win = globalThis.window }) {
+        if (!Array.isArray(views) || views.length === 0) {
+            throw new Error('HashRouter needs at least one view');
+        }
+        this.views = views;
+        this.window = win;
+        this.listeners = [];               // `route` listeners
+        this.lastHash = win.location.hash; // Hash the app last knew about, to ignore its own changes
+
+        // Back/Forward between entries added by `navigate` fire popstate; typed hashes fire hashchange
+        // (browsers fire both for some navigations, hence the lastHash check)
+        const handleChange = () => {
+            if (this.window.location.hash === this.lastHash) return;
+            let route = this.current();
+            if (!route) {
+                route = { view: this.views[0], params: {} };
+                this.replace(route.view); // Unknown views fall back to the default one
+            }
+            this.lastHash = this.window.location.hash;
+            this.listeners.slice().forEach(listener => listener(route));
+        };
+        win.addEventListener('popstate', handleChange);
+        win.addEventListener('hashchange', handleChange);
+    }
+
+    /**
+     * Subscribes to route changes the app did not make itself.
+     * @param {function({view: string, params: Object<string, string>})} listener - Called with the new route.
+     * @returns {Function} A function that removes the listener.
+     */
+    onRoute(listener) {
+        this.listeners.push(listener);
+        return () => {
+            this.listeners = this.listeners.filter(fn => fn !== listener);
+        };
+    }
+
+    /**
+     * The route in the URL.
+     * @returns {{view: string, params: Object<string, string>}|null} The route, or null when the hash is empty or names an unknown view.
+     */
+    current() {
+        const route = HashRouter.parse(this.window.location.hash);
+        if (route.view === '') {
+            return route.path === null ? null : { view: this.views[0], params: route.params };
+        }
+        return this.views.includes(route.view) ? { view: route.view, params: route.params } : null;
+    }
+
+    /**
+     * Records that a view is shown, as a new history entry. Does nothing when
+     * the URL already shows this view, so views opened from a link or through
+     * Back/Forward keep their entry (and its parameters).
+     * @param {string} view - View name.
+     * @param {Object<string, string>} [params] - Route parameters.
+     */
+    navigate(view, params = {}) {
+        const route = this.current();
+        if (route && route.view === view && Object.keys(params).length === 0) return;
+        // The first view shown on a page opened without a (valid) route replaces the bare URL
+        this.update(HashRouter.format(view, params, this.views[0]), route === null);
+    }
+
+    /**
+     * Replaces the current history entry, e.g. to drop the parameters of a link once it is applied.
+     * @param {string} view - View name.
+     * @param {Object<string, string>} [params] - Route parameters.
+     */
+    replace(view, params = {}) {
+        this.update(HashRouter.format(view, params, this.views[0]), true);
+    }
+
+    /**
+     * Writes a hash to the URL without reloading the page.
+     * @param {string} hash - New hash, starting with "#".
+     * @param {boolean} replace - Replace the current history entry instead of adding one.
+     */
+    update(hash, replace) {
+        if (hash === this.window.location.hash) return;
+        const { pathname, search } = this.window.location;
+        this.window.history[replace ? 'replaceState' : 'pushState'](null, '', `${pathname}${search}${hash}`);
+        this.lastHash = this.window.location.hash;
+    }
+
+    /**
+     * Splits a hash such as "#/countdown?t=5m&autostart=1" into its parts.
+     * @param {string} hash - Location hash (with or without the leading "#").
+     * @returns {{path: (string|null), view: string, params: Object<string, string>}} The path (null without
+     *     one), its first segment as the view name, and the decoded parameters.
+     */
+    static parse(hash) {
+        const text = (hash || '').replace(/^#/, '');
+        if (!text.startsWith('/')) {
+            return { path: null, view: '', params: {} };
+        }
+        const [path, query = ''] = text.split('?');
+        const params = {};
+        new URLSearchParams(query).forEach((value, key) => {
+            params[key] = value;
+        });
+        return { path, view: path.slice(1).split('/')[0], params };
+    }
+
+    /**
+     * Builds the hash of a route.
+     * @param {string} view - View name.
+     * @param {Object<string, string>} [params] - Route parameters.
+     * @param {string} [defaultView] - View written as "#/".
+     * @returns {string} The hash, e.g. "#/countdown?t=5m".
+     */
+    static format(view, params = {}, defaultView = null) {
+        const query = new URLSearchParams(params).toString();
+        const path = view === defaultView ? '/' : `/${view}`;
+        return `#${path}${query ? `?${query}` : ''}`;
+    }
+}
+
+// Allow the router to be required from Node (unit tests) as well as loaded with a <script> tag
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { HashRouter };
+}
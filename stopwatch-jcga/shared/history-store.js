@@ -0,0 +1,332 @@
+// history-store.js
+/**
+ * HistoryStore Class
+ * DOM-free log of finished timer sessions: every stopwatch run and countdown
+ * with its start/end timestamps, time counted, laps, label, and whether it
+ * was completed or cancelled. Entries are saved through an optional
+ * StateStore and summarized as daily and weekly totals.
+ *
+ * Sessions are usually recorded with `track(engine, ...)`, which listens to
+ * the engine's `sessionend` event. Emits `change` after every modification.
+ */
+class HistoryStore {
+    /**
+     * Runs shorter than this (in ms) are treated as accidental taps and not recorded.
+     */
+    static MIN_DURATION = 1000;
+
+    /**
+     * @param {Object} [options]
+     * @param {StateStore} [options.store] - Store used to load and save the log.
+     * @param {number} [options.limit=500] - Number of sessions kept; the oldest are dropped first.
+     * @param {function(): number} [options.now] - Current epoch in ms, injectable for tests (totals).
+     */
+    constructor({ store = null, limit = 500, now = () => Date.now() } = {}) {
+        this.store = store;
+        this.limit = limit;
+        this.now = now;
+        this.entries = [];      // Sessions, most recent first
+        this.listeners = [];    // `change` listeners
+        this.nextId = 1;        // Counter used to build unique entry ids
+
+        this.entries = this.readEntries(store ? store.load('history') : null);
+    }
+
+    /**
+     * Builds the entries of a saved log, skipping invalid ones.
+     * @param {*} saved - The saved log (an array of raw sessions).
+     * @returns {Array<Object>} The entries, most recent first.
+     */
+    readEntries(saved) {
+        const entries = [];
+        (Array.isArray(saved) ? saved : []).forEach(item => {
+            try {
+                entries.push(this.createEntry(item));
+            } catch (error) {
+                console.warn(`Skipped saved history entry: ${error.message}`);
+            }
+        });
+        return entries.sort((a, b) => b.endedAt - a.endedAt);
+    }
+
+    /**
+     * Takes over the log saved by another tab (see TabSync) and notifies `change` listeners.
+     * @param {*} saved - The log as saved by the other tab.
+     */
+    sync(saved) {
+        this.entries = this.readEntries(saved);
+        this.listeners.slice().forEach(listener => listener(this));
+    }
+
+    /**
+     * Subscribes to changes of the log.
+     * @param {Function} listener - Called with the store after each change.
+     * @returns {Function} A function that removes the listener.
+     */
+    onChange(listener) {
+        this.listeners.push(listener);
+        return () => {
+            this.listeners = this.listeners.filter(fn => fn !== listener);
+        };
+    }
+
+    /**
+     * Saves the log and notifies `change` listeners.
+     */
+    emitChange() {
+        this.save();
+        this.listeners.slice().forEach(listener => listener(this));
+    }
+
+    /**
+     * Records the sessions of an engine from now on.
+     * Countdowns that expire are completed and countdowns cleared early are
+     * cancelled; a stopwatch has no target, so every run it ends is completed.
+     * @param {TimerEngine} engine - Engine to follow.
+     * @param {string} timer - Id of the timer, e.g. 'countdown' or a dashboard timer id.
+     * @param {Object} [details]
+     * @param {function(): string} [details.label] - Returns the label at the end of a session.
+     * @param {function(): Array<Object>} [details.laps] - Returns the laps at the end of a session.
+     * @returns {Function} A function that stops recording.
+     */
+    track(engine, timer, { label = () => '', laps = () => [] } = {}) {
+        return engine.on('sessionend', session => {
+            if (session.elapsed < HistoryStore.MIN_DURATION) return;
+            const completed = session.reason === 'expire' || session.mode === 'stopwatch';
+            this.record({
+                timer,
+                kind: session.mode,
+                label: label(),
+                startedAt: session.startedAt,
+                endedAt: session.endedAt,
+                duration: Math.round(session.elapsed),
+                target: session.duration,
+                laps: laps(),
+                status: completed ? 'completed' : 'cancelled'
+            });
+        });
+    }
+
+    /**
+     * Adds a finished session at the top of the log. A session already in the
+     * log (same timer, kind and start) is not added again: a countdown open in
+     * several tabs expires in each of them. Two timers started together, e.g.
+     * from the dashboard, are two sessions.
+     * @param {Object} session - Raw session values (see `createEntry`).
+     * @returns {Object} The new entry, or the one already logged.
+     */
+    record(session) {
+        const entry = this.createEntry(session);
+        const logged = this.entries.find(item => (
+            item.timer === entry.timer && item.kind === entry.kind && item.startedAt === entry.startedAt
+        ));
+        if (logged) return logged;
+        this.entries.unshift(entry);
+        this.entries = this.entries.slice(0, this.limit);
+        this.emitChange();
+        return entry;
+    }
+
+    /**
+     * Adds sessions read from an export file. Sessions already in the log
+     * (same kind, start and duration) are skipped, so importing a file twice
+     * does not count its time twice.
+     * @param {Array<Object>} sessions - Raw session values (see `createEntry`).
+     * @returns {number} Number of sessions added.
+     */
+    addAll(sessions) {
+        const key = entry => `${entry.kind}|${entry.startedAt}|${entry.duration}`;
+        const known = new Set(this.entries.map(key));
+        const added = sessions.map(session => this.createEntry(session)).filter(entry => {
+            if (known.has(key(entry))) return false;
+            known.add(key(entry));
+            return true;
+        });
+        if (added.length > 0) {
+            this.entries = [...added, ...this.entries]
+                .sort((a, b) => b.endedAt - a.endedAt)
+                .slice(0, this.limit);
+            this.emitChange();
+        }
+        return added.length;
+    }
+
+    /**
+     * Deletes one session.
+     * @param {string} id - Entry id.
+     */
+    remove(id) {
+        const entry = this.entries.find(item => item.id === id);
+        if (!entry) {
+            throw new Error(`No history entry with id ${id}`);
+        }
+        this.entries = this.entries.filter(item => item !== entry);
+        this.emitChange();
+    }
+
+    /**
+     * Deletes every session.
+     */
+    clear() {
+        this.entries = [];
+        this.emitChange();
+    }
+
+    /**
+     * Lists sessions, most recent first.
+     * @param {Object} [filter]
+     * @param {string|null} [filter.label] - Only sessions with this label ('' for unlabeled ones); null for all.
+     * @returns {Array<Object>} Matching entries.
+     */
+    list({ label = null } = {}) {
+        return label === null ? this.entries.slice() : this.entries.filter(entry => entry.label === label);
+    }
+
+    /**
+     * @returns {Array<string>} Distinct non-empty labels, sorted alphabetically.
+     */
+    labels() {
+        return [...new Set(this.entries.map(entry => entry.label).filter(Boolean))]
+            .sort((a, b) => a.localeCompare(b));
+    }
+
+    /**
+     * Time counted per day for the last few days, by local start date.
+     * @param {Object} [options]
+     * @param {number} [options.days=7] - Number of days, ending today.
+     * @param {string|null} [options.label] - Label filter, as for `list`.
+     * @returns {Array<{start: number, total: number, count: number}>} One bucket per day, oldest first.
+     */
+    dailyTotals({ days = 7, label = null } = {}) {
+        const today = HistoryStore.startOfDay(this.now());
+        const starts = [];
+        for (let offset = days - 1; offset >= 0; offset--) {
+            const day = new Date(today);
+            day.setDate(day.getDate() - offset);
+            starts.push(day.getTime());
+        }
+        return this.bucket(starts, label);
+    }
+
+    /**
+     * Time counted per calendar week (Monday to Sunday) for the last few weeks.
+     * @param {Object} [options]
+     * @param {number} [options.weeks=4] - Number of weeks, ending with the current one.
+     * @param {string|null} [options.label] - Label filter, as for `list`.
+     * @returns {Array<{start: number, total: number, count: number}>} One bucket per week, oldest first.
+     */
+    weeklyTotals({ weeks = 4, label = null } = {}) {
+        const monday = new Date(HistoryStore.startOfDay(this.now()));
+        monday.setDate(monday.getDate() - ((monday.getDay() + 6) % 7));
+        const starts = [];
+        for (let offset = weeks - 1; offset >= 0; offset--) {
+            const week = new Date(monday);
+            week.setDate(week.getDate() - offset * 7);
+            starts.push(week.getTime());
+        }
+        return this.bucket(starts, label);
+    }
+
+    /**
+     * Sums sessions into consecutive periods.
+     * @param {Array<number>} starts - Period start epochs, ascending; the last period ends now.
+     * @param {string|null} label - Label filter, as for `list`.
+     * @returns {Array<{start: number, total: number, count: number}>} One bucket per period.
+     */
+    bucket(starts, label) {
+        const buckets = starts.map(start => ({ start, total: 0, count: 0 }));
+        this.list({ label }).forEach(entry => {
+            for (let index = buckets.length - 1; index >= 0; index--) {
+                if (entry.startedAt >= buckets[index].start) {
+                    buckets[index].total += entry.duration;
+                    buckets[index].count++;
+                    return;
+                }
+            }
+        });
+        return buckets;
+    }
+
+    /**
+     * Saves the log, if a store is configured.
+     */
+    save() {
+        if (this.store) {
+            this.store.save('history', this.entries);
+        }
+    }
+
+    /**
+     * Validates raw session values and assigns a new id.
+     * @param {Object} session
+     * @param {string} [session.timer] - Id of the timer that ran the session ('' when unknown, e.g. imported).
+     * @param {'stopwatch'|'countdown'} session.kind - Timer type.
+     * @param {string} [session.label] - Label given by the user (may be empty).
+     * @param {number} session.startedAt - Epoch of the first start.
+     * @param {number} session.endedAt - Epoch of the reset or expiry.
+     * @param {number} session.duration - Time counted in ms, pauses excluded.
+     * @param {number|null} [session.target] - Countdown duration in ms (null for stopwatches).
+     * @param {Array<Object>} [session.laps] - Laps as recorded by LapRecorder.
+     * @param {'completed'|'cancelled'} session.status - How the session ended.
+     * @returns {Object} The entry.
+     */
+    createEntry({ timer = '', kind, label = '', startedAt, endedAt, duration, target = null, laps = [], status }) {
+        if (kind !== 'stopwatch' && kind !== 'countdown') {
+            throw new Error(`Unknown timer kind: ${kind}`);
+        }
+        if (!Number.isFinite(startedAt) || !Number.isFinite(endedAt) || endedAt < startedAt) {
+            throw new Error('Invalid session timestamps');
+        }
+        if (!Number.isFinite(duration) || duration < 0) {
+            throw new Error('Invalid session duration');
+        }
+        if (status !== 'completed' && status !== 'cancelled') {
+            throw new Error(`Unknown session status: ${status}`);
+        }
+        return {
+            id: `session-${this.nextId++}`,
+            timer: typeof timer === 'string' ? timer : '',
+            kind,
+            label: typeof label === 'string' ? label.trim().slice(0, 40) : '',
+            startedAt,
+            endedAt,
+            duration,
+            target: kind === 'countdown' && Number.isFinite(target) ? target : null,
+            laps: (Array.isArray(laps) ? laps : [])
+                .filter(lap => lap && Number.isFinite(lap.lapTime) && Number.isFinite(lap.splitTime))
+                .map(({ number, lapTime, splitTime }) => ({ number, lapTime, splitTime })),
+            status
+        };
+    }
+
+    /**
+     * @param {number} epoch - Any time in ms.
+     * @returns {number} Local midnight at the start of that day.
+     */
+    static startOfDay(epoch) {
+        const day = new Date(epoch);
+        day.setHours(0, 0, 0, 0);
+        return day.getTime();
+    }
+
+    /**
+     * Formats a total for the history screen: "1h 05m", "12m 30s" or "45s".
+     * @param {number} ms - Duration in ms.
+     * @returns {string} The formatted duration.
+     */
+    static formatTotal(ms) {
+        const totalSeconds = Math.floor(ms / 1000);
+        const hours = Math.floor(totalSeconds / 3600);
+        const minutes = Math.floor((totalSeconds % 3600) / 60);
+        const seconds = totalSeconds % 60;
+        const pad = value => String(value).padStart(2, '0');
+        if (hours > 0) return `${hours}h ${pad(minutes)}m`;
+        if (minutes > 0) return `${minutes}m ${pad(seconds)}s`;
+        return `${seconds}s`;
+    }
+}
+
+// Allow the history to be required from Node (unit tests) as well as loaded with a <script> tag
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { HistoryStore };
+}
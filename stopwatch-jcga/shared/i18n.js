@@ -0,0 +1,180 @@
+// i18n.js
+/**
+ * I18n Class
+ * Message catalogs and the language the apps are shown in.
+ *
+ * Each language has one catalog of nested messages, registered by its script
+ * in shared/locales/ (`I18n.register('es', {...})`) and looked up by dotted
+ * key ("alerts.maxTime"). Messages may contain `{name}` placeholders, and a
+ * message that depends on a number is an object of plural forms chosen with
+ * `Intl.PluralRules` from the `count` parameter:
+ *   { one: '{count} minute', other: '{count} minutes' }
+ * A message missing from a catalog falls back to English, then to its key.
+ *
+ * The chosen language is saved through an optional StateStore; without a
+ * saved choice the browser's preferred languages decide. Static page text is
+ * marked with `data-i18n` attributes and translated by `translatePage`.
+ * Emits `change` when the language is switched.
+ */
+class I18n {
+    /**
+     * Language used for missing messages and when no preferred language has a catalog.
+     */
+    static FALLBACK = 'en';
+
+    /**
+     * Registered catalogs by language code.
+     */
+    static catalogs = {};
+
+    /**
+     * Adds the catalog of a language.
+     * @param {string} locale - Language code, e.g. 'es'.
+     * @param {Object} catalog - Nested messages; `language` holds the language's own name.
+     */
+    static register(locale, catalog) {
+        I18n.catalogs[locale] = catalog;
+    }
+
+    /**
+     * Codes of the registered languages, in registration order.
+     * @returns {Array<string>} Language codes.
+     */
+    static get locales() {
+        return Object.keys(I18n.catalogs);
+    }
+
+    /**
+     * @param {Object} [options]
+     * @param {StateStore} [options.store] - Store used to load and save the chosen language.
+     * @param {Array<string>} [options.languages] - Preferred languages (e.g. `navigator.languages`), used when none was chosen.
+     */
+    constructor({ store = null, languages = [] } = {}) {
+        this.store = store;
+        this.listeners = []; // `change` listeners
+        this.plurals = null; // Intl.PluralRules of the current language, created on first use
+
+        const saved = store ? store.load('locale') : null;
+        this.locale = I18n.negotiate([saved, ...languages]);
+    }
+
+    /**
+     * Picks the first candidate that has a catalog, trying "es-MX" as "es" too.
+     * @param {Array<*>} candidates - Language codes, most preferred first; non-strings are skipped.
+     * @returns {string} A registered language code, or `FALLBACK`.
+     */
+    static negotiate(candidates) {
+        for (const candidate of candidates) {
+            if (typeof candidate !== 'string' || !candidate) continue;
+            const code = candidate.toLowerCase();
+            if (I18n.catalogs[code]) return code;
+            const base = code.split('-')[0];
+            if (I18n.catalogs[base]) return base;
+        }
+        return I18n.FALLBACK;
+    }
+
+    /**
+     * Subscribes to language changes.
+     * @param {Function} listener - Called with the new language code.
+     * @returns {Function} A function that removes the listener.
+     */
+    onChange(listener) {
+        this.listeners.push(listener);
+        return () => {
+            this.listeners = this.listeners.filter(fn => fn !== listener);
+        };
+    }
+
+    /**
+     * Switches the language and saves the choice.
+     * @param {string} locale - A registered language code.
+     */
+    setLocale(locale) {
+        if (!I18n.catalogs[locale]) {
+            throw new Error(`No catalog for language "${locale}"`);
+        }
+        if (locale === this.locale) return;
+        this.locale = locale;
+        this.plurals = null;
+        if (this.store) {
+            this.store.save('locale', locale);
+        }
+        this.listeners.slice().forEach(listener => listener(locale));
+    }
+
+    /**
+     * Translates a message.
+     * @param {string} key - Dotted message key.
+     * @param {Object} [params] - Placeholder values; `count` also selects the plural form.
+     * @returns {string} The message, or the key itself when no catalog has it.
+     */
+    t(key, params = {}) {
+        let message = I18n.lookup(this.locale, key);
+        if (message === undefined) message = I18n.lookup(I18n.FALLBACK, key);
+        if (message === undefined) {
+            console.warn(`I18n: no message "${key}"`);
+            return key;
+        }
+
+        if (typeof message === 'object') {
+            if (!this.plurals) this.plurals = new Intl.PluralRules(this.locale);
+            const form = this.plurals.select(Number(params.count) || 0);
+            message = message[form] !== undefined ? message[form] : message.other;
+        }
+        return message.replace(/\{(\w+)\}/g, (placeholder, name) => (params[name] === undefined ? placeholder : String(params[name])));
+    }
+
+    /**
+     * Reads a message from a catalog.
+     * @param {string} locale - Language code.
+     * @param {string} key - Dotted message key.
+     * @returns {string|Object|undefined} The message or its plural forms, if found.
+     */
+    static lookup(locale, key) {
+        const value = key.split('.').reduce((node, part) => (node && typeof node === 'object' ? node[part] : undefined), I18n.catalogs[locale]);
+        return typeof value === 'string' || (value && typeof value.other === 'string') ? value : undefined;
+    }
+
+    /**
+     * Spells a duration out in whole seconds: "1 hour 5 minutes", "1 hora 5 minutos".
+     * @param {number} ms - Duration in ms (rounded up to the next second).
+     * @returns {string} The spoken duration.
+     */
+    formatDuration(ms) {
+        const total = Math.max(0, Math.ceil(ms / 1000));
+        const parts = [
+            ['duration.hours', Math.floor(total / 3600)],
+            ['duration.minutes', Math.floor((total % 3600) / 60)],
+            ['duration.seconds', total % 60]
+        ].filter(([, count]) => count > 0).map(([key, count]) => this.t(key, { count }));
+        return parts.length > 0 ? parts.join(' ') : this.t('duration.seconds', { count: 0 });
+    }
+
+    /**
+     * Translates the static text of a page or of a part of it:
+     *   - `data-i18n="key"` replaces the element's text;
+     *   - `data-i18n-attr="placeholder:key; aria-label:key"` sets attributes.
+     * Translating a document also sets its `lang`.
+     * @param {Document|HTMLElement} root - Document or element to translate.
+     */
+    translatePage(root) {
+        if (root.documentElement) {
+            root.documentElement.lang = this.locale;
+        }
+        root.querySelectorAll('[data-i18n]').forEach(element => {
+            element.textContent = this.t(element.dataset.i18n);
+        });
+        root.querySelectorAll('[data-i18n-attr]').forEach(element => {
+            element.dataset.i18nAttr.split(';').forEach(pair => {
+                const [attribute, key] = pair.split(':').map(part => part.trim());
+                if (attribute && key) element.setAttribute(attribute, this.t(key));
+            });
+        });
+    }
+}
+
+// Allow the translations to be required from Node (unit tests) as well as loaded with a <script> tag
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { I18n };
+}
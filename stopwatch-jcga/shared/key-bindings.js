@@ -0,0 +1,179 @@
+// key-bindings.js
+/**
+ * KeyBindings Class
+ * DOM-free keyboard map shared by both apps: translates a pressed key into
+ * an app action and lets the user rebind the action keys. Custom bindings
+ * are saved through an optional StateStore.
+ *
+ * Digits and Backspace always edit the countdown input and cannot be rebound.
+ */
+class KeyBindings {
+    /**
+     * Rebindable actions, in the order they are listed in the help overlay
+     * (English descriptions; see `describe` for the translated ones).
+     */
+    static ACTIONS = Object.freeze({
+        set: 'Set the countdown time',
+        toggle: 'Start / pause / continue',
+        clear: 'Clear',
+        lap: 'Record a lap',
+        present: 'Present the timer fullscreen',
+        home: 'Go to the home screen',
+        stopwatch: 'Go to the stopwatch',
+        countdown: 'Go to the countdown',
+        dashboard: 'Go to the dashboard',
+        help: 'Show or hide this help'
+    });
+
+    /**
+     * Default key for every action, as `KeyboardEvent.key` values (letters lower-cased).
+     */
+    static DEFAULTS = Object.freeze({
+        set: 'Enter',
+        toggle: ' ',
+        clear: 'Escape',
+        lap: 'l',
+        present: 'f',
+        home: 'h',
+        stopwatch: 's',
+        countdown: 'c',
+        dashboard: 'd',
+        help: '?'
+    });
+
+    /**
+     * Keys reserved for countdown input and focus navigation.
+     */
+    static RESERVED_KEYS = Object.freeze(['0', '1', '2', '3', '4', '5', '6', '7', '8', '9', 'Backspace', 'Tab']);
+
+    /**
+     * @param {StateStore} [store] - Store used to load and save custom bindings.
+     * @param {I18n} [i18n] - Translates action descriptions, key names and error messages; English by default.
+     */
+    constructor(store = null, i18n = new I18n()) {
+        this.store = store;
+        this.i18n = i18n;
+        this.bindings = { ...KeyBindings.DEFAULTS };
+
+        // Apply saved bindings, ignoring unknown actions and invalid keys
+        const saved = store ? store.load('keybindings') : null;
+        if (saved && typeof saved === 'object') {
+            Object.keys(KeyBindings.ACTIONS).forEach(action => {
+                const key = saved[action];
+                if (typeof key === 'string' && key.length > 0 && !KeyBindings.RESERVED_KEYS.includes(key)) {
+                    this.bindings[action] = KeyBindings.normalizeKey(key);
+                }
+            });
+        }
+    }
+
+    /**
+     * Normalizes a `KeyboardEvent.key` value so that bindings are case-insensitive.
+     * @param {string} key - Raw key value.
+     * @returns {string} Normalized key.
+     */
+    static normalizeKey(key) {
+        return key.length === 1 ? key.toLowerCase() : key;
+    }
+
+    /**
+     * Human-readable name of a key, for the help overlay.
+     * @param {string} key - Key value.
+     * @returns {string} Label such as "Space", "Esc" or "L".
+     */
+    static keyLabel(key) {
+        const names = { ' ': 'Space', Escape: 'Esc', ArrowUp: '↑', ArrowDown: '↓', ArrowLeft: '←', ArrowRight: '→' };
+        if (names[key]) return names[key];
+        return key.length === 1 ? key.toUpperCase() : key;
+    }
+
+    /**
+     * Translated description of an action, for the help overlay.
+     * @param {string} action - Action name (see `KeyBindings.ACTIONS`).
+     * @returns {string} Description such as "Record a lap".
+     */
+    describe(action) {
+        return this.i18n.t(`shortcuts.actions.${action}`);
+    }
+
+    /**
+     * Translated name of a key: `keyLabel`, with the names of word keys translated.
+     * @param {string} key - Key value.
+     * @returns {string} Label such as "Space" or "Espacio".
+     */
+    keyName(key) {
+        const words = { ' ': 'space', Enter: 'enter', Backspace: 'backspace' };
+        return words[key] ? this.i18n.t(`shortcuts.keys.${words[key]}`) : KeyBindings.keyLabel(key);
+    }
+
+    /**
+     * Whether a key event should be left to the browser: modified shortcuts
+     * (Ctrl/Cmd/Alt) and typing inside form fields.
+     * @param {KeyboardEvent} event - The key event.
+     * @returns {boolean} True if the app should not handle it.
+     */
+    static shouldIgnore(event) {
+        if (event.ctrlKey || event.metaKey || event.altKey) return true;
+        const target = event.target;
+        if (!target || !target.tagName) return false;
+        return ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName) || target.isContentEditable === true;
+    }
+
+    /**
+     * Resolves the action for a key event.
+     * @param {{key: string}} event - The key event (only `key` is read).
+     * @returns {{action: string, digit: (string|undefined)}|null} The action, or null if the key is unbound.
+     */
+    resolve(event) {
+        if (/^[0-9]$/.test(event.key)) {
+            return { action: 'digit', digit: event.key };
+        }
+        if (event.key === 'Backspace') {
+            return { action: 'backspace' };
+        }
+
+        const key = KeyBindings.normalizeKey(event.key);
+        const action = Object.keys(this.bindings).find(name => this.bindings[name] === key);
+        return action ? { action } : null;
+    }
+
+    /**
+     * Binds an action to a new key.
+     * @param {string} action - Action name (see `KeyBindings.ACTIONS`).
+     * @param {string} key - `KeyboardEvent.key` value.
+     */
+    rebind(action, key) {
+        if (!KeyBindings.ACTIONS[action]) {
+            throw new Error(`Unknown action: ${action}`);
+        }
+        if (KeyBindings.RESERVED_KEYS.includes(key)) {
+            throw new Error(this.i18n.t('shortcuts.reserved', { key: this.keyName(key) }));
+        }
+
+        const normalized = KeyBindings.normalizeKey(key);
+        const owner = Object.keys(this.bindings).find(name => name !== action && this.bindings[name] === normalized);
+        if (owner) {
+            throw new Error(this.i18n.t('shortcuts.taken', { key: this.keyName(normalized), action: this.describe(owner) }));
+        }
+
+        this.bindings[action] = normalized;
+        this.save();
+    }
+
+    /**
+     * Restores the default bindings.
+     */
+    resetToDefaults() {
+        this.bindings = { ...KeyBindings.DEFAULTS };
+        this.save();
+    }
+
+    /**
+     * Saves the current bindings, if a store is configured.
+     */
+    save() {
+        if (this.store) {
+            this.store.save('keybindings', this.bindings);
+        }
+    }
+}
@@ -0,0 +1,116 @@
+// live-announcer.js
+/**
+ * LiveAnnouncer Class
+ * Tells screen reader users what the timers do, through ARIA live regions.
+ *
+ * The time displays change on every frame, far too often to be read out, so
+ * they are marked `role="timer"` (not announced by itself) and this class
+ * announces instead: starting, pausing, resuming and resetting a timer, a
+ * countdown's remaining time once a minute and every second of the last ten,
+ * and its expiry (assertively, interrupting whatever is being read).
+ * Messages and durations are spoken in the language of the injected I18n.
+ */
+class LiveAnnouncer {
+    /**
+     * Remaining seconds from which every second is announced.
+     */
+    static FINAL_SECONDS = 10;
+
+    /**
+     * @param {Object} [options]
+     * @param {Document} [options.document] - Document the live regions are added to, injectable for tests.
+     * @param {I18n} [options.i18n] - Translates the announcements; English by default.
+     */
+    constructor({ document: doc = globalThis.document, i18n = new I18n() } = {}) {
+        this.document = doc;
+        this.i18n = i18n;
+        this.polite = LiveAnnouncer.createRegion(doc, 'status', 'polite');
+        this.assertive = LiveAnnouncer.createRegion(doc, 'alert', 'assertive');
+        this.pending = new Map(); // Announcement timeouts by region
+    }
+
+    /**
+     * Reads a message out.
+     * @param {string} message - Text to announce.
+     * @param {Object} [options]
+     * @param {boolean} [options.assertive=false] - Interrupt the screen reader (expiries).
+     */
+    announce(message, { assertive = false } = {}) {
+        const region = assertive ? this.assertive : this.polite;
+        // Empty the region first, so repeating the same message is announced again
+        region.textContent = '';
+        clearTimeout(this.pending.get(region));
+        this.pending.set(region, setTimeout(() => {
+            region.textContent = message;
+        }, 50));
+    }
+
+    /**
+     * Announces a timer's state changes, and a countdown's remaining time, from now on.
+     * @param {TimerEngine} engine - Timer engine.
+     * @param {Object} [details]
+     * @param {function(): string} [details.label] - Returns the timer name used in announcements.
+     * @returns {Function} A function that stops announcing.
+     */
+    watch(engine, { label = () => this.i18n.t(engine.mode === 'countdown' ? 'timers.countdown' : 'timers.stopwatch') } = {}) {
+        const STATES = TimerEngine.STATES;
+        const countdown = engine.mode === 'countdown';
+        const t = (key, params) => this.i18n.t(`announcer.${key}`, params);
+        const speak = ms => this.i18n.formatDuration(ms);
+        let lastSeconds = null; // Remaining seconds last announced (or current when started)
+
+        const offState = engine.on('statechange', ({ from, to }) => {
+            const name = label();
+            if (to === STATES.RUNNING) {
+                lastSeconds = countdown ? Math.ceil(engine.getRemaining() / 1000) : null;
+                const verb = from === STATES.PAUSED ? 'resumed' : 'started';
+                this.announce(countdown
+                    ? t(`${verb}Left`, { label: name, time: speak(engine.getRemaining()) })
+                    : t(verb, { label: name }));
+            } else if (to === STATES.PAUSED) {
+                this.announce(countdown
+                    ? t('pausedLeft', { label: name, time: speak(engine.getRemaining()) })
+                    : t('pausedAt', { label: name, time: speak(engine.getElapsed()) }));
+            } else if (to === STATES.EXPIRED) {
+                this.announce(t('expired', { label: name }), { assertive: true });
+            } else if (to === STATES.IDLE && from !== STATES.IDLE) {
+                this.announce(t('reset', { label: name }));
+            }
+        });
+
+        const offTick = engine.on('tick', () => {
+            if (!countdown || !engine.isRunning) return;
+            const seconds = Math.ceil(engine.getRemaining() / 1000);
+            if (seconds === lastSeconds || seconds <= 0) return;
+            if (seconds <= LiveAnnouncer.FINAL_SECONDS) {
+                lastSeconds = seconds;
+                this.announce(String(seconds));
+            } else if (seconds % 60 === 0) {
+                lastSeconds = seconds;
+                this.announce(t('left', { label: label(), time: speak(seconds * 1000) }));
+            }
+        });
+
+        return () => {
+            offState();
+            offTick();
+        };
+    }
+
+    /**
+     * Creates a visually hidden live region.
+     * @param {Document} doc - Document to add it to.
+     * @param {string} role - 'status' or 'alert'.
+     * @param {string} politeness - 'polite' or 'assertive'.
+     * @returns {HTMLElement} The region.
+     */
+    static createRegion(doc, role, politeness) {
+        const region = doc.createElement('div');
+        region.className = 'sr-only';
+        region.setAttribute('role', role);
+        region.setAttribute('aria-live', politeness);
+        region.setAttribute('aria-atomic', 'true');
+        doc.body.appendChild(region);
+        return region;
+    }
+}
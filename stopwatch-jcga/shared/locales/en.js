@@ -0,0 +1,385 @@
+// en.js
+/**
+ * English messages, the apps' source language and the fallback for
+ * messages missing from other catalogs (see ../i18n.js).
+ */
+I18n.register('en', {
+    language: 'English',
+
+    app: {
+        title: 'Stopwatch & Countdown App',
+        heading: 'Timer App',
+        trackerTitle: 'Time Tracker',
+        language: 'Language'
+    },
+
+    theme: {
+        label: 'Theme',
+        system: 'System',
+        light: 'Light',
+        dark: 'Dark',
+        contrast: 'High contrast',
+        accent: 'Accent colour',
+        resetAccent: 'Default colour'
+    },
+
+    timeFormat: {
+        precision: 'Precision',
+        ms: 'Milliseconds',
+        hundredths: 'Hundredths',
+        tenths: 'Tenths',
+        seconds: 'Whole seconds',
+        compact: 'Hide zero hours, show days',
+        days: '{count}d'
+    },
+
+    nav: {
+        home: 'Home',
+        chooseTimer: 'Choose a Timer',
+        stopwatch: 'Stopwatch',
+        countdown: 'Countdown',
+        dashboard: 'Dashboard',
+        intervals: 'Intervals',
+        history: 'History',
+        shortcutsHintBefore: 'Press',
+        shortcutsHintAfter: 'for keyboard shortcuts'
+    },
+
+    actions: {
+        start: 'Start',
+        pause: 'Pause',
+        continue: 'Continue',
+        lap: 'Lap',
+        clear: 'Clear',
+        set: 'Set',
+        add: 'Add',
+        addTimer: 'Add Timer',
+        reset: 'Reset',
+        delete: 'Delete',
+        skip: 'Skip',
+        stop: 'Stop',
+        restartPhase: 'Restart Phase',
+        startSequence: 'Start Sequence',
+        exportCsv: 'Export CSV',
+        exportJson: 'Export JSON',
+        importJson: 'Import JSON',
+        importRuns: 'Import runs',
+        clearAll: 'Clear all',
+        present: 'Present',
+        presentTitle: 'Show only the time, fullscreen (F)',
+        ok: 'OK',
+        close: 'Close',
+        moveUp: 'Move up',
+        moveDown: 'Move down',
+        expired: 'Expired'
+    },
+
+    timers: {
+        stopwatch: 'Stopwatch',
+        countdown: 'Countdown',
+        stopwatchNumber: 'Stopwatch {count}',
+        countdownNumber: 'Countdown {count}',
+        emptyLabel: 'Timer label cannot be empty'
+    },
+
+    stopwatch: {
+        labelPlaceholder: 'Label (optional, e.g. Running)',
+        label: 'Stopwatch label',
+        time: 'Stopwatch time',
+        lap: 'Lap {number}',
+        fastest: 'Fastest',
+        slowest: 'Slowest',
+        reset: 'Stopwatch has been reset',
+        lapNotRunning: 'Laps can only be recorded while the stopwatch is running'
+    },
+
+    countdown: {
+        labelPlaceholder: 'Label (optional, e.g. Reading)',
+        label: 'Countdown label',
+        alarm: 'Countdown alarm tone',
+        time: 'Time left',
+        textPlaceholder: 'e.g. 1h 30m, 1:30, until 14:45',
+        text: 'Type a duration',
+        recent: 'Recent',
+        startRecent: 'Start a {duration} countdown',
+        zero: 'Countdown is zero. Please set a time.',
+        cleared: 'Countdown has been cleared',
+        invalidTime: 'Please enter a valid time greater than zero',
+        mustBePositive: 'Countdown time must be positive',
+        invalidLink: 'This countdown link has an invalid duration. {message}',
+        overtime: 'Count up past zero (overtime)',
+        overtimeReport: 'Overtime: {time}.'
+    },
+
+    presets: {
+        title: 'Presets',
+        namePlaceholder: 'Name (e.g. Tea)',
+        name: 'Preset name',
+        duration: 'Preset duration',
+        start: 'Start preset',
+        delete: 'Delete preset',
+        needsName: 'Please give the preset a name.',
+        emptyName: 'Preset name cannot be empty',
+        invalidDuration: 'Preset duration must be greater than zero and at most {max}',
+        noList: 'The file does not contain a list of presets.',
+        itemError: 'Preset {number}: {message}',
+        imported: { one: '{count} preset imported.', other: '{count} presets imported.' },
+        skipped: { one: '{count} invalid preset skipped.', other: '{count} invalid presets skipped.' },
+        exportFailed: 'Presets could not be exported'
+    },
+
+    alarms: {
+        settings: 'Alarm settings',
+        defaultTone: 'Default tone',
+        tone: 'Tone',
+        volume: 'Volume',
+        repeat: 'Repeat until dismissed',
+        escalate: 'Get louder while ringing',
+        test: 'Test alarm',
+        defaultAlarm: 'Default alarm',
+        timesUp: "Time's up!",
+        snoozedUntil: 'Snoozed until {time}',
+        snooze: '+{minutes} min',
+        dismiss: 'Dismiss',
+        tones: {
+            chime: 'Chime',
+            beep: 'Beep',
+            bell: 'Bell',
+            digital: 'Digital',
+            rising: 'Rising'
+        }
+    },
+
+    warnings: {
+        settings: 'Warnings before zero',
+        at: 'Time left',
+        color: 'Colour',
+        colors: {
+            none: 'Usual colour',
+            amber: 'Amber',
+            red: 'Red'
+        },
+        pulse: 'Pulse',
+        cue: 'Sound',
+        add: 'Add warning',
+        remove: 'Remove warning',
+        none: 'No warnings.',
+        tooMany: 'At most {count} warnings can be set.',
+        duplicate: 'There is already a warning at {time}.'
+    },
+
+    dashboard: {
+        kind: 'Timer type',
+        labelPlaceholder: 'Label (e.g. Pasta)',
+        labelShort: 'Label',
+        label: 'Timer label',
+        color: 'Timer colour',
+        hours: 'Hours',
+        minutes: 'Minutes',
+        seconds: 'Seconds',
+        alarm: 'Alarm tone',
+        empty: 'No timers yet. Add a stopwatch or a countdown above.',
+        invalidDuration: 'Please enter a valid duration.'
+    },
+
+    sequence: {
+        template: 'Template',
+        templates: {
+            pomodoro: 'Pomodoro',
+            hiit: 'HIIT',
+            custom: 'Custom'
+        },
+        work: 'Work',
+        rest: 'Break (optional)',
+        rounds: 'Rounds',
+        longBreak: 'Long break at the end (optional)',
+        time: 'Phase time left',
+        phases: {
+            work: 'Work',
+            shortBreak: 'Short break',
+            rest: 'Rest',
+            longBreak: 'Long break'
+        },
+        done: 'Done',
+        progress: 'Round {round} of {rounds} · Phase {phase} of {phases}',
+        totalRemaining: 'Total remaining {time}',
+        complete: '{name} complete!',
+        defaultName: 'Sequence',
+        noPhases: 'A sequence needs at least one phase',
+        invalidRounds: 'Rounds must be a whole number between 1 and 99',
+        unnamedPhase: 'Every phase needs a name',
+        invalidPhase: 'Phase "{name}" needs a duration greater than zero'
+    },
+
+    history: {
+        label: 'Label',
+        today: 'Today',
+        thisWeek: 'This week',
+        lastDays: 'Last 7 days',
+        lastWeeks: 'Last 4 weeks',
+        sessions: 'Sessions',
+        empty: 'No sessions yet. Finished stopwatch runs and countdowns appear here.',
+        allSessions: 'All sessions',
+        noLabel: 'No label',
+        weekOf: 'Week of {date}',
+        completed: 'Completed',
+        cancelled: 'Cancelled',
+        timerOf: '{kind} of {duration}',
+        laps: { one: '{count} lap', other: '{count} laps' },
+        delete: 'Delete session',
+        confirmClear: 'Delete all recorded sessions?',
+        cleared: 'History cleared',
+        deleteFailed: 'Could not delete the session'
+    },
+
+    runs: {
+        nothingToExport: 'Nothing to export yet. Start the timer first.',
+        nothingToExportShort: 'Nothing to export yet, start the timer first',
+        exportFailed: 'The run could not be exported',
+        imported: { one: '{count} run imported.', other: '{count} runs imported.' },
+        duplicates: { one: '{count} already in the history.', other: '{count} already in the history.' },
+        skipped: { one: '{count} bad row skipped: {rows}', other: '{count} bad rows skipped: {rows}' }
+    },
+
+    shortcuts: {
+        title: 'Keyboard Shortcuts',
+        hint: 'Click a key to change it, then press the new key (Esc cancels).',
+        reset: 'Reset to defaults',
+        resetDone: 'Keyboard shortcuts reset to defaults',
+        pressKey: 'Press a key…',
+        change: 'Change the key for {action}',
+        changed: '{action}: {key}',
+        digits: 'Enter the countdown time',
+        backspace: 'Delete the last digit',
+        reserved: '{key} is reserved and cannot be rebound.',
+        taken: '{key} is already used for "{action}".',
+        actions: {
+            set: 'Set the countdown time',
+            toggle: 'Start / pause / continue',
+            clear: 'Clear',
+            lap: 'Record a lap',
+            present: 'Present the timer fullscreen',
+            home: 'Go to the home screen',
+            stopwatch: 'Go to the stopwatch',
+            countdown: 'Go to the countdown',
+            dashboard: 'Go to the dashboard',
+            help: 'Show or hide this help'
+        },
+        keys: {
+            space: 'Space',
+            enter: 'Enter',
+            backspace: 'Backspace'
+        }
+    },
+
+    errors: {
+        exportRun: 'An error occurred while exporting the run.',
+        fullscreen: 'Fullscreen is not available in this browser.',
+        startStopwatch: 'An error occurred while starting the stopwatch.',
+        pauseStopwatch: 'An error occurred while pausing the stopwatch.',
+        continueStopwatch: 'An error occurred while continuing the stopwatch.',
+        clearStopwatch: 'An error occurred while clearing the stopwatch.',
+        recordLap: 'An error occurred while recording the lap.',
+        enterTime: 'An error occurred while entering time.',
+        setTime: 'An error occurred while setting the time.',
+        clearInput: 'An error occurred while clearing input.',
+        startCountdown: 'An error occurred while starting the countdown.',
+        pauseCountdown: 'An error occurred while pausing the countdown.',
+        continueCountdown: 'An error occurred while continuing the countdown.',
+        clearTimer: 'An error occurred while clearing the timer.',
+        updatePreset: 'An error occurred while updating the preset.',
+        addPreset: 'An error occurred while adding the preset.',
+        exportPresets: 'An error occurred while exporting the presets.',
+        addTimer: 'An error occurred while adding the timer.',
+        updateTimer: 'An error occurred while updating the timer.',
+        startSequence: 'An error occurred while starting the sequence.',
+        toggleSequence: 'An error occurred while trying to pause or continue the sequence.',
+        skipPhase: 'An error occurred while trying to skip the phase.',
+        restartPhase: 'An error occurred while trying to restart the phase.',
+        stopSequence: 'An error occurred while trying to stop the sequence.',
+        deleteSession: 'An error occurred while deleting the session.',
+        shortcut: 'An error occurred while running the keyboard shortcut.'
+    },
+
+    parser: {
+        empty: 'Please enter a time, for example "1h 30m", "90s" or "1:30".',
+        zero: 'Please enter a time greater than zero.',
+        max: 'Maximum time allowed is {max}.',
+        clockRange: '"{input}" is not a valid time: minutes and seconds must be below 60.',
+        unknownUnit: 'Unknown unit "{unit}". Use h, m or s (e.g. "1h 30m").',
+        repeatedUnit: '"{input}" gives the same unit twice.',
+        missingUnit: 'Add a unit to "{input}", for example "{input}s" or "{input}m".',
+        unknown: 'Could not understand "{input}". Try "1h 30m", "90s", "1:30" or "until 14:45".',
+        unknownTime: 'Could not understand the time "{input}". Try "until 14:45" or "until 2:45 pm".',
+        invalidTime: '"{input}" is not a valid time.',
+        ambiguousTime: 'Add minutes or am/pm to "{input}", for example "until {input}:00".'
+    },
+
+    files: {
+        empty: 'The file is empty.',
+        invalidJson: 'The file is not valid JSON.',
+        unsupportedVersion: 'Unsupported file version: {version}'
+    },
+
+    exporter: {
+        notStarted: 'The timer has not been started yet.',
+        missingColumns: {
+            one: 'The CSV file is missing the column: {columns}.',
+            other: 'The CSV file is missing the columns: {columns}.'
+        },
+        run: 'Run {number}',
+        row: 'Row {number}',
+        invalid: {
+            record: 'not a run record',
+            kind: 'unknown kind "{kind}"',
+            state: 'unknown state "{state}"',
+            date: '{name} is not a valid date',
+            endBeforeStart: 'endedAt is before startedAt',
+            elapsed: 'elapsedMs must be a whole number of ms',
+            target: 'a countdown needs a positive targetMs',
+            elapsedOverTarget: 'elapsedMs is longer than targetMs',
+            pauseStart: 'pause {number} start',
+            pauseEnd: 'pause {number} end',
+            pauseOrder: 'pause {number} ends before it starts',
+            lap: 'lap {number} is not a whole number of ms',
+            countdownLaps: 'countdowns have no laps'
+        }
+    },
+
+    announcer: {
+        started: '{label} started.',
+        startedLeft: '{label} started, {time} left.',
+        resumed: '{label} resumed.',
+        resumedLeft: '{label} resumed, {time} left.',
+        pausedAt: '{label} paused at {time}.',
+        pausedLeft: '{label} paused, {time} left.',
+        expired: "{label}: time's up!",
+        reset: '{label} reset.',
+        left: '{label}: {time} left.'
+    },
+
+    notifier: {
+        title: "{label}: time's up!",
+        body: 'The countdown has finished.',
+        actions: {
+            pause: 'Pause',
+            restart: 'Restart'
+        }
+    },
+
+    tab: {
+        expired: "{label}: time's up!"
+    },
+
+    update: {
+        available: 'A new version is available.',
+        reload: 'Update now',
+        later: 'Later'
+    },
+
+    duration: {
+        hours: { one: '{count} hour', other: '{count} hours' },
+        minutes: { one: '{count} minute', other: '{count} minutes' },
+        seconds: { one: '{count} second', other: '{count} seconds' }
+    }
+});
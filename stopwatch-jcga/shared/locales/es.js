@@ -0,0 +1,384 @@
+// es.js
+/**
+ * Spanish messages (see ../i18n.js). Keys missing here fall back to English.
+ */
+I18n.register('es', {
+    language: 'Español',
+
+    app: {
+        title: 'Cronómetro y cuenta atrás',
+        heading: 'Temporizador',
+        trackerTitle: 'Registro de tiempo',
+        language: 'Idioma'
+    },
+
+    theme: {
+        label: 'Tema',
+        system: 'Sistema',
+        light: 'Claro',
+        dark: 'Oscuro',
+        contrast: 'Alto contraste',
+        accent: 'Color de acento',
+        resetAccent: 'Color predeterminado'
+    },
+
+    timeFormat: {
+        precision: 'Precisión',
+        ms: 'Milésimas',
+        hundredths: 'Centésimas',
+        tenths: 'Décimas',
+        seconds: 'Segundos enteros',
+        compact: 'Ocultar las horas a cero y mostrar días',
+        days: '{count} d'
+    },
+
+    nav: {
+        home: 'Inicio',
+        chooseTimer: 'Elige un temporizador',
+        stopwatch: 'Cronómetro',
+        countdown: 'Cuenta atrás',
+        dashboard: 'Panel',
+        intervals: 'Intervalos',
+        history: 'Historial',
+        shortcutsHintBefore: 'Pulsa',
+        shortcutsHintAfter: 'para ver los atajos de teclado'
+    },
+
+    actions: {
+        start: 'Iniciar',
+        pause: 'Pausar',
+        continue: 'Continuar',
+        lap: 'Vuelta',
+        clear: 'Borrar',
+        set: 'Fijar',
+        add: 'Añadir',
+        addTimer: 'Añadir temporizador',
+        reset: 'Reiniciar',
+        delete: 'Eliminar',
+        skip: 'Saltar',
+        stop: 'Detener',
+        restartPhase: 'Repetir fase',
+        startSequence: 'Iniciar secuencia',
+        exportCsv: 'Exportar CSV',
+        exportJson: 'Exportar JSON',
+        importJson: 'Importar JSON',
+        importRuns: 'Importar sesiones',
+        clearAll: 'Borrar todo',
+        present: 'Presentar',
+        presentTitle: 'Mostrar solo el tiempo, a pantalla completa (F)',
+        ok: 'Aceptar',
+        close: 'Cerrar',
+        moveUp: 'Subir',
+        moveDown: 'Bajar',
+        expired: 'Terminado'
+    },
+
+    timers: {
+        stopwatch: 'Cronómetro',
+        countdown: 'Cuenta atrás',
+        stopwatchNumber: 'Cronómetro {count}',
+        countdownNumber: 'Cuenta atrás {count}',
+        emptyLabel: 'El nombre del temporizador no puede estar vacío'
+    },
+
+    stopwatch: {
+        labelPlaceholder: 'Nombre (opcional, p. ej. Correr)',
+        label: 'Nombre del cronómetro',
+        time: 'Tiempo del cronómetro',
+        lap: 'Vuelta {number}',
+        fastest: 'Más rápida',
+        slowest: 'Más lenta',
+        reset: 'El cronómetro se ha reiniciado',
+        lapNotRunning: 'Solo se pueden registrar vueltas con el cronómetro en marcha'
+    },
+
+    countdown: {
+        labelPlaceholder: 'Nombre (opcional, p. ej. Lectura)',
+        label: 'Nombre de la cuenta atrás',
+        alarm: 'Tono de alarma de la cuenta atrás',
+        time: 'Tiempo restante',
+        textPlaceholder: 'p. ej. 1h 30m, 1:30, hasta 14:45',
+        text: 'Escribe una duración',
+        recent: 'Recientes',
+        startRecent: 'Iniciar una cuenta atrás de {duration}',
+        zero: 'La cuenta atrás está a cero. Fija un tiempo.',
+        cleared: 'La cuenta atrás se ha borrado',
+        invalidTime: 'Introduce un tiempo válido mayor que cero',
+        mustBePositive: 'El tiempo de la cuenta atrás debe ser positivo',
+        invalidLink: 'Este enlace de cuenta atrás tiene una duración no válida. {message}',
+        overtime: 'Seguir contando después de cero (tiempo extra)',
+        overtimeReport: 'Tiempo extra: {time}.'
+    },
+
+    presets: {
+        title: 'Favoritos',
+        namePlaceholder: 'Nombre (p. ej. Té)',
+        name: 'Nombre del favorito',
+        duration: 'Duración del favorito',
+        start: 'Iniciar favorito',
+        delete: 'Eliminar favorito',
+        needsName: 'Ponle un nombre al favorito.',
+        emptyName: 'El nombre del favorito no puede estar vacío',
+        invalidDuration: 'La duración del favorito debe ser mayor que cero y como máximo {max}',
+        noList: 'El archivo no contiene una lista de favoritos.',
+        itemError: 'Favorito {number}: {message}',
+        imported: { one: '{count} favorito importado.', other: '{count} favoritos importados.' },
+        skipped: { one: '{count} favorito no válido omitido.', other: '{count} favoritos no válidos omitidos.' },
+        exportFailed: 'No se pudieron exportar los favoritos'
+    },
+
+    alarms: {
+        settings: 'Ajustes de la alarma',
+        defaultTone: 'Tono predeterminado',
+        tone: 'Tono',
+        volume: 'Volumen',
+        repeat: 'Repetir hasta descartarla',
+        escalate: 'Subir el volumen mientras suena',
+        test: 'Probar alarma',
+        defaultAlarm: 'Alarma predeterminada',
+        timesUp: '¡Se acabó el tiempo!',
+        snoozedUntil: 'Pospuesta hasta las {time}',
+        snooze: '+{minutes} min',
+        dismiss: 'Descartar',
+        tones: {
+            chime: 'Carillón',
+            beep: 'Pitido',
+            bell: 'Campana',
+            digital: 'Digital',
+            rising: 'Ascendente'
+        }
+    },
+
+    warnings: {
+        settings: 'Avisos antes de cero',
+        at: 'Tiempo restante',
+        color: 'Color',
+        colors: {
+            none: 'Color normal',
+            amber: 'Ámbar',
+            red: 'Rojo'
+        },
+        pulse: 'Latido',
+        cue: 'Sonido',
+        add: 'Añadir aviso',
+        remove: 'Quitar aviso',
+        none: 'Sin avisos.',
+        tooMany: 'Se pueden fijar {count} avisos como máximo.',
+        duplicate: 'Ya hay un aviso a {time}.'
+    },
+
+    dashboard: {
+        kind: 'Tipo de temporizador',
+        labelPlaceholder: 'Nombre (p. ej. Pasta)',
+        labelShort: 'Nombre',
+        label: 'Nombre del temporizador',
+        color: 'Color del temporizador',
+        hours: 'Horas',
+        minutes: 'Minutos',
+        seconds: 'Segundos',
+        alarm: 'Tono de alarma',
+        empty: 'Aún no hay temporizadores. Añade un cronómetro o una cuenta atrás arriba.',
+        invalidDuration: 'Introduce una duración válida.'
+    },
+
+    sequence: {
+        template: 'Plantilla',
+        templates: {
+            pomodoro: 'Pomodoro',
+            hiit: 'HIIT',
+            custom: 'Personalizada'
+        },
+        work: 'Trabajo',
+        rest: 'Descanso (opcional)',
+        rounds: 'Rondas',
+        longBreak: 'Descanso largo al final (opcional)',
+        time: 'Tiempo restante de la fase',
+        phases: {
+            work: 'Trabajo',
+            shortBreak: 'Descanso corto',
+            rest: 'Descanso',
+            longBreak: 'Descanso largo'
+        },
+        done: 'Terminado',
+        progress: 'Ronda {round} de {rounds} · Fase {phase} de {phases}',
+        totalRemaining: 'Quedan {time} en total',
+        complete: '¡{name} completado!',
+        defaultName: 'Secuencia',
+        noPhases: 'Una secuencia necesita al menos una fase',
+        invalidRounds: 'Las rondas deben ser un número entero entre 1 y 99',
+        unnamedPhase: 'Cada fase necesita un nombre',
+        invalidPhase: 'La fase "{name}" necesita una duración mayor que cero'
+    },
+
+    history: {
+        label: 'Nombre',
+        today: 'Hoy',
+        thisWeek: 'Esta semana',
+        lastDays: 'Últimos 7 días',
+        lastWeeks: 'Últimas 4 semanas',
+        sessions: 'Sesiones',
+        empty: 'Aún no hay sesiones. Aquí aparecen los cronómetros y cuentas atrás terminados.',
+        allSessions: 'Todas las sesiones',
+        noLabel: 'Sin nombre',
+        weekOf: 'Semana del {date}',
+        completed: 'Completada',
+        cancelled: 'Cancelada',
+        timerOf: '{kind} de {duration}',
+        laps: { one: '{count} vuelta', other: '{count} vueltas' },
+        delete: 'Eliminar sesión',
+        confirmClear: '¿Eliminar todas las sesiones registradas?',
+        cleared: 'Historial borrado',
+        deleteFailed: 'No se pudo eliminar la sesión'
+    },
+
+    runs: {
+        nothingToExport: 'Aún no hay nada que exportar. Inicia primero el temporizador.',
+        nothingToExportShort: 'Aún no hay nada que exportar, inicia primero el temporizador',
+        exportFailed: 'No se pudo exportar la sesión',
+        imported: { one: '{count} sesión importada.', other: '{count} sesiones importadas.' },
+        duplicates: { one: '{count} ya estaba en el historial.', other: '{count} ya estaban en el historial.' },
+        skipped: { one: '{count} fila errónea omitida: {rows}', other: '{count} filas erróneas omitidas: {rows}' }
+    },
+
+    shortcuts: {
+        title: 'Atajos de teclado',
+        hint: 'Haz clic en una tecla para cambiarla y pulsa la nueva (Esc cancela).',
+        reset: 'Restablecer valores predeterminados',
+        resetDone: 'Atajos de teclado restablecidos',
+        pressKey: 'Pulsa una tecla…',
+        change: 'Cambiar la tecla: {action}',
+        changed: '{action}: {key}',
+        digits: 'Escribir el tiempo de la cuenta atrás',
+        backspace: 'Borrar el último dígito',
+        reserved: '{key} está reservada y no se puede cambiar.',
+        taken: '{key} ya se usa para "{action}".',
+        actions: {
+            set: 'Fijar el tiempo de la cuenta atrás',
+            toggle: 'Iniciar / pausar / continuar',
+            clear: 'Borrar',
+            lap: 'Registrar una vuelta',
+            present: 'Presentar el temporizador a pantalla completa',
+            home: 'Ir a la pantalla de inicio',
+            stopwatch: 'Ir al cronómetro',
+            countdown: 'Ir a la cuenta atrás',
+            dashboard: 'Ir al panel',
+            help: 'Mostrar u ocultar esta ayuda'
+        },
+        keys: {
+            space: 'Espacio',
+            enter: 'Intro',
+            backspace: 'Retroceso'
+        }
+    },
+
+    errors: {
+        exportRun: 'Se produjo un error al exportar la sesión.',
+        fullscreen: 'La pantalla completa no está disponible en este navegador.',
+        startStopwatch: 'Se produjo un error al iniciar el cronómetro.',
+        pauseStopwatch: 'Se produjo un error al pausar el cronómetro.',
+        continueStopwatch: 'Se produjo un error al continuar el cronómetro.',
+        clearStopwatch: 'Se produjo un error al borrar el cronómetro.',
+        recordLap: 'Se produjo un error al registrar la vuelta.',
+        enterTime: 'Se produjo un error al introducir el tiempo.',
+        setTime: 'Se produjo un error al fijar el tiempo.',
+        clearInput: 'Se produjo un error al borrar el tiempo introducido.',
+        startCountdown: 'Se produjo un error al iniciar la cuenta atrás.',
+        pauseCountdown: 'Se produjo un error al pausar la cuenta atrás.',
+        continueCountdown: 'Se produjo un error al continuar la cuenta atrás.',
+        clearTimer: 'Se produjo un error al borrar el temporizador.',
+        updatePreset: 'Se produjo un error al actualizar el favorito.',
+        addPreset: 'Se produjo un error al añadir el favorito.',
+        exportPresets: 'Se produjo un error al exportar los favoritos.',
+        addTimer: 'Se produjo un error al añadir el temporizador.',
+        updateTimer: 'Se produjo un error al actualizar el temporizador.',
+        startSequence: 'Se produjo un error al iniciar la secuencia.',
+        toggleSequence: 'Se produjo un error al pausar o continuar la secuencia.',
+        skipPhase: 'Se produjo un error al saltar la fase.',
+        restartPhase: 'Se produjo un error al repetir la fase.',
+        stopSequence: 'Se produjo un error al detener la secuencia.',
+        deleteSession: 'Se produjo un error al eliminar la sesión.',
+        shortcut: 'Se produjo un error al ejecutar el atajo de teclado.'
+    },
+
+    parser: {
+        empty: 'Introduce un tiempo, por ejemplo "1h 30m", "90s" o "1:30".',
+        zero: 'Introduce un tiempo mayor que cero.',
+        max: 'El tiempo máximo permitido es {max}.',
+        clockRange: '"{input}" no es un tiempo válido: los minutos y segundos deben ser menores que 60.',
+        unknownUnit: 'Unidad desconocida "{unit}". Usa h, m o s (p. ej. "1h 30m").',
+        repeatedUnit: '"{input}" repite la misma unidad.',
+        missingUnit: 'Añade una unidad a "{input}", por ejemplo "{input}s" o "{input}m".',
+        unknown: 'No se entiende "{input}". Prueba "1h 30m", "90s", "1:30" o "hasta 14:45".',
+        unknownTime: 'No se entiende la hora "{input}". Prueba "hasta 14:45" o "hasta 2:45 pm".',
+        invalidTime: '"{input}" no es una hora válida.',
+        ambiguousTime: 'Añade los minutos o am/pm a "{input}", por ejemplo "hasta {input}:00".'
+    },
+
+    files: {
+        empty: 'El archivo está vacío.',
+        invalidJson: 'El archivo no es un JSON válido.',
+        unsupportedVersion: 'Versión de archivo no compatible: {version}'
+    },
+
+    exporter: {
+        notStarted: 'El temporizador aún no se ha iniciado.',
+        missingColumns: {
+            one: 'Al archivo CSV le falta la columna: {columns}.',
+            other: 'Al archivo CSV le faltan las columnas: {columns}.'
+        },
+        run: 'Sesión {number}',
+        row: 'Fila {number}',
+        invalid: {
+            record: 'no es un registro de sesión',
+            kind: 'tipo desconocido "{kind}"',
+            state: 'estado desconocido "{state}"',
+            date: '{name} no es una fecha válida',
+            endBeforeStart: 'endedAt es anterior a startedAt',
+            elapsed: 'elapsedMs debe ser un número entero de ms',
+            target: 'una cuenta atrás necesita un targetMs positivo',
+            elapsedOverTarget: 'elapsedMs es mayor que targetMs',
+            pauseStart: 'inicio de la pausa {number}',
+            pauseEnd: 'fin de la pausa {number}',
+            pauseOrder: 'la pausa {number} termina antes de empezar',
+            lap: 'la vuelta {number} no es un número entero de ms',
+            countdownLaps: 'las cuentas atrás no tienen vueltas'
+        }
+    },
+
+    announcer: {
+        started: '{label}: en marcha.',
+        startedLeft: '{label}: en marcha, tiempo restante {time}.',
+        resumed: '{label}: continúa.',
+        resumedLeft: '{label}: continúa, tiempo restante {time}.',
+        pausedAt: '{label}: en pausa en {time}.',
+        pausedLeft: '{label}: en pausa, tiempo restante {time}.',
+        expired: '{label}: ¡se acabó el tiempo!',
+        reset: '{label}: puesta a cero.',
+        left: '{label}: tiempo restante {time}.'
+    },
+
+    notifier: {
+        title: '{label}: ¡se acabó el tiempo!',
+        body: 'La cuenta atrás ha terminado.',
+        actions: {
+            pause: 'Pausar',
+            restart: 'Reiniciar'
+        }
+    },
+
+    tab: {
+        expired: '{label}: ¡se acabó el tiempo!'
+    },
+
+    update: {
+        available: 'Hay una nueva versión disponible.',
+        reload: 'Actualizar',
+        later: 'Más tarde'
+    },
+
+    duration: {
+        hours: { one: '{count} hora', other: '{count} horas' },
+        minutes: { one: '{count} minuto', other: '{count} minutos' },
+        seconds: { one: '{count} segundo', other: '{count} segundos' }
+    }
+});
@@ -0,0 +1,25 @@
+// notification-sw.js
+/**
+ * Service worker of the expiry notifications (see expiry-notifier.js).
+ *
+ * Only notifications shown through a service worker can have buttons. This
+ * worker does not control the app's pages (it is registered with its own
+ * scope); it forwards notification clicks to the tab that showed the
+ * notification, which applies them, and brings that tab to the front.
+ */
+self.addEventListener('notificationclick', event => {
+    const { id, url } = event.notification.data || {};
+    const action = event.action || 'open';
+    event.notification.close();
+
+    event.waitUntil(self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then(clients => {
+        const page = url ? url.split('#')[0] : null;
+        const client = clients.find(item => item.url.split('#')[0] === page);
+        if (!client) {
+            // The tab was closed: reopen the app (the countdown state is restored from storage)
+            return url ? self.clients.openWindow(url) : undefined;
+        }
+        client.postMessage({ type: 'expiry-notification', id, action });
+        return action === 'open' ? client.focus() : undefined;
+    }));
+});
@@ -0,0 +1,123 @@
+// offline-cache.js
+/**
+ * OfflineCache Class
+ * Runs in an app's service worker (stopwatch-gemini/sw.js, stopwatch-deepseek/sw.js)
+ * and makes the app work without network: every file the app needs is cached
+ * when the worker installs and then served from the cache.
+ *
+ * Each release is cached under its own name (`<name>-v<version>`), so raising
+ * the version in sw.js is what ships an update. The new worker installs the
+ * new files next to the old ones and waits; the open tabs are told (see
+ * app-updater.js) and it takes over when the user accepts (`skip-waiting`
+ * message). The caches of older versions are deleted once it is active.
+ */
+class OfflineCache {
+    /**
+     * Files in this folder used by both apps, relative to an app's folder.
+     */
+    static SHARED_FILES = Object.freeze([
+        '../shared/tailwind.css',
+        '../shared/themes.css',
+        '../shared/i18n.js',
+        '../shared/locales/en.js',
+        '../shared/locales/es.js',
+        '../shared/timer-core.js',
+        '../shared/time-format.js',
+        '../shared/state-store.js',
+        '../shared/tab-sync.js',
+        '../shared/timer-collection.js',
+        '../shared/key-bindings.js',
+        '../shared/duration-parser.js',
+        '../shared/preset-store.js',
+        '../shared/sequence-runner.js',
+        '../shared/history-store.js',
+        '../shared/run-exporter.js',
+        '../shared/hash-router.js',
+        '../shared/alarm-engine.js',
+        '../shared/countdown-warnings.js',
+        '../shared/expiry-notifier.js',
+        '../shared/tab-status.js',
+        '../shared/tick-worker.js',
+        '../shared/tick-scheduler.js',
+        '../shared/presentation-mode.js',
+        '../shared/live-announcer.js',
+        '../shared/focus-keeper.js',
+        '../shared/theme-manager.js',
+        '../shared/app-updater.js',
+        '../shared/timer-api.js',
+        '../shared/notification-sw.js',
+        '../shared/fonts/inter-latin-400-normal.woff2',
+        '../shared/fonts/inter-latin-700-normal.woff2',
+        '../shared/icons/icon.svg',
+        '../shared/icons/icon-192.png',
+        '../shared/icons/icon-512.png',
+        '../shared/icons/icon-maskable-512.png'
+    ]);
+
+    /**
+     * @param {Object} options
+     * @param {string} options.name - Name of the app; its caches are `<name>-v<version>`.
+     * @param {number} options.version - Release of the cached files.
+     * @param {Array<string>} options.files - Files to cache, relative to the service worker.
+     * @param {ServiceWorkerGlobalScope} [options.scope] - Worker scope whose events are handled, injectable for tests.
+     */
+    constructor({ name, version, files, scope = globalThis.self }) {
+        this.scope = scope;
+        this.prefix = `${name}-v`;
+        this.cacheName = `${this.prefix}${version}`;
+        this.files = files;
+    }
+
+    /**
+     * Handles the worker's events: caching on install, cleaning up on
+     * activation, answering requests and the `skip-waiting` message.
+     */
+    listen() {
+        this.scope.addEventListener('install', event => event.waitUntil(this.install()));
+        this.scope.addEventListener('activate', event => event.waitUntil(this.activate()));
+        this.scope.addEventListener('fetch', event => {
+            if (event.request.method !== 'GET') return;
+            event.respondWith(this.respond(event.request));
+        });
+        this.scope.addEventListener('message', event => {
+            if (event.data && event.data.type === 'skip-waiting') {
+                this.scope.skipWaiting();
+            }
+        });
+    }
+
+    /**
+     * Downloads and caches every file of this version. Files are fetched
+     * past the HTTP cache, so an update never caches an outdated copy.
+     * @returns {Promise} Resolves once every file is cached; rejects (and the install fails) if one is missing.
+     */
+    async install() {
+        const cache = await this.scope.caches.open(this.cacheName);
+        await cache.addAll(this.files.map(file => new Request(file, { cache: 'reload' })));
+    }
+
+    /**
+     * Deletes the caches of the app's other versions and takes control of
+     * the open tabs, so a first install works offline without a reload.
+     * @returns {Promise} Resolves once done.
+     */
+    async activate() {
+        const names = await this.scope.caches.keys();
+        await Promise.all(names
+            .filter(name => name.startsWith(this.prefix) && name !== this.cacheName)
+            .map(name => this.scope.caches.delete(name)));
+        await this.scope.clients.claim();
+    }
+
+    /**
+     * Answers a request from the cache, else from the network. Pages are
+     * matched without their query, so links with parameters work offline.
+     * @param {Request} request - The request.
+     * @returns {Promise<Response>} The response.
+     */
+    async respond(request) {
+        const cache = await this.scope.caches.open(this.cacheName);
+        const cached = await cache.match(request, { ignoreSearch: request.mode === 'navigate' });
+        return cached || this.scope.fetch(request);
+    }
+}
@@ -0,0 +1,229 @@
+// presentation-mode.js
+/**
+ * PresentationMode Class
+ * Shows one timer fullscreen, for a projector or a wall screen: only its
+ * time and label, at the largest size that fits the screen.
+ *
+ * The app passes a function returning what to show (see `fromEngine`); it
+ * is rendered on every animation frame while presenting. The mouse cursor
+ * is hidden after a while without movement, and the screen is kept awake
+ * with the Screen Wake Lock API where the browser has it. Keyboard shortcuts
+ * keep working, since the presentation is part of the page; Esc leaves it.
+ */
+class PresentationMode {
+    /**
+     * @param {Object} [options]
+     * @param {Document} [options.document] - Document the presentation is added to, injectable for tests.
+     * @param {number} [options.idleDelay=2000] - Time in ms without mouse movement before the cursor is hidden.
+     */
+    constructor({ document: doc = globalThis.document, idleDelay = 2000 } = {}) {
+        this.document = doc;
+        this.window = doc.defaultView;
+        this.idleDelay = idleDelay;
+        this.source = null;     // Returns what to show; set while presenting
+        this.frame = null;      // Pending animation frame
+        this.idleTimer = null;  // Timeout that hides the cursor
+        this.wakeLock = null;   // Screen wake lock, while held
+        this.lastLayout = null; // Label and time length the text was last fitted to
+
+        // The presentation: a label above the time, hidden until presenting
+        this.element = doc.createElement('div');
+        this.element.className = 'presentation';
+        this.element.hidden = true;
+        this.labelElement = doc.createElement('div');
+        this.labelElement.className = 'presentation-label';
+        this.timeElement = doc.createElement('div');
+        this.timeElement.className = 'presentation-time';
+        this.element.append(this.labelElement, this.timeElement);
+        doc.body.appendChild(this.element);
+
+        // Leaving fullscreen (Esc, the browser's own controls) ends the presentation
+        doc.addEventListener('fullscreenchange', () => {
+            if (this.isActive && doc.fullscreenElement !== this.element) this.stop();
+        });
+        this.element.addEventListener('mousemove', () => this.wakeCursor());
+        this.window.addEventListener('resize', () => {
+            this.lastLayout = null;
+        });
+        // The wake lock is released whenever the page is hidden: take it again on return
+        doc.addEventListener('visibilitychange', () => {
+            if (this.isActive && doc.visibilityState === 'visible') this.requestWakeLock();
+        });
+    }
+
+    /**
+     * Whether a timer is being presented.
+     * @returns {boolean} True while presenting.
+     */
+    get isActive() {
+        return this.source !== null;
+    }
+
+    /**
+     * Presents a timer fullscreen, or ends the presentation if one is shown.
+     * @param {function(): Object} source - Returns what to show (see `render`).
+     * @returns {Promise<void>} Settles once fullscreen is entered or left.
+     */
+    toggle(source) {
+        return this.isActive ? this.exit() : this.enter(source);
+    }
+
+    /**
+     * Presents a timer fullscreen.
+     * @param {function(): Object} source - Returns what to show (see `render`).
+     * @returns {Promise<void>} Rejects when fullscreen is not available or was refused.
+     */
+    enter(source) {
+        if (!this.element.requestFullscreen) {
+            return Promise.reject(new Error('Fullscreen is not supported by this browser'));
+        }
+        this.source = source;
+        this.lastLayout = null;
+        this.element.hidden = false;
+        this.render();
+        return Promise.resolve(this.element.requestFullscreen()).then(() => {
+            this.requestWakeLock();
+            this.wakeCursor();
+            this.scheduleFrame();
+        }, error => {
+            this.stop();
+            throw error;
+        });
+    }
+
+    /**
+     * Leaves fullscreen and ends the presentation.
+     * @returns {Promise<void>} Settles once fullscreen is left.
+     */
+    exit() {
+        if (this.document.fullscreenElement === this.element) {
+            // `fullscreenchange` then calls stop()
+            return Promise.resolve(this.document.exitFullscreen());
+        }
+        this.stop();
+        return Promise.resolve();
+    }
+
+    /**
+     * Hides the presentation and releases the cursor and the wake lock.
+     */
+    stop() {
+        this.source = null;
+        this.element.hidden = true;
+        this.element.classList.remove('presentation-idle');
+        this.window.cancelAnimationFrame(this.frame);
+        this.frame = null;
+        clearTimeout(this.idleTimer);
+        this.idleTimer = null;
+        this.releaseWakeLock();
+    }
+
+    /**
+     * Renders on every animation frame while presenting (frames are not run in a hidden page).
+     */
+    scheduleFrame() {
+        this.frame = this.window.requestAnimationFrame(() => {
+            this.frame = null;
+            if (!this.isActive) return;
+            this.render();
+            this.scheduleFrame();
+        });
+    }
+
+    /**
+     * Shows the source's current status.
+     * The status has `time` (text), `label` and `state` ('idle'|'running'|'paused'|'expired').
+     */
+    render() {
+        const { time, label, state } = this.source();
+        if (this.timeElement.textContent !== time) this.timeElement.textContent = time;
+        if (this.labelElement.textContent !== label) this.labelElement.textContent = label;
+        this.element.dataset.state = state;
+
+        // Refit only when the text gets longer or shorter (e.g. "59:59" -> "1:00:00") or the screen changes
+        const layout = `${label}|${time.length}`;
+        if (layout !== this.lastLayout) {
+            this.lastLayout = layout;
+            this.fit();
+        }
+    }
+
+    /**
+     * Sizes the time to fill the screen: as wide as it fits, and no taller than
+     * what the label leaves. The label is sized relative to the time.
+     */
+    fit() {
+        const width = this.element.clientWidth || this.window.innerWidth;
+        const height = this.element.clientHeight || this.window.innerHeight;
+        const labelShare = this.labelElement.textContent ? 0.2 : 0;
+
+        // Measure at a reference size, then scale
+        this.timeElement.style.fontSize = '100px';
+        const measuredWidth = this.timeElement.scrollWidth;
+        const measuredHeight = this.timeElement.scrollHeight;
+        if (!measuredWidth || !measuredHeight) return; // Not laid out (e.g. no rendering engine)
+
+        const scale = Math.min((width * 0.92) / measuredWidth, (height * (0.9 - labelShare)) / measuredHeight);
+        const size = Math.max(16, Math.floor(100 * scale));
+        this.timeElement.style.fontSize = `${size}px`;
+        this.labelElement.style.fontSize = `${Math.max(12, Math.floor(size * 0.25))}px`;
+    }
+
+    /**
+     * Shows the cursor and hides it again after `idleDelay` without movement.
+     */
+    wakeCursor() {
+        if (!this.isActive) return;
+        this.element.classList.remove('presentation-idle');
+        clearTimeout(this.idleTimer);
+        this.idleTimer = setTimeout(() => this.element.classList.add('presentation-idle'), this.idleDelay);
+    }
+
+    /**
+     * Keeps the screen from dimming or locking, where the browser allows it.
+     */
+    requestWakeLock() {
+        const { wakeLock } = this.window.navigator;
+        if (!wakeLock || this.wakeLock) return;
+        wakeLock.request('screen')
+            .then(lock => {
+                if (!this.isActive) {
+                    lock.release();
+                    return;
+                }
+                this.wakeLock = lock;
+                lock.addEventListener('release', () => {
+                    if (this.wakeLock === lock) this.wakeLock = null;
+                });
+            })
+            .catch(error => console.warn(`Screen wake lock not available: ${error.message}`));
+    }
+
+    /**
+     * Lets the screen sleep again.
+     */
+    releaseWakeLock() {
+        if (!this.wakeLock) return;
+        const lock = this.wakeLock;
+        this.wakeLock = null;
+        lock.release().catch(() => {});
+    }
+
+    /**
+     * Builds what to show for a timer engine: the time in whole seconds (a
+     * countdown rounded up, so it shows 00:00 only when done; its overtime
+     * negative, "-01:23") and the label.
+     * @param {TimerEngine} engine - Timer engine.
+     * @param {string} label - Timer name.
+     * @returns {Object} The status to render (see `render`).
+     */
+    static fromEngine(engine, label) {
+        const countdown = engine.mode === 'countdown';
+        const overtime = countdown ? engine.getOvertime() : 0;
+        if (overtime > 0) {
+            return { time: `-${TabStatus.formatClock(overtime)}`, label, state: engine.state };
+        }
+        const time = countdown ? engine.getRemaining() : engine.getElapsed();
+        return { time: TabStatus.formatClock(time, countdown), label, state: engine.state };
+    }
+}
@@ -0,0 +1,271 @@
+// preset-store.js
+/**
+ * PresetStore Class
+ * DOM-free model of countdown presets (named durations such as "Pomodoro 25:00")
+ * and of the most recently set durations. Both lists are saved through an
+ * optional StateStore, and presets can be exported to and imported from JSON.
+ *
+ * Emits `change` whenever presets or recent durations change.
+ */
+class PresetStore {
+    /**
+     * Presets offered before the user has saved any of their own.
+     */
+    static DEFAULT_PRESETS = Object.freeze([
+        { name: 'Standup', duration: 15 * 60000 },
+        { name: 'Pomodoro', duration: 25 * 60000 }
+    ]);
+
+    /**
+     * Version written to exported files; imports accept this version only.
+     */
+    static EXPORT_VERSION = 1;
+
+    /**
+     * @param {Object} [options]
+     * @param {StateStore} [options.store] - Store used to load and save the lists.
+     * @param {number} [options.recentLimit=5] - Number of recent durations kept.
+     * @param {number} [options.maxMs] - Longest accepted duration (99:59:59 by default).
+     * @param {I18n} [options.i18n] - Translates error messages; English by default.
+     */
+    constructor({ store = null, recentLimit = 5, maxMs = 99 * 3600000 + 59 * 60000 + 59 * 1000, i18n = new I18n() } = {}) {
+        this.store = store;
+        this.i18n = i18n;
+        this.recentLimit = recentLimit;
+        this.maxMs = maxMs;
+        this.presets = [];      // Ordered list of { id, name, duration }
+        this.recent = [];       // Durations in ms, most recent first, without duplicates
+        this.listeners = [];    // `change` listeners
+        this.nextId = 1;        // Counter used to build unique preset ids
+
+        const saved = store ? store.load('presets') : null;
+        if (saved && Array.isArray(saved.presets)) {
+            saved.presets.forEach(item => {
+                try {
+                    this.presets.push(this.createPreset(item));
+                } catch (error) {
+                    console.warn(`Skipped saved preset: ${error.message}`);
+                }
+            });
+            this.recent = (Array.isArray(saved.recent) ? saved.recent : [])
+                .filter(ms => this.isValidDuration(ms))
+                .slice(0, recentLimit);
+        } else {
+            this.presets = PresetStore.DEFAULT_PRESETS.map(item => this.createPreset(item));
+        }
+    }
+
+    /**
+     * Subscribes to changes of the presets or recent durations.
+     * @param {Function} listener - Called with the store after each change.
+     * @returns {Function} A function that removes the listener.
+     */
+    onChange(listener) {
+        this.listeners.push(listener);
+        return () => {
+            this.listeners = this.listeners.filter(fn => fn !== listener);
+        };
+    }
+
+    /**
+     * Saves both lists and notifies `change` listeners.
+     */
+    emitChange() {
+        this.save();
+        this.listeners.slice().forEach(listener => listener(this));
+    }
+
+    /**
+     * Adds a preset at the end of the list.
+     * @param {{name: string, duration: number}} preset - Name and duration in ms.
+     * @returns {Object} The new preset.
+     */
+    add({ name, duration }) {
+        const preset = this.createPreset({ name, duration });
+        this.presets.push(preset);
+        this.emitChange();
+        return preset;
+    }
+
+    /**
+     * Looks up a preset by id.
+     * @param {string} id - Preset id.
+     * @returns {Object} The preset.
+     */
+    get(id) {
+        const preset = this.presets.find(item => item.id === id);
+        if (!preset) {
+            throw new Error(`No preset with id ${id}`);
+        }
+        return preset;
+    }
+
+    /**
+     * Changes the name and/or duration of a preset.
+     * @param {string} id - Preset id.
+     * @param {{name: (string|undefined), duration: (number|undefined)}} changes - New values.
+     */
+    update(id, { name, duration }) {
+        const preset = this.get(id);
+        // Validate both values before changing anything
+        const updated = this.createPreset({
+            name: name === undefined ? preset.name : name,
+            duration: duration === undefined ? preset.duration : duration
+        });
+        preset.name = updated.name;
+        preset.duration = updated.duration;
+        this.emitChange();
+    }
+
+    /**
+     * Deletes a preset.
+     * @param {string} id - Preset id.
+     */
+    remove(id) {
+        const preset = this.get(id);
+        this.presets = this.presets.filter(item => item !== preset);
+        this.emitChange();
+    }
+
+    /**
+     * Moves a preset up or down the list.
+     * @param {string} id - Preset id.
+     * @param {number} offset - Positions to move (negative moves towards the top).
+     * @returns {boolean} False when the preset is already at the edge.
+     */
+    move(id, offset) {
+        const from = this.presets.indexOf(this.get(id));
+        const to = Math.min(this.presets.length - 1, Math.max(0, from + offset));
+        if (from === to) return false;
+
+        const [preset] = this.presets.splice(from, 1);
+        this.presets.splice(to, 0, preset);
+        this.emitChange();
+        return true;
+    }
+
+    /**
+     * Remembers a duration the user has just set, moving it to the front of the recent list.
+     * @param {number} duration - Duration in ms.
+     */
+    recordRecent(duration) {
+        if (!this.isValidDuration(duration)) return;
+        this.recent = [duration, ...this.recent.filter(ms => ms !== duration)].slice(0, this.recentLimit);
+        this.emitChange();
+    }
+
+    /**
+     * Forgets all recent durations.
+     */
+    clearRecent() {
+        this.recent = [];
+        this.emitChange();
+    }
+
+    /**
+     * Serializes the presets for download.
+     * @returns {string} JSON text.
+     */
+    exportJSON() {
+        return JSON.stringify({
+            version: PresetStore.EXPORT_VERSION,
+            presets: this.presets.map(({ name, duration }) => ({ name, duration }))
+        }, null, 2);
+    }
+
+    /**
+     * Appends the presets found in exported JSON. Presets with the same name and
+     * duration as an existing one are skipped; invalid entries are reported.
+     * @param {string} text - JSON produced by `exportJSON` (a plain array of presets is accepted too).
+     * @returns {{added: number, errors: Array<string>}} Import summary.
+     */
+    importJSON(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            throw new Error(this.i18n.t('files.invalidJson'));
+        }
+
+        const items = Array.isArray(data) ? data : data && data.presets;
+        if (!Array.isArray(items)) {
+            throw new Error(this.i18n.t('presets.noList'));
+        }
+        if (!Array.isArray(data) && data.version !== PresetStore.EXPORT_VERSION) {
+            throw new Error(this.i18n.t('files.unsupportedVersion', { version: data.version }));
+        }
+
+        const errors = [];
+        let added = 0;
+        items.forEach((item, index) => {
+            try {
+                const preset = this.createPreset(item || {});
+                const duplicate = this.presets.some(existing => existing.name === preset.name && existing.duration === preset.duration);
+                if (!duplicate) {
+                    this.presets.push(preset);
+                    added++;
+                }
+            } catch (error) {
+                errors.push(this.i18n.t('presets.itemError', { number: index + 1, message: error.message }));
+            }
+        });
+
+        if (added > 0) this.emitChange();
+        return { added, errors };
+    }
+
+    /**
+     * Saves both lists, if a store is configured.
+     */
+    save() {
+        if (this.store) {
+            this.store.save('presets', {
+                presets: this.presets.map(({ name, duration }) => ({ name, duration })),
+                recent: this.recent
+            });
+        }
+    }
+
+    /**
+     * Validates raw preset values and assigns a new id.
+     * @param {{name: *, duration: *}} item - Raw values.
+     * @returns {{id: string, name: string, duration: number}} The preset.
+     */
+    createPreset({ name, duration }) {
+        const normalized = typeof name === 'string' ? name.trim().slice(0, 40) : '';
+        if (!normalized) {
+            throw new Error(this.i18n.t('presets.emptyName'));
+        }
+        if (!this.isValidDuration(duration)) {
+            throw new Error(this.i18n.t('presets.invalidDuration', { max: PresetStore.formatDuration(this.maxMs) }));
+        }
+        return { id: `preset-${this.nextId++}`, name: normalized, duration };
+    }
+
+    /**
+     * @param {*} ms - Candidate duration.
+     * @returns {boolean} True for whole-ms durations greater than zero and up to `maxMs`.
+     */
+    isValidDuration(ms) {
+        return Number.isInteger(ms) && ms > 0 && ms <= this.maxMs;
+    }
+
+    /**
+     * Formats a duration for preset buttons: "MM:SS", or "H:MM:SS" from one hour up.
+     * @param {number} ms - Duration in ms.
+     * @returns {string} The formatted duration, e.g. "25:00" or "1:30:00".
+     */
+    static formatDuration(ms) {
+        const totalSeconds = Math.round(ms / 1000);
+        const hours = Math.floor(totalSeconds / 3600);
+        const minutes = Math.floor((totalSeconds % 3600) / 60);
+        const seconds = totalSeconds % 60;
+        const pad = value => String(value).padStart(2, '0');
+        return hours > 0 ? `${hours}:${pad(minutes)}:${pad(seconds)}` : `${pad(minutes)}:${pad(seconds)}`;
+    }
+}
+
+// Allow the presets to be required from Node (unit tests) as well as loaded with a <script> tag
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { PresetStore };
+}
@@ -0,0 +1,390 @@
+// run-exporter.js
+/**
+ * RunExporter Class
+ * DOM-free conversion of a stopwatch run or countdown result to CSV and JSON
+ * files (for spreadsheets), and back. A run is described by
+ * `TimerEngine#getRun()` or a `sessionend` payload; exported records contain
+ * the start/end wall-clock times, the time counted as raw ms and as a
+ * formatted string, the pause intervals, the laps and the label.
+ *
+ * Imports validate every record and report invalid rows instead of failing
+ * the whole file.
+ */
+class RunExporter {
+    /**
+     * Version written to JSON exports; imports accept this version only.
+     */
+    static VERSION = 1;
+
+    /**
+     * CSV columns, in file order. Pauses are written as ISO 8601 intervals
+     * ("start/end", an open pause has no end) and laps as lap times in ms,
+     * both separated by ";".
+     */
+    static CSV_COLUMNS = Object.freeze(['kind', 'label', 'state', 'startedAt', 'endedAt', 'elapsedMs', 'elapsed', 'targetMs', 'pausedMs', 'pauses', 'laps']);
+
+    /**
+     * How a run can end up in a file: still running or paused, expired
+     * (countdowns), or stopped by a reset/clear.
+     */
+    static STATES = Object.freeze(['running', 'paused', 'expired', 'stopped']);
+
+    /**
+     * @param {Object} options
+     * @param {function(number): string} options.formatTime - Formats ms the way the app displays them.
+     * @param {function(): number} [options.now] - Current epoch in ms, injectable for tests.
+     * @param {I18n} [options.i18n] - Translates error messages; English by default.
+     */
+    constructor({ formatTime, now = () => Date.now(), i18n = new I18n() }) {
+        this.formatTime = formatTime;
+        this.now = now;
+        this.i18n = i18n;
+    }
+
+    /**
+     * Builds the exported record of a run.
+     * @param {Object} run - From `TimerEngine#getRun()`, or a `sessionend` payload (`reason` set).
+     * @param {Object} [details]
+     * @param {string} [details.label] - Label given by the user.
+     * @param {Array<Object>} [details.laps] - Laps as recorded by LapRecorder.
+     * @returns {Object} The record.
+     */
+    createRun(run, { label = '', laps = [] } = {}) {
+        if (!run || run.segments.length === 0) {
+            throw new Error(this.i18n.t('exporter.notStarted'));
+        }
+
+        const now = this.now();
+        const { segments } = run;
+        const last = segments[segments.length - 1];
+        const pauses = [];
+        for (let index = 1; index < segments.length; index++) {
+            pauses.push(this.createPause(segments[index - 1].end, segments[index].start));
+        }
+        const state = run.reason === 'reset' ? 'stopped' : run.state;
+        if (state === 'paused') {
+            pauses.push(this.createPause(last.end, null)); // Still paused at export time
+        }
+
+        const elapsedMs = Math.round(run.elapsed);
+        return {
+            kind: run.mode,
+            label: typeof label === 'string' ? label.trim() : '',
+            state,
+            startedAt: new Date(segments[0].start).toISOString(),
+            endedAt: new Date(last.end === null ? now : last.end).toISOString(),
+            elapsedMs,
+            elapsed: this.formatTime(elapsedMs),
+            targetMs: run.mode === 'countdown' ? run.duration : null,
+            pauses,
+            laps: laps.map(({ number, lapTime, splitTime }) => ({ number, lapTime: Math.round(lapTime), splitTime: Math.round(splitTime) }))
+        };
+    }
+
+    /**
+     * @param {number} start - Epoch at which the pause began.
+     * @param {number|null} end - Epoch at which counting resumed, null if still paused.
+     * @returns {{start: string, end: (string|null), durationMs: number}} A pause interval.
+     */
+    createPause(start, end) {
+        return {
+            start: new Date(start).toISOString(),
+            end: end === null ? null : new Date(end).toISOString(),
+            durationMs: Math.max(0, Math.round((end === null ? this.now() : end) - start))
+        };
+    }
+
+    /**
+     * @param {Array<Object>} records - Records from `createRun`.
+     * @returns {string} JSON text.
+     */
+    toJSON(records) {
+        return JSON.stringify({ version: RunExporter.VERSION, runs: records }, null, 2);
+    }
+
+    /**
+     * @param {Array<Object>} records - Records from `createRun`.
+     * @returns {string} CSV text (RFC 4180, with a header row).
+     */
+    toCSV(records) {
+        const rows = records.map(record => RunExporter.CSV_COLUMNS.map(column => {
+            if (column === 'pauses') return record.pauses.map(pause => `${pause.start}/${pause.end || ''}`).join(';');
+            if (column === 'laps') return record.laps.map(lap => lap.lapTime).join(';');
+            if (column === 'pausedMs') return record.pauses.reduce((total, pause) => total + pause.durationMs, 0);
+            return record[column] === null ? '' : record[column];
+        }));
+        return [RunExporter.CSV_COLUMNS, ...rows].map(row => row.map(RunExporter.csvCell).join(',')).join('\r\n') + '\r\n';
+    }
+
+    /**
+     * Reads an exported CSV or JSON file.
+     * @param {string} text - File contents.
+     * @returns {{runs: Array<Object>, errors: Array<string>}} Valid records and one message per invalid row.
+     */
+    parse(text) {
+        const trimmed = typeof text === 'string' ? text.trim() : '';
+        if (!trimmed) {
+            throw new Error(this.i18n.t('files.empty'));
+        }
+        return trimmed.startsWith('{') || trimmed.startsWith('[') ? this.parseJSON(trimmed) : this.parseCSV(trimmed);
+    }
+
+    /**
+     * @param {string} text - JSON produced by `toJSON` (a single record or a plain array is accepted too).
+     * @returns {{runs: Array<Object>, errors: Array<string>}} Valid records and errors.
+     */
+    parseJSON(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            throw new Error(this.i18n.t('files.invalidJson'));
+        }
+        if (data && !Array.isArray(data) && Array.isArray(data.runs) && data.version !== RunExporter.VERSION) {
+            throw new Error(this.i18n.t('files.unsupportedVersion', { version: data.version }));
+        }
+
+        const items = Array.isArray(data) ? data : (data && Array.isArray(data.runs) ? data.runs : [data]);
+        return this.collect(items, index => this.i18n.t('exporter.run', { number: index + 1 }));
+    }
+
+    /**
+     * @param {string} text - CSV produced by `toCSV`; columns may be in any order.
+     * @returns {{runs: Array<Object>, errors: Array<string>}} Valid records and errors.
+     */
+    parseCSV(text) {
+        const [header, ...rows] = RunExporter.splitCSV(text);
+        const missing = RunExporter.CSV_COLUMNS.filter(column => !header.includes(column));
+        if (missing.length > 0) {
+            throw new Error(this.i18n.t('exporter.missingColumns', { count: missing.length, columns: missing.join(', ') }));
+        }
+
+        const items = rows.map(row => {
+            const cells = {};
+            header.forEach((column, index) => {
+                cells[column] = row[index] === undefined ? '' : row[index];
+            });
+            return RunExporter.fromCSVCells(cells);
+        });
+        // Row 1 is the header
+        return this.collect(items, index => this.i18n.t('exporter.row', { number: index + 2 }));
+    }
+
+    /**
+     * Validates raw records one by one.
+     * @param {Array<Object>} items - Raw records.
+     * @param {function(number): string} describe - Names a record in error messages.
+     * @returns {{runs: Array<Object>, errors: Array<string>}} Valid records and errors.
+     */
+    collect(items, describe) {
+        const runs = [];
+        const errors = [];
+        items.forEach((item, index) => {
+            try {
+                runs.push(this.validate(item));
+            } catch (error) {
+                errors.push(`${describe(index)}: ${error.message}`);
+            }
+        });
+        return { runs, errors };
+    }
+
+    /**
+     * Checks a raw record against the export schema.
+     * @param {Object} raw - Parsed record.
+     * @returns {Object} A normalized record (`elapsed` is recomputed from `elapsedMs`).
+     */
+    validate(raw) {
+        const t = (key, params) => this.i18n.t(`exporter.invalid.${key}`, params);
+        if (!raw || typeof raw !== 'object') {
+            throw new Error(t('record'));
+        }
+        const { kind, state, elapsedMs, targetMs } = raw;
+        if (kind !== 'stopwatch' && kind !== 'countdown') {
+            throw new Error(t('kind', { kind }));
+        }
+        if (!RunExporter.STATES.includes(state)) {
+            throw new Error(t('state', { state }));
+        }
+        const startedAt = this.parseDate(raw.startedAt, 'startedAt');
+        const endedAt = this.parseDate(raw.endedAt, 'endedAt');
+        if (endedAt < startedAt) {
+            throw new Error(t('endBeforeStart'));
+        }
+        if (!Number.isInteger(elapsedMs) || elapsedMs < 0) {
+            throw new Error(t('elapsed'));
+        }
+        if (kind === 'countdown' && !(Number.isInteger(targetMs) && targetMs > 0)) {
+            throw new Error(t('target'));
+        }
+        if (kind === 'countdown' && elapsedMs > targetMs) {
+            throw new Error(t('elapsedOverTarget'));
+        }
+
+        const pauses = (Array.isArray(raw.pauses) ? raw.pauses : []).map((pause, index) => {
+            const start = this.parseDate(pause && pause.start, t('pauseStart', { number: index + 1 }));
+            const end = pause && pause.end !== null && pause.end !== undefined && pause.end !== ''
+                ? this.parseDate(pause.end, t('pauseEnd', { number: index + 1 }))
+                : null;
+            if (end !== null && end < start) {
+                throw new Error(t('pauseOrder', { number: index + 1 }));
+            }
+            return this.createPause(start, end);
+        });
+
+        let splitTime = 0;
+        const laps = (Array.isArray(raw.laps) ? raw.laps : []).map((lap, index) => {
+            const lapTime = lap && typeof lap === 'object' ? lap.lapTime : lap;
+            if (!Number.isInteger(lapTime) || lapTime < 0) {
+                throw new Error(t('lap', { number: index + 1 }));
+            }
+            splitTime += lapTime;
+            return { number: index + 1, lapTime, splitTime };
+        });
+        if (kind === 'countdown' && laps.length > 0) {
+            throw new Error(t('countdownLaps'));
+        }
+
+        return {
+            kind,
+            label: typeof raw.label === 'string' ? raw.label.trim() : '',
+            state,
+            startedAt: new Date(startedAt).toISOString(),
+            endedAt: new Date(endedAt).toISOString(),
+            elapsedMs,
+            elapsed: this.formatTime(elapsedMs),
+            targetMs: kind === 'countdown' ? targetMs : null,
+            pauses,
+            laps
+        };
+    }
+
+    /**
+     * @param {*} value - ISO 8601 date text.
+     * @param {string} name - Field name for the error message.
+     * @returns {number} The epoch in ms.
+     */
+    parseDate(value, name) {
+        const epoch = typeof value === 'string' ? Date.parse(value) : NaN;
+        if (!Number.isFinite(epoch)) {
+            throw new Error(this.i18n.t('exporter.invalid.date', { name }));
+        }
+        return epoch;
+    }
+
+    /**
+     * Converts a record to the session format of HistoryStore, for importing runs into the history.
+     * @param {Object} record - Validated record.
+     * @returns {Object} Session values for `HistoryStore#record`.
+     */
+    static toSession(record) {
+        return {
+            kind: record.kind,
+            label: record.label,
+            startedAt: Date.parse(record.startedAt),
+            endedAt: Date.parse(record.endedAt),
+            duration: record.elapsedMs,
+            target: record.targetMs,
+            laps: record.laps,
+            status: record.kind === 'stopwatch' || record.state === 'expired' ? 'completed' : 'cancelled'
+        };
+    }
+
+    /**
+     * Builds a download name such as "stopwatch-run-2026-10-19-1430.csv".
+     * @param {Object} record - Exported record.
+     * @param {'csv'|'json'} extension - File type.
+     * @returns {string} The file name.
+     */
+    static fileName(record, extension) {
+        const started = new Date(record.startedAt);
+        const pad = value => String(value).padStart(2, '0');
+        const stamp = `${started.getFullYear()}-${pad(started.getMonth() + 1)}-${pad(started.getDate())}-${pad(started.getHours())}${pad(started.getMinutes())}`;
+        return `${record.kind}-run-${stamp}.${extension}`;
+    }
+
+    /**
+     * Turns the string cells of a CSV row into a raw record.
+     * @param {Object<string, string>} cells - Cell text by column name.
+     * @returns {Object} Raw record, to be validated.
+     */
+    static fromCSVCells(cells) {
+        const number = text => (text.trim() === '' ? null : Number(text));
+        const list = text => text.split(';').map(item => item.trim()).filter(Boolean);
+        return {
+            kind: cells.kind.trim(),
+            label: cells.label.replace(/^'(?=[=+\-@])/, ''), // Undo the spreadsheet formula guard
+            state: cells.state.trim(),
+            startedAt: cells.startedAt.trim(),
+            endedAt: cells.endedAt.trim(),
+            elapsedMs: number(cells.elapsedMs),
+            targetMs: number(cells.targetMs),
+            pauses: list(cells.pauses).map(interval => {
+                const [start, end = ''] = interval.split('/');
+                return { start, end: end || null };
+            }),
+            laps: list(cells.laps).map(Number)
+        };
+    }
+
+    /**
+     * Quotes a CSV cell when needed. Text that a spreadsheet would run as a
+     * formula gets a leading apostrophe.
+     * @param {*} value - Cell value.
+     * @returns {string} The cell text.
+     */
+    static csvCell(value) {
+        let text = String(value);
+        if (/^[=+\-@]/.test(text) && !/^-?\d/.test(text)) {
+            text = `'${text}`;
+        }
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    /**
+     * Splits CSV text into rows of cells (quoted cells may contain commas,
+     * quotes and line breaks). Blank lines are skipped.
+     * @param {string} text - CSV text.
+     * @returns {Array<Array<string>>} Rows of cells.
+     */
+    static splitCSV(text) {
+        const rows = [];
+        let row = [];
+        let cell = '';
+        let quoted = false;
+        for (let index = 0; index < text.length; index++) {
+            const char = text[index];
+            if (quoted) {
+                if (char === '"' && text[index + 1] === '"') {
+                    cell += '"';
+                    index++;
+                } else if (char === '"') {
+                    quoted = false;
+                } else {
+                    cell += char;
+                }
+            } else if (char === '"') {
+                quoted = true;
+            } else if (char === ',') {
+                row.push(cell);
+                cell = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && text[index + 1] === '\n') index++;
+                row.push(cell);
+                rows.push(row);
+                row = [];
+                cell = '';
+            } else {
+                cell += char;
+            }
+        }
+        row.push(cell);
+        rows.push(row);
+        return rows.filter(cells => cells.some(value => value.trim() !== ''));
+    }
+}
+
+// Allow the exporter to be required from Node (unit tests) as well as loaded with a <script> tag
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { RunExporter };
+}
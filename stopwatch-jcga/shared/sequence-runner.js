@@ -0,0 +1,272 @@
+// sequence-runner.js
+/**
+ * SequenceRunner Class
+ * DOM-free multi-phase countdown for Pomodoro and interval training, such as
+ * work 25m / short break 5m × 4 followed by a 15m long break.
+ *
+ * The whole sequence runs on a single countdown TimerEngine whose duration is
+ * the sum of all phases; the current phase is derived from the elapsed time.
+ * Pausing, persistence and throttled background tabs therefore behave exactly
+ * like a plain countdown, and phases that ended while the page was hidden are
+ * caught up on the next tick.
+ *
+ * Events: `tick` (snapshot), `phasechange` ({from, to, phase, automatic}),
+ * `statechange` (forwarded from the engine) and `finish`.
+ */
+class SequenceRunner {
+    /**
+     * Built-in sequences. Each phase has a name, a duration in ms and a kind
+     * (`work` or `rest`) that views use to pick colours and cues.
+     */
+    static TEMPLATES = Object.freeze({
+        pomodoro: {
+            name: 'Pomodoro',
+            rounds: 4,
+            phases: [
+                { name: 'Work', duration: 25 * 60000, kind: 'work' },
+                { name: 'Short break', duration: 5 * 60000, kind: 'rest' }
+            ],
+            after: [
+                { name: 'Long break', duration: 15 * 60000, kind: 'rest' }
+            ]
+        },
+        hiit: {
+            name: 'HIIT',
+            rounds: 8,
+            phases: [
+                { name: 'Work', duration: 40000, kind: 'work' },
+                { name: 'Rest', duration: 20000, kind: 'rest' }
+            ],
+            after: []
+        }
+    });
+
+    /**
+     * @param {Object} definition - Sequence to run.
+     * @param {string} definition.name - Display name.
+     * @param {number} definition.rounds - How many times `phases` repeats (1-99).
+     * @param {Array<{name: string, duration: number, kind: string}>} definition.phases - Phases of one round.
+     * @param {Array<{name: string, duration: number, kind: string}>} [definition.after] - Phases run once after the last round.
+     * @param {Object} [options]
+     * @param {Function} [options.createEngine] - Factory `(engineOptions) => TimerEngine`, injectable for tests.
+     * @param {I18n} [options.i18n] - Translates validation messages; English by default.
+     */
+    constructor(definition, { createEngine = engineOptions => new TimerEngine(engineOptions), i18n = new I18n() } = {}) {
+        this.definition = SequenceRunner.validate(definition, i18n);
+        this.phases = SequenceRunner.expand(this.definition);
+        this.totalDuration = this.phases.reduce((total, phase) => total + phase.duration, 0);
+        this.engine = createEngine({ mode: 'countdown', duration: this.totalDuration });
+        this.phaseIndex = 0;    // Index in `phases` of the phase last reported to listeners
+        this.listeners = {};    // Event name -> array of listener functions
+
+        this.engine.on('tick', () => {
+            this._syncPhase(true);
+            this.emit('tick', this.getSnapshot());
+        });
+        this.engine.on('statechange', change => this.emit('statechange', change));
+        this.engine.on('expire', () => {
+            this._syncPhase(true);
+            this.emit('finish', this.getSnapshot());
+        });
+    }
+
+    /**
+     * Checks a sequence definition and fills in defaults.
+     * @param {Object} definition - Raw definition.
+     * @param {I18n} [i18n] - Translates the error messages and the default name; English by default.
+     * @returns {Object} A normalized copy.
+     */
+    static validate(definition, i18n = new I18n()) {
+        if (!definition || !Array.isArray(definition.phases) || definition.phases.length === 0) {
+            throw new Error(i18n.t('sequence.noPhases'));
+        }
+        const rounds = definition.rounds === undefined ? 1 : definition.rounds;
+        if (!Number.isInteger(rounds) || rounds < 1 || rounds > 99) {
+            throw new Error(i18n.t('sequence.invalidRounds'));
+        }
+
+        const checkPhase = phase => {
+            if (!phase || typeof phase.name !== 'string' || !phase.name.trim()) {
+                throw new Error(i18n.t('sequence.unnamedPhase'));
+            }
+            if (!Number.isFinite(phase.duration) || phase.duration <= 0) {
+                throw new Error(i18n.t('sequence.invalidPhase', { name: phase.name }));
+            }
+            return { name: phase.name.trim(), duration: phase.duration, kind: phase.kind === 'rest' ? 'rest' : 'work' };
+        };
+
+        return {
+            name: typeof definition.name === 'string' && definition.name.trim() ? definition.name.trim() : i18n.t('sequence.defaultName'),
+            rounds,
+            phases: definition.phases.map(checkPhase),
+            after: (definition.after || []).map(checkPhase)
+        };
+    }
+
+    /**
+     * Flattens a definition into the list of phases in running order.
+     * @param {Object} definition - Normalized definition.
+     * @returns {Array<{name: string, duration: number, kind: string, round: number, start: number}>}
+     * Phases with their round number and start offset in ms.
+     */
+    static expand({ rounds, phases, after }) {
+        const list = [];
+        let start = 0;
+        const push = (phase, round) => {
+            list.push({ ...phase, round, start });
+            start += phase.duration;
+        };
+
+        for (let round = 1; round <= rounds; round++) {
+            phases.forEach(phase => push(phase, round));
+        }
+        after.forEach(phase => push(phase, rounds));
+        return list;
+    }
+
+    /**
+     * Subscribes to a runner event.
+     * @param {'tick'|'phasechange'|'statechange'|'finish'} event - Event name.
+     * @param {Function} listener - Called with the event payload.
+     * @returns {Function} A function that removes the listener.
+     */
+    on(event, listener) {
+        if (!this.listeners[event]) {
+            this.listeners[event] = [];
+        }
+        this.listeners[event].push(listener);
+        return () => {
+            this.listeners[event] = this.listeners[event].filter(fn => fn !== listener);
+        };
+    }
+
+    /**
+     * Notifies every listener of an event.
+     * @param {string} event - Event name.
+     * @param {Object} payload - Data passed to the listeners.
+     */
+    emit(event, payload) {
+        (this.listeners[event] || []).slice().forEach(listener => listener(payload));
+    }
+
+    /**
+     * @returns {string} The engine state (`expired` once the sequence has finished).
+     */
+    get state() {
+        return this.engine.state;
+    }
+
+    /**
+     * Index of the phase containing an elapsed time.
+     * @param {number} elapsed - Elapsed sequence time in ms.
+     * @returns {number} Phase index (the last phase once the sequence is over).
+     */
+    phaseIndexAt(elapsed) {
+        for (let index = this.phases.length - 1; index > 0; index--) {
+            if (elapsed >= this.phases[index].start) return index;
+        }
+        return 0;
+    }
+
+    /**
+     * @returns {Object} Current phase, round and remaining times, as passed to `tick` listeners.
+     */
+    getSnapshot() {
+        const elapsed = this.engine.getElapsed();
+        const index = this.phaseIndexAt(elapsed);
+        const phase = this.phases[index];
+        return {
+            state: this.engine.state,
+            name: this.definition.name,
+            phase,
+            phaseIndex: index,
+            phaseCount: this.phases.length,
+            round: phase.round,
+            rounds: this.definition.rounds,
+            phaseRemaining: Math.max(0, phase.start + phase.duration - elapsed),
+            totalRemaining: this.engine.getRemaining()
+        };
+    }
+
+    /**
+     * Starts the sequence, or resumes it when paused.
+     */
+    start() {
+        this.engine.start();
+    }
+
+    /**
+     * Pauses the whole sequence.
+     */
+    pause() {
+        this.engine.pause();
+    }
+
+    /**
+     * Stops the sequence and returns to the start of the first phase.
+     */
+    reset() {
+        this.engine.reset();
+        this._syncPhase(false);
+    }
+
+    /**
+     * Ends the current phase and moves to the next one; skipping the last
+     * phase finishes the sequence.
+     */
+    skip() {
+        const index = this.phaseIndexAt(this.engine.getElapsed());
+        const next = this.phases[index + 1];
+        this.engine.seek(next ? next.start : this.totalDuration);
+        if (next) this._syncPhase(false);
+    }
+
+    /**
+     * Restarts the current phase from its full duration.
+     */
+    restartPhase() {
+        this.engine.seek(this.phases[this.phaseIndexAt(this.engine.getElapsed())].start);
+    }
+
+    /**
+     * Samples the clock. Call this from the view's update loop.
+     */
+    tick() {
+        this.engine.tick();
+    }
+
+    /**
+     * Captures the definition and progress as JSON-safe data.
+     * @returns {{definition: Object, engine: Object}}
+     */
+    serialize() {
+        return { definition: this.definition, engine: this.engine.serialize() };
+    }
+
+    /**
+     * Restores the progress saved by `serialize` (the definition is passed to the constructor).
+     * @param {Object} engineData - The `engine` part of the serialized state.
+     */
+    restore(engineData) {
+        this.engine.restore(engineData);
+        this.phaseIndex = this.phaseIndexAt(this.engine.getElapsed());
+    }
+
+    /**
+     * Emits `phasechange` when the elapsed time has moved into another phase.
+     * @param {boolean} automatic - True when the phase ended on its own, false for skip/reset.
+     */
+    _syncPhase(automatic) {
+        const index = this.phaseIndexAt(this.engine.getElapsed());
+        if (index === this.phaseIndex) return;
+
+        const from = this.phaseIndex;
+        this.phaseIndex = index;
+        this.emit('phasechange', { from, to: index, phase: this.phases[index], automatic });
+    }
+}
+
+// Allow the runner to be required from Node (unit tests) as well as loaded with a <script> tag
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SequenceRunner };
+}
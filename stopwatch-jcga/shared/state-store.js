@@ -0,0 +1,106 @@
+// state-store.js
+/**
+ * StateStore Class
+ * Small wrapper around Web Storage (localStorage by default) that namespaces
+ * keys and (de)serializes JSON. Storage can be unavailable or full (private
+ * browsing, quota, disabled cookies); every failure is logged and reported as
+ * "nothing saved" instead of breaking the app. `onSave` listeners see every
+ * value saved (e.g. TabSync, which sends it to the other tabs).
+ */
+class StateStore {
+    /**
+     * @param {string} namespace - Prefix that keeps each app's keys apart.
+     * @param {Storage} [storage] - Storage implementation, defaults to `localStorage`.
+     */
+    constructor(namespace, storage = StateStore.defaultStorage()) {
+        this.namespace = namespace;
+        this.storage = storage;
+        this.listeners = []; // `save` listeners
+    }
+
+    /**
+     * Returns `localStorage` when it exists and can be accessed, otherwise null.
+     * @returns {Storage|null} The browser storage, if usable.
+     */
+    static defaultStorage() {
+        try {
+            return typeof localStorage !== 'undefined' ? localStorage : null;
+        } catch (error) {
+            // Accessing localStorage throws when storage is blocked by the browser
+            return null;
+        }
+    }
+
+    /**
+     * Subscribes to saves, whether or not the storage could be written.
+     * @param {function(string, *)} listener - Called with the unprefixed key and the value.
+     * @returns {Function} A function that removes the listener.
+     */
+    onSave(listener) {
+        this.listeners.push(listener);
+        return () => {
+            this.listeners = this.listeners.filter(fn => fn !== listener);
+        };
+    }
+
+    /**
+     * Builds the namespaced storage key.
+     * @param {string} key - Unprefixed key.
+     * @returns {string} Storage key.
+     */
+    keyFor(key) {
+        return `${this.namespace}:${key}`;
+    }
+
+    /**
+     * Reads and parses a saved value.
+     * @param {string} key - Unprefixed key.
+     * @returns {*} The saved value, or null when missing or unreadable.
+     */
+    load(key) {
+        if (!this.storage) return null;
+        try {
+            const raw = this.storage.getItem(this.keyFor(key));
+            return raw === null ? null : JSON.parse(raw);
+        } catch (error) {
+            console.warn(`StateStore: could not read "${this.keyFor(key)}": ${error.message}`);
+            return null;
+        }
+    }
+
+    /**
+     * Serializes and saves a value.
+     * @param {string} key - Unprefixed key.
+     * @param {*} value - JSON-serializable value.
+     * @returns {boolean} True if the value was written.
+     */
+    save(key, value) {
+        this.listeners.slice().forEach(listener => listener(key, value));
+        if (!this.storage) return false;
+        try {
+            this.storage.setItem(this.keyFor(key), JSON.stringify(value));
+            return true;
+        } catch (error) {
+            console.warn(`StateStore: could not write "${this.keyFor(key)}": ${error.message}`);
+            return false;
+        }
+    }
+
+    /**
+     * Deletes a saved value.
+     * @param {string} key - Unprefixed key.
+     */
+    remove(key) {
+        if (!this.storage) return;
+        try {
+            this.storage.removeItem(this.keyFor(key));
+        } catch (error) {
+            console.warn(`StateStore: could not remove "${this.keyFor(key)}": ${error.message}`);
+        }
+    }
+}
+
+// Allow the store to be required from Node (unit tests) as well as loaded with a <script> tag
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { StateStore };
+}
@@ -0,0 +1,216 @@
+// tab-status.js
+/**
+ * TabStatus Class
+ * Shows the most relevant timer in the browser tab, so it can be followed
+ * from another tab: the time in `document.title` ("04:58 Tea · Time Tracker")
+ * and a progress badge drawn as the favicon.
+ *
+ * The app passes one function per timer returning that timer's status (see
+ * `fromEngine`), or null when it is idle. An expired timer wins over a
+ * running one, and a running one over a paused one; otherwise the first
+ * source wins. The sources are polled on an interval of their own, so the
+ * tab keeps updating while the views stop rendering (e.g.
+ * requestAnimationFrame loops in a background tab).
+ */
+class TabStatus {
+    /**
+     * Badge colours by timer state.
+     */
+    static COLORS = Object.freeze({ running: '#10b981', paused: '#f59e0b', expired: '#ef4444', track: '#e5e7eb' });
+
+    /**
+     * Which status is shown when several timers are active (highest first).
+     */
+    static PRIORITY = Object.freeze({ expired: 3, running: 2, paused: 1 });
+
+    /**
+     * @param {Object} options
+     * @param {Array<function(): (Object|null)>} options.sources - Return a timer's status (see `update`), or null.
+     * @param {Document} [options.document] - Document whose title and favicon are updated, injectable for tests.
+     * @param {number} [options.interval=500] - Polling interval in ms.
+     * @param {I18n} [options.i18n] - Translates the title text; English by default.
+     */
+    constructor({ sources, document: doc = globalThis.document, interval = 500, i18n = new I18n() }) {
+        this.sources = sources;
+        this.document = doc;
+        this.interval = interval;
+        this.i18n = i18n;
+        this.baseTitle = doc.title;  // Title shown while no timer is active
+        this.icon = doc.querySelector('link[rel~="icon"]');
+        this.baseIcon = this.icon ? this.icon.href : null;
+        this.lastTitle = null;       // Last values written, to skip redundant updates
+        this.lastBadge = null;
+        this.handle = null;          // Polling interval
+    }
+
+    /**
+     * Starts polling the sources.
+     */
+    start() {
+        if (this.handle !== null) return;
+        this.handle = setInterval(() => this.refresh(), this.interval);
+        this.refresh();
+    }
+
+    /**
+     * Stops polling and restores the original title and favicon.
+     */
+    stop() {
+        clearInterval(this.handle);
+        this.handle = null;
+        this.update(null);
+    }
+
+    /**
+     * Changes the title shown while no timer is active (e.g. after switching language).
+     * @param {string} title - The page's own title.
+     */
+    setBaseTitle(title) {
+        this.baseTitle = title;
+        this.lastTitle = null;
+        this.refresh();
+    }
+
+    /**
+     * Reads the sources and shows the most relevant status.
+     */
+    refresh() {
+        this.update(TabStatus.pick(this.sources.map(source => source())));
+    }
+
+    /**
+     * Shows a timer status in the tab.
+     * @param {Object|null} status - Null restores the original title and favicon.
+     * @param {'running'|'paused'|'expired'} status.state - Timer state.
+     * @param {'stopwatch'|'countdown'} status.mode - Countdowns are shown rounded up to the next second.
+     * @param {number} status.time - Time to show in ms (elapsed or remaining).
+     * @param {string} status.label - Timer name.
+     * @param {number} status.progress - Badge fill between 0 and 1.
+     */
+    update(status) {
+        const title = status ? `${TabStatus.describe(status, this.i18n)} · ${this.baseTitle}` : this.baseTitle;
+        if (title !== this.lastTitle) {
+            this.document.title = title;
+            this.lastTitle = title;
+        }
+
+        // Redrawing the favicon is comparatively slow: only do it when the badge visibly changes
+        const badge = status ? `${status.state}|${Math.round(Math.min(1, Math.max(0, status.progress)) * 48)}` : null;
+        if (badge !== this.lastBadge) {
+            this.lastBadge = badge;
+            this.setIcon(status ? TabStatus.drawBadge(this.document, status.state, status.progress) : this.baseIcon);
+        }
+    }
+
+    /**
+     * Points the favicon link at an image, creating the link when the page has none.
+     * @param {string|null} href - Image URL; null removes a favicon the page did not have.
+     */
+    setIcon(href) {
+        if (!href) {
+            if (this.icon && this.baseIcon === null) {
+                this.icon.remove();
+                this.icon = null;
+            }
+            return;
+        }
+        if (!this.icon) {
+            this.icon = this.document.createElement('link');
+            this.icon.rel = 'icon';
+            this.document.head.appendChild(this.icon);
+        }
+        this.icon.href = href;
+    }
+
+    /**
+     * Builds the status of a timer engine. A countdown's badge shows the time
+     * left; a stopwatch's badge goes round once a minute.
+     * @param {TimerEngine} engine - Timer engine.
+     * @param {string} label - Timer name.
+     * @returns {Object|null} The status (see `update`), or null while the engine is idle.
+     */
+    static fromEngine(engine, label) {
+        if (!TabStatus.PRIORITY[engine.state]) return null;
+        if (engine.mode === 'countdown') {
+            const remaining = engine.getRemaining();
+            return { state: engine.state, mode: engine.mode, time: remaining, label, progress: engine.duration > 0 ? remaining / engine.duration : 0 };
+        }
+        const elapsed = engine.getElapsed();
+        return { state: engine.state, mode: engine.mode, time: elapsed, label, progress: (elapsed % 60000) / 60000 };
+    }
+
+    /**
+     * Picks the status shown in the tab.
+     * @param {Array<Object|null>} statuses - Status of each source.
+     * @returns {Object|null} The most relevant status, or null when every timer is idle.
+     */
+    static pick(statuses) {
+        return statuses.reduce((best, status) => {
+            if (!status || !TabStatus.PRIORITY[status.state]) return best;
+            return !best || TabStatus.PRIORITY[status.state] > TabStatus.PRIORITY[best.state] ? status : best;
+        }, null);
+    }
+
+    /**
+     * Builds the title text of a status, e.g. "04:58 Tea", "⏸ 04:58 Tea" or "⏰ Tea: time's up!".
+     * @param {Object} status - Timer status (see `update`).
+     * @param {I18n} i18n - Translates the expiry text.
+     * @returns {string} The text.
+     */
+    static describe({ state, mode, time, label }, i18n) {
+        if (state === 'expired') {
+            return `⏰ ${i18n.t('tab.expired', { label })}`;
+        }
+        const clock = TabStatus.formatClock(time, mode === 'countdown');
+        return `${state === 'paused' ? '⏸ ' : ''}${clock} ${label}`;
+    }
+
+    /**
+     * Formats a time in whole seconds: "4:05:09", "05:09".
+     * @param {number} ms - Time in ms.
+     * @param {boolean} [roundUp=false] - Round up, so a countdown only shows 00:00 when it is done.
+     * @returns {string} The formatted time.
+     */
+    static formatClock(ms, roundUp = false) {
+        const totalSeconds = Math.max(0, roundUp ? Math.ceil(ms / 1000) : Math.floor(ms / 1000));
+        const hours = Math.floor(totalSeconds / 3600);
+        const minutes = Math.floor((totalSeconds % 3600) / 60);
+        const seconds = totalSeconds % 60;
+        const pad = value => String(value).padStart(2, '0');
+        return hours > 0 ? `${hours}:${pad(minutes)}:${pad(seconds)}` : `${pad(minutes)}:${pad(seconds)}`;
+    }
+
+    /**
+     * Draws the favicon badge: a ring filled clockwise in the colour of the state.
+     * @param {Document} doc - Document used to create the canvas.
+     * @param {'running'|'paused'|'expired'} state - Timer state.
+     * @param {number} progress - Fill between 0 and 1 (an expired timer is always full).
+     * @returns {string|null} A PNG data URL, or null without canvas support.
+     */
+    static drawBadge(doc, state, progress) {
+        const canvas = doc.createElement('canvas');
+        canvas.width = 64;
+        canvas.height = 64;
+        const context = canvas.getContext ? canvas.getContext('2d') : null;
+        if (!context) return null;
+
+        const fill = state === 'expired' ? 1 : Math.min(1, Math.max(0, progress));
+        context.lineWidth = 12;
+        context.strokeStyle = TabStatus.COLORS.track;
+        context.beginPath();
+        context.arc(32, 32, 24, 0, Math.PI * 2);
+        context.stroke();
+        context.strokeStyle = TabStatus.COLORS[state];
+        context.beginPath();
+        context.arc(32, 32, 24, -Math.PI / 2, -Math.PI / 2 + fill * Math.PI * 2);
+        context.stroke();
+        if (state !== 'running') {
+            // Paused and expired timers get a solid centre, so they stand out among other tabs
+            context.fillStyle = TabStatus.COLORS[state];
+            context.beginPath();
+            context.arc(32, 32, 12, 0, Math.PI * 2);
+            context.fill();
+        }
+        return canvas.toDataURL('image/png');
+    }
+}
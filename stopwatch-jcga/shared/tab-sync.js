@@ -0,0 +1,205 @@
+// tab-sync.js
+/**
+ * TabSync Class
+ * Keeps the tabs of an app in step. Whenever a tab saves one of the keys it
+ * follows (`follow`), the value is sent to the other tabs, which apply it
+ * with the handler given for that key: a countdown started, paused or
+ * cleared in one tab does the same in the others. A newly opened tab starts
+ * from the saved state like after a reload.
+ *
+ * Messages go over a BroadcastChannel named after the store's namespace or,
+ * without BroadcastChannel support, through a localStorage key whose
+ * `storage` events reach the other tabs.
+ *
+ * The tabs also elect a leader, so that effects that must happen once (the
+ * alarm sound) happen in one tab only. Browsers only play sound in a tab the
+ * user has interacted with, so tabs whose audio is unlocked (see `useAudio`)
+ * are preferred, then visible tabs, then the oldest. Each tab says it is
+ * alive, with its audio and visibility, every `HEARTBEAT` ms and whenever they
+ * change, and says goodbye when it is closed; a tab not heard from for
+ * `TIMEOUT` ms is considered closed. A tab opened less than one heartbeat ago
+ * is not elected yet, since it may not have heard from the others.
+ */
+class TabSync {
+    /**
+     * Interval in ms between two "alive" messages.
+     */
+    static HEARTBEAT = 2000;
+
+    /**
+     * Time in ms after which a silent tab is considered closed.
+     */
+    static TIMEOUT = 5000;
+
+    /**
+     * @param {Object} [options]
+     * @param {StateStore} options.store - Store whose saves are sent; its namespace names the channel.
+     * @param {Window} [options.window] - Window whose BroadcastChannel, storage, timers and visibility are used, injectable for tests.
+     * @param {function(): number} [options.now] - Current epoch in ms, injectable for tests.
+     */
+    constructor({ store, window: win = globalThis.window, now = () => Date.now() } = {}) {
+        this.store = store;
+        this.window = win;
+        this.now = now;
+        this.openedAt = now();
+        this.id = `${this.openedAt.toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+        this.peers = new Map();    // Other tabs by id: { openedAt, seenAt }
+        this.handlers = new Map(); // Followed keys -> function applying a value saved by another tab
+        this.applying = false;     // True while a value from another tab is applied, so it is not sent back
+        this.channel = null;
+        this.messageKey = store.keyFor('tab-sync'); // localStorage key carrying the messages without BroadcastChannel
+        this.canRing = () => true; // Whether this tab can play sound, see useAudio()
+
+        if (typeof win.BroadcastChannel === 'function') {
+            this.channel = new win.BroadcastChannel(store.namespace);
+            this.channel.addEventListener('message', event => this.receive(event.data));
+        } else {
+            win.addEventListener('storage', event => {
+                if (event.key !== this.messageKey || !event.newValue) return;
+                try {
+                    this.receive(JSON.parse(event.newValue));
+                } catch (error) {
+                    console.warn(`TabSync: ignoring unreadable message: ${error.message}`);
+                }
+            });
+        }
+
+        store.onSave((key, value) => {
+            if (!this.applying && this.handlers.has(key)) {
+                this.send({ type: 'save', key, value });
+            }
+        });
+        this.heartbeat = win.setInterval(() => this.send({ type: 'alive' }), TabSync.HEARTBEAT);
+        win.addEventListener('pagehide', () => this.send({ type: 'bye' }));
+        if (win.document) {
+            win.document.addEventListener('visibilitychange', () => this.announce());
+        }
+        this.send({ type: 'hello' });
+    }
+
+    /**
+     * Tells the election whether this tab can play sound, e.g. whether its
+     * alarm audio was unlocked by a user gesture. Call `announce` when it changes.
+     * @param {function(): boolean} canRing - Whether sound can play in this tab.
+     */
+    useAudio(canRing) {
+        this.canRing = canRing;
+        this.announce();
+    }
+
+    /**
+     * Sends this tab's audio and visibility to the other tabs now, rather than at the next heartbeat.
+     */
+    announce() {
+        this.send({ type: 'alive' });
+    }
+
+    /**
+     * Sends the saves of a key to the other tabs and applies theirs.
+     * @param {string} key - Store key, e.g. 'countdown'.
+     * @param {function(*)} apply - Applies a value saved by another tab.
+     */
+    follow(key, apply) {
+        this.handlers.set(key, apply);
+    }
+
+    /**
+     * Whether this tab is the leader. Among the tabs open for at least one
+     * heartbeat, those that can play sound are preferred (all of them if none
+     * can), then visible ones, then the oldest.
+     * @returns {boolean} True in the elected tab.
+     */
+    get isLeader() {
+        const now = this.now();
+        this.peers.forEach((peer, id) => {
+            if (now - peer.seenAt > TabSync.TIMEOUT) this.peers.delete(id);
+        });
+
+        const tabs = [{ id: this.id, ...this.status() }, ...[...this.peers].map(([id, peer]) => ({ id, ...peer }))]
+            .filter(tab => now - tab.openedAt >= TabSync.HEARTBEAT);
+        const audible = tabs.filter(tab => tab.audio);
+        const [leader] = (audible.length > 0 ? audible : tabs).sort((a, b) => (
+            (b.visible - a.visible) || (a.openedAt - b.openedAt) || (a.id < b.id ? -1 : 1)
+        ));
+        return Boolean(leader) && leader.id === this.id;
+    }
+
+    /**
+     * What the other tabs need to know about this one for the election.
+     * @returns {{openedAt: number, audio: boolean, visible: boolean}} This tab's status.
+     */
+    status() {
+        const { document } = this.window;
+        return {
+            openedAt: this.openedAt,
+            audio: Boolean(this.canRing()),
+            visible: !document || document.visibilityState !== 'hidden'
+        };
+    }
+
+    /**
+     * Sends a message to the other tabs.
+     * @param {Object} message - Message with a `type`.
+     */
+    send(message) {
+        const envelope = { ...message, ...this.status(), from: this.id };
+        try {
+            if (this.channel) {
+                this.channel.postMessage(envelope);
+            } else if (this.store.storage) {
+                // A nonce makes every message a change, so a repeated message still fires `storage`
+                this.store.storage.setItem(this.messageKey, JSON.stringify({ ...envelope, nonce: Math.random() }));
+            }
+        } catch (error) {
+            console.warn(`TabSync: could not send "${message.type}": ${error.message}`);
+        }
+    }
+
+    /**
+     * Handles a message from another tab.
+     * @param {Object} message - The message sent.
+     */
+    receive(message) {
+        if (!message || typeof message.from !== 'string' || message.from === this.id) return;
+
+        if (message.type === 'bye') {
+            this.peers.delete(message.from);
+            return;
+        }
+        this.peers.set(message.from, {
+            openedAt: Number(message.openedAt) || 0,
+            audio: message.audio === true,
+            visible: message.visible !== false,
+            seenAt: this.now()
+        });
+        if (message.type === 'hello') {
+            this.send({ type: 'alive' }); // Let the new tab know about this one at once
+        } else if (message.type === 'save' && this.handlers.has(message.key)) {
+            this.applying = true;
+            try {
+                this.handlers.get(message.key)(message.value);
+            } catch (error) {
+                console.error(`TabSync: could not apply "${message.key}" from another tab: ${error.message}`);
+            } finally {
+                this.applying = false;
+            }
+        }
+    }
+
+    /**
+     * Stops syncing: no more messages are sent or applied.
+     */
+    close() {
+        this.send({ type: 'bye' });
+        this.window.clearInterval(this.heartbeat);
+        this.handlers.clear();
+        if (this.channel) {
+            this.channel.close();
+        }
+    }
+}
+
+// Allow the tab sync to be required from Node (unit tests) as well as loaded with a <script> tag
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { TabSync };
+}
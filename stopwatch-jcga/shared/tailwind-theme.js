@@ -0,0 +1,43 @@
+// tailwind-theme.js
+/**
+ * Tailwind configuration that points the colour classes the apps use
+ * (`bg-blue-600`, `text-gray-900`, `border-gray-300`, ...) at the CSS custom
+ * properties of themes.css, so they follow the chosen theme and accent colour
+ * without changing any markup.
+ *
+ * Text classes from 500 to 900 use the text tokens (`--text-gray-900`), the
+ * others and every other kind of class the fill tokens (`--color-gray-900`).
+ * `bg-white` is the surface colour of the theme; `text-white` stays white.
+ *
+ * Used by ../tailwind.config.js to build tailwind.css, which the apps load.
+ */
+const TAILWIND_PALETTES = ['gray', 'blue', 'green', 'red', 'purple', 'emerald', 'amber'];
+const TAILWIND_SHADES = [50, 100, 200, 300, 400, 500, 600, 700, 800, 900];
+
+/**
+ * Builds one palette per name, each shade given by `token(name, shade)`.
+ * @param {function(string, number): string} token - Returns the CSS value of a shade.
+ * @returns {Object} Tailwind colours, e.g. `{ gray: { 50: 'var(--color-gray-50)', ... } }`.
+ */
+function themePalettes(token) {
+    const palettes = {};
+    TAILWIND_PALETTES.forEach(name => {
+        palettes[name] = {};
+        TAILWIND_SHADES.forEach(shade => {
+            palettes[name][shade] = token(name, shade);
+        });
+    });
+    return palettes;
+}
+
+const TAILWIND_THEME = {
+    theme: {
+        extend: {
+            colors: themePalettes((name, shade) => `var(--color-${name}-${shade})`),
+            textColor: themePalettes((name, shade) => (shade >= 500 ? `var(--text-${name}-${shade})` : `var(--color-${name}-${shade})`)),
+            backgroundColor: { white: 'var(--color-surface)' }
+        }
+    }
+};
+
+module.exports = { TAILWIND_THEME };
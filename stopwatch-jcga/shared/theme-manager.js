@@ -0,0 +1,184 @@
+// theme-manager.js
+/**
+ * ThemeManager Class
+ * Chooses the colour theme of the page (see themes.css) and the accent
+ * colour that the blue palette is derived from.
+ *
+ * The user picks a theme, or "system" (the default) to follow the
+ * operating system: `prefers-contrast: more` gives the high-contrast theme,
+ * `prefers-color-scheme: dark` the dark one, and the theme changes along with
+ * those settings. The choice and the accent are saved through an optional
+ * StateStore. The theme is set as `data-theme` on <html> and the accent as
+ * its `--color-accent` property. Emits `change` when the shown theme or the
+ * accent changes.
+ */
+class ThemeManager {
+    /**
+     * Themes defined by themes.css.
+     */
+    static THEMES = Object.freeze(['light', 'dark', 'contrast']);
+
+    /**
+     * Choice that follows the operating system's settings.
+     */
+    static SYSTEM = 'system';
+
+    /**
+     * Accent colour of the themes (Tailwind's blue-600).
+     */
+    static DEFAULT_ACCENT = '#2563eb';
+
+    /**
+     * Lowest contrast ratio allowed between white text and the accent, the WCAG AA level for normal text.
+     */
+    static MIN_CONTRAST = 4.5;
+
+    /**
+     * @param {Object} [options]
+     * @param {StateStore} [options.store] - Store used to load and save the choice and the accent.
+     * @param {Document} [options.document] - Document whose theme is set, injectable for tests.
+     */
+    constructor({ store = null, document: doc = globalThis.document } = {}) {
+        this.store = store;
+        this.document = doc;
+        this.listeners = []; // `change` listeners
+
+        const saved = (store && store.load('theme')) || {};
+        this.choice = ThemeManager.isChoice(saved.choice) ? saved.choice : ThemeManager.SYSTEM;
+        this.accent = ThemeManager.isColor(saved.accent) ? saved.accent : null; // null: the default accent
+
+        // The operating system's settings, followed while the choice is "system"
+        const view = doc.defaultView;
+        const media = query => (view && typeof view.matchMedia === 'function' ? view.matchMedia(query) : null);
+        this.darkQuery = media('(prefers-color-scheme: dark)');
+        this.contrastQuery = media('(prefers-contrast: more)');
+        [this.darkQuery, this.contrastQuery].forEach(query => {
+            if (!query || typeof query.addEventListener !== 'function') return;
+            query.addEventListener('change', () => {
+                if (this.choice === ThemeManager.SYSTEM) this.apply();
+            });
+        });
+
+        this.apply();
+    }
+
+    /**
+     * Whether a value is a valid choice: a theme or "system".
+     * @param {*} choice - Value to check.
+     * @returns {boolean} True if valid.
+     */
+    static isChoice(choice) {
+        return choice === ThemeManager.SYSTEM || ThemeManager.THEMES.includes(choice);
+    }
+
+    /**
+     * Whether a value is a colour in the `#rrggbb` form given by `<input type="color">`.
+     * @param {*} color - Value to check.
+     * @returns {boolean} True if valid.
+     */
+    static isColor(color) {
+        return typeof color === 'string' && /^#[0-9a-f]{6}$/i.test(color);
+    }
+
+    /**
+     * The theme shown: the chosen one, or the one the system settings ask for.
+     * @returns {string} One of `THEMES`.
+     */
+    get theme() {
+        if (this.choice !== ThemeManager.SYSTEM) return this.choice;
+        if (this.contrastQuery && this.contrastQuery.matches) return 'contrast';
+        if (this.darkQuery && this.darkQuery.matches) return 'dark';
+        return 'light';
+    }
+
+    /**
+     * Subscribes to theme and accent changes.
+     * @param {Function} listener - Called with the theme shown and the accent colour in use.
+     * @returns {Function} A function that removes the listener.
+     */
+    onChange(listener) {
+        this.listeners.push(listener);
+        return () => {
+            this.listeners = this.listeners.filter(fn => fn !== listener);
+        };
+    }
+
+    /**
+     * Chooses a theme and saves the choice.
+     * @param {string} choice - One of `THEMES`, or "system".
+     */
+    setTheme(choice) {
+        if (!ThemeManager.isChoice(choice)) {
+            throw new Error(`Unknown theme "${choice}"`);
+        }
+        this.choice = choice;
+        this.save();
+        this.apply();
+    }
+
+    /**
+     * Sets the accent colour and saves it.
+     * @param {string|null} color - A `#rrggbb` colour, or null for the default accent.
+     */
+    setAccent(color) {
+        if (color !== null && !ThemeManager.isColor(color)) {
+            throw new Error(`Invalid accent colour "${color}"`);
+        }
+        this.accent = color === null ? null : color.toLowerCase();
+        this.save();
+        this.apply();
+    }
+
+    /**
+     * Saves the choice and the accent.
+     */
+    save() {
+        if (this.store) {
+            this.store.save('theme', { choice: this.choice, accent: this.accent });
+        }
+    }
+
+    /**
+     * Shows the current theme and accent on the page, then notifies the listeners.
+     * A custom accent is darkened as needed to keep white text on it readable.
+     */
+    apply() {
+        const root = this.document.documentElement;
+        const theme = this.theme;
+        const accent = this.accent ? ThemeManager.readableAccent(this.accent) : ThemeManager.DEFAULT_ACCENT;
+        root.dataset.theme = theme;
+        if (this.accent) {
+            root.style.setProperty('--color-accent', accent);
+        } else {
+            root.style.removeProperty('--color-accent');
+        }
+        this.listeners.slice().forEach(listener => listener(theme, accent));
+    }
+
+    /**
+     * Darkens a colour until white text on it reaches `MIN_CONTRAST`.
+     * @param {string} color - A `#rrggbb` colour.
+     * @returns {string} The colour, or a darker shade of it.
+     */
+    static readableAccent(color) {
+        let rgb = [1, 3, 5].map(start => parseInt(color.slice(start, start + 2), 16));
+        while (ThemeManager.contrastWithWhite(rgb) < ThemeManager.MIN_CONTRAST) {
+            rgb = rgb.map(channel => Math.floor(channel * 0.9));
+        }
+        return `#${rgb.map(channel => channel.toString(16).padStart(2, '0')).join('')}`;
+    }
+
+    /**
+     * WCAG contrast ratio between white and a colour.
+     * @param {Array<number>} rgb - Red, green and blue, 0 to 255.
+     * @returns {number} Contrast ratio, from 1 to 21.
+     */
+    static contrastWithWhite(rgb) {
+        const [r, g, b] = rgb.map(channel => {
+            const value = channel / 255;
+            return value <= 0.03928 ? value / 12.92 : ((value + 0.055) / 1.055) ** 2.4;
+        });
+        const luminance = 0.2126 * r + 0.7152 * g + 0.0722 * b;
+        return 1.05 / (luminance + 0.05);
+    }
+}
@@ -0,0 +1,146 @@
+// tick-scheduler.js
+/**
+ * TickScheduler Class
+ * Drives the timers' ticking from a dedicated Worker (tick-worker.js), so it
+ * is neither throttled in background tabs nor stalled by a busy page.
+ *
+ * The app registers one callback per ticking timer (advance the engine,
+ * render). While the page is visible, the worker's ticks are turned into at
+ * most one call per animation frame. While it is hidden nothing is rendered:
+ * a callback only runs when its `wakeIn` time is reached, e.g. the moment a
+ * countdown should expire, and once more as soon as the page is shown.
+ *
+ * Without Worker support (e.g. pages opened from file://) the same TickLoop
+ * runs in the page, which then also needs tick-worker.js as a <script>.
+ */
+class TickScheduler {
+    /**
+     * @param {Object} [options]
+     * @param {string|null} [options.workerUrl] - Script of the tick worker; null to tick in the page.
+     * @param {number} [options.interval=16] - Tick interval in ms while the page is visible.
+     * @param {Window} [options.window] - Window whose Worker, document and animation frames are used, injectable for tests.
+     */
+    constructor({ workerUrl = null, interval = 16, window: win = globalThis.window } = {}) {
+        this.window = win;
+        this.interval = interval;
+        this.ticking = new Map(); // Registered callbacks by id: { callback, wakeIn }
+        this.nextId = 1;
+        this.frame = null;        // Pending animation frame, if any
+        this.send = null;         // Posts a message to the tick loop
+
+        if (workerUrl && win.Worker) {
+            try {
+                const worker = new win.Worker(workerUrl);
+                worker.addEventListener('message', event => this.receive(event.data));
+                // The script failed to load or crashed: carry on in the page
+                worker.addEventListener('error', event => {
+                    event.preventDefault();
+                    console.warn('Tick worker failed; ticking in the page instead');
+                    worker.terminate();
+                    this.useLocalLoop();
+                });
+                this.send = message => worker.postMessage(message);
+            } catch (error) {
+                console.warn(`Tick worker not available: ${error.message}`);
+            }
+        }
+        if (this.send) {
+            this.send({ type: 'configure', interval });
+            this.send({ type: 'visibility', visible: this.isVisible });
+        } else {
+            this.useLocalLoop();
+        }
+
+        win.document.addEventListener('visibilitychange', () => {
+            this.send({ type: 'visibility', visible: this.isVisible });
+            if (this.isVisible) {
+                // Catch up at once: render the current times and report what happened meanwhile
+                this.ticking.forEach((registration, id) => this.run(id));
+            } else {
+                // Only wake-ups reach a hidden page; refresh them, as they may have changed since the start
+                this.ticking.forEach((registration, id) => this.send({ type: 'wake', id, wakeIn: registration.wakeIn() }));
+            }
+        });
+    }
+
+    /**
+     * Whether the page is shown, so frames should be rendered.
+     * @returns {boolean} True while visible.
+     */
+    get isVisible() {
+        return this.window.document.visibilityState === 'visible';
+    }
+
+    /**
+     * Runs the tick loop in the page, handing it what is already ticking.
+     */
+    useLocalLoop() {
+        const loop = new TickLoop(message => this.receive(message), { interval: this.interval });
+        this.send = message => loop.receive(message);
+        this.send({ type: 'visibility', visible: this.isVisible });
+        this.ticking.forEach((registration, id) => this.send({ type: 'start', id, wakeIn: registration.wakeIn() }));
+    }
+
+    /**
+     * Starts calling a callback once per frame while the page is visible.
+     * @param {Function} callback - Advances and renders a timer.
+     * @param {function(): (number|null)} [wakeIn] - Returns the ms until the callback must run even in a hidden page (e.g. a countdown's remaining time), or null. Asked again after each wake-up.
+     * @returns {number} Id to pass to `stop`.
+     */
+    start(callback, wakeIn = () => null) {
+        const id = this.nextId++;
+        this.ticking.set(id, { callback, wakeIn });
+        this.send({ type: 'start', id, wakeIn: wakeIn() });
+        return id;
+    }
+
+    /**
+     * Stops calling a callback.
+     * @param {number|null} id - Id returned by `start`; null is ignored.
+     */
+    stop(id) {
+        if (!this.ticking.delete(id)) return;
+        this.send({ type: 'stop', id });
+    }
+
+    /**
+     * Handles a message from the tick loop.
+     * @param {Object} message - { type: 'tick' } or { type: 'wake', id }.
+     */
+    receive({ type, id }) {
+        if (type === 'tick') {
+            this.requestFrame();
+        } else if (type === 'wake' && this.ticking.has(id)) {
+            this.run(id);
+            // Timers may fire a little early, and a countdown may be followed by another: wake up again if needed
+            if (this.ticking.has(id)) {
+                this.send({ type: 'wake', id, wakeIn: this.ticking.get(id).wakeIn() });
+            }
+        }
+    }
+
+    /**
+     * Runs every callback in the next animation frame (once, however many ticks arrive meanwhile).
+     */
+    requestFrame() {
+        if (this.frame !== null || !this.isVisible) return;
+        this.frame = this.window.requestAnimationFrame(() => {
+            this.frame = null;
+            this.ticking.forEach((registration, id) => this.run(id));
+        });
+    }
+
+    /**
+     * Runs one callback; an error is logged so the other timers keep ticking.
+     * @param {number} id - Registered id.
+     */
+    run(id) {
+        const registration = this.ticking.get(id);
+        if (!registration) return;
+        try {
+            registration.callback();
+        } catch (error) {
+            console.error(`Tick failed: ${error.message}`);
+        }
+    }
+}
@@ -0,0 +1,106 @@
+// tick-worker.js
+/**
+ * TickLoop Class
+ * The timers behind TickScheduler (see tick-scheduler.js). This script is
+ * started as a dedicated Worker, whose timers are not throttled in
+ * background tabs and are not held up by a busy page. Where a Worker cannot
+ * be started (e.g. pages opened from file://) it is loaded with a <script>
+ * tag instead and the loop runs in the page.
+ *
+ * Messages received:
+ *   { type: 'configure', interval }  - Tick interval in ms.
+ *   { type: 'visibility', visible }  - Ticks are only sent while the page is visible.
+ *   { type: 'start', id, wakeIn }    - Something ticks; `wakeIn` ms from now it must be woken up.
+ *   { type: 'wake', id, wakeIn }     - Sets a new wake-up time (null for none).
+ *   { type: 'stop', id }             - Stops ticking it.
+ *
+ * Messages posted:
+ *   { type: 'tick' }                 - Every `interval` ms while the page is visible and something ticks.
+ *   { type: 'wake', id }             - A wake-up time was reached, visible or not (e.g. a countdown expires).
+ */
+class TickLoop {
+    /**
+     * @param {function(Object)} post - Sends a message to the page.
+     * @param {Object} [options]
+     * @param {number} [options.interval=16] - Tick interval in ms (about one frame).
+     */
+    constructor(post, { interval = 16 } = {}) {
+        this.post = post;
+        this.interval = interval;
+        this.visible = true;
+        this.ids = new Set();     // Ids of what ticks
+        this.wakes = new Map();   // Wake-up timeouts by id
+        this.handle = null;       // Tick interval, while one runs
+    }
+
+    /**
+     * Handles a message from the page.
+     * @param {Object} message - See the class description.
+     */
+    receive({ type, id, interval, visible, wakeIn }) {
+        switch (type) {
+            case 'configure':
+                this.interval = interval;
+                this.stopInterval();
+                break;
+            case 'visibility':
+                this.visible = visible;
+                break;
+            case 'start':
+                this.ids.add(id);
+                this.setWake(id, wakeIn);
+                break;
+            case 'wake':
+                if (this.ids.has(id)) this.setWake(id, wakeIn);
+                break;
+            case 'stop':
+                this.ids.delete(id);
+                this.setWake(id, null);
+                break;
+            default:
+                return;
+        }
+        this.syncInterval();
+    }
+
+    /**
+     * Replaces the wake-up timeout of an id.
+     * @param {number} id - Id of what ticks.
+     * @param {number|null} wakeIn - Delay in ms; null for none.
+     */
+    setWake(id, wakeIn) {
+        clearTimeout(this.wakes.get(id));
+        this.wakes.delete(id);
+        if (wakeIn === null || wakeIn === undefined) return;
+        this.wakes.set(id, setTimeout(() => {
+            this.wakes.delete(id);
+            this.post({ type: 'wake', id });
+        }, Math.max(0, wakeIn)));
+    }
+
+    /**
+     * Runs the tick interval only while the page is visible and something ticks.
+     */
+    syncInterval() {
+        const needed = this.visible && this.ids.size > 0;
+        if (needed && this.handle === null) {
+            this.handle = setInterval(() => this.post({ type: 'tick' }), this.interval);
+        } else if (!needed) {
+            this.stopInterval();
+        }
+    }
+
+    /**
+     * Stops the tick interval, if one runs.
+     */
+    stopInterval() {
+        clearInterval(this.handle);
+        this.handle = null;
+    }
+}
+
+// Started as a Worker: run the loop for the page that started it
+if (typeof WorkerGlobalScope !== 'undefined' && self instanceof WorkerGlobalScope) {
+    const loop = new TickLoop(message => self.postMessage(message));
+    self.addEventListener('message', event => loop.receive(event.data));
+}
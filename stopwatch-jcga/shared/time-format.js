@@ -0,0 +1,155 @@
+// time-format.js
+/**
+ * TimeFormat Class
+ * Writes times the way the user chose to see them.
+ *
+ * Precision is the number of fraction digits shown: milliseconds (3),
+ * hundredths (2), tenths (1) or whole seconds (none). Times are cut (or, for
+ * countdowns, rounded up) to that precision before being split into fields,
+ * so 59.9995 s reads 00:00:59.999 and, rounded up, 00:01:00.000.
+ *
+ * Layouts:
+ *   - fixed: always hours, minutes and seconds ("00:05:09.250", "120:00:00.000");
+ *   - auto: hours only when there are some, days past 24 hours
+ *     ("05:09.250", "4:05:09.250", "2d 04:05:09.250").
+ *
+ * The choice is saved through an optional StateStore. Emits `change` when the
+ * precision or the layout changes.
+ */
+class TimeFormat {
+    /**
+     * Fraction digits of each precision.
+     */
+    static PRECISIONS = Object.freeze({ ms: 3, hundredths: 2, tenths: 1, seconds: 0 });
+
+    /**
+     * Available layouts (see the class comment).
+     */
+    static LAYOUTS = Object.freeze(['fixed', 'auto']);
+
+    /**
+     * @param {Object} [options]
+     * @param {StateStore} [options.store] - Store used to load and save the choice.
+     * @param {string} [options.precision='ms'] - One of the `PRECISIONS` keys, unless a saved one exists.
+     * @param {string} [options.layout='fixed'] - One of `LAYOUTS`, unless a saved one exists.
+     * @param {I18n} [options.i18n] - Translates the day count; English by default.
+     */
+    constructor({ store = null, precision = 'ms', layout = 'fixed', i18n = new I18n() } = {}) {
+        this.store = store;
+        this.i18n = i18n;
+        this.listeners = []; // `change` listeners
+
+        const saved = (store && store.load('timeFormat')) || {};
+        this.precision = TimeFormat.isPrecision(saved.precision) ? saved.precision : precision;
+        this.layout = TimeFormat.LAYOUTS.includes(saved.layout) ? saved.layout : layout;
+    }
+
+    /**
+     * Whether a value names a precision.
+     * @param {*} precision - Value to check.
+     * @returns {boolean} True if valid.
+     */
+    static isPrecision(precision) {
+        return Object.prototype.hasOwnProperty.call(TimeFormat.PRECISIONS, precision);
+    }
+
+    /**
+     * Subscribes to format changes.
+     * @param {Function} listener - Called with the format.
+     * @returns {Function} A function that removes the listener.
+     */
+    onChange(listener) {
+        this.listeners.push(listener);
+        return () => {
+            this.listeners = this.listeners.filter(fn => fn !== listener);
+        };
+    }
+
+    /**
+     * Chooses the precision and saves the choice.
+     * @param {string} precision - One of the `PRECISIONS` keys.
+     */
+    setPrecision(precision) {
+        if (!TimeFormat.isPrecision(precision)) {
+            throw new Error(`Unknown precision "${precision}"`);
+        }
+        this.precision = precision;
+        this.changed();
+    }
+
+    /**
+     * Chooses the layout and saves the choice.
+     * @param {string} layout - One of `LAYOUTS`.
+     */
+    setLayout(layout) {
+        if (!TimeFormat.LAYOUTS.includes(layout)) {
+            throw new Error(`Unknown layout "${layout}"`);
+        }
+        this.layout = layout;
+        this.changed();
+    }
+
+    /**
+     * Saves the choice and notifies the listeners.
+     */
+    changed() {
+        if (this.store) {
+            this.store.save('timeFormat', { precision: this.precision, layout: this.layout });
+        }
+        this.listeners.slice().forEach(listener => listener(this));
+    }
+
+    /**
+     * Splits a time into the fields shown.
+     * @param {number} ms - Time in ms; negative times show as zero.
+     * @param {Object} [options]
+     * @param {boolean} [options.roundUp=false] - Round up instead of cutting, so a countdown shows zero only when it is done.
+     * @param {string} [options.precision] - Precision to use instead of the chosen one.
+     * @returns {{days: number, hours: number, minutes: number, seconds: number, fraction: string, main: string, text: string}}
+     *   The fields, the fraction digits ('' for whole seconds), the time without its fraction and the full text.
+     */
+    parts(ms, { roundUp = false, precision = this.precision } = {}) {
+        const digits = TimeFormat.PRECISIONS[precision];
+        const unit = 10 ** (3 - digits); // ms per shown step
+
+        // Round to whole steps first, so a carry reaches the seconds, minutes and hours too
+        const steps = Math.max(0, roundUp ? Math.ceil(ms / unit) : Math.floor(ms / unit));
+        const totalSeconds = Math.floor(steps / 10 ** digits);
+        const fraction = digits > 0 ? String(steps % 10 ** digits).padStart(digits, '0') : '';
+
+        let hours = Math.floor(totalSeconds / 3600);
+        const minutes = Math.floor((totalSeconds % 3600) / 60);
+        const seconds = totalSeconds % 60;
+        const days = this.layout === 'auto' ? Math.floor(hours / 24) : 0;
+        hours -= days * 24;
+
+        const pad = value => String(value).padStart(2, '0');
+        let main;
+        if (this.layout === 'fixed') {
+            main = `${pad(hours)}:${pad(minutes)}:${pad(seconds)}`;
+        } else if (days > 0) {
+            main = `${this.i18n.t('timeFormat.days', { count: days })} ${pad(hours)}:${pad(minutes)}:${pad(seconds)}`;
+        } else if (hours > 0) {
+            main = `${hours}:${pad(minutes)}:${pad(seconds)}`;
+        } else {
+            main = `${pad(minutes)}:${pad(seconds)}`;
+        }
+
+        return { days, hours, minutes, seconds, fraction, main, text: fraction ? `${main}.${fraction}` : main };
+    }
+
+    /**
+     * Formats a time (see `parts`).
+     * @param {number} ms - Time in ms.
+     * @param {Object} [options] - As for `parts`.
+     * @returns {string} The formatted time, e.g. "00:05:09.250".
+     */
+    format(ms, options) {
+        return this.parts(ms, options).text;
+    }
+}
+
+// Allow the time format to be required from Node (unit tests) as well as loaded with a <script> tag
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { TimeFormat };
+}
@@ -0,0 +1,274 @@
+// timer-api.js
+/**
+ * TimerApi Class
+ * Public JavaScript API of the apps, exposed as `window.TimerApp` so other
+ * scripts on the page (bookmarklets, tests, automation) can drive the timers:
+ *
+ *   TimerApp.getState()                      // Every timer: [{ id, kind, label, state, elapsed, remaining, laps }]
+ *   TimerApp.getState('countdown')           // One timer
+ *   TimerApp.setCountdown('5m', { label: 'Break', autostart: true })
+ *   TimerApp.start('stopwatch')              // Starts, or continues a paused timer
+ *   TimerApp.pause('stopwatch')
+ *   TimerApp.reset('stopwatch')              // Like the timer's Clear (or Reset) button
+ *   TimerApp.create({ kind: 'countdown', duration: 90000, label: 'Tea' }) // New dashboard timer; returns its id
+ *
+ * Timers are named 'stopwatch', 'countdown' or by the id of a dashboard timer.
+ * Durations are given in ms or as text the countdown accepts ("5m", "1:30").
+ * Invalid calls throw an Error. Every command returns a copy of the state, so
+ * it can also be sent back over postMessage.
+ *
+ * The timers dispatch `CustomEvent`s on `window`, whose `detail` is the
+ * timer's state: `timer:start`, `timer:pause`, `timer:resume`, `timer:reset`,
+ * `timer:expire`, `timer:lap` (with the lap in `detail.lap`) and `timer:tick`,
+ * which fires once per second of the timer's time.
+ *
+ * In an iframe, the embedding page drives the app with messages:
+ *   frame.contentWindow.postMessage({ type: 'timer-app', command: 'start', args: ['stopwatch'], requestId: 1 }, '*')
+ * Each is answered with `{ type: 'timer-app:result', requestId, result }` (or
+ * `error`, a message). From its first command on, the embedding page also
+ * receives the events as `{ type: 'timer-app:event', event: 'timer:tick', detail }`.
+ */
+class TimerApi {
+    /**
+     * Events dispatched as `timer:<name>`.
+     */
+    static EVENTS = Object.freeze(['start', 'pause', 'resume', 'reset', 'tick', 'lap', 'expire']);
+
+    /**
+     * Methods of `window.TimerApp`, also accepted as postMessage commands.
+     */
+    static COMMANDS = Object.freeze(['create', 'start', 'pause', 'reset', 'setCountdown', 'getState']);
+
+    /**
+     * `type` of the postMessage commands; results and events add `:result` and `:event`.
+     */
+    static MESSAGE = 'timer-app';
+
+    /**
+     * @param {Object} options
+     * @param {function(): Array<Object>} options.timers - Returns the app's timers, each with `id`,
+     *     `kind`, `label`, `engine`, `laps` (stopwatches) and the `start`, `pause` and `reset` actions.
+     * @param {function(Object): string} options.create - Creates a dashboard timer from `{kind, label, duration}` and returns its id.
+     * @param {function(number, {label: (string|undefined), autostart: boolean})} options.setCountdown - Sets the countdown.
+     * @param {DurationParser} [options.durationParser] - Reads and validates the durations.
+     * @param {Window} [options.window] - Window where the API is exposed and the events dispatched, injectable for tests.
+     */
+    constructor({ timers, create, setCountdown, durationParser = new DurationParser(), window: win = globalThis.window }) {
+        this.timers = timers;
+        this.controls = { create, setCountdown };
+        this.durationParser = durationParser;
+        this.window = win;
+        this.embedders = new Set(); // Origins of the embedding page that sent commands, which receive the events
+
+        if (win.parent && win.parent !== win) {
+            win.addEventListener('message', event => this.receive(event));
+        }
+    }
+
+    /**
+     * Exposes the commands as a global object.
+     * @param {string} [name='TimerApp'] - Name of the global.
+     */
+    expose(name = 'TimerApp') {
+        const api = {};
+        TimerApi.COMMANDS.forEach(command => {
+            api[command] = (...args) => this[command](...args);
+        });
+        this.window[name] = Object.freeze(api);
+    }
+
+    /**
+     * Dispatches the events of a timer's engine from now on.
+     * @param {TimerEngine} engine - The timer's engine.
+     * @param {string} id - The timer's id.
+     * @returns {Function} A function that stops following the engine.
+     */
+    watch(engine, id) {
+        let second = null; // Whole second of the timer's time at the last `tick` event
+        const offState = engine.on('statechange', ({ from, to }) => {
+            const { RUNNING, PAUSED, IDLE } = TimerEngine.STATES;
+            if (to === RUNNING) {
+                this.dispatch(from === PAUSED ? 'resume' : 'start', id, engine);
+            } else if (to === PAUSED) {
+                this.dispatch('pause', id, engine);
+            } else if (to === IDLE) {
+                this.dispatch('reset', id, engine);
+            }
+        });
+        const offTick = engine.on('tick', ({ elapsed, remaining }) => {
+            const current = Math.floor((engine.mode === 'countdown' ? remaining : elapsed) / 1000);
+            if (current !== second) {
+                second = current;
+                this.dispatch('tick', id, engine);
+            }
+        });
+        const offExpire = engine.on('expire', () => this.dispatch('expire', id, engine));
+        return () => {
+            offState();
+            offTick();
+            offExpire();
+        };
+    }
+
+    /**
+     * Dispatches `timer:lap` for a lap the app recorded.
+     * @param {string} id - The stopwatch's id.
+     * @param {{number: number, lapTime: number, splitTime: number}} lap - The lap.
+     */
+    lap(id, lap) {
+        this.dispatch('lap', id, this.find(id).engine, { lap: { ...lap } });
+    }
+
+    /**
+     * Creates a dashboard timer.
+     * @param {Object} [options]
+     * @param {'stopwatch'|'countdown'} [options.kind='stopwatch'] - Kind of timer.
+     * @param {string} [options.label] - Name shown on its tile.
+     * @param {number|string} [options.duration] - Duration of a countdown, in ms or as text.
+     * @returns {string} The new timer's id.
+     */
+    create({ kind = 'stopwatch', label = '', duration } = {}) {
+        const ms = kind === 'countdown' ? this.readDuration(duration) : 0;
+        return this.controls.create({ kind, label: String(label), duration: ms });
+    }
+
+    /**
+     * Starts a timer, or continues it when it is paused.
+     * @param {string} id - The timer's id.
+     * @returns {Object} The timer's state.
+     */
+    start(id) {
+        const timer = this.find(id);
+        if (timer.engine.state === TimerEngine.STATES.EXPIRED) {
+            throw new Error(`Timer ${id} has expired; reset it or set it again`);
+        }
+        if (timer.kind === 'countdown' && timer.engine.duration <= 0) {
+            throw new Error(`Timer ${id} has no duration; set one with setCountdown`);
+        }
+        if (!timer.engine.isRunning) timer.start();
+        return this.getState(id);
+    }
+
+    /**
+     * Pauses a running timer.
+     * @param {string} id - The timer's id.
+     * @returns {Object} The timer's state.
+     */
+    pause(id) {
+        const timer = this.find(id);
+        if (timer.engine.isRunning) timer.pause();
+        return this.getState(id);
+    }
+
+    /**
+     * Stops a timer and clears its time, like its Clear (or Reset) button.
+     * @param {string} id - The timer's id.
+     * @returns {Object} The timer's state.
+     */
+    reset(id) {
+        this.find(id).reset();
+        return this.getState(id);
+    }
+
+    /**
+     * Sets the countdown's duration (and label), and starts it if asked.
+     * @param {number|string} duration - Duration in ms or as text.
+     * @param {Object} [options]
+     * @param {string} [options.label] - New label.
+     * @param {boolean} [options.autostart=false] - Start counting down right away.
+     * @returns {Object} The countdown's state.
+     */
+    setCountdown(duration, { label, autostart = false } = {}) {
+        const ms = this.readDuration(duration);
+        this.controls.setCountdown(ms, { label: label === undefined ? undefined : String(label), autostart: autostart === true });
+        return this.getState('countdown');
+    }
+
+    /**
+     * The state of one timer, or of all of them.
+     * @param {string} [id] - The timer's id; omitted for every timer.
+     * @returns {Object|Array<Object>} `{id, kind, label, state, elapsed, remaining, laps}`; `remaining` is null for stopwatches.
+     */
+    getState(id) {
+        return id === undefined ? this.timers().map(timer => this.describe(timer)) : this.describe(this.find(id));
+    }
+
+    /**
+     * Looks up a timer by id.
+     * @param {string} id - The timer's id.
+     * @returns {Object} The timer.
+     */
+    find(id) {
+        const timer = this.timers().find(item => item.id === id);
+        if (!timer) {
+            throw new Error(`No timer with id ${id}`);
+        }
+        return timer;
+    }
+
+    /**
+     * @param {Object} timer - One of the app's timers.
+     * @returns {Object} A copy of its public state.
+     */
+    describe({ id, kind, label, engine, laps }) {
+        const { state, elapsed, remaining } = engine.getSnapshot();
+        return {
+            id,
+            kind,
+            label,
+            state,
+            elapsed,
+            remaining,
+            laps: Array.isArray(laps) ? laps.map(lap => ({ ...lap })) : []
+        };
+    }
+
+    /**
+     * Reads and validates a duration.
+     * @param {number|string} duration - Duration in ms or as text.
+     * @returns {number} Duration in ms.
+     */
+    readDuration(duration) {
+        return typeof duration === 'number' ? this.durationParser.validate(duration) : this.durationParser.parse(duration);
+    }
+
+    /**
+     * Dispatches a `timer:<name>` event and forwards it to the embedding page.
+     * @param {string} name - One of `TimerApi.EVENTS`.
+     * @param {string} id - The timer's id.
+     * @param {TimerEngine} engine - The timer's engine, whose state is sent when the timer is gone.
+     * @param {Object} [extra] - More fields of `detail`.
+     */
+    dispatch(name, id, engine, extra = {}) {
+        const timer = this.timers().find(item => item.id === id);
+        const detail = { ...(timer ? this.describe(timer) : { id, ...engine.getSnapshot() }), ...extra };
+        const type = `timer:${name}`;
+        this.window.dispatchEvent(new this.window.CustomEvent(type, { detail }));
+        this.embedders.forEach(origin => {
+            this.window.parent.postMessage({ type: `${TimerApi.MESSAGE}:event`, event: type, detail }, origin);
+        });
+    }
+
+    /**
+     * Runs a command sent by the embedding page and answers it.
+     * @param {MessageEvent} event - The message.
+     */
+    receive(event) {
+        const message = event.data;
+        if (event.source !== this.window.parent || !message || message.type !== TimerApi.MESSAGE) return;
+
+        // Pages opened from file:// or sandboxed have an opaque origin, which can only be reached with '*'
+        const origin = event.origin && event.origin !== 'null' ? event.origin : '*';
+        this.embedders.add(origin);
+        const reply = { type: `${TimerApi.MESSAGE}:result`, requestId: message.requestId };
+        try {
+            if (!TimerApi.COMMANDS.includes(message.command)) {
+                throw new Error(`Unknown command: ${message.command}`);
+            }
+            reply.result = this[message.command](...(Array.isArray(message.args) ? message.args : []));
+        } catch (error) {
+            reply.error = error.message;
+        }
+        event.source.postMessage(reply, origin);
+    }
+}
@@ -0,0 +1,340 @@
+// timer-collection.js
+/**
+ * TimerCollection Class
+ * DOM-free model of any number of named timers (stopwatches and countdowns)
+ * running side by side. Each entry wraps its own TimerEngine and carries a
+ * label, a colour and, for countdowns, an alarm tone (null for the default
+ * one); the collection keeps their order and can be serialized for persistence.
+ * Ids carry a random prefix per collection, so timers created at the same time
+ * in two tabs of the app (see tab-sync.js) never share one.
+ *
+ * Emits `change` whenever entries are added, removed, reordered, relabelled,
+ * recoloured or get another alarm. Timing events are emitted by each entry's engine.
+ */
+class TimerCollection {
+    /**
+     * Colours offered for new timers, cycled through in order.
+     */
+    static COLORS = Object.freeze(['#2563eb', '#16a34a', '#dc2626', '#d97706', '#7c3aed', '#db2777', '#0891b2']);
+
+    /**
+     * @param {Object} [options]
+     * @param {Function} [options.createEngine] - Factory `(engineOptions) => TimerEngine`,
+     * injectable for tests; defaults to `new TimerEngine(engineOptions)`.
+     * @param {I18n} [options.i18n] - Translates default labels and error messages; English by default.
+     */
+    constructor({ createEngine = engineOptions => new TimerEngine(engineOptions), i18n = new I18n() } = {}) {
+        this.createEngine = createEngine;
+        this.i18n = i18n;
+        this.entries = [];      // Ordered list of { id, kind, label, color, alarm, engine }
+        this.listeners = [];    // `change` listeners
+        this.idPrefix = `timer-${Math.random().toString(36).slice(2, 10)}-`; // Tells this tab's ids from other tabs'
+        this.nextId = 1;        // Counter used to build unique entry ids
+    }
+
+    /**
+     * Subscribes to structural changes of the collection.
+     * @param {Function} listener - Called with the current entries after each change.
+     * @returns {Function} A function that removes the listener.
+     */
+    onChange(listener) {
+        this.listeners.push(listener);
+        return () => {
+            this.listeners = this.listeners.filter(fn => fn !== listener);
+        };
+    }
+
+    /**
+     * Notifies `change` listeners.
+     */
+    emitChange() {
+        this.listeners.slice().forEach(listener => listener(this.entries));
+    }
+
+    /**
+     * Creates a timer and appends it to the collection.
+     * @param {Object} options
+     * @param {'stopwatch'|'countdown'} options.kind - Timer type.
+     * @param {string} [options.label] - Display name; a numbered default is used when empty.
+     * @param {string} [options.color] - Hex colour (#rrggbb); the next palette colour by default.
+     * @param {number} [options.duration] - Countdown duration in ms (countdowns only, must be positive).
+     * @param {string|null} [options.alarm] - Alarm tone name (countdowns only); null for the default tone.
+     * @returns {Object} The new entry.
+     */
+    create({ kind, label = '', color, duration = 0, alarm = null }) {
+        if (kind !== 'stopwatch' && kind !== 'countdown') {
+            throw new Error(`Unknown timer kind: ${kind}`);
+        }
+        if (kind === 'countdown' && !(duration > 0)) {
+            throw new Error('A countdown needs a duration greater than zero');
+        }
+
+        const entry = {
+            id: this.newId(),
+            kind,
+            label: this.normalizeLabel(label) || this.defaultLabel(kind),
+            color: this.normalizeColor(color) || TimerCollection.COLORS[this.entries.length % TimerCollection.COLORS.length],
+            alarm: this.normalizeAlarm(alarm),
+            engine: this.createEngine({ mode: kind, duration })
+        };
+        this.entries.push(entry);
+        this.emitChange();
+        return entry;
+    }
+
+    /**
+     * Looks up an entry by id.
+     * @param {string} id - Entry id.
+     * @returns {Object} The entry.
+     */
+    get(id) {
+        const entry = this.entries.find(item => item.id === id);
+        if (!entry) {
+            throw new Error(`No timer with id ${id}`);
+        }
+        return entry;
+    }
+
+    /**
+     * Deletes a timer. Its engine is reset so it stops counting.
+     * @param {string} id - Entry id.
+     */
+    remove(id) {
+        const entry = this.get(id);
+        entry.engine.reset();
+        this.entries = this.entries.filter(item => item !== entry);
+        this.emitChange();
+    }
+
+    /**
+     * Changes the label of a timer.
+     * @param {string} id - Entry id.
+     * @param {string} label - New label; empty labels are rejected.
+     */
+    rename(id, label) {
+        const normalized = this.normalizeLabel(label);
+        if (!normalized) {
+            throw new Error(this.i18n.t('timers.emptyLabel'));
+        }
+        this.get(id).label = normalized;
+        this.emitChange();
+    }
+
+    /**
+     * Changes the colour of a timer.
+     * @param {string} id - Entry id.
+     * @param {string} color - Hex colour (#rrggbb).
+     */
+    setColor(id, color) {
+        const normalized = this.normalizeColor(color);
+        if (!normalized) {
+            throw new Error(`Invalid colour: ${color}`);
+        }
+        this.get(id).color = normalized;
+        this.emitChange();
+    }
+
+    /**
+     * Changes the alarm tone of a timer.
+     * @param {string} id - Entry id.
+     * @param {string|null} alarm - Tone name; null for the default tone.
+     */
+    setAlarm(id, alarm) {
+        this.get(id).alarm = this.normalizeAlarm(alarm);
+        this.emitChange();
+    }
+
+    /**
+     * Moves a timer up or down the list.
+     * @param {string} id - Entry id.
+     * @param {number} offset - Positions to move (negative moves towards the top).
+     * @returns {boolean} False when the timer is already at the edge.
+     */
+    move(id, offset) {
+        const from = this.entries.indexOf(this.get(id));
+        const to = Math.min(this.entries.length - 1, Math.max(0, from + offset));
+        if (from === to) return false;
+
+        const [entry] = this.entries.splice(from, 1);
+        this.entries.splice(to, 0, entry);
+        this.emitChange();
+        return true;
+    }
+
+    /**
+     * Ticks every running engine. Called by the view's update loop.
+     */
+    tickAll() {
+        this.entries.forEach(entry => entry.engine.tick());
+    }
+
+    /**
+     * Time until the first running countdown expires.
+     * @returns {number|null} Remaining time in ms, or null when no countdown is running.
+     */
+    getNextExpiry() {
+        const remaining = this.entries
+            .filter(entry => entry.engine.mode === 'countdown' && entry.engine.isRunning)
+            .map(entry => entry.engine.getRemaining());
+        return remaining.length > 0 ? Math.min(...remaining) : null;
+    }
+
+    /**
+     * Captures all timers as JSON-safe data.
+     * @returns {Array<Object>} Serialized entries in display order.
+     */
+    serialize() {
+        return this.entries.map(({ id, kind, label, color, alarm, engine }) => ({
+            id, kind, label, color, alarm, engine: engine.serialize()
+        }));
+    }
+
+    /**
+     * Replaces the collection with entries produced by `serialize`.
+     * Invalid entries are skipped and reported; an entry whose id was already
+     * used gets a new one.
+     * @param {Array<Object>} data - Serialized entries.
+     * @returns {Array<string>} Error messages for skipped entries.
+     */
+    restore(data) {
+        const errors = [];
+        this.entries.forEach(entry => entry.engine.reset());
+        this.entries = [];
+
+        const ids = new Set();
+        (Array.isArray(data) ? data : []).forEach((item, index) => {
+            try {
+                const entry = this.readEntry(item, ids);
+                ids.add(entry.id);
+                this.entries.push(entry);
+            } catch (error) {
+                errors.push(`Timer ${index + 1}: ${error.message}`);
+            }
+        });
+
+        this.emitChange();
+        return errors;
+    }
+
+    /**
+     * Applies entries saved by another tab (see tab-sync.js). Timers that
+     * still exist are updated in place, keeping their engine and its
+     * listeners; the others are added or dropped. Unlike `restore`, no engine
+     * is reset, so no session ends here: the tab that reset or removed a
+     * timer already reported it. An entry repeating an id is skipped, since
+     * renumbering it here would tell it apart from the same timer in the other tab.
+     * @param {Array<Object>} data - Serialized entries.
+     * @returns {Array<string>} Error messages for skipped entries.
+     */
+    sync(data) {
+        const errors = [];
+        const current = new Map(this.entries.map(entry => [entry.id, entry]));
+        const entries = [];
+        const ids = new Set();
+
+        (Array.isArray(data) ? data : []).forEach((item, index) => {
+            try {
+                if (item && ids.has(item.id)) {
+                    throw new Error(`duplicate timer id ${item.id}`);
+                }
+                const entry = item && current.get(item.id);
+                if (!entry || entry.kind !== item.kind) {
+                    const added = this.readEntry(item, ids);
+                    ids.add(added.id);
+                    entries.push(added);
+                    return;
+                }
+                entry.engine.restore(item.engine);
+                entry.label = this.normalizeLabel(item.label) || entry.label;
+                entry.color = this.normalizeColor(item.color) || entry.color;
+                entry.alarm = this.normalizeAlarm(item.alarm);
+                ids.add(entry.id);
+                entries.push(entry);
+            } catch (error) {
+                errors.push(`Timer ${index + 1}: ${error.message}`);
+            }
+        });
+
+        this.entries = entries;
+        this.emitChange();
+        return errors;
+    }
+
+    /**
+     * Builds an entry, with a new engine, from its serialized form.
+     * @param {Object} item - Serialized entry.
+     * @param {Set<string>} taken - Ids of the entries read so far; a missing or taken id is replaced.
+     * @returns {Object} The entry.
+     */
+    readEntry(item, taken) {
+        if (!item || (item.kind !== 'stopwatch' && item.kind !== 'countdown')) {
+            throw new Error('unknown timer kind');
+        }
+        const engine = this.createEngine({ mode: item.kind });
+        engine.restore(item.engine);
+        return {
+            id: typeof item.id === 'string' && item.id && !taken.has(item.id) ? item.id : this.newId(taken),
+            kind: item.kind,
+            label: this.normalizeLabel(item.label) || this.defaultLabel(item.kind),
+            color: this.normalizeColor(item.color) || TimerCollection.COLORS[0],
+            alarm: this.normalizeAlarm(item.alarm),
+            engine
+        };
+    }
+
+    /**
+     * Builds an id for a new entry.
+     * @param {Set<string>} [taken] - Ids in use; those of the current entries by default.
+     * @returns {string} An id none of them has.
+     */
+    newId(taken = new Set(this.entries.map(entry => entry.id))) {
+        let id;
+        do {
+            id = `${this.idPrefix}${this.nextId++}`;
+        } while (taken.has(id));
+        return id;
+    }
+
+    /**
+     * Builds a default label such as "Countdown 3".
+     * @param {'stopwatch'|'countdown'} kind - Timer type.
+     * @returns {string} The label.
+     */
+    defaultLabel(kind) {
+        const count = this.entries.filter(entry => entry.kind === kind).length + 1;
+        return this.i18n.t(kind === 'stopwatch' ? 'timers.stopwatchNumber' : 'timers.countdownNumber', { count });
+    }
+
+    /**
+     * Trims a label and limits its length.
+     * @param {*} label - Raw label.
+     * @returns {string} The cleaned label (possibly empty).
+     */
+    normalizeLabel(label) {
+        return typeof label === 'string' ? label.trim().slice(0, 40) : '';
+    }
+
+    /**
+     * Validates a #rrggbb colour.
+     * @param {*} color - Raw colour.
+     * @returns {string|null} The lower-cased colour, or null if invalid.
+     */
+    normalizeColor(color) {
+        return typeof color === 'string' && /^#[0-9a-f]{6}$/i.test(color) ? color.toLowerCase() : null;
+    }
+
+    /**
+     * Checks the shape of an alarm tone name (the alarm engine falls back to
+     * its default tone for names it does not know).
+     * @param {*} alarm - Raw tone name.
+     * @returns {string|null} The name, or null for the default tone.
+     */
+    normalizeAlarm(alarm) {
+        return typeof alarm === 'string' && /^[a-z-]{1,20}$/.test(alarm) ? alarm : null;
+    }
+}
+
+// Allow the collection to be required from Node (unit tests) as well as loaded with a <script> tag
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { TimerCollection };
+}
@@ -0,0 +1,498 @@
+// timer-core.js
+/**
+ * Headless Timer Core
+ *
+ * DOM-free timing logic shared by the gemini and deepseek apps.
+ * Nothing in this file touches `document` or schedules callbacks on its own:
+ * the owning view decides how often to call `tick()` (setInterval,
+ * requestAnimationFrame, or a fake clock in unit tests), and time is read
+ * from an injectable clock so the engine can be driven deterministically
+ * under Node.
+ *
+ * Time model: an engine never adds up per-tick deltas. It stores the time
+ * already consumed by finished running segments plus the clock reading at
+ * which the current segment began, and derives elapsed/remaining time from
+ * those on demand. How often (or how late) `tick()` runs therefore has no
+ * effect on accuracy: pausing, resuming and throttled background tabs all
+ * yield exact values.
+ */
+
+/**
+ * TimerEngine Class
+ * A stopwatch (counting up) or countdown (counting down from a duration)
+ * with start/pause/resume/reset and `tick`, `statechange` and `expire` events.
+ * A `sessionend` event reports each run (from the first start to the reset
+ * or expiry that ends it) before its time is cleared. The wall-clock times
+ * of a run's running segments are kept, so its pauses can be exported.
+ * With `overtime` on, an expired countdown goes on counting how far it ran
+ * over (`getOvertime`) until it is reset.
+ */
+class TimerEngine {
+    /**
+     * Lifecycle states of an engine.
+     * `expired` is only reachable in countdown mode.
+     */
+    static STATES = Object.freeze({
+        IDLE: 'idle',
+        RUNNING: 'running',
+        PAUSED: 'paused',
+        EXPIRED: 'expired'
+    });
+
+    /**
+     * Default clock: monotonic `performance.now()`, which is unaffected by
+     * system clock changes (NTP sync, DST, manual edits). Falls back to
+     * `Date.now()` where the Performance API is unavailable.
+     * Any object exposing `now()` in milliseconds can replace it.
+     */
+    static monotonicClock = {
+        now: () => (typeof performance !== 'undefined' && performance.now ? performance.now() : Date.now())
+    };
+
+    /**
+     * Wall clock used only to persist and restore running timers: monotonic
+     * readings restart from zero on every page load, epoch times do not.
+     */
+    static wallClock = { now: () => Date.now() };
+
+    /**
+     * @param {Object} [options]
+     * @param {'stopwatch'|'countdown'} [options.mode='stopwatch'] - Counting direction.
+     * @param {number} [options.duration=0] - Countdown duration in ms (countdown mode only).
+     * @param {{now: function(): number}} [options.clock] - Time source, defaults to `TimerEngine.monotonicClock`.
+     * @param {{now: function(): number}} [options.wallClock] - Epoch time source for `serialize`/`restore`.
+     * @param {boolean} [options.overtime=false] - Count the time past expiry (countdown mode only).
+     */
+    constructor({ mode = 'stopwatch', duration = 0, clock = TimerEngine.monotonicClock, wallClock = TimerEngine.wallClock, overtime = false } = {}) {
+        if (mode !== 'stopwatch' && mode !== 'countdown') {
+            throw new Error(`Unknown timer mode: ${mode}`);
+        }
+
+        this.mode = mode;
+        this.clock = clock;
+        this.wallClock = wallClock;
+        this.state = TimerEngine.STATES.IDLE;
+        this.duration = 0;          // Countdown length in ms (unused by stopwatches)
+        this.consumed = 0;          // Time in ms consumed by running segments that have already ended
+        this.segmentStart = null;   // Clock reading when the current running segment began
+        this.segments = [];         // Wall-clock {start, end} of each running segment since the last reset (end null while running)
+        this.overtime = overtime;   // Whether getOvertime() counts past expiry; may be switched at any time
+        this.expiredAt = null;      // Clock reading when the countdown reached zero, while expired
+        this.listeners = {};        // Event name -> array of listener functions
+
+        if (mode === 'countdown') {
+            this.setDuration(duration);
+        }
+    }
+
+    /**
+     * Subscribes to an engine event.
+     * @param {'tick'|'statechange'|'expire'|'sessionend'} event - Event name.
+     * @param {Function} listener - Called with the event payload.
+     * @returns {Function} A function that removes the listener.
+     */
+    on(event, listener) {
+        if (!this.listeners[event]) {
+            this.listeners[event] = [];
+        }
+        this.listeners[event].push(listener);
+        return () => this.off(event, listener);
+    }
+
+    /**
+     * Removes a previously registered listener.
+     * @param {string} event - Event name.
+     * @param {Function} listener - The listener passed to `on`.
+     */
+    off(event, listener) {
+        if (!this.listeners[event]) return;
+        this.listeners[event] = this.listeners[event].filter(fn => fn !== listener);
+    }
+
+    /**
+     * Notifies every listener of an event.
+     * @param {string} event - Event name.
+     * @param {Object} payload - Data passed to the listeners.
+     */
+    emit(event, payload) {
+        (this.listeners[event] || []).slice().forEach(listener => listener(payload));
+    }
+
+    /**
+     * @returns {boolean} True while the engine is counting.
+     */
+    get isRunning() {
+        return this.state === TimerEngine.STATES.RUNNING;
+    }
+
+    /**
+     * Time counted so far, excluding paused periods.
+     * In countdown mode the value never exceeds the duration.
+     * @returns {number} Elapsed time in ms.
+     */
+    getElapsed() {
+        const current = this.segmentStart === null ? 0 : this.clock.now() - this.segmentStart;
+        const elapsed = this.consumed + Math.max(0, current);
+        return this.mode === 'countdown' ? Math.min(elapsed, this.duration) : elapsed;
+    }
+
+    /**
+     * Time left before a countdown expires.
+     * @returns {number|null} Remaining time in ms, or null in stopwatch mode.
+     */
+    getRemaining() {
+        if (this.mode !== 'countdown') return null;
+        return Math.max(0, this.duration - this.getElapsed());
+    }
+
+    /**
+     * How far an expired countdown has run over, counted from the moment it
+     * reached zero (not from the late tick that noticed it).
+     * @returns {number} Overtime in ms; 0 unless expired with `overtime` on.
+     */
+    getOvertime() {
+        if (!this.overtime || this.state !== TimerEngine.STATES.EXPIRED || this.expiredAt === null) return 0;
+        return Math.max(0, this.clock.now() - this.expiredAt);
+    }
+
+    /**
+     * @returns {{mode: string, state: string, elapsed: number, remaining: (number|null)}}
+     * The current timing values, as passed to `tick` listeners.
+     */
+    getSnapshot() {
+        return {
+            mode: this.mode,
+            state: this.state,
+            elapsed: this.getElapsed(),
+            remaining: this.getRemaining()
+        };
+    }
+
+    /**
+     * Sets the countdown duration and returns the engine to the idle state.
+     * @param {number} ms - Duration in ms; 0 leaves the countdown unset.
+     */
+    setDuration(ms) {
+        if (this.mode !== 'countdown') {
+            throw new Error('Only countdown timers have a duration');
+        }
+        if (!Number.isFinite(ms) || ms < 0) {
+            throw new Error(`Invalid countdown duration: ${ms}`);
+        }
+        this._endSession('reset');
+        this.duration = ms;
+        this.consumed = 0;
+        this.segmentStart = null;
+        this.expiredAt = null;
+        this._setState(TimerEngine.STATES.IDLE);
+    }
+
+    /**
+     * Starts counting from idle, or resumes from paused.
+     * @returns {boolean} False if the engine was already running.
+     */
+    start() {
+        if (this.isRunning) return false;
+        if (this.state === TimerEngine.STATES.EXPIRED) {
+            throw new Error('Countdown has expired; reset it before starting again');
+        }
+        if (this.mode === 'countdown' && this.duration <= 0) {
+            throw new Error('Countdown duration is not set');
+        }
+
+        this.segments.push({ start: this.wallClock.now(), end: null });
+        this.segmentStart = this.clock.now();
+        this._setState(TimerEngine.STATES.RUNNING);
+        return true;
+    }
+
+    /**
+     * Pauses a running engine, keeping the time counted so far.
+     * @returns {boolean} False if the engine was not running.
+     */
+    pause() {
+        if (!this.isRunning) return false;
+
+        this.consumed += this.clock.now() - this.segmentStart;
+        this.segmentStart = null;
+        this._closeSegment(0);
+        this._setState(TimerEngine.STATES.PAUSED);
+        return true;
+    }
+
+    /**
+     * Resumes a paused engine.
+     * @returns {boolean} False if the engine was not paused.
+     */
+    resume() {
+        if (this.state !== TimerEngine.STATES.PAUSED) return false;
+        return this.start();
+    }
+
+    /**
+     * Jumps to a given elapsed time, keeping the current state (used to skip
+     * or restart phases of a sequence). Seeking a countdown to its duration
+     * expires it immediately.
+     * @param {number} ms - New elapsed time in ms.
+     */
+    seek(ms) {
+        if (!Number.isFinite(ms) || ms < 0) {
+            throw new Error(`Invalid seek position: ${ms}`);
+        }
+        if (this.state === TimerEngine.STATES.EXPIRED) {
+            throw new Error('Countdown has expired; reset it before seeking');
+        }
+
+        if (this.mode === 'countdown' && ms >= this.duration) {
+            this.consumed = this.duration;
+            this.segmentStart = null;
+            this.expiredAt = this.clock.now();
+            this._closeSegment(0);
+            this._setState(TimerEngine.STATES.EXPIRED);
+            this._endSession('expire');
+            this.emit('expire', this.getSnapshot());
+            return;
+        }
+
+        this.consumed = ms;
+        this.segmentStart = this.isRunning ? this.clock.now() : null;
+    }
+
+    /**
+     * Stops counting and clears the elapsed time.
+     * A countdown keeps its duration and can be started again.
+     */
+    reset() {
+        this._endSession('reset');
+        this.consumed = 0;
+        this.segmentStart = null;
+        this.expiredAt = null;
+        this._setState(TimerEngine.STATES.IDLE);
+    }
+
+    /**
+     * Describes the current run for exports.
+     * @returns {{mode: string, state: string, elapsed: number, duration: (number|null), segments: Array<{start: number, end: (number|null)}>}}
+     * Timing values and the wall-clock running segments (empty before the first start).
+     */
+    getRun() {
+        return {
+            mode: this.mode,
+            state: this.state,
+            elapsed: this.getElapsed(),
+            duration: this.mode === 'countdown' ? this.duration : null,
+            segments: this.segments.map(segment => ({ ...segment }))
+        };
+    }
+
+    /**
+     * Captures the engine state as plain JSON-safe data.
+     * A running segment is stored as the wall-clock epoch at which it began,
+     * so the time that passes while the page is closed is still counted;
+     * the moment an expired countdown reached zero is stored the same way.
+     * @returns {{mode: string, state: string, duration: number, consumed: number, startedAt: (number|null), expiredAt: (number|null), segments: Array<Object>}}
+     */
+    serialize() {
+        const toEpoch = reading => (reading === null ? null : this.wallClock.now() - (this.clock.now() - reading));
+        return {
+            mode: this.mode,
+            state: this.state,
+            duration: this.duration,
+            consumed: this.consumed,
+            startedAt: toEpoch(this.segmentStart),
+            expiredAt: toEpoch(this.expiredAt),
+            segments: this.segments.map(segment => ({ ...segment }))
+        };
+    }
+
+    /**
+     * Restores a state produced by `serialize`.
+     * A running countdown that should have ended meanwhile is left running
+     * past its duration; the next `tick()` reports it as expired.
+     * @param {Object} data - Serialized engine state.
+     */
+    restore(data) {
+        const states = Object.values(TimerEngine.STATES);
+        if (!data || data.mode !== this.mode || !states.includes(data.state)) {
+            throw new Error('Invalid saved timer state');
+        }
+        if (!Number.isFinite(data.duration) || data.duration < 0 || !Number.isFinite(data.consumed) || data.consumed < 0) {
+            throw new Error('Invalid saved timer values');
+        }
+        if (data.state === TimerEngine.STATES.RUNNING && !Number.isFinite(data.startedAt)) {
+            throw new Error('Saved running timer has no start time');
+        }
+
+        this.duration = this.mode === 'countdown' ? data.duration : 0;
+        this.consumed = data.consumed;
+        this.segmentStart = null;
+        if (data.state === TimerEngine.STATES.RUNNING) {
+            // Translate the saved epoch into this page's clock
+            const sinceStart = Math.max(0, this.wallClock.now() - data.startedAt);
+            this.segmentStart = this.clock.now() - sinceStart;
+        }
+        this.segments = this.restoreSegments(data);
+        this.expiredAt = null;
+        if (data.state === TimerEngine.STATES.EXPIRED) {
+            // States saved before expiredAt was kept: the last segment ended at expiry
+            const last = this.segments[this.segments.length - 1];
+            const expiredAt = Number.isFinite(data.expiredAt) ? data.expiredAt : (last && last.end);
+            if (Number.isFinite(expiredAt)) {
+                this.expiredAt = this.clock.now() - Math.max(0, this.wallClock.now() - expiredAt);
+            }
+        }
+        this._setState(data.state);
+    }
+
+    /**
+     * Samples the clock and notifies listeners.
+     * Emits `tick` while running and, when a countdown reaches zero,
+     * switches to `expired` and emits `expire` exactly once.
+     */
+    tick() {
+        if (!this.isRunning) return;
+
+        if (this.mode === 'countdown' && this.getElapsed() >= this.duration) {
+            // The countdown ended before this (possibly late) tick: date the segment end exactly
+            const overshoot = this.consumed + (this.clock.now() - this.segmentStart) - this.duration;
+            this.consumed = this.duration;
+            this.segmentStart = null;
+            this.expiredAt = this.clock.now() - overshoot;
+            this._closeSegment(overshoot);
+            this.emit('tick', this.getSnapshot());
+            this._setState(TimerEngine.STATES.EXPIRED);
+            this._endSession('expire');
+            this.emit('expire', this.getSnapshot());
+            return;
+        }
+
+        this.emit('tick', this.getSnapshot());
+    }
+
+    /**
+     * Emits `sessionend` for the current run, if one was started. A reset also
+     * discards the run's segments; an expired countdown keeps them (its result
+     * can still be exported) and is not reported again when it is reset.
+     * @param {'reset'|'expire'} reason - What ended the run.
+     */
+    _endSession(reason) {
+        const reported = reason === 'reset' && this.state === TimerEngine.STATES.EXPIRED;
+        if (this.segments.length > 0 && !reported) {
+            // The run ended when it last stopped counting (a paused run may be reset much later)
+            const last = this.segments[this.segments.length - 1];
+            this.emit('sessionend', {
+                ...this.getRun(),
+                reason,
+                startedAt: this.segments[0].start,
+                endedAt: last.end === null ? this.wallClock.now() : last.end
+            });
+        }
+        if (reason === 'reset') {
+            this.segments = [];
+        }
+    }
+
+    /**
+     * Ends the open running segment, if any.
+     * @param {number} ago - How long before now (in ms) the segment actually ended.
+     */
+    _closeSegment(ago) {
+        const last = this.segments[this.segments.length - 1];
+        if (last && last.end === null) {
+            last.end = this.wallClock.now() - Math.max(0, ago);
+        }
+    }
+
+    /**
+     * Reads the running segments of a serialized state. States saved before
+     * segments were kept get a single segment estimated from the time counted.
+     * @param {Object} data - Serialized engine state (already validated).
+     * @returns {Array<{start: number, end: (number|null)}>} The segments.
+     */
+    restoreSegments(data) {
+        const valid = Array.isArray(data.segments) && data.segments.every(segment =>
+            segment && Number.isFinite(segment.start) && (segment.end === null || Number.isFinite(segment.end)));
+        if (valid) {
+            return data.segments.map(({ start, end }) => ({ start, end }));
+        }
+        if (data.state === TimerEngine.STATES.IDLE || data.state === TimerEngine.STATES.EXPIRED) {
+            return [];
+        }
+
+        const start = Number.isFinite(data.sessionStartedAt) ? data.sessionStartedAt : this.wallClock.now() - this.getElapsed();
+        return [{ start, end: data.state === TimerEngine.STATES.RUNNING ? null : start + data.consumed }];
+    }
+
+    /**
+     * Changes the lifecycle state and emits `statechange` when it differs.
+     * @param {string} next - One of `TimerEngine.STATES`.
+     */
+    _setState(next) {
+        const previous = this.state;
+        if (previous === next) return;
+        this.state = next;
+        this.emit('statechange', { from: previous, to: next });
+    }
+}
+
+/**
+ * LapRecorder Class
+ * Pure lap model for stopwatches: records each lap's duration together with
+ * the cumulative split time, and identifies the fastest and slowest laps.
+ */
+class LapRecorder {
+    constructor() {
+        // Recorded laps in chronological order: { number, lapTime, splitTime }
+        this.laps = [];
+    }
+
+    /**
+     * Records a new lap at the given cumulative split time.
+     * @param {number} splitTime - Total elapsed stopwatch time in ms when the lap was taken.
+     * @returns {{number: number, lapTime: number, splitTime: number}} The recorded lap.
+     */
+    record(splitTime) {
+        // The lap duration is the time elapsed since the previous split (or since zero)
+        const previousSplit = this.laps.length > 0 ? this.laps[this.laps.length - 1].splitTime : 0;
+        if (splitTime < previousSplit) {
+            throw new Error('Split time cannot be earlier than the previous lap.');
+        }
+        const lap = {
+            number: this.laps.length + 1,
+            lapTime: splitTime - previousSplit,
+            splitTime
+        };
+        this.laps.push(lap);
+        return lap;
+    }
+
+    /**
+     * Finds the fastest and slowest laps.
+     * Only meaningful with two or more laps; otherwise both are null.
+     * @returns {{fastest: number|null, slowest: number|null}} Lap numbers of the extremes.
+     */
+    getExtremes() {
+        if (this.laps.length < 2) {
+            return { fastest: null, slowest: null };
+        }
+        let fastest = this.laps[0];
+        let slowest = this.laps[0];
+        this.laps.forEach(lap => {
+            if (lap.lapTime < fastest.lapTime) fastest = lap;
+            if (lap.lapTime > slowest.lapTime) slowest = lap;
+        });
+        return { fastest: fastest.number, slowest: slowest.number };
+    }
+
+    /**
+     * Removes all recorded laps.
+     */
+    clear() {
+        this.laps = [];
+    }
+}
+
+// Allow the core to be required from Node (unit tests) as well as loaded with a <script> tag
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { TimerEngine, LapRecorder };
+}
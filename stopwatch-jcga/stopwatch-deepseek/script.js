@@ -8,14 +8,37 @@
 
 /**
  * Base Timer Class
- * Implements common timer functionality
+ * Implements common timer functionality on top of the shared headless
+ * TimerEngine (../shared/timer-core.js), ticked by a TickScheduler
+ * (../shared/tick-scheduler.js) while running
  */
 class Timer {
-    constructor() {
-        this.startTime = 0;
-        this.elapsedTime = 0;
-        this.isRunning = false;
-        this.animationFrame = null;
+    /**
+     * @param {string} mode - Engine mode (stopwatch|countdown)
+     * @param {TickScheduler} scheduler - Scheduler that ticks the engine
+     * @param {I18n} [i18n] - Translates the error messages (English by default)
+     */
+    constructor(mode = 'stopwatch', scheduler, i18n = new I18n()) {
+        this.engine = new TimerEngine({ mode });
+        this.scheduler = scheduler;
+        this.i18n = i18n;
+        this.tickId = null;
+    }
+    
+    /**
+     * Whether the timer is currently running
+     * @returns {boolean} True while running
+     */
+    get isRunning() {
+        return this.engine.isRunning;
+    }
+    
+    /**
+     * Time counted so far, excluding pauses
+     * @returns {number} Elapsed time in milliseconds
+     */
+    get elapsedTime() {
+        return this.engine.getElapsed();
     }
     
     /**
@@ -27,9 +50,8 @@ class Timer {
             return;
         }
         
-        this.isRunning = true;
-        this.startTime = Date.now() - this.elapsedTime;
-        this._update();
+        this.engine.start();
+        this._startTicking();
     }
     
     /**
@@ -41,52 +63,62 @@ class Timer {
             return;
         }
         
-        this.isRunning = false;
-        if (this.animationFrame) {
-            cancelAnimationFrame(this.animationFrame);
-            this.animationFrame = null;
-        }
+        this.engine.pause();
+        this._stopTicking();
     }
     
     /**
      * Resets the timer
      */
     reset() {
-        this.stop();
-        this.elapsedTime = 0;
+        this._stopTicking();
+        this.engine.reset();
+    }
+    
+    /**
+     * Serializes the timer state for persistence
+     * @returns {Object} Serialized timer state
+     */
+    serialize() {
+        return this.engine.serialize();
     }
     
     /**
-     * Internal update method for animation frame
+     * Restores a serialized timer state, resuming the update loop if it was running
+     * @param {Object} data - State produced by serialize()
      */
-    _update() {
+    restore(data) {
+        this._stopTicking();
+        this.engine.restore(data);
+        this._startTicking();
+    }
+    
+    /**
+     * Ticks the engine on every frame until it stops running
+     */
+    _startTicking() {
         if (!this.isRunning) return;
-        
-        this.elapsedTime = Date.now() - this.startTime;
-        
-        this.animationFrame = requestAnimationFrame(() => this._update());
+        this._stopTicking();
+        this.tickId = this.scheduler.start(() => {
+            this.engine.tick();
+            if (!this.isRunning) this._stopTicking();
+        }, () => this._nextDeadline());
     }
     
     /**
-     * Formats time to HH:MM:SS.mmm format
-     * @param {number} ms - Time in milliseconds
-     * @returns {Object} Formatted time components
-     */
-    static formatTime(ms) {
-        const totalSeconds = Math.floor(ms / 1000);
-        const hours = Math.floor(totalSeconds / 3600).toString().padStart(2, '0');
-        const minutes = Math.floor((totalSeconds % 3600) / 60).toString().padStart(2, '0');
-        const seconds = (totalSeconds % 60).toString().padStart(2, '0');
-        const milliseconds = (ms % 1000).toString().padStart(3, '0');
-        
-        return {
-            hours,
-            minutes,
-            seconds,
-            milliseconds,
-            formatted: `${hours}:${minutes}:${seconds}`,
-            fullFormatted: `${hours}:${minutes}:${seconds}.${milliseconds}`
-        };
+     * Stops ticking the engine, if it was
+     */
+    _stopTicking() {
+        this.scheduler.stop(this.tickId);
+        this.tickId = null;
+    }
+    
+    /**
+     * Time until the engine must be ticked even in a hidden tab
+     * @returns {number|null} Time in milliseconds, or null when nothing is due
+     */
+    _nextDeadline() {
+        return null;
     }
 }
 
@@ -95,24 +127,66 @@ class Timer {
  * Extends the base Timer functionality
  */
 class Stopwatch extends Timer {
-    constructor() {
-        super();
+    /**
+     * @param {TickScheduler} scheduler - Scheduler that ticks the stopwatch
+     * @param {I18n} [i18n] - Translates the error messages
+     */
+    constructor(scheduler, i18n) {
+        super('stopwatch', scheduler, i18n);
+        this.lapRecorder = new LapRecorder();
     }
     
     /**
-     * Gets the current formatted time
-     * @returns {string} Formatted time string
+     * Laps recorded so far, in chronological order
+     * @returns {Array<Object>} Laps ({ number, lapTime, splitTime })
      */
-    getTime() {
-        return Timer.formatTime(this.elapsedTime).formatted;
+    get laps() {
+        return this.lapRecorder.laps;
     }
     
     /**
-     * Gets the current formatted time with milliseconds
-     * @returns {string} Formatted time string with milliseconds
+     * Records a lap at the current elapsed time
+     * @returns {Object} The recorded lap ({ number, lapTime, splitTime })
      */
-    getTimeWithMs() {
-        return Timer.formatTime(this.elapsedTime).fullFormatted;
+    lap() {
+        if (!this.isRunning) {
+            throw new Error(this.i18n.t('stopwatch.lapNotRunning'));
+        }
+        
+        return this.lapRecorder.record(this.elapsedTime);
+    }
+    
+    /**
+     * Finds the fastest and slowest laps (requires at least two laps)
+     * @returns {Object} Lap numbers of the extremes ({ fastest, slowest }), null when not applicable
+     */
+    getLapExtremes() {
+        return this.lapRecorder.getExtremes();
+    }
+    
+    /**
+     * Resets the stopwatch and discards recorded laps
+     */
+    reset() {
+        super.reset();
+        this.lapRecorder.clear();
+    }
+    
+    /**
+     * Serializes the stopwatch state, including laps
+     * @returns {Object} Serialized stopwatch state
+     */
+    serialize() {
+        return { ...super.serialize(), laps: this.laps };
+    }
+    
+    /**
+     * Restores a serialized stopwatch state, including laps
+     * @param {Object} data - State produced by serialize()
+     */
+    restore(data) {
+        super.restore(data);
+        this.lapRecorder.laps = Array.isArray(data.laps) ? data.laps : [];
     }
 }
 
@@ -120,117 +194,88 @@ class Stopwatch extends Timer {
  * CountdownTimer Class
  * Implements countdown functionality
  */
-class CountdownTimer {
-    constructor() {
-        this.initialTime = 0;
-        this.remainingTime = 0;
-        this.isRunning = false;
-        this.startTime = 0;
-        this.animationFrame = null;
-        this.hasExpired = false;
-    }
-    
+class CountdownTimer extends Timer {
     /**
-     * Sets the countdown time
-     * @param {number} ms - Time in milliseconds
+     * @param {TickScheduler} scheduler - Scheduler that ticks the countdown
+     * @param {I18n} [i18n] - Translates the error messages
      */
-    setTime(ms) {
-        if (ms <= 0) {
-            throw new Error('Countdown time must be positive');
-        }
-        
-        this.initialTime = ms;
-        this.remainingTime = ms;
-        this.hasExpired = false;
+    constructor(scheduler, i18n) {
+        super('countdown', scheduler, i18n);
+        this.warnings = null;
     }
     
     /**
-     * Starts the countdown
+     * Fires the given warning thresholds as the countdown nears zero
+     * @param {CountdownWarnings} warnings - Warning thresholds
      */
-    start() {
-        if (this.isRunning) {
-            console.warn('Countdown is already running');
-            return;
-        }
-        
-        if (this.remainingTime <= 0) {
-            console.warn('Countdown time is not set or expired');
-            return;
-        }
-        
-        this.isRunning = true;
-        this.startTime = Date.now();
-        this.hasExpired = false;
-        this._update();
+    useWarnings(warnings) {
+        this.warnings = warnings;
+        warnings.watch(this.engine, 'countdown');
     }
     
     /**
-     * Stops/pauses the countdown
+     * The countdown must warn and expire on time, even in a hidden tab
+     * @returns {number|null} Time in milliseconds until the next warning or the expiry, or null when not running
      */
-    stop() {
-        if (!this.isRunning) {
-            console.warn('Countdown is not running');
-            return;
-        }
-        
-        this.isRunning = false;
-        if (this.animationFrame) {
-            cancelAnimationFrame(this.animationFrame);
-            this.animationFrame = null;
-        }
+    _nextDeadline() {
+        if (!this.isRunning) return null;
+        const warning = this.warnings ? this.warnings.nextIn(this.remainingTime) : null;
+        return warning === null ? this.remainingTime : Math.min(this.remainingTime, warning);
     }
     
     /**
-     * Resets the countdown to initial time
+     * The time the countdown was set to
+     * @returns {number} Initial time in milliseconds
      */
-    reset() {
-        this.stop();
-        this.remainingTime = this.initialTime;
-        this.hasExpired = false;
+    get initialTime() {
+        return this.engine.duration;
     }
     
     /**
-     * Clears the countdown
+     * Time left before the countdown expires
+     * @returns {number} Remaining time in milliseconds
      */
-    clear() {
-        this.stop();
-        this.initialTime = 0;
-        this.remainingTime = 0;
-        this.hasExpired = false;
+    get remainingTime() {
+        return this.engine.getRemaining();
     }
     
     /**
-     * Internal update method for animation frame
+     * Sets the countdown time
+     * @param {number} ms - Time in milliseconds
      */
-    _update() {
-        if (!this.isRunning) return;
-        
-        const elapsed = Date.now() - this.startTime;
-        this.remainingTime = Math.max(0, this.initialTime - elapsed);
-        
-        if (this.remainingTime <= 0) {
-            this.isRunning = false;
-            this.remainingTime = 0;
-            this.hasExpired = true;
+    setTime(ms) {
+        if (ms <= 0) {
+            throw new Error(this.i18n.t('countdown.mustBePositive'));
         }
         
-        this.animationFrame = requestAnimationFrame(() => this._update());
+        this._stopTicking();
+        this.engine.setDuration(ms);
     }
     
     /**
-     * Gets the current formatted time
-     * @returns {string} Formatted time string
+     * Starts the countdown
      */
-    getTime() {
-        return Timer.formatTime(this.remainingTime).formatted;
+    start() {
+        if (this.isRunning) {
+            console.warn('Countdown is already running');
+            return;
+        }
+        
+        if (this.remainingTime <= 0) {
+            console.warn('Countdown time is not set or expired');
+            return;
+        }
+        
+        this.engine.start();
+        this._startTicking();
     }
     
     /**
-     * Gets the current formatted time with milliseconds
-     * @returns {string} Formatted time string with milliseconds
+     * Clears the countdown
      */
-    getTimeWithMs() {
-        return Timer.formatTime(this.remainingTime).fullFormatted;
+    clear() {
+        this._stopTicking();
+        this.engine.setDuration(0);
     }
     
     /**
@@ -238,7 +283,7 @@ class CountdownTimer {
      * @returns {boolean} True if countdown has expired
      */
     isExpired() {
-        return this.hasExpired;
+        return this.engine.state === TimerEngine.STATES.EXPIRED;
     }
 }
 
@@ -253,6 +298,12 @@ class UIController {
         this.stopwatchScreen = document.getElementById('stopwatch-screen');
         this.countdownScreen = document.getElementById('countdown-screen');
         this.alertContainer = document.getElementById('alert-container');
+        this.languageSelect = document.getElementById('language-select');
+        this.themeSelect = document.getElementById('theme-select');
+        this.accentInput = document.getElementById('accent-color');
+        this.accentResetBtn = document.getElementById('accent-reset');
+        this.precisionSelect = document.getElementById('precision-select');
+        this.compactTimeInput = document.getElementById('compact-time');
         
         // Stopwatch elements
         this.stopwatchDisplay = document.getElementById('stopwatch-display');
@@ -260,6 +311,9 @@ class UIController {
         this.pauseStopwatchBtn = document.getElementById('pause-stopwatch');
         this.continueStopwatchBtn = document.getElementById('continue-stopwatch');
         this.clearStopwatchBtn = document.getElementById('clear-stopwatch');
+        this.lapStopwatchBtn = document.getElementById('lap-stopwatch');
+        this.stopwatchLaps = document.getElementById('stopwatch-laps');
+        this.stopwatchLabel = document.getElementById('stopwatch-label');
         this.backFromStopwatchBtn = document.getElementById('back-from-stopwatch');
         
         // Countdown elements
@@ -274,18 +328,186 @@ class UIController {
         this.clearCountdownInputBtn = document.getElementById('clear-countdown-input');
         this.backFromCountdownBtn = document.getElementById('back-from-countdown');
         this.backspaceCountdownBtn = document.getElementById('backspace-countdown');
+        this.countdownTextForm = document.getElementById('countdown-text-form');
+        this.countdownText = document.getElementById('countdown-text');
+        this.countdownLabel = document.getElementById('countdown-label');
+        this.countdownAlarm = document.getElementById('countdown-alarm');
+        this.countdownOvertime = document.getElementById('countdown-overtime');
+        this.countdownRecentGroup = document.getElementById('countdown-recent-group');
+        this.countdownRecent = document.getElementById('countdown-recent');
+        this.countdownPresets = document.getElementById('countdown-presets');
+        this.presetForm = document.getElementById('preset-form');
+        this.presetName = document.getElementById('preset-name');
+        this.presetDuration = document.getElementById('preset-duration');
+        this.exportPresetsBtn = document.getElementById('export-presets');
+        this.importPresetsBtn = document.getElementById('import-presets');
+        this.importPresetsFile = document.getElementById('import-presets-file');
         this.numberButtons = document.querySelectorAll('.number-button:not(#set-countdown):not(#clear-countdown-input):not(#backspace-countdown)');
         
+        // Dashboard elements
+        this.dashboardScreen = document.getElementById('dashboard-screen');
+        this.backFromDashboardBtn = document.getElementById('back-from-dashboard');
+        this.dashboardForm = document.getElementById('dashboard-form');
+        this.dashboardKind = document.getElementById('dashboard-kind');
+        this.dashboardLabel = document.getElementById('dashboard-label');
+        this.dashboardColor = document.getElementById('dashboard-color');
+        this.dashboardDuration = document.getElementById('dashboard-duration');
+        this.dashboardHours = document.getElementById('dashboard-hours');
+        this.dashboardMinutes = document.getElementById('dashboard-minutes');
+        this.dashboardSeconds = document.getElementById('dashboard-seconds');
+        this.dashboardAlarm = document.getElementById('dashboard-alarm');
+        this.dashboardTimers = document.getElementById('dashboard-timers');
+        this.dashboardEmpty = document.getElementById('dashboard-empty');
+        
+        // Interval sequence elements
+        this.sequenceScreen = document.getElementById('sequence-screen');
+        this.backFromSequenceBtn = document.getElementById('back-from-sequence');
+        this.sequenceSetup = document.getElementById('sequence-setup');
+        this.sequenceTemplate = document.getElementById('sequence-template');
+        this.sequenceWork = document.getElementById('sequence-work');
+        this.sequenceRest = document.getElementById('sequence-rest');
+        this.sequenceRounds = document.getElementById('sequence-rounds');
+        this.sequenceLongBreak = document.getElementById('sequence-long-break');
+        this.sequenceRun = document.getElementById('sequence-run');
+        this.sequencePhase = document.getElementById('sequence-phase');
+        this.sequenceRound = document.getElementById('sequence-round');
+        this.sequenceDisplay = document.getElementById('sequence-display');
+        this.sequenceTotal = document.getElementById('sequence-total');
+        this.sequenceToggleBtn = document.getElementById('sequence-toggle');
+        this.sequenceSkipBtn = document.getElementById('sequence-skip');
+        this.sequenceRestartBtn = document.getElementById('sequence-restart');
+        this.sequenceStopBtn = document.getElementById('sequence-stop');
+        
+        // History elements
+        this.historyScreen = document.getElementById('history-screen');
+        this.backFromHistoryBtn = document.getElementById('back-from-history');
+        this.historyFilterSelect = document.getElementById('history-filter');
+        this.historyToday = document.getElementById('history-today');
+        this.historyWeek = document.getElementById('history-week');
+        this.historyDays = document.getElementById('history-days');
+        this.historyWeeks = document.getElementById('history-weeks');
+        this.historyList = document.getElementById('history-list');
+        this.historyEmpty = document.getElementById('history-empty');
+        this.clearHistoryBtn = document.getElementById('clear-history');
+        this.importRunsBtn = document.getElementById('import-runs');
+        this.importRunsFile = document.getElementById('import-runs-file');
+        
+        // Run export elements
+        this.exportStopwatchCsvBtn = document.getElementById('export-stopwatch-csv');
+        this.exportStopwatchJsonBtn = document.getElementById('export-stopwatch-json');
+        this.exportCountdownCsvBtn = document.getElementById('export-countdown-csv');
+        this.exportCountdownJsonBtn = document.getElementById('export-countdown-json');
+        this.presentStopwatchBtn = document.getElementById('present-stopwatch');
+        this.presentCountdownBtn = document.getElementById('present-countdown');
+        
+        // Alarm elements
+        this.alarmPanel = document.getElementById('alarm-panel');
+        this.alarmList = document.getElementById('alarm-list');
+        this.updateBanner = document.getElementById('update-banner');
+        this.updateReloadBtn = document.getElementById('update-reload');
+        this.updateLaterBtn = document.getElementById('update-later');
+        this.alarmTone = document.getElementById('alarm-tone');
+        this.alarmVolume = document.getElementById('alarm-volume');
+        this.alarmRepeat = document.getElementById('alarm-repeat');
+        this.alarmEscalate = document.getElementById('alarm-escalate');
+        this.alarmTestBtn = document.getElementById('alarm-test');
+        this.warningList = document.getElementById('warning-list');
+        this.warningEmpty = document.getElementById('warning-empty');
+        this.warningAddBtn = document.getElementById('warning-add');
+        
+        // Keyboard shortcuts help elements
+        this.shortcutsOverlay = document.getElementById('shortcuts-overlay');
+        this.shortcutsList = document.getElementById('shortcuts-list');
+        this.shortcutsResetBtn = document.getElementById('shortcuts-reset');
+        this.shortcutsCloseBtn = document.getElementById('shortcuts-close');
+        
+        // Persistence (timer state and current screen survive page reloads)
+        this.store = new StateStore('stopwatch-deepseek');
+        this.currentScreen = 'home';
+        
+        // Translations: the saved language, else the browser's preferred one, else English.
+        // The page is translated before anything reads its text (e.g. the tab title).
+        this.i18n = new I18n({ store: this.store, languages: navigator.languages || [navigator.language] });
+        this.i18n.translatePage(document);
+        
+        // Colour theme: the saved choice, else the operating system's light/dark and contrast settings
+        this.themeManager = new ThemeManager({ store: this.store });
+        
+        // How times are shown (precision, hidden zero hours, days)
+        this.timeFormat = new TimeFormat({ store: this.store, i18n: this.i18n });
+        
+        // Ticking runs in a Worker, so background tabs and a busy page do not hold timers back
+        this.tickScheduler = new TickScheduler({ workerUrl: '../shared/tick-worker.js' });
+        
         // Timer instances
-        this.stopwatch = new Stopwatch();
-        this.countdownTimer = new CountdownTimer();
+        this.stopwatch = new Stopwatch(this.tickScheduler, this.i18n);
+        this.countdownTimer = new CountdownTimer(this.tickScheduler, this.i18n);
+        this.timerCollection = new TimerCollection({ i18n: this.i18n });
+        this.dashboardEngines = new WeakSet();
+        this.sequenceRunner = null;
+        
+        // The current screen is kept in the URL hash ("#/stopwatch"), so Back/Forward and bookmarks work
+        this.router = new HashRouter({ views: ['home', 'stopwatch', 'countdown', 'dashboard', 'sequence', 'history'] });
+        
+        // Keyboard shortcuts (press ? for the list) with user-defined keys
+        this.keyBindings = new KeyBindings(this.store, this.i18n);
+        this.rebindingAction = null;
         
         // Initialize time input
         this.inputSequence = '';
         
-        // Expiration flags
-        this.stopwatchExpired = false;
-        this.countdownExpired = false;
+        // Typed durations ("1h 30m", "1:30", "until 14:45"); maxMs also limits the keypad
+        this.durationParser = new DurationParser({ maxMs: DurationParser.DEFAULT_MAX_MS, i18n: this.i18n });
+        
+        // Countdown presets and recently set durations
+        this.presetStore = new PresetStore({ store: this.store, maxMs: this.durationParser.maxMs, i18n: this.i18n });
+        
+        // Log of finished stopwatch runs and countdowns (History screen)
+        this.historyStore = new HistoryStore({ store: this.store });
+        this.historyFilter = null;
+        
+        // CSV/JSON export of runs; the last finished run stays exportable after Clear
+        // Exported files always hold the full HH:MM:SS.mmm time, whatever format the screens show
+        const exportFormat = new TimeFormat({ i18n: this.i18n });
+        this.runExporter = new RunExporter({ formatTime: ms => exportFormat.format(ms), i18n: this.i18n });
+        this.lastRuns = { stopwatch: null, countdown: null };
+        
+        // Other tabs of the app: timers, alarms and history saved in one are applied in the others
+        this.tabSync = new TabSync({ store: this.store });
+        
+        // Alarms for expired countdowns; they ring until dismissed, even across reloads.
+        // With several tabs open, only one of them plays the sound, preferably one whose audio the user has unlocked.
+        this.alarmEngine = new AlarmEngine({ store: this.store, audible: () => this.tabSync.isLeader });
+        this.tabSync.useAudio(() => this.alarmEngine.canPlay);
+        this.alarmEngine.on('unlock', () => this.tabSync.announce());
+        
+        // Warnings as a countdown nears zero: display colour, pulse and a short cue
+        this.countdownWarnings = new CountdownWarnings({ store: this.store, alarmEngine: this.alarmEngine, i18n: this.i18n });
+        
+        // Countdowns expiring in a background tab get a system notification (Pause/Restart buttons)
+        this.expiryNotifier = new ExpiryNotifier({ serviceWorkerUrl: '../shared/notification-sw.js', i18n: this.i18n });
+        
+        // The service worker keeps the app working offline and downloads new versions
+        this.appUpdater = new AppUpdater({ serviceWorkerUrl: 'sw.js' });
+        
+        // Fullscreen presentation of the stopwatch or the countdown (projectors, wall screens)
+        this.presentation = new PresentationMode();
+        
+        // Screen reader announcements; created once the saved state is restored, so it is not announced
+        this.announcer = null;
+        
+        // Public API (window.TimerApp) and timer:* events; also created once the saved state is restored
+        this.timerApi = null;
+        
+        // Running time in the tab title and a progress badge as the favicon
+        this.tabStatus = new TabStatus({
+            sources: [
+                () => TabStatus.fromEngine(this.countdownTimer.engine, this.countdownLabel.value.trim() || this.i18n.t('timers.countdown')),
+                () => TabStatus.fromEngine(this.stopwatch.engine, this.stopwatchLabel.value.trim() || this.i18n.t('timers.stopwatch')),
+                () => TabStatus.pick(this.timerCollection.entries.map(entry => TabStatus.fromEngine(entry.engine, entry.label)))
+            ],
+            i18n: this.i18n
+        });
         
         // Initialize UI
         this._init();
@@ -295,17 +517,52 @@ class UIController {
      * Initializes event listeners
      */
     _init() {
+        // Language switcher on the home screen, listing every loaded catalog by its own name
+        I18n.locales.forEach(locale => {
+            const option = document.createElement('option');
+            option.value = locale;
+            option.textContent = I18n.catalogs[locale].language;
+            this.languageSelect.appendChild(option);
+        });
+        this.languageSelect.value = this.i18n.locale;
+        this.languageSelect.addEventListener('change', () => this.i18n.setLocale(this.languageSelect.value));
+        this.i18n.onChange(() => this._applyLanguage());
+        
+        // Theme and accent colour pickers on the home screen
+        this.themeSelect.value = this.themeManager.choice;
+        this.accentInput.value = this.themeManager.accent || ThemeManager.DEFAULT_ACCENT;
+        this.themeSelect.addEventListener('change', () => this.themeManager.setTheme(this.themeSelect.value));
+        this.accentInput.addEventListener('input', () => this.themeManager.setAccent(this.accentInput.value));
+        this.accentResetBtn.addEventListener('click', () => {
+            this.themeManager.setAccent(null);
+            this.accentInput.value = ThemeManager.DEFAULT_ACCENT;
+        });
+        
+        // Time format pickers on the home screen
+        this.precisionSelect.value = this.timeFormat.precision;
+        this.compactTimeInput.checked = this.timeFormat.layout === 'auto';
+        this.precisionSelect.addEventListener('change', () => this.timeFormat.setPrecision(this.precisionSelect.value));
+        this.compactTimeInput.addEventListener('change', () => this.timeFormat.setLayout(this.compactTimeInput.checked ? 'auto' : 'fixed'));
+        this.timeFormat.onChange(() => this._applyTimeFormat());
+        
         // Navigation
         document.getElementById('stopwatch-card').addEventListener('click', () => this.showScreen('stopwatch'));
         document.getElementById('countdown-card').addEventListener('click', () => this.showScreen('countdown'));
         this.backFromStopwatchBtn.addEventListener('click', () => this.showScreen('home'));
         this.backFromCountdownBtn.addEventListener('click', () => this.showScreen('home'));
+        document.getElementById('dashboard-card').addEventListener('click', () => this.showScreen('dashboard'));
+        this.backFromDashboardBtn.addEventListener('click', () => this.showScreen('home'));
+        document.getElementById('sequence-card').addEventListener('click', () => this.showScreen('sequence'));
+        this.backFromSequenceBtn.addEventListener('click', () => this.showScreen('home'));
+        document.getElementById('history-card').addEventListener('click', () => this.showScreen('history'));
+        this.backFromHistoryBtn.addEventListener('click', () => this.showScreen('home'));
         
         // Stopwatch controls
         this.startStopwatchBtn.addEventListener('click', () => this.startStopwatch());
         this.pauseStopwatchBtn.addEventListener('click', () => this.pauseStopwatch());
         this.continueStopwatchBtn.addEventListener('click', () => this.continueStopwatch());
         this.clearStopwatchBtn.addEventListener('click', () => this.clearStopwatch());
+        this.lapStopwatchBtn.addEventListener('click', () => this.recordLap());
         
         // Countdown controls
         this.setCountdownBtn.addEventListener('click', () => this.setCountdownTime());
@@ -315,19 +572,236 @@ class UIController {
         this.continueCountdownBtn.addEventListener('click', () => this.continueCountdown());
         this.clearCountdownBtn.addEventListener('click', () => this.clearCountdown());
         this.backspaceCountdownBtn.addEventListener('click', () => this.handleBackspace());
+        this.countdownTextForm.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.setCountdownFromText(this.countdownText.value);
+        });
         
         // Number buttons
         this.numberButtons.forEach(button => {
             button.addEventListener('click', (e) => this.handleNumberInput(e.target.textContent));
         });
         
-        // Start update loop
+        // Presets and recent durations
+        this.countdownRecent.addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-duration]');
+            if (button) this.startCountdownWithDuration(Number(button.dataset.duration));
+        });
+        this.countdownPresets.addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-action]');
+            if (button) {
+                this.handlePresetAction(button.closest('[data-id]').dataset.id, button.dataset.action);
+            }
+        });
+        this.countdownPresets.addEventListener('change', (e) => this.handlePresetEdit(e.target));
+        this.presetForm.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.addPreset();
+        });
+        this.exportPresetsBtn.addEventListener('click', () => this.exportPresets());
+        this.importPresetsBtn.addEventListener('click', () => this.importPresetsFile.click());
+        this.importPresetsFile.addEventListener('change', () => {
+            const file = this.importPresetsFile.files[0];
+            this.importPresetsFile.value = '';
+            if (file) file.text().then(text => this.importPresets(text));
+        });
+        this.presetStore.onChange(() => this.renderPresets());
+        this.renderPresets();
+        
+        // Dashboard controls
+        this.dashboardKind.addEventListener('change', () => {
+            this.dashboardDuration.classList.toggle('hidden', this.dashboardKind.value !== 'countdown');
+        });
+        this.dashboardForm.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.addDashboardTimer();
+        });
+        this.dashboardTimers.addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-action]');
+            if (button) {
+                this.handleDashboardAction(button.closest('[data-id]').dataset.id, button.dataset.action);
+            }
+        });
+        this.dashboardTimers.addEventListener('change', (e) => this.handleDashboardEdit(e.target));
+        this.timerCollection.onChange(() => {
+            this.renderDashboard();
+            this._saveState();
+        });
+        
+        // Interval sequence controls
+        this.sequenceTemplate.addEventListener('change', () => this._fillSequenceTemplate(this.sequenceTemplate.value));
+        this.sequenceSetup.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.startSequence();
+        });
+        this.sequenceToggleBtn.addEventListener('click', () => this.toggleSequence());
+        this.sequenceSkipBtn.addEventListener('click', () => this.skipSequencePhase());
+        this.sequenceRestartBtn.addEventListener('click', () => this.restartSequencePhase());
+        this.sequenceStopBtn.addEventListener('click', () => this.stopSequence());
+        this._fillSequenceTemplate(this.sequenceTemplate.value);
+        
+        // Session history (labels are saved with the timer state)
+        this.stopwatchLabel.addEventListener('change', () => this._saveState());
+        this.countdownLabel.addEventListener('change', () => this._saveState());
+        this.historyFilterSelect.addEventListener('change', () => {
+            this.historyFilter = JSON.parse(this.historyFilterSelect.value);
+            this.renderHistory();
+        });
+        this.historyList.addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-action="delete"]');
+            if (button) this.deleteHistoryEntry(button.closest('[data-id]').dataset.id);
+        });
+        this.clearHistoryBtn.addEventListener('click', () => this.clearHistory());
+        this.historyStore.onChange(() => this.renderHistory());
+        this.importRunsBtn.addEventListener('click', () => this.importRunsFile.click());
+        this.importRunsFile.addEventListener('change', () => {
+            const file = this.importRunsFile.files[0];
+            this.importRunsFile.value = '';
+            if (file) file.text().then(text => this.importRuns(text));
+        });
+        
+        // Run export
+        this.exportStopwatchCsvBtn.addEventListener('click', () => this.exportRun('stopwatch', 'csv'));
+        this.exportStopwatchJsonBtn.addEventListener('click', () => this.exportRun('stopwatch', 'json'));
+        this.exportCountdownCsvBtn.addEventListener('click', () => this.exportRun('countdown', 'csv'));
+        this.exportCountdownJsonBtn.addEventListener('click', () => this.exportRun('countdown', 'json'));
+        this.presentStopwatchBtn.addEventListener('click', () => this.togglePresentation('stopwatch'));
+        this.presentCountdownBtn.addEventListener('click', () => this.togglePresentation('countdown'));
+        this.stopwatch.engine.on('sessionend', run => {
+            this.lastRuns.stopwatch = { run, details: this._runDetails('stopwatch') };
+        });
+        this.countdownTimer.engine.on('sessionend', run => {
+            this.lastRuns.countdown = { run, details: this._runDetails('countdown') };
+        });
+        
+        // Alarms
+        this._fillToneSelect(this.countdownAlarm, true);
+        this._fillToneSelect(this.dashboardAlarm, true);
+        this._fillToneSelect(this.alarmTone);
+        this.countdownAlarm.addEventListener('change', () => this._saveState());
+        this.countdownOvertime.addEventListener('change', () => this.setCountdownOvertime(this.countdownOvertime.checked));
+        this.alarmList.addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-action]');
+            if (!button) return;
+            const id = button.closest('[data-id]').dataset.id;
+            if (button.dataset.action === 'snooze') {
+                this.snoozeAlarm(id, Number(button.dataset.minutes));
+            } else if (button.dataset.action === 'dismiss') {
+                this.dismissAlarm(id);
+            }
+        });
+        this.alarmTone.addEventListener('change', () => this.configureAlarm({ tone: this.alarmTone.value }));
+        this.alarmVolume.addEventListener('change', () => this.configureAlarm({ volume: Number(this.alarmVolume.value) / 100 }));
+        this.alarmRepeat.addEventListener('change', () => this.configureAlarm({ repeat: this.alarmRepeat.checked }));
+        this.alarmEscalate.addEventListener('change', () => this.configureAlarm({ escalate: this.alarmEscalate.checked }));
+        this.alarmTestBtn.addEventListener('click', () => this.alarmEngine.preview(this.alarmTone.value));
+        this.alarmEngine.on('change', () => this.renderAlarms());
+        this.alarmEngine.on('dismiss', ({ id }) => {
+            // Dismissing the countdown's alarm acknowledges the expiry: back to the keypad,
+            // unless it is counting overtime (then only Clear ends it)
+            if (id === 'countdown' && this.countdownTimer.isExpired() && !this.countdownTimer.engine.overtime) {
+                this.countdownTimer.clear();
+                this.resetCountdownUI();
+                this._saveState();
+            }
+        });
+        // Browsers only play sound after a user gesture, so resume the audio on the first one
+        document.addEventListener('pointerdown', () => this.alarmEngine.unlock(), { once: true });
+        document.addEventListener('keydown', () => this.alarmEngine.unlock(), { once: true });
+        this.renderAlarms();
+        
+        // Countdown warnings
+        this.countdownTimer.useWarnings(this.countdownWarnings);
+        this.warningList.addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-action="remove"]');
+            if (button) this.countdownWarnings.remove(Number(button.closest('[data-index]').dataset.index));
+        });
+        this.warningList.addEventListener('change', (e) => this.handleWarningEdit(e.target));
+        this.warningAddBtn.addEventListener('click', () => this.addWarning());
+        this.countdownWarnings.on('change', () => this.renderWarnings());
+        this.renderWarnings();
+        
+        // Keyboard shortcuts
+        document.addEventListener('keydown', (e) => this._handleKeydown(e));
+        this.shortcutsList.addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-action]');
+            if (button) this.startRebinding(button.dataset.action);
+        });
+        this.shortcutsResetBtn.addEventListener('click', () => this.resetShortcuts());
+        this.shortcutsCloseBtn.addEventListener('click', () => this.hideShortcutsHelp());
+        this.shortcutsOverlay.addEventListener('click', (e) => {
+            if (e.target === this.shortcutsOverlay) this.hideShortcutsHelp();
+        });
+        
+        // Countdown expiry is pushed by the engine rather than polled every frame
+        this.countdownTimer.engine.on('expire', () => this._handleCountdownExpired());
+        
+        // Record finished sessions; set up before restoring so a countdown that ran out while closed is logged
+        this.historyStore.track(this.stopwatch.engine, 'stopwatch', {
+            label: () => this.stopwatchLabel.value,
+            laps: () => this.stopwatch.laps
+        });
+        this.historyStore.track(this.countdownTimer.engine, 'countdown', { label: () => this.countdownLabel.value });
+        this.alarmEngine.track(this.countdownTimer.engine, 'countdown', {
+            label: () => this.countdownLabel.value || this.i18n.t('timers.countdown'),
+            tone: () => this.countdownAlarm.value || null
+        });
+        this.expiryNotifier.watch(this.countdownTimer.engine, 'countdown', { label: () => this.countdownLabel.value || this.i18n.t('timers.countdown') });
+        this.expiryNotifier.onAction(({ id, action }) => this.handleNotificationAction(id, action));
+        
+        // Offer a new version once it is downloaded; Later keeps this one until the next visit
+        this.appUpdater.onUpdate(() => this.updateBanner.classList.remove('hidden'));
+        this.updateReloadBtn.addEventListener('click', () => this.appUpdater.apply());
+        this.updateLaterBtn.addEventListener('click', () => this.updateBanner.classList.add('hidden'));
+        
+        // Restore timers saved before the page was reloaded
+        this._restoreState();
+        
+        // Keep the other tabs in step: starting, pausing, clearing or setting a timer,
+        // handling an alarm or logging a session in one tab shows in all of them
+        this.tabSync.follow('state', saved => this._syncState(saved));
+        this.tabSync.follow('alarm', saved => this.alarmEngine.sync(saved));
+        this.tabSync.follow('history', saved => this.historyStore.sync(saved));
+        
+        // Announce starting, pausing, time left and expiry to screen readers from now on
+        this.announcer = new LiveAnnouncer({ i18n: this.i18n });
+        this.announcer.watch(this.stopwatch.engine, { label: () => this.stopwatchLabel.value.trim() || this.i18n.t('timers.stopwatch') });
+        this.announcer.watch(this.countdownTimer.engine, { label: () => this.countdownLabel.value.trim() || this.i18n.t('timers.countdown') });
+        this.timerCollection.entries.forEach(entry => this.announcer.watch(entry.engine, { label: () => entry.label }));
+        
+        // window.TimerApp: scripts on the page, or the page embedding it in an iframe, can drive
+        // the timers and follow their timer:* events (see ../shared/timer-api.js)
+        this.timerApi = new TimerApi({
+            timers: () => this._apiTimers(),
+            create: options => this.timerCollection.create(options).id,
+            setCountdown: (totalMs, { label, autostart }) => {
+                if (label !== undefined) this._setCountdownLabel(label);
+                this._setCountdown(totalMs, autostart);
+            },
+            durationParser: this.durationParser
+        });
+        this.timerApi.watch(this.stopwatch.engine, 'stopwatch');
+        this.timerApi.watch(this.countdownTimer.engine, 'countdown');
+        this.timerCollection.entries.forEach(entry => this.timerApi.watch(entry.engine, entry.id));
+        this.timerApi.expose();
+        
+        // Keep keyboard focus on the buttons as Start, Pause and Continue replace one another
+        new FocusKeeper(this.stopwatchScreen, [this.startStopwatchBtn, this.pauseStopwatchBtn, this.continueStopwatchBtn, this.lapStopwatchBtn, this.clearStopwatchBtn]);
+        new FocusKeeper(this.countdownScreen, [this.startCountdownBtn, this.pauseCountdownBtn, this.continueCountdownBtn, this.clearCountdownBtn, this.setCountdownBtn]);
+        
+        // Show the screen named in the URL, else the one open before the reload; Back/Forward switch screens
+        this._openRoute(this.router.current() || { view: this.currentScreen, params: {} });
+        this.router.onRoute(route => this._openRoute(route));
+        
+        // Render on every frame while the page is visible (dashboard and sequence included)
+        this.tickScheduler.start(() => this._updateDisplays(), () => this._nextDeadline());
         this._updateDisplays();
+        this.tabStatus.start();
     }
     
     /**
      * Shows the specified screen
-     * @param {string} screen - Screen to show (home|stopwatch|countdown)
+     * @param {string} screen - Screen to show (home|stopwatch|countdown|dashboard|sequence|history)
      */
     showScreen(screen) {
         try {
@@ -335,21 +809,40 @@ class UIController {
             this.homeScreen.classList.add('hidden');
             this.stopwatchScreen.classList.add('hidden');
             this.countdownScreen.classList.add('hidden');
+            this.dashboardScreen.classList.add('hidden');
+            this.sequenceScreen.classList.add('hidden');
+            this.historyScreen.classList.add('hidden');
             
             // Show selected screen
             if (screen === 'home') {
                 this.homeScreen.classList.remove('hidden');
             } else if (screen === 'stopwatch') {
                 this.stopwatchScreen.classList.remove('hidden');
-                this.stopwatchExpired = false;
             } else if (screen === 'countdown') {
                 this.countdownScreen.classList.remove('hidden');
-                this.resetCountdownUI();
-                this.countdownExpired = false;
+                // Keep showing a countdown that is already set; otherwise start from the keypad
+                if (this.countdownTimer.initialTime > 0) {
+                    this._syncCountdownControls();
+                } else {
+                    this.resetCountdownUI();
+                }
+            } else if (screen === 'dashboard') {
+                this.dashboardScreen.classList.remove('hidden');
+                this.renderDashboard();
+            } else if (screen === 'sequence') {
+                this.sequenceScreen.classList.remove('hidden');
+                this._showSequencePanel(this.sequenceRunner ? 'run' : 'setup');
+                this.renderSequence();
+            } else if (screen === 'history') {
+                this.historyScreen.classList.remove('hidden');
+                this.renderHistory();
             } else {
                 throw new Error(`Invalid screen: ${screen}`);
             }
             
+            this.currentScreen = screen;
+            this.router.navigate(screen); // Adds a browser history entry, so Back returns here
+            this._saveState();
             console.log(`Switched to ${screen} screen`);
         } catch (error) {
             console.error(`Error switching screens: ${error.message}`);
@@ -364,7 +857,8 @@ class UIController {
             this.stopwatch.start();
             this.startStopwatchBtn.classList.add('hidden');
             this.pauseStopwatchBtn.classList.remove('hidden');
-            this.stopwatchExpired = false;
+            this.lapStopwatchBtn.classList.remove('hidden');
+            this._saveState();
             console.log('Stopwatch started');
         } catch (error) {
             console.error(`Error starting stopwatch: ${error.message}`);
@@ -378,7 +872,9 @@ class UIController {
         try {
             this.stopwatch.stop();
             this.pauseStopwatchBtn.classList.add('hidden');
+            this.lapStopwatchBtn.classList.add('hidden');
             this.continueStopwatchBtn.classList.remove('hidden');
+            this._saveState();
             console.log('Stopwatch paused');
         } catch (error) {
             console.error(`Error pausing stopwatch: ${error.message}`);
@@ -393,6 +889,8 @@ class UIController {
             this.stopwatch.start();
             this.continueStopwatchBtn.classList.add('hidden');
             this.pauseStopwatchBtn.classList.remove('hidden');
+            this.lapStopwatchBtn.classList.remove('hidden');
+            this._saveState();
             console.log('Stopwatch continued');
         } catch (error) {
             console.error(`Error continuing stopwatch: ${error.message}`);
@@ -408,15 +906,65 @@ class UIController {
             this.startStopwatchBtn.classList.remove('hidden');
             this.pauseStopwatchBtn.classList.add('hidden');
             this.continueStopwatchBtn.classList.add('hidden');
+            this.lapStopwatchBtn.classList.add('hidden');
+            this.renderLaps();
+            this._saveState();
             console.log('Stopwatch cleared');
             
             // Show reset alert
-            this.showAlert('Stopwatch has been reset', 'success');
+            this.showAlert(this.i18n.t('stopwatch.reset'), 'success');
         } catch (error) {
             console.error(`Error clearing stopwatch: ${error.message}`);
         }
     }
     
+    /**
+     * Records a lap on the running stopwatch
+     */
+    recordLap() {
+        try {
+            const lap = this.stopwatch.lap();
+            this.renderLaps();
+            this._saveState();
+            this.timerApi.lap('stopwatch', lap);
+            console.log(`Lap ${lap.number} recorded: ${this.timeFormat.format(lap.lapTime)}`);
+        } catch (error) {
+            console.error(`Error recording lap: ${error.message}`);
+        }
+    }
+    
+    /**
+     * Renders the lap list (newest first) and marks the fastest and slowest laps
+     */
+    renderLaps() {
+        const laps = this.stopwatch.laps;
+        const { fastest, slowest } = this.stopwatch.getLapExtremes();
+        
+        this.stopwatchLaps.innerHTML = '';
+        this.stopwatchLaps.classList.toggle('hidden', laps.length === 0);
+        
+        laps.slice().reverse().forEach(lap => {
+            const item = document.createElement('li');
+            item.className = 'lap-item';
+            
+            let label = this.i18n.t('stopwatch.lap', { number: lap.number });
+            if (lap.number === fastest) {
+                item.classList.add('lap-fastest');
+                label += ` <span class="lap-badge">${this.i18n.t('stopwatch.fastest')}</span>`;
+            } else if (lap.number === slowest) {
+                item.classList.add('lap-slowest');
+                label += ` <span class="lap-badge">${this.i18n.t('stopwatch.slowest')}</span>`;
+            }
+            
+            item.innerHTML = `
+                <span class="lap-number">${label}</span>
+                <span class="lap-time">${this.timeFormat.format(lap.lapTime)}</span>
+                <span class="lap-split">${this.timeFormat.format(lap.splitTime)}</span>
+            `;
+            this.stopwatchLaps.appendChild(item);
+        });
+    }
+    
     /**
      * Handles number input for countdown
      * @param {string} number - The number pressed
@@ -494,24 +1042,63 @@ class UIController {
             const minutes = parseInt(padded.substring(2, 4));
             const seconds = parseInt(padded.substring(4, 6));
             
-            // Calculate total milliseconds
-            const totalMs = (hours * 3600 + minutes * 60 + seconds) * 1000;
-            
-            if (totalMs <= 0) {
-                throw new Error('Countdown time must be greater than zero');
-            }
-            
-            this.countdownTimer.setTime(totalMs);
-            this.countdownInput.classList.add('hidden');
-            this.countdownControls.classList.remove('hidden');
-            this.startCountdownBtn.classList.remove('hidden');
-            this.clearCountdownBtn.classList.remove('hidden');
-            this.countdownExpired = false;
+            // Calculate total milliseconds, checked against the same limits as typed durations
+            const totalMs = this.durationParser.validate((hours * 3600 + minutes * 60 + seconds) * 1000);
             
+            this._applyCountdownTime(totalMs);
+            this.presetStore.recordRecent(totalMs);
             console.log(`Countdown time set to: ${hours}h ${minutes}m ${seconds}s (${totalMs}ms)`);
         } catch (error) {
             console.error(`Error setting countdown time: ${error.message}`);
-            this.showAlert('Please enter a valid time greater than zero', 'error');
+            this.showAlert(error.message, 'error');
+        }
+    }
+    
+    /**
+     * Sets the countdown from a typed duration such as "1h 30m", "1:30" or "until 14:45"
+     * @param {string} text - The typed duration
+     */
+    setCountdownFromText(text) {
+        try {
+            const totalMs = this.durationParser.parse(text);
+            this.inputSequence = '';
+            this.countdownText.value = '';
+            this._applyCountdownTime(totalMs);
+            this.presetStore.recordRecent(totalMs);
+            console.log(`Countdown time set from "${text}" (${totalMs}ms)`);
+        } catch (error) {
+            console.error(`Error setting typed countdown time: ${error.message}`);
+            this.showAlert(error.message, 'error');
+        }
+    }
+    
+    /**
+     * Sets the countdown duration and switches from the keypad to the timer controls
+     * @param {number} totalMs - Validated duration in ms
+     */
+    _applyCountdownTime(totalMs) {
+        this.countdownTimer.setTime(totalMs);
+        this.countdownInput.classList.add('hidden');
+        this.countdownControls.classList.remove('hidden');
+        this.startCountdownBtn.classList.remove('hidden');
+        this.clearCountdownBtn.classList.remove('hidden');
+        this._saveState();
+    }
+    
+    /**
+     * Sets a duration and starts the countdown right away (presets and recent durations)
+     * @param {number} totalMs - Duration in ms
+     */
+    startCountdownWithDuration(totalMs) {
+        try {
+            this.inputSequence = '';
+            this.pauseCountdownBtn.classList.add('hidden');
+            this.continueCountdownBtn.classList.add('hidden');
+            this._applyCountdownTime(totalMs);
+            this.startCountdown();
+        } catch (error) {
+            console.error(`Error starting countdown: ${error.message}`);
+            this.showAlert(error.message, 'error');
         }
     }
     
@@ -523,7 +1110,7 @@ class UIController {
             this.countdownTimer.start();
             this.startCountdownBtn.classList.add('hidden');
             this.pauseCountdownBtn.classList.remove('hidden');
-            this.countdownExpired = false;
+            this._saveState();
             console.log('Countdown started');
         } catch (error) {
             console.error(`Error starting countdown: ${error.message}`);
@@ -538,6 +1125,7 @@ class UIController {
             this.countdownTimer.stop();
             this.pauseCountdownBtn.classList.add('hidden');
             this.continueCountdownBtn.classList.remove('hidden');
+            this._saveState();
             console.log('Countdown paused');
         } catch (error) {
             console.error(`Error pausing countdown: ${error.message}`);
@@ -552,6 +1140,7 @@ class UIController {
             this.countdownTimer.start();
             this.continueCountdownBtn.classList.add('hidden');
             this.pauseCountdownBtn.classList.remove('hidden');
+            this._saveState();
             console.log('Countdown continued');
         } catch (error) {
             console.error(`Error continuing countdown: ${error.message}`);
@@ -563,10 +1152,16 @@ class UIController {
      */
     clearCountdown() {
         try {
+            const overtime = this.countdownTimer.engine.getOvertime();
             this.countdownTimer.clear();
             this.resetCountdownUI();
+            this._saveState();
             console.log('Countdown cleared');
-            this.showAlert('Countdown has been cleared', 'success');
+            if (overtime > 0) {
+                this.showAlert(this.i18n.t('countdown.overtimeReport', { time: this.i18n.formatDuration(overtime) }), 'warning');
+            } else {
+                this.showAlert(this.i18n.t('countdown.cleared'), 'success');
+            }
         } catch (error) {
             console.error(`Error clearing countdown: ${error.message}`);
         }
@@ -582,35 +1177,1190 @@ class UIController {
         this.pauseCountdownBtn.classList.add('hidden');
         this.continueCountdownBtn.classList.add('hidden');
         this.clearCountdownBtn.classList.add('hidden');
+        this._styleCountdownOvertime(false);
+        CountdownWarnings.showStage(this.countdownDisplay, null);
         this.clearCountdownInput();
     }
     
     /**
-     * Shows an alert message
-     * @param {string} message - The message to display
-     * @param {string} type - The type of alert (success, warning, error)
+     * Turns the countdown's overtime mode on or off
+     * @param {boolean} enabled - Whether to count up past zero
      */
-    showAlert(message, type = 'success') {
-        const alertDiv = document.createElement('div');
-        alertDiv.className = `alert alert-${type}`;
-        
-        // Create icon based on alert type
-        let iconPath = '';
-        if (type === 'success') {
-            iconPath = '<path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M9 12l2 2 4-4m6 2a9 9 0 11-18 0 9 9 0 0118 0z" />';
-        } else if (type === 'warning') {
-            iconPath = '<path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M12 9v2m0 4h.01m-6.938 4h13.856c1.54 0 2.502-1.667 1.732-3L13.732 4c-.77-1.333-2.694-1.333-3.464 0L3.34 16c-.77 1.333.192 3 1.732 3z" />';
-        } else {
-            iconPath = '<path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M10 14l2-2m0 0l2-2m-2 2l-2-2m2 2l2 2m7-2a9 9 0 11-18 0 9 9 0 0118 0z" />';
+    setCountdownOvertime(enabled) {
+        this.countdownTimer.engine.overtime = enabled;
+        this.countdownOvertime.checked = enabled;
+        this._saveState();
+        console.log(`Countdown overtime ${enabled ? 'enabled' : 'disabled'}`);
+    }
+    
+    /**
+     * Creates a dashboard timer from the form values
+     */
+    addDashboardTimer() {
+        try {
+            const kind = this.dashboardKind.value;
+            let duration = 0;
+            
+            if (kind === 'countdown') {
+                const hours = parseInt(this.dashboardHours.value || '0', 10);
+                const minutes = parseInt(this.dashboardMinutes.value || '0', 10);
+                const seconds = parseInt(this.dashboardSeconds.value || '0', 10);
+                duration = (hours * 3600 + minutes * 60 + seconds) * 1000;
+                
+                if (!(duration > 0)) {
+                    throw new Error('Countdown time must be greater than zero');
+                }
+            }
+            
+            const entry = this.timerCollection.create({
+                kind,
+                label: this.dashboardLabel.value,
+                color: this.dashboardColor.value,
+                duration,
+                alarm: kind === 'countdown' ? this.dashboardAlarm.value || null : null
+            });
+            
+            this.dashboardLabel.value = '';
+            this.dashboardColor.value = TimerCollection.COLORS[this.timerCollection.entries.length % TimerCollection.COLORS.length];
+            console.log(`Dashboard timer created: ${entry.label} (${kind})`);
+        } catch (error) {
+            console.error(`Error creating dashboard timer: ${error.message}`);
+            this.showAlert(this.i18n.t('countdown.invalidTime'), 'error');
         }
-        
-        alertDiv.innerHTML = `
+    }
+    
+    /**
+     * Handles a preset button
+     * @param {string} id - Preset id
+     * @param {string} action - Button action (start|up|down|delete)
+     */
+    handlePresetAction(id, action) {
+        try {
+            const preset = this.presetStore.get(id);
+            
+            if (action === 'start') {
+                this.startCountdownWithDuration(preset.duration);
+            } else if (action === 'up') {
+                this.presetStore.move(id, -1);
+            } else if (action === 'down') {
+                this.presetStore.move(id, 1);
+            } else if (action === 'delete') {
+                this.presetStore.remove(id);
+            } else {
+                throw new Error(`Invalid preset action: ${action}`);
+            }
+            
+            console.log(`Preset ${preset.name}: ${action}`);
+        } catch (error) {
+            console.error(`Error handling preset action: ${error.message}`);
+        }
+    }
+    
+    /**
+     * Commits a name or duration edit made on a preset
+     * @param {HTMLElement} input - The edited input
+     */
+    handlePresetEdit(input) {
+        const row = input.closest('[data-id]');
+        if (!row) return;
+        
+        try {
+            if (input.classList.contains('preset-name')) {
+                this.presetStore.update(row.dataset.id, { name: input.value });
+            } else if (input.classList.contains('preset-duration')) {
+                this.presetStore.update(row.dataset.id, { duration: this.durationParser.parse(input.value) });
+            }
+        } catch (error) {
+            console.error(`Error editing preset: ${error.message}`);
+            this.showAlert(error.message, 'error');
+            this.renderPresets();
+        }
+    }
+    
+    /**
+     * Saves a new preset from the preset form
+     */
+    addPreset() {
+        try {
+            const duration = this.durationParser.parse(this.presetDuration.value);
+            const preset = this.presetStore.add({ name: this.presetName.value, duration });
+            
+            this.presetName.value = '';
+            this.presetDuration.value = '';
+            console.log(`Preset created: ${preset.name} (${duration}ms)`);
+        } catch (error) {
+            console.error(`Error creating preset: ${error.message}`);
+            this.showAlert(error.message, 'error');
+        }
+    }
+    
+    /**
+     * Downloads the presets as a JSON file
+     */
+    exportPresets() {
+        try {
+            this._downloadFile('countdown-presets.json', this.presetStore.exportJSON(), 'application/json');
+        } catch (error) {
+            console.error(`Error exporting presets: ${error.message}`);
+            this.showAlert(this.i18n.t('presets.exportFailed'), 'error');
+        }
+    }
+    
+    /**
+     * Adds the presets from an exported JSON file
+     * @param {string} text - Contents of the file
+     */
+    importPresets(text) {
+        try {
+            const { added, errors } = this.presetStore.importJSON(text);
+            errors.forEach(message => console.warn(`Skipped imported preset. ${message}`));
+            let message = this.i18n.t('presets.imported', { count: added });
+            if (errors.length > 0) message += ` ${this.i18n.t('presets.skipped', { count: errors.length })}`;
+            this.showAlert(message, errors.length > 0 ? 'warning' : 'success');
+        } catch (error) {
+            console.error(`Error importing presets: ${error.message}`);
+            this.showAlert(error.message, 'error');
+        }
+    }
+    
+    /**
+     * Renders the recent durations and the preset list
+     */
+    renderPresets() {
+        const { recent, presets } = this.presetStore;
+        
+        this.countdownRecentGroup.classList.toggle('hidden', recent.length === 0);
+        this.countdownRecent.innerHTML = recent.map(ms => {
+            const label = PresetStore.formatDuration(ms);
+            return `<button data-duration="${ms}" class="recent-chip" aria-label="${this.i18n.t('countdown.startRecent', { duration: label })}">${label}</button>`;
+        }).join('');
+        
+        this.countdownPresets.innerHTML = '';
+        presets.forEach((preset, index) => {
+            const row = document.createElement('li');
+            row.className = 'preset-row';
+            row.dataset.id = preset.id;
+            row.innerHTML = `
+                <button data-action="start" class="preset-start" aria-label="${this.i18n.t('presets.start')}">&#9654;</button>
+                <input type="text" maxlength="40" class="preset-name" aria-label="${this.i18n.t('presets.name')}">
+                <input type="text" class="preset-duration" aria-label="${this.i18n.t('presets.duration')}">
+                <button data-action="up" class="tile-icon-button" aria-label="${this.i18n.t('actions.moveUp')}" ${index === 0 ? 'disabled' : ''}>&uarr;</button>
+                <button data-action="down" class="tile-icon-button" aria-label="${this.i18n.t('actions.moveDown')}" ${index === presets.length - 1 ? 'disabled' : ''}>&darr;</button>
+                <button data-action="delete" class="tile-delete" aria-label="${this.i18n.t('presets.delete')}">&times;</button>
+            `;
+            
+            row.querySelector('.preset-name').value = preset.name;
+            row.querySelector('.preset-duration').value = PresetStore.formatDuration(preset.duration);
+            this.countdownPresets.appendChild(row);
+        });
+    }
+    
+    
+    /**
+     * Handles a dashboard tile button
+     * @param {string} id - Timer id
+     * @param {string} action - Button action (toggle|reset|up|down|delete)
+     */
+    handleDashboardAction(id, action) {
+        try {
+            const entry = this.timerCollection.get(id);
+            const { engine } = entry;
+            
+            if (action === 'toggle') {
+                if (engine.isRunning) {
+                    engine.pause();
+                } else {
+                    engine.start();
+                }
+            } else if (action === 'reset') {
+                engine.reset();
+                this._updateDashboardTile(entry);
+            } else if (action === 'up') {
+                this.timerCollection.move(id, -1);
+            } else if (action === 'down') {
+                this.timerCollection.move(id, 1);
+            } else if (action === 'delete') {
+                this.timerCollection.remove(id);
+            } else {
+                throw new Error(`Invalid dashboard action: ${action}`);
+            }
+            
+            console.log(`Dashboard timer ${entry.label}: ${action}`);
+        } catch (error) {
+            console.error(`Error handling dashboard action: ${error.message}`);
+        }
+    }
+    
+    /**
+     * Commits a label, colour or alarm edit made on a dashboard tile
+     * @param {HTMLElement} input - The edited input
+     */
+    handleDashboardEdit(input) {
+        const tile = input.closest('[data-id]');
+        if (!tile) return;
+        
+        try {
+            if (input.classList.contains('tile-label')) {
+                this.timerCollection.rename(tile.dataset.id, input.value);
+            } else if (input.classList.contains('tile-color')) {
+                this.timerCollection.setColor(tile.dataset.id, input.value);
+            } else if (input.classList.contains('tile-alarm')) {
+                this.timerCollection.setAlarm(tile.dataset.id, input.value || null);
+            }
+        } catch (error) {
+            console.error(`Error editing dashboard timer: ${error.message}`);
+            this.showAlert(error.message, 'error');
+            this.renderDashboard();
+        }
+    }
+    
+    /**
+     * Renders one tile per dashboard timer
+     */
+    renderDashboard() {
+        const entries = this.timerCollection.entries;
+        this.dashboardEmpty.classList.toggle('hidden', entries.length > 0);
+        this.dashboardTimers.innerHTML = '';
+        
+        entries.forEach((entry, index) => {
+            this._attachDashboardEngine(entry);
+            
+            const tile = document.createElement('div');
+            tile.className = 'dashboard-tile';
+            tile.dataset.id = entry.id;
+            tile.style.borderTopColor = entry.color;
+            tile.innerHTML = `
+                <div class="flex items-center gap-2 mb-2">
+                    <input type="text" maxlength="40" class="tile-label" aria-label="${this.i18n.t('dashboard.label')}">
+                    <input type="color" class="tile-color" aria-label="${this.i18n.t('dashboard.color')}">
+                </div>
+                <div class="tile-kind">${this.i18n.t(`timers.${entry.kind}`)}</div>
+                ${entry.kind === 'countdown' ? `<select class="tile-alarm dashboard-field" aria-label="${this.i18n.t('dashboard.alarm')}"></select>` : ''}
+                <div class="tile-time font-mono font-bold text-gray-800" role="timer"></div>
+                <div class="flex flex-wrap justify-center gap-2 mt-4">
+                    <button data-action="toggle" class="tile-toggle timer-button text-white"></button>
+                    <button data-action="reset" class="timer-button bg-red-500 hover:bg-red-600 text-white">${this.i18n.t('actions.reset')}</button>
+                </div>
+                <div class="flex justify-between items-center mt-3">
+                    <div class="flex gap-2">
+                        <button data-action="up" class="tile-icon-button" aria-label="${this.i18n.t('actions.moveUp')}" ${index === 0 ? 'disabled' : ''}>&uarr;</button>
+                        <button data-action="down" class="tile-icon-button" aria-label="${this.i18n.t('actions.moveDown')}" ${index === entries.length - 1 ? 'disabled' : ''}>&darr;</button>
+                    </div>
+                    <button data-action="delete" class="tile-delete">${this.i18n.t('actions.delete')}</button>
+                </div>
+            `;
+            
+            // User input is assigned as properties so it is never parsed as HTML
+            tile.querySelector('.tile-label').value = entry.label;
+            tile.querySelector('.tile-color').value = entry.color;
+            if (entry.kind === 'countdown') {
+                const alarmSelect = tile.querySelector('.tile-alarm');
+                this._fillToneSelect(alarmSelect, true);
+                alarmSelect.value = AlarmEngine.isTone(entry.alarm) ? entry.alarm : '';
+            }
+            this.dashboardTimers.appendChild(tile);
+            this._updateDashboardTile(entry);
+        });
+    }
+    
+    /**
+     * Wires a dashboard engine's events to its tile (once per engine)
+     * @param {Object} entry - Timer collection entry
+     */
+    _attachDashboardEngine(entry) {
+        if (this.dashboardEngines.has(entry.engine)) return;
+        this.dashboardEngines.add(entry.engine);
+        this.historyStore.track(entry.engine, entry.id, { label: () => entry.label });
+        if (entry.kind === 'countdown') {
+            // Rings until dismissed, or until the tile is reset or deleted
+            this.alarmEngine.track(entry.engine, entry.id, { label: () => entry.label, tone: () => entry.alarm });
+            this.expiryNotifier.watch(entry.engine, entry.id, { label: () => entry.label });
+        }
+        if (this.announcer) {
+            this.announcer.watch(entry.engine, { label: () => entry.label });
+        }
+        if (this.timerApi) {
+            this.timerApi.watch(entry.engine, entry.id);
+        }
+        
+        entry.engine.on('tick', () => this._updateDashboardTile(entry));
+        entry.engine.on('statechange', () => {
+            this._updateDashboardTile(entry);
+            this._saveState();
+        });
+        entry.engine.on('expire', () => {
+            console.log(`Dashboard countdown expired: ${entry.label}`);
+        });
+    }
+    
+    /**
+     * Updates the time and toggle button of a dashboard tile
+     * @param {Object} entry - Timer collection entry
+     */
+    _updateDashboardTile(entry) {
+        const tile = this.dashboardTimers.querySelector(`[data-id="${entry.id}"]`);
+        if (!tile) return;
+        
+        const { engine } = entry;
+        const time = entry.kind === 'countdown' ? engine.getRemaining() : engine.getElapsed();
+        this._showTime(tile.querySelector('.tile-time'), time, entry.kind === 'countdown');
+        
+        const toggle = tile.querySelector('.tile-toggle');
+        const labels = { idle: 'actions.start', running: 'actions.pause', paused: 'actions.continue', expired: 'actions.expired' };
+        toggle.textContent = this.i18n.t(labels[engine.state]);
+        toggle.disabled = engine.state === TimerEngine.STATES.EXPIRED;
+        toggle.classList.toggle('bg-green-500', engine.state === TimerEngine.STATES.IDLE);
+        toggle.classList.toggle('bg-blue-500', engine.isRunning || engine.state === TimerEngine.STATES.PAUSED);
+        toggle.classList.toggle('bg-gray-400', engine.state === TimerEngine.STATES.EXPIRED);
+        tile.classList.toggle('tile-expired', engine.state === TimerEngine.STATES.EXPIRED);
+    }
+    
+    /**
+     * Renders the history totals and sessions for the selected label
+     */
+    renderHistory() {
+        try {
+            const labels = this.historyStore.labels();
+            // Show every session again when the filtered label no longer exists
+            if (this.historyFilter && !labels.includes(this.historyFilter)) {
+                this.historyFilter = null;
+            }
+            
+            // Option values are JSON so that "all" (null) and "no label" ('') stay distinct
+            this.historyFilterSelect.innerHTML = '';
+            [[this.i18n.t('history.allSessions'), null], [this.i18n.t('history.noLabel'), ''], ...labels.map(label => [label, label])].forEach(([text, value]) => {
+                const option = document.createElement('option');
+                option.textContent = text;
+                option.value = JSON.stringify(value);
+                option.selected = value === this.historyFilter;
+                this.historyFilterSelect.appendChild(option);
+            });
+            
+            const days = this.historyStore.dailyTotals({ days: 7, label: this.historyFilter });
+            const weeks = this.historyStore.weeklyTotals({ weeks: 4, label: this.historyFilter });
+            this.historyToday.textContent = HistoryStore.formatTotal(days[days.length - 1].total);
+            this.historyWeek.textContent = HistoryStore.formatTotal(weeks[weeks.length - 1].total);
+            // Dates follow the app's language rather than the browser's
+            const { locale } = this.i18n;
+            this._renderHistoryBars(this.historyDays, days, start => new Date(start).toLocaleDateString(locale, { weekday: 'short', day: 'numeric' }));
+            this._renderHistoryBars(this.historyWeeks, weeks, start => this.i18n.t('history.weekOf', { date: new Date(start).toLocaleDateString(locale, { month: 'short', day: 'numeric' }) }));
+            
+            const entries = this.historyStore.list({ label: this.historyFilter });
+            this.historyEmpty.classList.toggle('hidden', entries.length > 0);
+            this.historyList.innerHTML = '';
+            entries.forEach(entry => this.historyList.appendChild(this._createHistoryItem(entry)));
+        } catch (error) {
+            console.error(`Error rendering history: ${error.message}`);
+        }
+    }
+    
+    /**
+     * Renders one bar per period, scaled to the longest period
+     * @param {HTMLElement} list - List element to fill
+     * @param {Array<Object>} buckets - Totals from the history store ({ start, total, count })
+     * @param {Function} formatStart - Builds the period name from its start epoch
+     */
+    _renderHistoryBars(list, buckets, formatStart) {
+        const longest = Math.max(...buckets.map(bucket => bucket.total), 1);
+        list.innerHTML = buckets.map(bucket => `
+            <li class="history-bar-row">
+                <span class="history-bar-name">${formatStart(bucket.start)}</span>
+                <span class="history-bar-track"><span class="history-bar" style="width: ${(bucket.total / longest) * 100}%"></span></span>
+                <span class="history-bar-total">${HistoryStore.formatTotal(bucket.total)}</span>
+            </li>
+        `).join('');
+    }
+    
+    /**
+     * Builds the list item of a history session
+     * @param {Object} entry - History entry
+     * @returns {HTMLElement} The list item
+     */
+    _createHistoryItem(entry) {
+        const kindName = this.i18n.t(entry.kind === 'countdown' ? 'timers.countdown' : 'timers.stopwatch');
+        const started = new Date(entry.startedAt);
+        const ended = new Date(entry.endedAt);
+        const { locale } = this.i18n;
+        const time = { hour: '2-digit', minute: '2-digit' };
+        const details = [
+            `${started.toLocaleDateString(locale)} ${started.toLocaleTimeString(locale, time)} – ${ended.toLocaleTimeString(locale, time)}`,
+            entry.target ? this.i18n.t('history.timerOf', { kind: kindName, duration: PresetStore.formatDuration(entry.target) }) : kindName
+        ];
+        if (entry.laps.length > 0) {
+            details.push(this.i18n.t('history.laps', { count: entry.laps.length }));
+        }
+        
+        const item = document.createElement('li');
+        item.className = 'history-item';
+        item.dataset.id = entry.id;
+        item.innerHTML = `
+            <div class="min-w-0">
+                <p class="history-label"><span></span><span class="history-status history-${entry.status}">${this.i18n.t(entry.status === 'completed' ? 'history.completed' : 'history.cancelled')}</span></p>
+                <p class="history-details">${details.join(' · ')}</p>
+            </div>
+            <span class="history-duration">${HistoryStore.formatTotal(entry.duration)}</span>
+            <button data-action="delete" class="tile-delete" aria-label="${this.i18n.t('history.delete')}">&times;</button>
+        `;
+        
+        item.querySelector('.history-label span').textContent = entry.label || kindName;
+        return item;
+    }
+    
+    /**
+     * Deletes one session from the history
+     * @param {string} id - History entry id
+     */
+    deleteHistoryEntry(id) {
+        try {
+            this.historyStore.remove(id);
+            console.log(`History entry deleted: ${id}`);
+        } catch (error) {
+            console.error(`Error deleting history entry: ${error.message}`);
+            this.showAlert(this.i18n.t('history.deleteFailed'), 'error');
+        }
+    }
+    
+    /**
+     * Deletes every session after confirmation
+     */
+    clearHistory() {
+        if (this.historyStore.entries.length === 0) return;
+        if (!window.confirm(this.i18n.t('history.confirmClear'))) return;
+        
+        this.historyStore.clear();
+        this.showAlert(this.i18n.t('history.cleared'), 'success');
+        console.log('History cleared');
+    }
+    
+    /**
+     * Shows a timer fullscreen (only the time and the label), or ends the presentation
+     * @param {'stopwatch'|'countdown'} kind - Timer to present
+     */
+    togglePresentation(kind) {
+        const timer = kind === 'stopwatch' ? this.stopwatch : this.countdownTimer;
+        const label = kind === 'stopwatch' ? this.stopwatchLabel : this.countdownLabel;
+        this.presentation.toggle(() => PresentationMode.fromEngine(timer.engine, label.value.trim()))
+            .catch(error => {
+                console.error(`Error presenting the timer: ${error.message}`);
+                this.showAlert(this.i18n.t('errors.fullscreen'), 'error');
+            });
+    }
+    
+    /**
+     * Downloads the current run of a timer, or its last finished run when the timer is idle
+     * @param {'stopwatch'|'countdown'} kind - Timer to export
+     * @param {'csv'|'json'} format - File format
+     */
+    exportRun(kind, format) {
+        try {
+            const engine = kind === 'stopwatch' ? this.stopwatch.engine : this.countdownTimer.engine;
+            const current = engine.getRun();
+            const source = current.segments.length > 0
+                ? { run: current, details: this._runDetails(kind) }
+                : this.lastRuns[kind];
+            if (!source) {
+                this.showAlert(this.i18n.t('runs.nothingToExportShort'), 'warning');
+                return;
+            }
+            
+            const record = this.runExporter.createRun(source.run, source.details);
+            const text = format === 'csv' ? this.runExporter.toCSV([record]) : this.runExporter.toJSON([record]);
+            this._downloadFile(RunExporter.fileName(record, format), text, format === 'csv' ? 'text/csv' : 'application/json');
+            console.log(`${kind} run exported as ${format.toUpperCase()}`);
+        } catch (error) {
+            console.error(`Error exporting run: ${error.message}`);
+            this.showAlert(this.i18n.t('runs.exportFailed'), 'error');
+        }
+    }
+    
+    /**
+     * Adds the runs from an exported CSV or JSON file to the history and reports rejected rows
+     * @param {string} text - Contents of the file
+     */
+    importRuns(text) {
+        try {
+            const { runs, errors } = this.runExporter.parse(text);
+            const added = this.historyStore.addAll(runs.map(RunExporter.toSession));
+            errors.forEach(message => console.warn(`Skipped imported run. ${message}`));
+            const duplicates = runs.length - added;
+            let message = this.i18n.t('runs.imported', { count: added });
+            if (duplicates > 0) message += ` ${this.i18n.t('runs.duplicates', { count: duplicates })}`;
+            if (errors.length > 0) {
+                const rows = `${errors.slice(0, 3).join('; ')}${errors.length > 3 ? '; ...' : ''}`;
+                message += ` ${this.i18n.t('runs.skipped', { count: errors.length, rows })}`;
+            }
+            this.showAlert(message, errors.length > 0 ? 'warning' : 'success');
+        } catch (error) {
+            console.error(`Error importing runs: ${error.message}`);
+            this.showAlert(error.message, 'error');
+        }
+    }
+    
+    /**
+     * Label and laps saved with an exported run
+     * @param {'stopwatch'|'countdown'} kind - Timer type
+     * @returns {{label: string, laps: Array<Object>}} Run details
+     */
+    _runDetails(kind) {
+        if (kind === 'stopwatch') {
+            return { label: this.stopwatchLabel.value, laps: this.stopwatch.laps.slice() };
+        }
+        return { label: this.countdownLabel.value, laps: [] };
+    }
+    
+    /**
+     * Downloads text as a file
+     * @param {string} fileName - Suggested file name
+     * @param {string} text - File contents
+     * @param {string} type - MIME type
+     */
+    _downloadFile(fileName, text, type) {
+        const blob = new Blob([text], { type });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        link.click();
+        URL.revokeObjectURL(url);
+    }
+    
+    /**
+     * Handles every key press on the page
+     * @param {KeyboardEvent} event - The key event
+     */
+    _handleKeydown(event) {
+        try {
+            // While rebinding, the next key press becomes the new binding (Esc cancels)
+            if (this.rebindingAction) {
+                event.preventDefault();
+                this._finishRebinding(event.key);
+                return;
+            }
+            
+            if (KeyBindings.shouldIgnore(event)) return;
+            
+            // Escape always closes the help overlay
+            if (this.isShortcutsHelpVisible() && event.key === 'Escape') {
+                event.preventDefault();
+                this.hideShortcutsHelp();
+                return;
+            }
+            
+            const shortcut = this.keyBindings.resolve(event);
+            if (!shortcut) return;
+            
+            // Keep Space from scrolling and Enter from clicking the focused button
+            event.preventDefault();
+            this._runShortcut(shortcut);
+        } catch (error) {
+            console.error(`Error handling keyboard shortcut: ${error.message}`);
+        }
+    }
+    
+    /**
+     * Runs a resolved shortcut against the current screen
+     * @param {{action: string, digit: (string|undefined)}} shortcut - The resolved shortcut
+     */
+    _runShortcut({ action, digit }) {
+        if (action === 'help') {
+            this.isShortcutsHelpVisible() ? this.hideShortcutsHelp() : this.showShortcutsHelp();
+            return;
+        }
+        if (['home', 'stopwatch', 'countdown', 'dashboard'].includes(action)) {
+            this.hideShortcutsHelp();
+            this.showScreen(action);
+            return;
+        }
+        // Timer shortcuts do nothing while the help is covering the screen
+        if (this.isShortcutsHelpVisible()) return;
+        
+        if (action === 'present') {
+            if (this.currentScreen === 'stopwatch' || this.currentScreen === 'countdown') {
+                this.togglePresentation(this.currentScreen);
+            }
+            return;
+        }
+        
+        const STATES = TimerEngine.STATES;
+        if (this.currentScreen === 'stopwatch') {
+            const state = this.stopwatch.engine.state;
+            if (action === 'toggle') {
+                // Space follows the Start -> Pause -> Continue button sequence
+                if (state === STATES.RUNNING) this.pauseStopwatch();
+                else if (state === STATES.PAUSED) this.continueStopwatch();
+                else this.startStopwatch();
+            } else if (action === 'clear') {
+                this.clearStopwatch();
+            } else if (action === 'lap' && state === STATES.RUNNING) {
+                this.recordLap();
+            }
+        } else if (this.currentScreen === 'countdown') {
+            if (!this.countdownInput.classList.contains('hidden')) {
+                // Keypad mode
+                if (action === 'digit') this.handleNumberInput(digit);
+                else if (action === 'backspace') this.handleBackspace();
+                else if (action === 'set') this.setCountdownTime();
+                else if (action === 'clear') this.clearCountdownInput();
+                return;
+            }
+            const state = this.countdownTimer.engine.state;
+            if (action === 'toggle') {
+                if (state === STATES.RUNNING) this.pauseCountdown();
+                else if (state === STATES.PAUSED) this.continueCountdown();
+                else if (state === STATES.IDLE) this.startCountdown();
+            } else if (action === 'clear') {
+                this.clearCountdown();
+            }
+        } else if (this.currentScreen === 'sequence') {
+            if (action === 'toggle') this.toggleSequence();
+            else if (action === 'clear' && this.sequenceRunner) this.stopSequence();
+        }
+    }
+    
+    /**
+     * @returns {boolean} True while the shortcuts help is open
+     */
+    isShortcutsHelpVisible() {
+        return !this.shortcutsOverlay.classList.contains('hidden');
+    }
+    
+    /**
+     * Opens the keyboard shortcuts help
+     */
+    showShortcutsHelp() {
+        this.renderShortcutsHelp();
+        this.shortcutsOverlay.classList.remove('hidden');
+        this.shortcutsCloseBtn.focus();
+    }
+    
+    /**
+     * Closes the keyboard shortcuts help and cancels any pending rebinding
+     */
+    hideShortcutsHelp() {
+        this.rebindingAction = null;
+        this.shortcutsOverlay.classList.add('hidden');
+    }
+    
+    /**
+     * Waits for the next key press to become the key of an action
+     * @param {string} action - The action to rebind
+     */
+    startRebinding(action) {
+        this.rebindingAction = action;
+        this.renderShortcutsHelp();
+    }
+    
+    /**
+     * Applies the key pressed while rebinding
+     * @param {string} key - The pressed key (KeyboardEvent.key)
+     */
+    _finishRebinding(key) {
+        const action = this.rebindingAction;
+        this.rebindingAction = null;
+        
+        if (key !== 'Escape') {
+            try {
+                this.keyBindings.rebind(action, key);
+                this.showAlert(this.i18n.t('shortcuts.changed', { action: this.keyBindings.describe(action), key: this.keyBindings.keyName(key) }), 'success');
+            } catch (error) {
+                this.showAlert(error.message, 'error');
+            }
+        }
+        this.renderShortcutsHelp();
+    }
+    
+    /**
+     * Restores the default keyboard shortcuts
+     */
+    resetShortcuts() {
+        this.keyBindings.resetToDefaults();
+        this.rebindingAction = null;
+        this.renderShortcutsHelp();
+        this.showAlert(this.i18n.t('shortcuts.resetDone'), 'success');
+    }
+    
+    /**
+     * Renders the list of shortcuts in the help overlay
+     */
+    renderShortcutsHelp() {
+        // Fixed keys first, then every rebindable action
+        const rows = [
+            `<li class="shortcut-row"><span>${this.i18n.t('shortcuts.digits')}</span><kbd class="shortcut-key">0-9</kbd></li>`,
+            `<li class="shortcut-row"><span>${this.i18n.t('shortcuts.backspace')}</span><kbd class="shortcut-key">${this.keyBindings.keyName('Backspace')}</kbd></li>`
+        ];
+        Object.keys(KeyBindings.ACTIONS).forEach(action => {
+            const waiting = this.rebindingAction === action;
+            const label = waiting ? this.i18n.t('shortcuts.pressKey') : this.keyBindings.keyName(this.keyBindings.bindings[action]);
+            const description = this.keyBindings.describe(action);
+            rows.push(`
+                <li class="shortcut-row">
+                    <span>${description}</span>
+                    <button type="button" data-action="${action}" class="shortcut-key${waiting ? ' waiting' : ''}" aria-label="${this.i18n.t('shortcuts.change', { action: description })}">${label}</button>
+                </li>
+            `);
+        });
+        this.shortcutsList.innerHTML = rows.join('');
+    }
+    
+    /**
+     * Fills the sequence setup fields with a built-in template
+     * @param {string} key - Key of SequenceRunner.TEMPLATES ('custom' keeps the fields)
+     */
+    _fillSequenceTemplate(key) {
+        const template = SequenceRunner.TEMPLATES[key];
+        if (!template) return;
+        
+        const [work, rest] = template.phases;
+        this.sequenceWork.value = PresetStore.formatDuration(work.duration);
+        this.sequenceRest.value = rest ? PresetStore.formatDuration(rest.duration) : '';
+        this.sequenceRounds.value = template.rounds;
+        this.sequenceLongBreak.value = template.after.length > 0 ? PresetStore.formatDuration(template.after[0].duration) : '';
+    }
+    
+    /**
+     * Starts a sequence built from the setup fields
+     */
+    startSequence() {
+        try {
+            const work = this.durationParser.parse(this.sequenceWork.value);
+            // Break and long break are optional
+            const rest = this.sequenceRest.value.trim() ? this.durationParser.parse(this.sequenceRest.value) : 0;
+            const longBreak = this.sequenceLongBreak.value.trim() ? this.durationParser.parse(this.sequenceLongBreak.value) : 0;
+            
+            // Phase names are written in the current language and kept as they are once started
+            const phases = [{ name: this.i18n.t('sequence.phases.work'), duration: work, kind: 'work' }];
+            if (rest > 0) {
+                phases.push({ name: this.i18n.t(longBreak > 0 ? 'sequence.phases.shortBreak' : 'sequence.phases.rest'), duration: rest, kind: 'rest' });
+            }
+            
+            this._loadSequence({
+                name: this.sequenceTemplate.options[this.sequenceTemplate.selectedIndex].text,
+                rounds: parseInt(this.sequenceRounds.value, 10),
+                phases,
+                after: longBreak > 0 ? [{ name: this.i18n.t('sequence.phases.longBreak'), duration: longBreak, kind: 'rest' }] : []
+            });
+            this.sequenceRunner.start();
+            this._showSequencePanel('run');
+            this.renderSequence();
+            this._saveState();
+            console.log(`Sequence started: ${this.sequenceRunner.definition.name}`);
+        } catch (error) {
+            console.error(`Error starting sequence: ${error.message}`);
+            this.showAlert(error.message, 'error');
+        }
+    }
+    
+    /**
+     * Creates the sequence runner for a definition and wires its events
+     * @param {Object} definition - Sequence definition (see SequenceRunner)
+     */
+    _loadSequence(definition) {
+        const runner = new SequenceRunner(definition, { i18n: this.i18n });
+        
+        runner.on('tick', () => this.renderSequence());
+        runner.on('statechange', () => this.renderSequence());
+        runner.on('phasechange', ({ phase, automatic }) => {
+            this.renderSequence();
+            this._saveState();
+            if (automatic) {
+                this._playPhaseCue(phase.kind);
+                console.log(`Sequence phase started: ${phase.name} (round ${phase.round})`);
+            }
+        });
+        runner.on('finish', () => {
+            this.renderSequence();
+            this._saveState();
+            this._playPhaseCue('finish');
+            this.showAlert(this.i18n.t('sequence.complete', { name: runner.definition.name }), 'success');
+        });
+        
+        this.sequenceRunner = runner;
+    }
+    
+    /**
+     * Pauses or continues the sequence
+     */
+    toggleSequence() {
+        try {
+            const runner = this.sequenceRunner;
+            if (!runner || runner.state === TimerEngine.STATES.EXPIRED) return;
+            
+            if (runner.state === TimerEngine.STATES.RUNNING) {
+                runner.pause();
+            } else {
+                runner.start();
+            }
+            this._saveState();
+        } catch (error) {
+            console.error(`Error toggling sequence: ${error.message}`);
+        }
+    }
+    
+    /**
+     * Skips to the next phase (skipping the last phase finishes the sequence)
+     */
+    skipSequencePhase() {
+        try {
+            const runner = this.sequenceRunner;
+            if (!runner || runner.state === TimerEngine.STATES.EXPIRED) return;
+            
+            runner.skip();
+            this.renderSequence();
+            this._saveState();
+        } catch (error) {
+            console.error(`Error skipping sequence phase: ${error.message}`);
+        }
+    }
+    
+    /**
+     * Restarts the current phase from its full duration
+     */
+    restartSequencePhase() {
+        try {
+            const runner = this.sequenceRunner;
+            if (!runner || runner.state === TimerEngine.STATES.EXPIRED) return;
+            
+            runner.restartPhase();
+            this.renderSequence();
+            this._saveState();
+        } catch (error) {
+            console.error(`Error restarting sequence phase: ${error.message}`);
+        }
+    }
+    
+    /**
+     * Stops the sequence and shows the setup form again
+     */
+    stopSequence() {
+        this.sequenceRunner = null;
+        this._showSequencePanel('setup');
+        this._saveState();
+        console.log('Sequence stopped');
+    }
+    
+    /**
+     * Shows either the sequence setup form or the running sequence
+     * @param {string} panel - Panel to show (setup|run)
+     */
+    _showSequencePanel(panel) {
+        this.sequenceSetup.classList.toggle('hidden', panel !== 'setup');
+        this.sequenceRun.classList.toggle('hidden', panel !== 'run');
+    }
+    
+    /**
+     * Renders the current phase, round and remaining times of the sequence
+     */
+    renderSequence() {
+        const runner = this.sequenceRunner;
+        if (!runner) return;
+        
+        const snapshot = runner.getSnapshot();
+        const finished = snapshot.state === TimerEngine.STATES.EXPIRED;
+        
+        this.sequencePhase.textContent = finished ? this.i18n.t('sequence.done') : snapshot.phase.name;
+        this.sequencePhase.className = `sequence-phase ${finished ? '' : `phase-${snapshot.phase.kind}`}`;
+        this.sequenceRound.textContent = this.i18n.t('sequence.progress', { round: snapshot.round, rounds: snapshot.rounds, phase: snapshot.phaseIndex + 1, phases: snapshot.phaseCount });
+        this._showTime(this.sequenceDisplay, snapshot.phaseRemaining, true);
+        this.sequenceTotal.textContent = this.i18n.t('sequence.totalRemaining', { time: this.timeFormat.format(snapshot.totalRemaining, { roundUp: true, precision: 'seconds' }) });
+        
+        this.sequenceToggleBtn.textContent = this.i18n.t(snapshot.state === TimerEngine.STATES.RUNNING ? 'actions.pause' : 'actions.continue');
+        [this.sequenceToggleBtn, this.sequenceSkipBtn, this.sequenceRestartBtn].forEach(button => {
+            button.disabled = finished;
+        });
+    }
+    
+    /**
+     * Plays the cue for a new phase or the end of the sequence and flashes the display
+     * @param {string} kind - What is starting (work|rest|finish)
+     */
+    _playPhaseCue(kind) {
+        // Work: two high beeps; rest: one long low tone; finish: three rising beeps
+        const patterns = {
+            work: [[880, 0, 0.15], [880, 0.25, 0.15]],
+            rest: [[440, 0, 0.6]],
+            finish: [[523, 0, 0.2], [659, 0.25, 0.2], [784, 0.5, 0.4]]
+        };
+        
+        this.sequenceDisplay.classList.remove('phase-flash');
+        void this.sequenceDisplay.offsetWidth; // Restart the CSS animation
+        this.sequenceDisplay.classList.add('phase-flash');
+        
+        try {
+            const AudioContext = window.AudioContext || window.webkitAudioContext;
+            if (!AudioContext) return;
+            
+            const context = new AudioContext();
+            const now = context.currentTime;
+            patterns[kind].forEach(([frequency, offset, length]) => {
+                const oscillator = context.createOscillator();
+                const gainNode = context.createGain();
+                oscillator.connect(gainNode);
+                gainNode.connect(context.destination);
+                oscillator.frequency.value = frequency;
+                gainNode.gain.value = 0.3;
+                oscillator.start(now + offset);
+                oscillator.stop(now + offset + length);
+            });
+            
+            // Release the audio context once the pattern has played
+            setTimeout(() => context.close(), 1500);
+        } catch (error) {
+            console.error(`Error playing phase cue: ${error.message}`);
+        }
+    }
+    
+    
+    /**
+     * Shows the stopwatch buttons matching the stopwatch state
+     */
+    _syncStopwatchControls() {
+        const state = this.stopwatch.engine.state;
+        this.startStopwatchBtn.classList.toggle('hidden', state !== TimerEngine.STATES.IDLE);
+        this.pauseStopwatchBtn.classList.toggle('hidden', state !== TimerEngine.STATES.RUNNING);
+        this.lapStopwatchBtn.classList.toggle('hidden', state !== TimerEngine.STATES.RUNNING);
+        this.continueStopwatchBtn.classList.toggle('hidden', state !== TimerEngine.STATES.PAUSED);
+    }
+    
+    /**
+     * Shows the countdown timer controls matching the countdown state
+     */
+    _syncCountdownControls() {
+        const state = this.countdownTimer.engine.state;
+        this.countdownInput.classList.add('hidden');
+        this.countdownControls.classList.remove('hidden');
+        this.startCountdownBtn.classList.toggle('hidden', state !== TimerEngine.STATES.IDLE);
+        this.pauseCountdownBtn.classList.toggle('hidden', state !== TimerEngine.STATES.RUNNING);
+        this.continueCountdownBtn.classList.toggle('hidden', state !== TimerEngine.STATES.PAUSED);
+        this.clearCountdownBtn.classList.remove('hidden');
+    }
+    
+    /**
+     * Saves the timers and current screen to local storage
+     */
+    _saveState() {
+        this.store.save('state', {
+            screen: this.currentScreen,
+            stopwatch: this.stopwatch.serialize(),
+            countdown: this.countdownTimer.serialize(),
+            dashboard: this.timerCollection.serialize(),
+            sequence: this.sequenceRunner ? this.sequenceRunner.serialize() : null,
+            labels: { stopwatch: this.stopwatchLabel.value, countdown: this.countdownLabel.value },
+            countdownAlarm: this.countdownAlarm.value || null,
+            countdownOvertime: this.countdownTimer.engine.overtime
+        });
+    }
+    
+    /**
+     * Restores the timers and screen saved by _saveState().
+     * A countdown that ran out while the page was closed is reported as expired.
+     */
+    _restoreState() {
+        const saved = this.store.load('state');
+        if (!saved) return;
+        
+        this._restoreTimerOptions(saved);
+        try {
+            this.stopwatch.restore(saved.stopwatch);
+            this.countdownTimer.restore(saved.countdown);
+            this.timerCollection.restore(saved.dashboard).forEach(message => {
+                console.warn(`Skipped saved dashboard timer. ${message}`);
+            });
+            if (saved.sequence) {
+                this._loadSequence(saved.sequence.definition);
+                this.sequenceRunner.restore(saved.sequence.engine);
+            }
+        } catch (error) {
+            console.error(`Error restoring saved state: ${error.message}`);
+            this.stopwatch.reset();
+            this.countdownTimer.clear();
+            this.sequenceRunner = null;
+            return;
+        }
+        
+        this._syncStopwatchControls();
+        this.renderLaps();
+        // Shown by _init, unless the URL names another screen
+        this.currentScreen = ['home', 'stopwatch', 'countdown', 'dashboard', 'sequence', 'history'].includes(saved.screen) ? saved.screen : 'home';
+        console.log('Restored saved timer state');
+    }
+    
+    /**
+     * Applies the timers saved by another tab, without leaving the current screen
+     * @param {Object} saved - State saved by _saveState() in the other tab
+     */
+    _syncState(saved) {
+        if (!saved) return;
+        
+        this._restoreTimerOptions(saved);
+        try {
+            this.stopwatch.restore(saved.stopwatch);
+            this.countdownTimer.restore(saved.countdown);
+            if (saved.sequence) {
+                this._loadSequence(saved.sequence.definition);
+                this.sequenceRunner.restore(saved.sequence.engine);
+            } else {
+                this.sequenceRunner = null;
+            }
+            // Last: its change event saves the whole state, which is complete by now
+            this.timerCollection.sync(saved.dashboard).forEach(message => {
+                console.warn(`Skipped dashboard timer from another tab. ${message}`);
+            });
+        } catch (error) {
+            console.error(`Error applying state from another tab: ${error.message}`);
+            return;
+        }
+        
+        this._syncStopwatchControls();
+        this.renderLaps();
+        if (this.countdownTimer.initialTime > 0) {
+            this._syncCountdownControls();
+        } else {
+            this.resetCountdownUI();
+        }
+        this._showSequencePanel(this.sequenceRunner ? 'run' : 'setup');
+        this.renderSequence();
+    }
+    
+    /**
+     * Restores the timer labels, the countdown's alarm tone and its overtime mode
+     * @param {Object} saved - State saved by _saveState()
+     */
+    _restoreTimerOptions(saved) {
+        if (saved.labels) {
+            this.stopwatchLabel.value = saved.labels.stopwatch || '';
+            this.countdownLabel.value = saved.labels.countdown || '';
+        }
+        this.countdownAlarm.value = AlarmEngine.isTone(saved.countdownAlarm) ? saved.countdownAlarm : '';
+        this.countdownTimer.engine.overtime = this.countdownOvertime.checked = saved.countdownOvertime === true;
+    }
+    
+    /**
+     * Shows the screen of a route. Countdown links ("#/countdown?t=5m&autostart=1&label=Break")
+     * also set the countdown; their parameters are then dropped from the URL so that
+     * reloading the page does not set it again.
+     * @param {{view: string, params: Object<string, string>}} route - Route from the router
+     */
+    _openRoute({ view, params }) {
+        if (view === 'countdown' && Object.keys(params).length > 0) {
+            this._openCountdownLink(params);
+            this.router.replace('countdown');
+        }
+        this.showScreen(view);
+    }
+    
+    /**
+     * Applies the parameters of a countdown link: duration (any format the duration parser accepts),
+     * label, and whether to start right away
+     * @param {Object<string, string>} params - Link parameters (t, autostart, label)
+     */
+    _openCountdownLink({ t, autostart, label }) {
+        if (label !== undefined) {
+            this._setCountdownLabel(label);
+        }
+        if (t === undefined) return;
+        
+        try {
+            const totalMs = this.durationParser.parse(t);
+            this._setCountdown(totalMs, autostart === '1' || autostart === 'true');
+            console.log(`Countdown set from a link (${totalMs}ms)`);
+        } catch (error) {
+            console.error(`Error opening countdown link: ${error.message}`);
+            this.showAlert(this.i18n.t('countdown.invalidLink', { message: error.message }), 'error');
+        }
+    }
+    
+    /**
+     * Sets a validated duration on the countdown (links and the public API)
+     * @param {number} totalMs - Duration in ms
+     * @param {boolean} autostart - Whether to start counting down right away
+     */
+    _setCountdown(totalMs, autostart) {
+        if (autostart) {
+            this.startCountdownWithDuration(totalMs);
+        } else {
+            this.inputSequence = '';
+            this.pauseCountdownBtn.classList.add('hidden');
+            this.continueCountdownBtn.classList.add('hidden');
+            this._applyCountdownTime(totalMs);
+        }
+    }
+    
+    /**
+     * Changes the countdown label (40 characters at most)
+     * @param {string} label - The new label
+     */
+    _setCountdownLabel(label) {
+        this.countdownLabel.value = label.trim().slice(0, 40);
+        this._saveState();
+    }
+    
+    /**
+     * The timers as the public API sees them (see ../shared/timer-api.js), with the actions of their buttons
+     * @returns {Array<Object>} The stopwatch, the countdown and the dashboard timers
+     */
+    _apiTimers() {
+        const { PAUSED } = TimerEngine.STATES;
+        return [
+            {
+                id: 'stopwatch',
+                kind: 'stopwatch',
+                label: this.stopwatchLabel.value.trim(),
+                engine: this.stopwatch.engine,
+                laps: this.stopwatch.laps,
+                start: () => (this.stopwatch.engine.state === PAUSED ? this.continueStopwatch() : this.startStopwatch()),
+                pause: () => this.pauseStopwatch(),
+                reset: () => this.clearStopwatch()
+            },
+            {
+                id: 'countdown',
+                kind: 'countdown',
+                label: this.countdownLabel.value.trim(),
+                engine: this.countdownTimer.engine,
+                start: () => (this.countdownTimer.engine.state === PAUSED ? this.continueCountdown() : this.startCountdown()),
+                pause: () => this.pauseCountdown(),
+                reset: () => this.clearCountdown()
+            },
+            ...this.timerCollection.entries.map(entry => ({
+                id: entry.id,
+                kind: entry.kind,
+                label: entry.label,
+                engine: entry.engine,
+                start: () => this.handleDashboardAction(entry.id, 'toggle'),
+                pause: () => this.handleDashboardAction(entry.id, 'toggle'),
+                reset: () => this.handleDashboardAction(entry.id, 'reset')
+            }))
+        ];
+    }
+    
+    /**
+     * Shows an alert message
+     * @param {string} message - The message to display
+     * @param {string} type - The type of alert (success, warning, error)
+     */
+    showAlert(message, type = 'success') {
+        const alertDiv = document.createElement('div');
+        alertDiv.className = `alert alert-${type}`;
+        
+        // Create icon based on alert type
+        let iconPath = '';
+        if (type === 'success') {
+            iconPath = '<path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M9 12l2 2 4-4m6 2a9 9 0 11-18 0 9 9 0 0118 0z" />';
+        } else if (type === 'warning') {
+            iconPath = '<path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M12 9v2m0 4h.01m-6.938 4h13.856c1.54 0 2.502-1.667 1.732-3L13.732 4c-.77-1.333-2.694-1.333-3.464 0L3.34 16c-.77 1.333.192 3 1.732 3z" />';
+        } else {
+            iconPath = '<path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M10 14l2-2m0 0l2-2m-2 2l-2-2m2 2l2 2m7-2a9 9 0 11-18 0 9 9 0 0118 0z" />';
+        }
+        
+        alertDiv.innerHTML = `
             <svg class="alert-icon w-6 h-6" fill="none" viewBox="0 0 24 24" stroke="currentColor">
                 ${iconPath}
             </svg>
-            <span>${message}</span>
+            <span></span>
         `;
         
+        // Messages can contain user input (timer labels), so never parse them as HTML
+        alertDiv.querySelector('span').textContent = message;
+        
         this.alertContainer.appendChild(alertDiv);
         
         // Remove alert after animation completes
@@ -619,6 +2369,45 @@ class UIController {
         }, 3000);
     }
     
+    /**
+     * Shows a time in the chosen format, the fraction of a second in a smaller span
+     * @param {HTMLElement} element - Display element
+     * @param {number} ms - Time in milliseconds
+     * @param {boolean} [roundUp=false] - Round up, for time left
+     */
+    _showTime(element, ms, roundUp = false) {
+        const { main, fraction } = this.timeFormat.parts(ms, { roundUp });
+        element.innerHTML = fraction ? `${main}<span class="milliseconds">.${fraction}</span>` : main;
+    }
+    
+    /**
+     * Shows the countdown's time left, coloured by the warning stage reached, or,
+     * once it has expired in overtime mode, how far it ran over as negative time
+     * in red (e.g. "-00:01:23.000")
+     */
+    _showCountdownTime() {
+        const { engine, remainingTime } = this.countdownTimer;
+        const overtime = engine.getOvertime();
+        if (overtime > 0) {
+            this._showTime(this.countdownDisplay, overtime);
+            this.countdownDisplay.insertAdjacentText('afterbegin', '-');
+        } else {
+            this._showTime(this.countdownDisplay, remainingTime, true);
+        }
+        this._styleCountdownOvertime(overtime > 0);
+        const counting = engine.state === TimerEngine.STATES.RUNNING || engine.state === TimerEngine.STATES.PAUSED;
+        CountdownWarnings.showStage(this.countdownDisplay, counting ? this.countdownWarnings.stageFor(remainingTime) : null);
+    }
+    
+    /**
+     * Colours the countdown display for overtime, or back to normal
+     * @param {boolean} overtime - Whether overtime is shown
+     */
+    _styleCountdownOvertime(overtime) {
+        this.countdownDisplay.classList.toggle('text-red-600', overtime);
+        this.countdownDisplay.classList.toggle('text-gray-800', !overtime);
+    }
+    
     /**
      * Updates the display elements
      */
@@ -626,70 +2415,279 @@ class UIController {
         try {
             // Update stopwatch display
             if (!this.stopwatchScreen.classList.contains('hidden')) {
-                this.stopwatchDisplay.textContent = this.stopwatch.getTime();
-                this.stopwatchDisplay.innerHTML = this.stopwatch.getTimeWithMs().replace(/(\..*)/, '<span class="milliseconds">$1</span>');
+                this._showTime(this.stopwatchDisplay, this.stopwatch.elapsedTime);
             }
             
             // Update countdown display
             if (!this.countdownScreen.classList.contains('hidden')) {
                 if (!this.countdownControls.classList.contains('hidden')) {
-                    this.countdownDisplay.textContent = this.countdownTimer.getTime();
-                    this.countdownDisplay.innerHTML = this.countdownTimer.getTimeWithMs().replace(/(\..*)/, '<span class="milliseconds">$1</span>');
-                    
-                    // Handle countdown completion
-                    if (this.countdownTimer.isExpired() && !this.countdownExpired) {
-                        this.countdownTimer.stop();
-                        this.pauseCountdownBtn.classList.add('hidden');
-                        this.startCountdownBtn.classList.remove('hidden');
-                        
-                        // Play completion sound
-                        this._playCompletionSound();
-                        
-                        // Show expiration alert
-                        this.showAlert('Countdown has expired!', 'warning');
-                        this.countdownExpired = true;
-                    }
+                    this._showCountdownTime();
                 }
             }
             
-            // Continue the loop
-            requestAnimationFrame(() => this._updateDisplays());
+            // Tick dashboard timers and the sequence
+            this.timerCollection.tickAll();
+            if (this.sequenceRunner) this.sequenceRunner.tick();
         } catch (error) {
             console.error(`Error updating displays: ${error.message}`);
         }
     }
     
     /**
-     * Plays a sound when countdown completes
+     * Time until the dashboard or the sequence must be ticked even in a hidden tab
+     * (a countdown expiring, the next phase starting)
+     * @returns {number|null} Time in milliseconds, or null when nothing is due
+     */
+    _nextDeadline() {
+        const deadlines = [this.timerCollection.getNextExpiry()];
+        if (this.sequenceRunner && this.sequenceRunner.engine.isRunning) {
+            deadlines.push(this.sequenceRunner.getSnapshot().phaseRemaining);
+        }
+        const due = deadlines.filter(deadline => deadline !== null);
+        return due.length > 0 ? Math.min(...due) : null;
+    }
+    
+    /**
+     * Handles the engine's expire event for the countdown.
+     * Only Clear is offered until the alarm is dismissed.
      */
-    _playCompletionSound() {
+    _handleCountdownExpired() {
         try {
-            // Create audio context if not available
-            const AudioContext = window.AudioContext || window.webkitAudioContext;
-            if (!AudioContext) return;
-            
-            const context = new AudioContext();
-            const oscillator = context.createOscillator();
-            const gainNode = context.createGain();
-            
-            oscillator.connect(gainNode);
-            gainNode.connect(context.destination);
-            
-            oscillator.type = 'sine';
-            oscillator.frequency.value = 440;
-            gainNode.gain.value = 0.3;
+            this._syncCountdownControls();
+            this._saveState();
+            console.log('Countdown expired');
+        } catch (error) {
+            console.error(`Error handling countdown expiry: ${error.message}`);
+        }
+    }
+    
+    /**
+     * Renders the ringing and snoozed alarms and the alarm settings
+     */
+    renderAlarms() {
+        try {
+            const alarms = this.alarmEngine.list();
+            this.alarmPanel.classList.toggle('hidden', alarms.length === 0);
+            this.alarmList.innerHTML = '';
             
-            oscillator.start();
+            alarms.forEach(alarm => {
+                const item = document.createElement('li');
+                item.className = `alarm-item ${alarm.snoozedUntil ? 'snoozed' : 'ringing'}`;
+                item.dataset.id = alarm.id;
+                item.setAttribute('role', 'alert');
+                const status = alarm.snoozedUntil
+                    ? this.i18n.t('alarms.snoozedUntil', { time: new Date(alarm.snoozedUntil).toLocaleTimeString(this.i18n.locale, { hour: '2-digit', minute: '2-digit' }) })
+                    : this.i18n.t('alarms.timesUp');
+                item.innerHTML = `
+                    <div class="alarm-header">
+                        <span class="alarm-label"></span>
+                        <span class="alarm-status">${status}</span>
+                    </div>
+                    <div class="alarm-actions">
+                        <button data-action="snooze" data-minutes="1" class="timer-button bg-gray-200 hover:bg-gray-300 text-gray-800">${this.i18n.t('alarms.snooze', { minutes: 1 })}</button>
+                        <button data-action="snooze" data-minutes="5" class="timer-button bg-gray-200 hover:bg-gray-300 text-gray-800">${this.i18n.t('alarms.snooze', { minutes: 5 })}</button>
+                        <button data-action="dismiss" class="timer-button bg-red-500 hover:bg-red-600 text-white">${this.i18n.t('alarms.dismiss')}</button>
+                    </div>
+                `;
+                item.querySelector('.alarm-label').textContent = alarm.label || this.i18n.t('timers.countdown');
+                this.alarmList.appendChild(item);
+            });
             
-            // Stop after 500ms
-            setTimeout(() => {
-                oscillator.stop();
-                context.close();
-            }, 500);
+            const { tone, volume, repeat, escalate } = this.alarmEngine.settings;
+            this.alarmTone.value = tone;
+            this.alarmVolume.value = Math.round(volume * 100);
+            this.alarmRepeat.checked = repeat;
+            this.alarmEscalate.checked = escalate;
+            this.alarmEscalate.disabled = !repeat;
+        } catch (error) {
+            console.error(`Error rendering alarms: ${error.message}`);
+        }
+    }
+    
+    /**
+     * Silences an alarm and rings it again later
+     * @param {string} id - Alarm id (timer id)
+     * @param {number} minutes - Snooze length in minutes
+     */
+    snoozeAlarm(id, minutes) {
+        try {
+            this.alarmEngine.snooze(id, minutes);
+            console.log(`Alarm ${id} snoozed for ${minutes} min`);
+        } catch (error) {
+            console.error(`Error snoozing alarm: ${error.message}`);
+        }
+    }
+    
+    /**
+     * Acknowledges an alarm
+     * @param {string} id - Alarm id (timer id)
+     */
+    dismissAlarm(id) {
+        try {
+            this.alarmEngine.dismiss(id);
+            console.log(`Alarm ${id} dismissed`);
+        } catch (error) {
+            console.error(`Error dismissing alarm: ${error.message}`);
+        }
+    }
+    
+    /**
+     * Changes the alarm settings (saved by the alarm engine)
+     * @param {Object} changes - Any of tone, volume (0 to 1), repeat and escalate
+     */
+    configureAlarm(changes) {
+        try {
+            this.alarmEngine.configure(changes);
+        } catch (error) {
+            console.error(`Error changing alarm settings: ${error.message}`);
+            this.showAlert(error.message, 'error');
+        }
+    }
+    
+    /**
+     * Applies a button clicked on an expiry notification
+     * @param {string} id - Countdown id ('countdown' or a dashboard timer id)
+     * @param {string} action - pause (acknowledges the alarm), restart or open
+     */
+    handleNotificationAction(id, action) {
+        try {
+            if (action === 'pause') {
+                this.dismissAlarm(id);
+            } else if (action === 'restart' && id === 'countdown') {
+                this.startCountdownWithDuration(this.countdownTimer.initialTime);
+            } else if (action === 'restart') {
+                const entry = this.timerCollection.get(id);
+                entry.engine.reset();
+                entry.engine.start();
+                this._updateDashboardTile(entry);
+            }
+            console.log(`Notification action ${action} applied to ${id}`);
+        } catch (error) {
+            console.error(`Error applying notification action: ${error.message}`);
+        }
+    }
+    
+    /**
+     * Renders the countdown warning thresholds, from the earliest to the most urgent
+     */
+    renderWarnings() {
+        try {
+            const { thresholds } = this.countdownWarnings;
+            this.warningEmpty.classList.toggle('hidden', thresholds.length > 0);
+            this.warningAddBtn.disabled = thresholds.length >= CountdownWarnings.MAX_THRESHOLDS;
             
-            console.log('Played countdown completion sound');
+            const colors = CountdownWarnings.COLORS.map(color => `<option value="${color}">${this.i18n.t(`warnings.colors.${color}`)}</option>`).join('');
+            this.warningList.innerHTML = thresholds.map((threshold, index) => `
+                <li class="warning-row" data-index="${index}">
+                    <input type="text" class="warning-at dashboard-field" value="${PresetStore.formatDuration(threshold.at)}" aria-label="${this.i18n.t('warnings.at')}">
+                    <select class="warning-color dashboard-field" aria-label="${this.i18n.t('warnings.color')}">${colors}</select>
+                    <label><input type="checkbox" class="warning-pulse" ${threshold.pulse ? 'checked' : ''}> ${this.i18n.t('warnings.pulse')}</label>
+                    <label><input type="checkbox" class="warning-cue" ${threshold.cue ? 'checked' : ''}> ${this.i18n.t('warnings.cue')}</label>
+                    <button data-action="remove" type="button" class="tile-delete" aria-label="${this.i18n.t('warnings.remove')}">&times;</button>
+                </li>
+            `).join('');
+            this.warningList.querySelectorAll('.warning-color').forEach((select, index) => {
+                select.value = thresholds[index].color;
+            });
+        } catch (error) {
+            console.error(`Error rendering warnings: ${error.message}`);
+        }
+    }
+    
+    /**
+     * Commits an edit made on a warning threshold
+     * @param {HTMLElement} input - The edited input
+     */
+    handleWarningEdit(input) {
+        const row = input.closest('[data-index]');
+        if (!row) return;
+        
+        try {
+            let changes;
+            if (input.classList.contains('warning-at')) {
+                changes = { at: this.durationParser.parse(input.value) };
+            } else if (input.classList.contains('warning-color')) {
+                changes = { color: input.value };
+            } else if (input.classList.contains('warning-pulse')) {
+                changes = { pulse: input.checked };
+            } else {
+                changes = { cue: input.checked };
+            }
+            this.countdownWarnings.update(Number(row.dataset.index), changes);
+        } catch (error) {
+            console.error(`Error editing warning: ${error.message}`);
+            this.showAlert(error.message, 'error');
+            this.renderWarnings();
+        }
+    }
+    
+    /**
+     * Adds a warning threshold half way between the most urgent one and zero
+     */
+    addWarning() {
+        try {
+            this.countdownWarnings.add(this.countdownWarnings.nextDefault());
+        } catch (error) {
+            console.error(`Error adding warning: ${error.message}`);
+            this.showAlert(error.message, 'error');
+        }
+    }
+    
+    /**
+     * Fills a select with the alarm tones in the current language, keeping the selected tone
+     * @param {HTMLSelectElement} select - Select to fill
+     * @param {boolean} [withDefault=false] - Add a first option (value '') for the default tone
+     */
+    _fillToneSelect(select, withDefault = false) {
+        const selected = select.value;
+        const options = Object.keys(AlarmEngine.TONES).map(value => [value, this.i18n.t(`alarms.tones.${value}`)]);
+        if (withDefault) options.unshift(['', this.i18n.t('alarms.defaultAlarm')]);
+        select.innerHTML = '';
+        options.forEach(([value, text]) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = text;
+            select.appendChild(option);
+        });
+        if (options.some(([value]) => value === selected)) select.value = selected;
+    }
+    
+    /**
+     * Translates the page again and redraws everything rendered by script after a language switch.
+     * Labels and sequence names already entered are kept as they are.
+     */
+    _applyLanguage() {
+        try {
+            this.i18n.translatePage(document);
+            this.tabStatus.setBaseTitle(this.i18n.t('app.trackerTitle'));
+            [this.countdownAlarm, this.dashboardAlarm].forEach(select => this._fillToneSelect(select, true));
+            this._fillToneSelect(this.alarmTone);
+            this.renderLaps();
+            this.renderPresets();
+            this.renderDashboard();
+            this.renderSequence();
+            this.renderHistory();
+            this.renderAlarms();
+            this.renderWarnings();
+            this.renderShortcutsHelp();
+            console.log(`Language switched to ${this.i18n.locale}`);
+        } catch (error) {
+            console.error(`Error switching language: ${error.message}`);
+        }
+    }
+    
+    /**
+     * Shows the laps, dashboard and sequence again in the new time format (the timer displays follow on the next frame)
+     */
+    _applyTimeFormat() {
+        try {
+            this.renderLaps();
+            this.renderDashboard();
+            this.renderSequence();
+            this._updateDisplays();
+            console.log(`Time format: ${this.timeFormat.precision}, ${this.timeFormat.layout}`);
         } catch (error) {
-            console.error(`Error playing completion sound: ${error.message}`);
+            console.error(`Error changing the time format: ${error.message}`);
         }
     }
 }
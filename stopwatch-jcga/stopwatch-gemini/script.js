@@ -1,61 +1,254 @@
 /**
  * TimerBase Class
- * Provides common functionalities for both Stopwatch and Countdown,
- * including time formatting, display updates, and basic logging.
- * Adheres to Single Responsibility Principle for display and logging.
+ * Provides common functionalities for both Stopwatch and Countdown views,
+ * including time formatting, display updates, tick scheduling and basic logging.
+ * All timing state lives in a headless TimerEngine (see ../shared/timer-core.js);
+ * this class only renders it. Adheres to Single Responsibility Principle for display and logging.
  */
 class TimerBase {
-    constructor(displayElementId) {
+    /**
+     * TickScheduler shared by all views (see ../shared/tick-scheduler.js); set once on page load.
+     */
+    static scheduler = null;
+
+    /**
+     * TimeFormat shared by all views (see ../shared/time-format.js): the precision and layout the user chose; set once on page load.
+     */
+    static timeFormat = null;
+
+    constructor(displayElementId, engine) {
         // Get the DOM element where the time will be displayed
         this.displayElement = document.getElementById(displayElementId);
-        // Interval ID for `setInterval` calls, used to clear the timer
-        this.timerInterval = null;
-        // Boolean flag to track if the timer is currently running
-        this.isRunning = false;
+        // Headless engine that owns the timing state (elapsed/remaining time, running state)
+        this.engine = engine;
+        // Registration with the TickScheduler while ticking, used to stop ticking
+        this.tickId = null;
+        // Optional StateStore and key used to persist this timer across page reloads
+        this.store = null;
+        this.storageKey = null;
+        // Optional RunExporter (see useExporter) and the last finished run, kept for export
+        this.exporter = null;
+        this.lastRun = null;
+        // Optional PresentationMode that shows this timer fullscreen (see usePresentation)
+        this.presentation = null;
+        // Optional TimerApi (window.TimerApp) reporting this timer's events, and its id there (see useApi)
+        this.api = null;
+        this.apiId = null;
+        // Time last shown by updateDisplay, drawn again when the time format changes
+        this.displayedTime = 0;
     }
 
     /**
-     * Formats a given number of milliseconds into HH:MM:SS.ms string format.
-     * @param {number} ms - The time in milliseconds.
-     * @returns {string} Formatted time string (e.g., "01:23:45.678").
+     * Whether the underlying engine is currently counting.
+     * @returns {boolean} True while running.
      */
-    formatTime(ms) {
-        // Ensure milliseconds are non-negative
-        ms = Math.max(0, ms);
+    get isRunning() {
+        return this.engine.isRunning;
+    }
+
+    /**
+     * Starts calling `tick()` once per frame while the page is visible. In a hidden
+     * tab nothing is rendered; `tick()` only runs when `nextDeadline()` is reached.
+     */
+    startTicking() {
+        this.stopTicking(); // Never register twice
+        this.tickId = TimerBase.scheduler.start(() => this.tick(), () => this.nextDeadline());
+    }
+
+    /**
+     * Time until something must happen even in a hidden tab (e.g. a countdown expiring).
+     * @returns {number|null} Time in ms, or null when nothing is due.
+     */
+    nextDeadline() {
+        return null;
+    }
+
+    /**
+     * Advances the engine; it emits `tick` events, which the subclasses render.
+     */
+    tick() {
+        this.engine.tick();
+    }
+
+    /**
+     * Stops ticking, if it was.
+     */
+    stopTicking() {
+        if (TimerBase.scheduler) TimerBase.scheduler.stop(this.tickId);
+        this.tickId = null;
+    }
+
+    /**
+     * Enables persistence: from now on `saveState()` writes this timer's state to the store.
+     * @param {StateStore} store - Store used to save the state.
+     * @param {string} key - Key under which the state is saved.
+     */
+    persistTo(store, key) {
+        this.store = store;
+        this.storageKey = key;
+    }
+
+    /**
+     * Saves the current state (as returned by the subclass's `getState()`), if persistence is enabled.
+     */
+    saveState() {
+        if (!this.store) return;
+        this.store.save(this.storageKey, this.getState());
+    }
+
+    /**
+     * Enables the Export CSV/JSON buttons of this timer.
+     * @param {RunExporter} exporter - Builds the exported files.
+     * @param {string} csvBtnId - ID of the Export CSV button.
+     * @param {string} jsonBtnId - ID of the Export JSON button.
+     */
+    useExporter(exporter, csvBtnId, jsonBtnId) {
+        this.exporter = exporter;
+        // Remember each finished run, so it can still be exported after Clear
+        // (or after an expired countdown goes back to input mode)
+        this.engine.on('sessionend', run => {
+            this.lastRun = { run, details: this.getRunDetails() };
+        });
+
+        [[csvBtnId, 'csv'], [jsonBtnId, 'json']].forEach(([id, format]) => {
+            document.getElementById(id).addEventListener('click', () => {
+                try {
+                    this.exportRun(format);
+                } catch (e) {
+                    this.log(`Error exporting run: ${e.message}`, 'error');
+                    ViewManager.showAlert(ViewManager.t('errors.exportRun'));
+                }
+            });
+        });
+    }
+
+    /**
+     * Enables the fullscreen presentation of this timer, toggled by a button or `present()`.
+     * @param {PresentationMode} presentation - Shared presentation mode.
+     * @param {string} presentBtnId - ID of the button that starts presenting.
+     */
+    usePresentation(presentation, presentBtnId) {
+        this.presentation = presentation;
+        document.getElementById(presentBtnId).addEventListener('click', () => this.present());
+    }
+
+    /**
+     * Announces this timer's state changes (and a countdown's remaining time) to screen readers.
+     * @param {LiveAnnouncer} announcer - Shared live regions.
+     * @param {string} defaultLabelKey - Message key of the name announced when the label is empty.
+     */
+    useAnnouncer(announcer, defaultLabelKey) {
+        announcer.watch(this.engine, { label: () => this.label || ViewManager.t(defaultLabelKey) });
+    }
+
+    /**
+     * Reports this timer's events (timer:start, timer:tick, timer:expire...) through the public API.
+     * @param {TimerApi} api - The API exposed as `window.TimerApp`.
+     * @param {string} id - The id this timer goes by in the API.
+     */
+    useApi(api, id) {
+        this.api = api;
+        this.apiId = id;
+        api.watch(this.engine, id);
+    }
+
+    /**
+     * Shows this timer fullscreen (only the time and the label), or ends the presentation.
+     */
+    present() {
+        if (!this.presentation) return;
+        this.presentation.toggle(() => PresentationMode.fromEngine(this.engine, this.label))
+            .catch(e => {
+                this.log(`Error presenting the timer: ${e.message}`, 'error');
+                ViewManager.showAlert(ViewManager.t('errors.fullscreen'));
+            });
+    }
+
+    /**
+     * Label and laps saved with an exported run; subclasses add theirs.
+     * @returns {{label: string, laps: Array<Object>}} Run details.
+     */
+    getRunDetails() {
+        return { label: '', laps: [] };
+    }
+
+    /**
+     * Downloads the current run, or the last finished one when the timer is idle.
+     * @param {'csv' | 'json'} format - File format.
+     */
+    exportRun(format) {
+        const current = this.engine.getRun();
+        const source = current.segments.length > 0
+            ? { run: current, details: this.getRunDetails() }
+            : this.lastRun;
+        if (!source) {
+            ViewManager.showAlert(ViewManager.t('runs.nothingToExport'));
+            return;
+        }
+
+        const record = this.exporter.createRun(source.run, source.details);
+        if (format === 'csv') {
+            ViewManager.downloadFile(RunExporter.fileName(record, 'csv'), this.exporter.toCSV([record]), 'text/csv');
+        } else {
+            ViewManager.downloadFile(RunExporter.fileName(record, 'json'), this.exporter.toJSON([record]), 'application/json');
+        }
+        this.log(`Run exported as ${format.toUpperCase()}.`);
+    }
 
-        // Calculate hours, minutes, seconds, and remaining milliseconds
-        const hours = Math.floor(ms / 3600000);
-        const minutes = Math.floor((ms % 3600000) / 60000);
-        const seconds = Math.floor((ms % 60000) / 1000);
-        const milliseconds = ms % 1000;
+    /**
+     * Maps an engine state to the button state used by `updateButtonVisibility`.
+     * @param {string} engineState - One of `TimerEngine.STATES`.
+     * @returns {'initial' | 'running' | 'paused' | 'expired'} The matching button state.
+     */
+    toButtonState(engineState) {
+        if (engineState === TimerEngine.STATES.RUNNING) return 'running';
+        if (engineState === TimerEngine.STATES.PAUSED) return 'paused';
+        if (engineState === TimerEngine.STATES.EXPIRED) return 'expired';
+        return 'initial';
+    }
 
-        /**
-         * Helper function to pad numbers with leading zeros.
-         * @param {number} num - The number to pad.
-         * @param {number} len - The desired length of the string.
-         * @returns {string} Padded string.
-         */
-        const pad = (num, len = 2) => String(num).padStart(len, '0');
+    /**
+     * Whether this view shows time left. Time left is rounded up, so it only reads zero when done.
+     * @returns {boolean} True for countdowns.
+     */
+    get countsDown() {
+        return this.engine !== null && this.engine.mode === 'countdown';
+    }
 
-        // Return the formatted string
-        return `${pad(hours)}:${pad(minutes)}:${pad(seconds)}.${String(milliseconds).padStart(3, '0')}`;
+    /**
+     * Formats a given number of milliseconds in the chosen time format (e.g. "01:23:45.678").
+     * @param {number} ms - The time in milliseconds.
+     * @returns {string} Formatted time string.
+     */
+    formatTime(ms) {
+        return TimerBase.timeFormat.format(ms, { roundUp: this.countsDown });
     }
 
     /**
      * Updates the specified display element with the formatted time.
-     * Separates main time (HH:MM:SS) and milliseconds for distinct styling.
+     * Separates main time (e.g. HH:MM:SS) and the fraction of a second for distinct styling.
      * @param {number} timeInMs - The time in milliseconds to display.
+     * @param {boolean} [overtime=false] - Show the time as overtime: negative and in red (e.g. "-00:01:23.000").
      */
-    updateDisplay(timeInMs) {
-        // Split the formatted time into main part and milliseconds part
-        const [mainTime, ms] = this.formatTime(timeInMs).split('.');
+    updateDisplay(timeInMs, overtime = false) {
+        this.displayedTime = timeInMs;
+        this.displayedOvertime = overtime;
+        // Split the formatted time into main part and fraction (empty when whole seconds are shown)
+        const { main, fraction } = TimerBase.timeFormat.parts(timeInMs, { roundUp: this.countsDown && !overtime });
         // Update the inner HTML of the display element with styled spans
         this.displayElement.innerHTML = `
-            <span class="text-6xl md:text-7xl lg:text-8xl font-bold text-gray-900">${mainTime}</span>
-            <span class="text-xl md:text-2xl lg:text-3xl opacity-70 ml-2 align-bottom text-gray-600">${ms}</span>
+            <span class="text-6xl md:text-7xl lg:text-8xl font-bold ${overtime ? 'text-red-600' : 'text-gray-900'}">${overtime ? '-' : ''}${main}</span>
+            ${fraction ? `<span class="text-xl md:text-2xl lg:text-3xl opacity-70 ml-2 align-bottom text-gray-600">${fraction}</span>` : ''}
         `;
     }
 
+    /**
+     * Draws the display again, e.g. after the time format changed.
+     */
+    redraw() {
+        this.updateDisplay(this.displayedTime, this.displayedOvertime);
+    }
+
     /**
      * Logs messages to the console with a timestamp and type.
      * @param {string} message - The message to log.
@@ -79,33 +272,69 @@ class TimerBase {
  * Manages start, pause, continue, and clear operations for a stopwatch.
  */
 class Stopwatch extends TimerBase {
-    constructor(displayElementId, startBtnId, pauseBtnId, continueBtnId, clearBtnId) {
-        super(displayElementId); // Call parent constructor
-        this.startTime = 0;      // Timestamp when the stopwatch last started or continued
-        this.elapsedTime = 0;    // Total elapsed time in milliseconds
+    constructor(displayElementId, startBtnId, pauseBtnId, continueBtnId, clearBtnId, lapBtnId, lapListId, labelInputId) {
+        super(displayElementId, new TimerEngine({ mode: 'stopwatch' })); // Call parent constructor
+        this.lapRecorder = new LapRecorder(); // Lap and split model
 
         // Get references to stopwatch control buttons
         this.startBtn = document.getElementById(startBtnId);
         this.pauseBtn = document.getElementById(pauseBtnId);
         this.continueBtn = document.getElementById(continueBtnId);
         this.clearBtn = document.getElementById(clearBtnId);
+        this.lapBtn = document.getElementById(lapBtnId);
+        // List element where recorded laps are rendered
+        this.lapListElement = document.getElementById(lapListId);
+        // Optional label saved with each run in the session history
+        this.labelInput = document.getElementById(labelInputId);
+        // Keep keyboard focus on the buttons as Start, Pause and Continue replace one another
+        new FocusKeeper(this.displayElement.parentElement, [this.startBtn, this.pauseBtn, this.continueBtn, this.lapBtn, this.clearBtn]);
 
-        // Initialize event listeners for buttons
+        // Initialize event listeners for buttons and engine events
         this.initEvents();
         // Set initial state of the stopwatch
         this.reset();
     }
 
     /**
-     * Sets up event listeners for the stopwatch control buttons.
+     * Total elapsed time in milliseconds, read from the engine.
+     * @returns {number} Elapsed time in ms.
+     */
+    get elapsedTime() {
+        return this.engine.getElapsed();
+    }
+
+    /**
+     * Label typed by the user for the current run.
+     * @returns {string} The trimmed label (empty if none).
+     */
+    get label() {
+        return this.labelInput.value.trim();
+    }
+
+    /**
+     * Label and laps of the current run, for exports.
+     * @returns {{label: string, laps: Array<Object>}} Run details.
+     */
+    getRunDetails() {
+        return { label: this.label, laps: this.lapRecorder.laps.slice() };
+    }
+
+    /**
+     * Sets up event listeners for the engine and the stopwatch control buttons.
      */
     initEvents() {
+        // Render every engine tick and keep the buttons in sync with the engine state
+        this.engine.on('tick', ({ elapsed }) => this.updateDisplay(elapsed));
+        this.engine.on('statechange', ({ to }) => this.updateButtonVisibility(this.toButtonState(to)));
+        // Keep the label across page reloads
+        this.labelInput.addEventListener('change', () => this.saveState());
+
         this.startBtn.addEventListener('click', () => {
             try {
                 this.start();
             } catch (e) {
                 this.log(`Error starting stopwatch: ${e.message}`, 'error');
-                ViewManager.showAlert('An error occurred while starting the stopwatch.');
+                ViewManager.showAlert(ViewManager.t('errors.startStopwatch'));
             }
         });
         this.pauseBtn.addEventListener('click', () => {
@@ -113,7 +342,7 @@ class Stopwatch extends TimerBase {
                 this.pause();
             } catch (e) {
                 this.log(`Error pausing stopwatch: ${e.message}`, 'error');
-                ViewManager.showAlert('An error occurred while pausing the stopwatch.');
+                ViewManager.showAlert(ViewManager.t('errors.pauseStopwatch'));
             }
         });
         this.continueBtn.addEventListener('click', () => {
@@ -121,7 +350,7 @@ class Stopwatch extends TimerBase {
                 this.continue();
             } catch (e) {
                 this.log(`Error continuing stopwatch: ${e.message}`, 'error');
-                ViewManager.showAlert('An error occurred while continuing the stopwatch.');
+                ViewManager.showAlert(ViewManager.t('errors.continueStopwatch'));
             }
         });
         this.clearBtn.addEventListener('click', () => {
@@ -129,7 +358,15 @@ class Stopwatch extends TimerBase {
                 this.reset();
             } catch (e) {
                 this.log(`Error clearing stopwatch: ${e.message}`, 'error');
-                ViewManager.showAlert('An error occurred while clearing the stopwatch.');
+                ViewManager.showAlert(ViewManager.t('errors.clearStopwatch'));
+            }
+        });
+        this.lapBtn.addEventListener('click', () => {
+            try {
+                this.lap();
+            } catch (e) {
+                this.log(`Error recording lap: ${e.message}`, 'error');
+                ViewManager.showAlert(ViewManager.t('errors.recordLap'));
             }
         });
     }
@@ -141,15 +378,9 @@ class Stopwatch extends TimerBase {
     start() {
         if (this.isRunning) return; // Prevent starting if already running
         this.log('Stopwatch started.');
-        this.isRunning = true;
-        // Calculate startTime to account for previously elapsed time (for continuation)
-        this.startTime = Date.now() - this.elapsedTime;
-        // Set interval to update display every 10 milliseconds
-        this.timerInterval = setInterval(() => {
-            this.elapsedTime = Date.now() - this.startTime; // Update elapsed time
-            this.updateDisplay(this.elapsedTime);           // Update UI
-        }, 10);
-        this.updateButtonVisibility('running'); // Update button states
+        this.engine.start(); // Starts, or resumes with the previously elapsed time
+        this.startTicking(); // Render the elapsed time on every frame
+        this.saveState();    // Remember the start epoch in case the page reloads
     }
 
     /**
@@ -159,9 +390,10 @@ class Stopwatch extends TimerBase {
     pause() {
         if (!this.isRunning) return; // Prevent pausing if not running
         this.log('Stopwatch paused.');
-        this.isRunning = false;
-        clearInterval(this.timerInterval); // Stop the interval
-        this.updateButtonVisibility('paused'); // Update button states
+        this.engine.pause();                  // Freeze the elapsed time
+        this.stopTicking();                   // Stop ticking
+        this.updateDisplay(this.elapsedTime); // Show the exact paused time
+        this.saveState();                     // Persist the paused time
     }
 
     /**
@@ -173,18 +405,105 @@ class Stopwatch extends TimerBase {
         this.start(); // Reuse the start method to resume the timer
     }
 
+    /**
+     * Records a lap at the current elapsed time and refreshes the lap list.
+     * Only available while the stopwatch is running.
+     */
+    lap() {
+        if (!this.isRunning) return; // Laps can only be taken while running
+        // Read the engine directly so the split is not up to 10 ms stale
+        const lap = this.lapRecorder.record(this.elapsedTime);
+        this.log(`Lap ${lap.number} recorded: ${this.formatTime(lap.lapTime)} (split ${this.formatTime(lap.splitTime)}).`);
+        this.renderLaps();
+        this.saveState();
+        if (this.api) this.api.lap(this.apiId, lap); // Dispatch timer:lap
+    }
+
+    /**
+     * Renders the recorded laps, newest first, marking the fastest and slowest laps.
+     * Hides the list entirely when there are no laps.
+     */
+    renderLaps() {
+        const laps = this.lapRecorder.laps;
+        const { fastest, slowest } = this.lapRecorder.getExtremes();
+
+        this.lapListElement.innerHTML = '';
+        this.lapListElement.classList.toggle('hidden', laps.length === 0);
+
+        // Newest lap on top, like most physical stopwatches
+        laps.slice().reverse().forEach(lap => {
+            const item = document.createElement('li');
+            item.className = 'lap-item flex justify-between items-center py-2 px-4 font-mono text-gray-700';
+            let badge = '';
+            if (lap.number === fastest) {
+                item.classList.add('lap-fastest');
+                badge = `<span class="lap-badge ml-2 text-xs font-sans font-bold uppercase">${ViewManager.t('stopwatch.fastest')}</span>`;
+            } else if (lap.number === slowest) {
+                item.classList.add('lap-slowest');
+                badge = `<span class="lap-badge ml-2 text-xs font-sans font-bold uppercase">${ViewManager.t('stopwatch.slowest')}</span>`;
+            }
+            item.innerHTML = `
+                <span class="font-sans font-semibold">${ViewManager.t('stopwatch.lap', { number: lap.number })}${badge}</span>
+                <span>${this.formatTime(lap.lapTime)}</span>
+                <span class="text-gray-500">${this.formatTime(lap.splitTime)}</span>
+            `;
+            this.lapListElement.appendChild(item);
+        });
+    }
+
     /**
      * Resets the stopwatch to its initial state (00:00:00.000).
-     * Stops the timer, clears elapsed time, and shows the Start button.
+     * Stops the timer, clears elapsed time and recorded laps, and shows the Start button.
      */
     reset() {
         this.log('Stopwatch reset.');
-        this.isRunning = false;
-        clearInterval(this.timerInterval); // Clear any active interval
-        this.startTime = 0;                // Reset start time
-        this.elapsedTime = 0;              // Reset elapsed time
+        this.stopTicking();                // Stop ticking, if it was
+        this.engine.reset();               // Reset elapsed time
+        this.lapRecorder.clear();          // Discard recorded laps
+        this.renderLaps();                 // Empty and hide the lap list
         this.updateDisplay(0);             // Update display to zero
         this.updateButtonVisibility('initial'); // Show initial buttons
+        this.saveState();                  // Forget any saved run
+    }
+
+    /**
+     * Returns the persistable state of the stopwatch.
+     * @returns {{engine: Object, laps: Array<Object>, label: string}} Engine state, recorded laps and label.
+     */
+    getState() {
+        return {
+            engine: this.engine.serialize(),
+            laps: this.lapRecorder.laps,
+            label: this.label
+        };
+    }
+
+    /**
+     * Restores a state saved by `getState()`. A stopwatch that was running
+     * keeps counting, including the time the page was closed. Also applies
+     * the state saved by another tab, so it may replace a live stopwatch.
+     * @param {Object|null} state - The saved state, or null if nothing was saved.
+     */
+    restoreState(state) {
+        if (!state) return;
+        this.labelInput.value = typeof state.label === 'string' ? state.label : '';
+        try {
+            this.engine.restore(state.engine);
+            this.lapRecorder.laps = Array.isArray(state.laps) ? state.laps : [];
+        } catch (e) {
+            this.log(`Ignoring saved stopwatch state: ${e.message}`, 'warn');
+            this.reset();
+            return;
+        }
+        this.renderLaps();
+        this.updateDisplay(this.elapsedTime);
+        this.updateButtonVisibility(this.toButtonState(this.engine.state));
+        if (this.isRunning) {
+            this.startTicking(); // Keep counting from the restored time
+        } else {
+            this.stopTicking();  // Paused or reset in another tab
+        }
+        this.log(`Stopwatch restored (${this.engine.state}, ${this.formatTime(this.elapsedTime)}).`);
     }
 
     /**
@@ -196,6 +515,7 @@ class Stopwatch extends TimerBase {
         this.startBtn.classList.add('hidden');
         this.pauseBtn.classList.add('hidden');
         this.continueBtn.classList.add('hidden');
+        this.lapBtn.classList.add('hidden');
         // The Clear button is always visible when in the stopwatch screen
         this.clearBtn.classList.remove('hidden');
 
@@ -204,6 +524,7 @@ class Stopwatch extends TimerBase {
             this.startBtn.classList.remove('hidden');
         } else if (state === 'running') {
             this.pauseBtn.classList.remove('hidden');
+            this.lapBtn.classList.remove('hidden'); // Laps can only be taken while running
         } else if (state === 'paused') {
             this.continueBtn.classList.remove('hidden');
         }
@@ -217,13 +538,17 @@ class Stopwatch extends TimerBase {
  * Manages visibility of input controls vs. timer controls.
  */
 class Countdown extends TimerBase {
-    constructor(displayElementId, inputControlsId, timerControlsId, setBtnId, clearInputBtnId, startBtnId, pauseBtnId, continueBtnId, clearTimerBtnId) {
-        super(displayElementId); // Call parent constructor
-        this.initialTime = 0;      // The total time initially set for the countdown in ms
-        this.remainingTime = 0;    // The current remaining time in milliseconds
+    constructor(displayElementId, inputControlsId, timerControlsId, setBtnId, clearInputBtnId, startBtnId, pauseBtnId, continueBtnId, clearTimerBtnId, textFormId, textInputId, labelInputId, alarmSelectId, overtimeInputId) {
+        super(displayElementId, new TimerEngine({ mode: 'countdown' })); // Call parent constructor
+        this.inputTime = 0;        // The time in ms currently represented by the input buffer
         this.inputBuffer = [];     // Array to store digits entered by the user (e.g., ['1', '2', '3'])
         // Maximum allowed countdown time: 99 hours, 59 minutes, 59 seconds in milliseconds
         this.maxTimeMs = 99 * 3600000 + 59 * 60000 + 59 * 1000;
+        // Parses typed durations ("1h 30m", "1:30", "until 14:45") under the same limit as the keypad
+        this.durationParser = new DurationParser({ maxMs: this.maxTimeMs, i18n: ViewManager.i18n });
+        this.presetStore = null;   // PresetStore remembering recent durations, see usePresets()
+        this.alarmEngine = null;   // AlarmEngine ringing on expiry, see useAlarms()
+        this.warnings = null;      // CountdownWarnings colouring the time as zero nears, see useWarnings()
 
         // Get references to various control groups and buttons
         this.inputControls = document.getElementById(inputControlsId);
@@ -234,6 +559,17 @@ class Countdown extends TimerBase {
         this.pauseBtn = document.getElementById(pauseBtnId);
         this.continueBtn = document.getElementById(continueBtnId);
         this.clearTimerBtn = document.getElementById(clearTimerBtnId);
+        this.textForm = document.getElementById(textFormId);
+        this.textInput = document.getElementById(textInputId);
+        // Optional label saved with each countdown in the session history
+        this.labelInput = document.getElementById(labelInputId);
+        // Alarm tone of this countdown ("Default alarm" follows the alarm settings)
+        this.alarmSelect = document.getElementById(alarmSelectId);
+        AlarmPanel.fillToneSelect(this.alarmSelect, true);
+        // Whether the countdown keeps counting up as overtime once it reaches zero
+        this.overtimeInput = document.getElementById(overtimeInputId);
+        // Keep keyboard focus on the buttons as they replace one another (Set -> Start -> Pause -> Continue -> Clear -> Set)
+        new FocusKeeper(this.displayElement.parentElement, [this.startBtn, this.pauseBtn, this.continueBtn, this.clearTimerBtn, this.setBtn]);
 
         // Initialize event listeners
         this.initEvents();
@@ -242,9 +578,102 @@ class Countdown extends TimerBase {
     }
 
     /**
-     * Sets up event listeners for all countdown control buttons (number, set, clear, start, pause, continue).
+     * The total time set for the countdown in ms, read from the engine.
+     * @returns {number} Initial countdown time in ms.
+     */
+    get initialTime() {
+        return this.engine.duration;
+    }
+
+    /**
+     * The current remaining time in ms, read from the engine.
+     * @returns {number} Remaining time in ms.
+     */
+    get remainingTime() {
+        return this.engine.getRemaining();
+    }
+
+    /**
+     * Label typed by the user for the current countdown.
+     * @returns {string} The trimmed label (empty if none).
+     */
+    get label() {
+        return this.labelInput.value.trim();
+    }
+
+    /**
+     * Alarm tone chosen for this countdown.
+     * @returns {string|null} The tone name, or null for the default tone.
+     */
+    get alarm() {
+        return this.alarmSelect.value || null;
+    }
+
+    /**
+     * Whether the countdown has expired and is counting its overtime.
+     * @returns {boolean} True while overtime is shown.
+     */
+    get inOvertime() {
+        return this.engine.overtime && this.engine.state === TimerEngine.STATES.EXPIRED;
+    }
+
+    /**
+     * The countdown must warn and expire on time, even in a hidden tab.
+     * @returns {number|null} Time in ms until the next warning or the expiry, or null when not running.
+     */
+    nextDeadline() {
+        if (!this.isRunning) return null;
+        const remaining = this.engine.getRemaining();
+        const warning = this.warnings ? this.warnings.nextIn(remaining) : null;
+        return warning === null ? remaining : Math.min(remaining, warning);
+    }
+
+    /**
+     * Shows the time like every timer, coloured (and pulsing) by the warning
+     * stage reached while the countdown runs or is paused.
+     * @param {number} timeInMs - The time in milliseconds to display.
+     * @param {boolean} [overtime=false] - Show the time as overtime.
+     */
+    updateDisplay(timeInMs, overtime = false) {
+        super.updateDisplay(timeInMs, overtime);
+        const counting = this.isRunning || this.engine.state === TimerEngine.STATES.PAUSED;
+        const stage = this.warnings && counting && !overtime ? this.warnings.stageFor(timeInMs) : null;
+        CountdownWarnings.showStage(this.displayElement, stage);
+    }
+
+    /**
+     * Advances the engine, or shows the overtime once the countdown has expired.
+     */
+    tick() {
+        if (this.inOvertime) {
+            this.updateDisplay(this.engine.getOvertime(), true);
+            return;
+        }
+        super.tick();
+    }
+
+    /**
+     * Label of the current countdown, for exports.
+     * @returns {{label: string, laps: Array<Object>}} Run details (countdowns have no laps).
+     */
+    getRunDetails() {
+        return { label: this.label, laps: [] };
+    }
+
+    /**
+     * Sets up event listeners for the engine and all countdown control buttons
+     * (number, set, clear, start, pause, continue).
      */
     initEvents() {
+        // Render engine ticks, keep buttons in sync with the engine state, and react to expiry
+        this.engine.on('tick', ({ remaining }) => this.updateDisplay(remaining));
+        this.engine.on('statechange', ({ to }) => this.updateButtonVisibility(this.toButtonState(to)));
+        this.engine.on('expire', () => this.handleExpire());
+        // Keep the label and the alarm tone across page reloads
+        this.labelInput.addEventListener('change', () => this.saveState());
+        this.alarmSelect.addEventListener('change', () => this.saveState());
+        this.overtimeInput.addEventListener('change', () => this.setOvertime(this.overtimeInput.checked));
+
         // Attach event listeners to all digit buttons
         document.querySelectorAll('#countdown-input-controls .digit-btn').forEach(button => {
             button.addEventListener('click', (event) => {
@@ -252,18 +681,29 @@ class Countdown extends TimerBase {
                     this.appendDigit(event.target.textContent);
                 } catch (e) {
                     this.log(`Error appending digit: ${e.message}`, 'error');
-                    ViewManager.showAlert('An error occurred while entering time.');
+                    ViewManager.showAlert(ViewManager.t('errors.enterTime'));
                 }
             });
         });
 
+        // Typed durations are set by submitting the text field (Enter or its Set button)
+        this.textForm.addEventListener('submit', (event) => {
+            event.preventDefault();
+            try {
+                this.setTimeFromText(this.textInput.value);
+            } catch (e) {
+                this.log(`Error setting typed countdown time: ${e.message}`, 'error');
+                ViewManager.showAlert(ViewManager.t('errors.setTime'));
+            }
+        });
+
         // Attach event listeners for Set and Clear (input mode) buttons
         this.setBtn.addEventListener('click', () => {
             try {
                 this.setTime();
             } catch (e) {
                 this.log(`Error setting countdown time: ${e.message}`, 'error');
-                ViewManager.showAlert('An error occurred while setting the time.');
+                ViewManager.showAlert(ViewManager.t('errors.setTime'));
             }
         });
         this.clearInputBtn.addEventListener('click', () => {
@@ -271,7 +711,7 @@ class Countdown extends TimerBase {
                 this.resetInput();
             } catch (e) {
                 this.log(`Error clearing countdown input: ${e.message}`, 'error');
-                ViewManager.showAlert('An error occurred while clearing input.');
+                ViewManager.showAlert(ViewManager.t('errors.clearInput'));
             }
         });
 
@@ -281,7 +721,7 @@ class Countdown extends TimerBase {
                 this.start();
             } catch (e) {
                 this.log(`Error starting countdown: ${e.message}`, 'error');
-                ViewManager.showAlert('An error occurred while starting the countdown.');
+                ViewManager.showAlert(ViewManager.t('errors.startCountdown'));
             }
         });
         this.pauseBtn.addEventListener('click', () => {
@@ -289,7 +729,7 @@ class Countdown extends TimerBase {
                 this.pause();
             } catch (e) {
                 this.log(`Error pausing countdown: ${e.message}`, 'error');
-                ViewManager.showAlert('An error occurred while pausing the countdown.');
+                ViewManager.showAlert(ViewManager.t('errors.pauseCountdown'));
             }
         });
         this.continueBtn.addEventListener('click', () => {
@@ -297,7 +737,7 @@ class Countdown extends TimerBase {
                 this.continue();
             } catch (e) {
                 this.log(`Error continuing countdown: ${e.message}`, 'error');
-                ViewManager.showAlert('An error occurred while continuing the countdown.');
+                ViewManager.showAlert(ViewManager.t('errors.continueCountdown'));
             }
         });
         this.clearTimerBtn.addEventListener('click', () => {
@@ -305,7 +745,7 @@ class Countdown extends TimerBase {
                 this.resetTimer();
             } catch (e) {
                 this.log(`Error clearing countdown timer: ${e.message}`, 'error');
-                ViewManager.showAlert('An error occurred while clearing the timer.');
+                ViewManager.showAlert(ViewManager.t('errors.clearTimer'));
             }
         });
     }
@@ -322,9 +762,28 @@ class Countdown extends TimerBase {
         }
         this.inputBuffer.push(digit); // Add the new digit
         this.updateInputDisplay();    // Update the visual display of the entered time
+        this.saveState();             // Keep the partially entered time across reloads
         this.log(`Digit '${digit}' appended. Buffer: [${this.inputBuffer.join('')}]`);
     }
 
+    /**
+     * Removes the most recently entered digit (Backspace) and updates the display.
+     */
+    removeLastDigit() {
+        this.inputBuffer.pop();    // Drop the newest digit, shifting the others back right
+        this.updateInputDisplay(); // Update the visual display of the entered time
+        this.saveState();          // Keep the partially entered time across reloads
+        this.log(`Last digit removed. Buffer: [${this.inputBuffer.join('')}]`);
+    }
+
+    /**
+     * Whether the countdown is showing its digit input (as opposed to the timer controls).
+     * @returns {boolean} True in input mode.
+     */
+    isInputMode() {
+        return !this.inputControls.classList.contains('hidden');
+    }
+
     /**
      * Updates the countdown display based on the current state of the input buffer.
      * This function is responsible for showing the "shifting" time input.
@@ -347,12 +806,12 @@ class Countdown extends TimerBase {
         // Calculate the total milliseconds represented by the current input
         const currentInputMs = hours * 3600000 + minutes * 60000 + seconds * 1000;
 
-        // Update remainingTime to reflect what's currently being input by the user
-        this.remainingTime = currentInputMs;
+        // Remember what's currently being input by the user
+        this.inputTime = currentInputMs;
 
         // Update the UI display with the current input time
-        this.updateDisplay(this.remainingTime);
-        this.log(`Input display updated to: ${this.formatTime(this.remainingTime)}`);
+        this.updateDisplay(this.inputTime);
+        this.log(`Input display updated to: ${this.formatTime(this.inputTime)}`);
     }
 
 
@@ -363,69 +822,216 @@ class Countdown extends TimerBase {
     setTime() {
         try {
             // Check if any time has been entered
-            if (this.inputBuffer.length === 0 || this.remainingTime === 0) {
+            if (this.inputBuffer.length === 0 || this.inputTime === 0) {
                 this.log('Cannot set countdown to 0. Please enter a valid time.', 'warn');
-                ViewManager.showAlert('Please enter a time greater than zero.');
+                ViewManager.showAlert(ViewManager.t('parser.zero'));
                 return;
             }
 
-            // Validate against maximum allowed time
-            if (this.remainingTime > this.maxTimeMs) {
-                this.log(`Entered time (${this.formatTime(this.remainingTime)}) exceeds maximum allowed (99:59:59).`, 'warn');
-                ViewManager.showAlert('Maximum time allowed is 99:59:59.');
+            // Validate against maximum allowed time (the same rule as typed durations)
+            if (this.inputTime > this.durationParser.maxMs) {
+                this.log(`Entered time (${this.formatTime(this.inputTime)}) exceeds maximum allowed (${DurationParser.formatLimit(this.durationParser.maxMs)}).`, 'warn');
+                ViewManager.showAlert(ViewManager.t('parser.max', { max: DurationParser.formatLimit(this.durationParser.maxMs) }));
                 this.resetInput(); // Reset input if invalid
                 return;
             }
 
-            this.initialTime = this.remainingTime; // Store the validated time as initial
+            this.engine.setDuration(this.inputTime); // Store the validated time as the countdown duration
             this.log(`Countdown initial time set to: ${this.formatTime(this.initialTime)}`);
             this.updateControlVisibility('timer'); // Switch to timer controls view
             this.updateButtonVisibility('initial'); // Show Start button initially
+            this.saveState(); // Persist the initial countdown value
+            this.rememberDuration(this.inputTime);
         } catch (e) {
             this.log(`Error in setTime: ${e.message}`, 'error');
             throw new Error('Failed to set countdown time.'); // Re-throw for parent handler
         }
     }
 
+    /**
+     * Sets the countdown from a typed duration such as "1h 30m", "2.5 min", "1:30"
+     * or "until 14:45" (see ../shared/duration-parser.js), and switches to timer
+     * control buttons. Invalid input is explained in an alert.
+     * @param {string} text - The typed duration.
+     */
+    setTimeFromText(text) {
+        let duration;
+        try {
+            duration = this.durationParser.parse(text);
+        } catch (e) {
+            this.log(`Typed duration "${text}" rejected: ${e.message}`, 'warn');
+            ViewManager.showAlert(e.message); // Parser messages are written for the user
+            return;
+        }
+
+        this.textInput.value = '';
+        this.applyDuration(duration);
+        this.log(`Countdown initial time set from "${text}" to: ${this.formatTime(this.initialTime)}`);
+        this.rememberDuration(duration);
+    }
+
+    /**
+     * Sets a validated duration without going through the keypad, and switches
+     * to timer control buttons.
+     * @param {number} duration - Countdown duration in ms.
+     */
+    applyDuration(duration) {
+        this.stopTicking();          // A running countdown is replaced by the new one
+        this.inputBuffer = [];       // The new duration replaces any digits entered on the keypad
+        this.inputTime = duration;
+        this.engine.setDuration(duration);
+        this.updateDisplay(duration);
+        this.updateControlVisibility('timer'); // Switch to timer controls view
+        this.updateButtonVisibility('initial'); // Show Start button initially
+        this.saveState(); // Persist the initial countdown value
+    }
+
+    /**
+     * Sets a duration and starts counting down right away (one-tap presets and recent durations).
+     * @param {number} duration - Countdown duration in ms.
+     */
+    startWithDuration(duration) {
+        this.applyDuration(duration);
+        this.log(`Countdown started from a saved duration: ${this.formatTime(duration)}`);
+        this.start();
+    }
+
+    /**
+     * Changes the label of the countdown (40 characters at most), e.g. from a link or the API.
+     * @param {string} label - The new label.
+     */
+    setLabel(label) {
+        this.labelInput.value = label.trim().slice(0, 40);
+        this.saveState();
+    }
+
+    /**
+     * Applies the parameters of a countdown link such as
+     * "#/countdown?t=5m&autostart=1&label=Break": sets the duration (any format
+     * the duration parser accepts) and label, and starts the countdown if asked.
+     * @param {Object<string, string>} params - Link parameters (`t`, `autostart`, `label`).
+     */
+    openLink({ t, autostart, label }) {
+        if (label !== undefined) {
+            this.setLabel(label);
+        }
+        if (t === undefined) return;
+
+        let duration;
+        try {
+            duration = this.durationParser.parse(t);
+        } catch (e) {
+            this.log(`Countdown link duration "${t}" rejected: ${e.message}`, 'warn');
+            ViewManager.showAlert(ViewManager.t('countdown.invalidLink', { message: e.message }));
+            return;
+        }
+        if (autostart === '1' || autostart === 'true') {
+            this.startWithDuration(duration);
+        } else {
+            this.applyDuration(duration);
+            this.log(`Countdown set from a link to: ${this.formatTime(duration)}`);
+        }
+    }
+
+    /**
+     * Rings the given alarm engine when the countdown expires. Dismissing the
+     * alarm acknowledges the expiry and returns the countdown to input mode,
+     * unless it is counting overtime (then only Clear ends it).
+     * @param {AlarmEngine} alarmEngine - Engine ringing the alarms.
+     */
+    useAlarms(alarmEngine) {
+        this.alarmEngine = alarmEngine;
+        alarmEngine.track(this.engine, 'countdown', { label: () => this.label || ViewManager.t('timers.countdown'), tone: () => this.alarm });
+        alarmEngine.on('dismiss', ({ id }) => {
+            if (id === 'countdown' && this.engine.state === TimerEngine.STATES.EXPIRED && !this.inOvertime) {
+                this.resetInput();
+            }
+        });
+    }
+
+    /**
+     * Warns with the given thresholds as the countdown nears zero: its stage
+     * colours the display and each threshold crossed fires once.
+     * @param {CountdownWarnings} warnings - Warning thresholds.
+     */
+    useWarnings(warnings) {
+        this.warnings = warnings;
+        warnings.watch(this.engine, 'countdown');
+        warnings.on('change', () => this.redraw());
+    }
+
+    /**
+     * Keeps the durations set by the user in the given preset store's recent list.
+     * @param {PresetStore} presetStore - Store of presets and recent durations.
+     */
+    usePresets(presetStore) {
+        this.presetStore = presetStore;
+    }
+
+    /**
+     * Adds a duration set by the user to the recent list, if a preset store is in use.
+     * @param {number} duration - Countdown duration in ms.
+     */
+    rememberDuration(duration) {
+        if (this.presetStore) {
+            this.presetStore.recordRecent(duration);
+        }
+    }
+
     /**
      * Starts the countdown timer.
      * Hides the Start button and shows the Pause button.
      */
     start() {
         if (this.isRunning) return; // Do nothing if already running
+        if (this.engine.state === TimerEngine.STATES.EXPIRED) return; // Acknowledged with Clear or the alarm
         // Prevent starting if time is zero or less
         if (this.remainingTime <= 0) {
             this.log('Cannot start countdown, time is zero or less.', 'warn');
-            ViewManager.showAlert('Countdown is zero. Please set a time.');
+            ViewManager.showAlert(ViewManager.t('countdown.zero'));
             this.resetInput(); // Reset to input mode if timer expired or invalid
             return;
         }
         this.log('Countdown started.');
-        this.isRunning = true;
-        // Record the current time to calculate elapsed time accurately
-        this.startTime = Date.now();
-        // Set interval to update display and decrement time every 10 milliseconds
-        this.timerInterval = setInterval(() => {
-            const now = Date.now();
-            const elapsedSinceLastUpdate = now - this.startTime; // Time passed since last interval check
-            this.startTime = now; // Reset startTime for the next interval to ensure accuracy
-            this.remainingTime -= elapsedSinceLastUpdate; // Deduct elapsed time from remaining
-
-            if (this.remainingTime <= 0) {
-                // If countdown reaches zero or goes below
-                this.remainingTime = 0; // Ensure it doesn't show negative time
-                clearInterval(this.timerInterval); // Stop the timer
-                this.isRunning = false;
-                this.updateDisplay(0); // Update display to show 00:00:00.000
-                ViewManager.showAlert('Countdown Expired!'); // Alert the user
-                this.updateControlVisibility('input'); // Switch back to input mode
-                this.resetInput(); // Reset input buffer
-                this.log('Countdown expired.');
+        this.engine.start(); // Starts, or resumes with the time already counted down
+        this.startTicking(); // Render the remaining time on every frame
+        this.saveState();    // Remember the start epoch in case the page reloads
+    }
+
+    /**
+     * Handles the engine's `expire` event. The countdown stays at zero (only
+     * Clear is offered) while its alarm rings, until the alarm is dismissed.
+     * In overtime mode it keeps ticking, counting up past zero until Clear.
+     */
+    handleExpire() {
+        if (this.engine.overtime) {
+            this.tick();           // Show the overtime at once; the ticking goes on
+        } else {
+            this.stopTicking();    // Stop the timer
+            this.updateDisplay(0); // Update display to show 00:00:00.000
+        }
+        this.saveState();      // Keep the expiry until it is acknowledged
+        this.log('Countdown expired.');
+    }
+
+    /**
+     * Turns the overtime mode on or off. An expired countdown starts or stops
+     * counting its overtime accordingly.
+     * @param {boolean} enabled - Whether to count up past zero.
+     */
+    setOvertime(enabled) {
+        this.engine.overtime = enabled;
+        this.overtimeInput.checked = enabled;
+        if (this.engine.state === TimerEngine.STATES.EXPIRED) {
+            if (enabled) {
+                this.startTicking();
             } else {
-                this.updateDisplay(this.remainingTime); // Update UI with remaining time
+                this.stopTicking();
+                this.updateDisplay(0);
             }
-        }, 10);
-        this.updateButtonVisibility('running'); // Update button states
+        }
+        this.saveState();
+        this.log(`Countdown overtime ${enabled ? 'enabled' : 'disabled'}.`);
     }
 
     /**
@@ -435,9 +1041,10 @@ class Countdown extends TimerBase {
     pause() {
         if (!this.isRunning) return; // Do nothing if not running
         this.log('Countdown paused.');
-        this.isRunning = false;
-        clearInterval(this.timerInterval); // Stop the interval
-        this.updateButtonVisibility('paused'); // Update button states
+        this.engine.pause();                    // Freeze the remaining time
+        this.stopTicking();                     // Stop ticking
+        this.updateDisplay(this.remainingTime); // Show the exact paused time
+        this.saveState();                       // Persist the paused time
     }
 
     /**
@@ -455,14 +1062,14 @@ class Countdown extends TimerBase {
      */
     resetInput() {
         this.log('Countdown input reset.');
-        clearInterval(this.timerInterval); // Clear any active interval
-        this.isRunning = false;
+        this.stopTicking();                // Stop ticking, if it was
+        this.engine.setDuration(0);        // Reset initial and remaining time
         this.inputBuffer = [];             // Clear the digit input buffer
-        this.initialTime = 0;              // Reset initial time
-        this.remainingTime = 0;            // Reset remaining time
+        this.inputTime = 0;                // Reset the time being entered
         this.updateDisplay(0);             // Update display to 00:00:00.000
         this.updateControlVisibility('input'); // Switch back to input mode
         this.updateButtonVisibility('initial'); // Show Start button (though it will be hidden by set)
+        this.saveState();                  // Forget any saved countdown
     }
 
     /**
@@ -471,28 +1078,91 @@ class Countdown extends TimerBase {
      */
     resetTimer() {
         this.log('Countdown timer full reset.');
-        clearInterval(this.timerInterval); // Clear any active interval
-        this.isRunning = false;
-        this.initialTime = 0;              // Reset initial time
-        this.remainingTime = 0;            // Reset remaining time
+        const overtime = this.engine.getOvertime(); // How far the countdown ran over, reported below
+        this.stopTicking();                // Stop ticking, if it was
+        this.engine.setDuration(0);        // Reset initial and remaining time
+        this.inputTime = 0;                // Reset the time being entered
         this.updateDisplay(0);             // Update display to 00:00:00.000
         this.updateControlVisibility('input'); // Switch back to input mode
         this.updateButtonVisibility('initial'); // Show Start button
         this.inputBuffer = [];             // Clear the digit input buffer
+        this.saveState();                  // Forget any saved countdown
+        if (overtime > 0) {
+            this.log(`Countdown cleared after ${this.formatTime(overtime)} of overtime.`);
+            ViewManager.showAlert(ViewManager.t('countdown.overtimeReport', { time: ViewManager.i18n.formatDuration(overtime) }));
+        }
     }
 
     /**
-     * Manages the visibility of the countdown's input controls vs. timer controls.
-     * @param {'input' | 'timer'} state - The current control mode.
+     * Returns the persistable state of the countdown.
+     * @returns {{engine: Object, inputBuffer: Array<string>, label: string, alarm: (string|null), overtime: boolean}} Engine state, digits being entered, label, alarm tone and overtime mode.
      */
-    updateControlVisibility(state) {
-        // Hide both control sections initially
-        this.inputControls.classList.add('hidden');
-        this.timerControls.classList.add('hidden');
+    getState() {
+        return {
+            engine: this.engine.serialize(),
+            inputBuffer: this.inputBuffer,
+            label: this.label,
+            alarm: this.alarm,
+            overtime: this.engine.overtime
+        };
+    }
 
-        // Show the appropriate control section based on the state
-        if (state === 'input') {
-            this.inputControls.classList.remove('hidden');
+    /**
+     * Restores a state saved by `getState()`. A running countdown keeps
+     * counting down; one that should have expired while the page was closed
+     * is reported as expired. Also applies the state saved by another tab, so
+     * it may replace a live countdown.
+     * @param {Object|null} state - The saved state, or null if nothing was saved.
+     */
+    restoreState(state) {
+        if (!state) return;
+        this.labelInput.value = typeof state.label === 'string' ? state.label : '';
+        this.alarmSelect.value = AlarmEngine.isTone(state.alarm) ? state.alarm : '';
+        this.engine.overtime = this.overtimeInput.checked = state.overtime === true;
+        try {
+            this.engine.restore(state.engine);
+        } catch (e) {
+            this.log(`Ignoring saved countdown state: ${e.message}`, 'warn');
+            this.resetInput();
+            return;
+        }
+
+        if (this.initialTime <= 0) {
+            // Nothing was set yet (or it was cleared in another tab): bring back the digits being entered
+            this.stopTicking();
+            this.inputBuffer = Array.isArray(state.inputBuffer) ? state.inputBuffer.slice(-6) : [];
+            this.updateInputDisplay();
+            this.updateControlVisibility('input');
+            this.updateButtonVisibility('initial');
+            return;
+        }
+
+        this.updateControlVisibility('timer');
+        this.updateButtonVisibility(this.toButtonState(this.engine.state));
+        this.updateDisplay(this.remainingTime);
+        if (this.isRunning) {
+            this.startTicking();
+            this.engine.tick(); // Expires immediately if the time ran out while the page was closed
+        } else if (this.inOvertime) {
+            this.startTicking(); // Keep counting the overtime
+        } else {
+            this.stopTicking();  // Paused or expired in another tab
+        }
+        this.log(`Countdown restored (${this.engine.state}, ${this.formatTime(this.remainingTime)} left).`);
+    }
+
+    /**
+     * Manages the visibility of the countdown's input controls vs. timer controls.
+     * @param {'input' | 'timer'} state - The current control mode.
+     */
+    updateControlVisibility(state) {
+        // Hide both control sections initially
+        this.inputControls.classList.add('hidden');
+        this.timerControls.classList.add('hidden');
+
+        // Show the appropriate control section based on the state
+        if (state === 'input') {
+            this.inputControls.classList.remove('hidden');
             // When in input mode, the timer buttons should be reset to initial state
             this.updateButtonVisibility('initial');
         } else if (state === 'timer') {
@@ -503,26 +1173,1705 @@ class Countdown extends TimerBase {
     }
 
     /**
-     * Manages the visibility of the countdown action buttons (Start, Pause, Continue, Clear)
-     * within the timer controls section.
-     * @param {'initial' | 'running' | 'paused'} state - The current state of the countdown.
+     * Manages the visibility of the countdown action buttons (Start, Pause, Continue, Clear)
+     * within the timer controls section. An expired countdown only offers Clear.
+     * @param {'initial' | 'running' | 'paused' | 'expired'} state - The current state of the countdown.
+     */
+    updateButtonVisibility(state) {
+        // Hide all action buttons by default
+        this.startBtn.classList.add('hidden');
+        this.pauseBtn.classList.add('hidden');
+        this.continueBtn.classList.add('hidden');
+        // The Clear timer button is always visible when in timer mode
+        this.clearTimerBtn.classList.remove('hidden');
+
+        // Show specific buttons based on the state
+        if (state === 'initial') {
+            this.startBtn.classList.remove('hidden');
+        } else if (state === 'running') {
+            this.pauseBtn.classList.remove('hidden');
+        } else if (state === 'paused') {
+            this.continueBtn.classList.remove('hidden');
+        }
+    }
+}
+
+/**
+ * PresetPanel Class
+ * Recent durations and saved countdown presets (see ../shared/preset-store.js),
+ * shown below the countdown keypad. Tapping one starts the countdown; presets
+ * can be renamed, retimed, reordered, deleted, and exported/imported as JSON.
+ */
+class PresetPanel {
+    constructor(presetStore, countdown, recentGroupId, recentListId, presetListId, formId, nameInputId, durationInputId, exportBtnId, importBtnId, importFileId) {
+        this.presetStore = presetStore; // Model of presets and recent durations
+        this.countdown = countdown;     // Countdown started by the presets
+        this.durationParser = countdown.durationParser; // Same duration syntax and limit as the countdown
+
+        // Get references to the lists, the "new preset" form and the JSON buttons
+        this.recentGroup = document.getElementById(recentGroupId);
+        this.recentList = document.getElementById(recentListId);
+        this.presetList = document.getElementById(presetListId);
+        this.form = document.getElementById(formId);
+        this.nameInput = document.getElementById(nameInputId);
+        this.durationInput = document.getElementById(durationInputId);
+        this.exportBtn = document.getElementById(exportBtnId);
+        this.importBtn = document.getElementById(importBtnId);
+        this.importFile = document.getElementById(importFileId);
+
+        this.initEvents();
+        this.render();
+    }
+
+    /**
+     * Sets up event listeners for the store, the lists, the form and the JSON buttons.
+     */
+    initEvents() {
+        // Re-render whenever presets or recent durations change (the store saves itself)
+        this.presetStore.onChange(() => this.render());
+
+        // One tap on a recent duration starts the countdown
+        this.recentList.addEventListener('click', (event) => {
+            const button = event.target.closest('button[data-duration]');
+            if (!button) return;
+            try {
+                this.countdown.startWithDuration(Number(button.dataset.duration));
+            } catch (e) {
+                console.error(`Error starting recent duration: ${e.message}`);
+                ViewManager.showAlert(ViewManager.t('errors.startCountdown'));
+            }
+        });
+
+        // Preset buttons are handled through event delegation on the list
+        this.presetList.addEventListener('click', (event) => {
+            const button = event.target.closest('button[data-action]');
+            if (!button) return;
+            const id = button.closest('[data-id]').dataset.id;
+            try {
+                this.handlePresetAction(id, button.dataset.action);
+            } catch (e) {
+                console.error(`Error handling "${button.dataset.action}" on ${id}: ${e.message}`);
+                ViewManager.showAlert(ViewManager.t('errors.updatePreset'));
+            }
+        });
+
+        // Name and duration edits are committed when the field loses focus or Enter is pressed
+        this.presetList.addEventListener('change', (event) => {
+            const row = event.target.closest('[data-id]');
+            if (!row) return;
+            try {
+                if (event.target.classList.contains('preset-name')) {
+                    this.presetStore.update(row.dataset.id, { name: event.target.value });
+                } else if (event.target.classList.contains('preset-duration')) {
+                    this.presetStore.update(row.dataset.id, { duration: this.durationParser.parse(event.target.value) });
+                }
+            } catch (e) {
+                console.warn(`Error editing ${row.dataset.id}: ${e.message}`);
+                ViewManager.showAlert(e.message);
+                this.render(); // Put the previous values back
+            }
+        });
+
+        this.form.addEventListener('submit', (event) => {
+            event.preventDefault(); // Stay on the page
+            try {
+                this.addPreset();
+            } catch (e) {
+                console.error(`Error adding preset: ${e.message}`);
+                ViewManager.showAlert(ViewManager.t('errors.addPreset'));
+            }
+        });
+
+        this.exportBtn.addEventListener('click', () => {
+            try {
+                this.exportPresets();
+            } catch (e) {
+                console.error(`Error exporting presets: ${e.message}`);
+                ViewManager.showAlert(ViewManager.t('errors.exportPresets'));
+            }
+        });
+        // The Import button opens the hidden file picker
+        this.importBtn.addEventListener('click', () => this.importFile.click());
+        this.importFile.addEventListener('change', () => {
+            const file = this.importFile.files[0];
+            this.importFile.value = ''; // Allow importing the same file again
+            if (file) {
+                file.text().then(text => this.importPresets(text));
+            }
+        });
+    }
+
+    /**
+     * Runs the action of a preset button.
+     * @param {string} id - Preset id.
+     * @param {'start' | 'up' | 'down' | 'delete'} action - The button's action.
+     */
+    handlePresetAction(id, action) {
+        const preset = this.presetStore.get(id);
+
+        if (action === 'start') {
+            this.countdown.startWithDuration(preset.duration);
+        } else if (action === 'up') {
+            this.presetStore.move(id, -1);
+        } else if (action === 'down') {
+            this.presetStore.move(id, 1);
+        } else if (action === 'delete') {
+            this.presetStore.remove(id);
+            console.log(`Preset "${preset.name}" deleted.`);
+        }
+    }
+
+    /**
+     * Creates a preset from the form values.
+     */
+    addPreset() {
+        let duration;
+        try {
+            duration = this.durationParser.parse(this.durationInput.value);
+        } catch (e) {
+            ViewManager.showAlert(e.message); // Parser messages are written for the user
+            return;
+        }
+        if (!this.nameInput.value.trim()) {
+            ViewManager.showAlert(ViewManager.t('presets.needsName'));
+            return;
+        }
+
+        const preset = this.presetStore.add({ name: this.nameInput.value, duration });
+        console.log(`Preset "${preset.name}" (${PresetStore.formatDuration(duration)}) added.`);
+        this.nameInput.value = '';
+        this.durationInput.value = '';
+    }
+
+    /**
+     * Downloads the presets as a JSON file.
+     */
+    exportPresets() {
+        ViewManager.downloadFile('countdown-presets.json', this.presetStore.exportJSON(), 'application/json');
+    }
+
+    /**
+     * Adds the presets found in an exported JSON file and reports the result.
+     * @param {string} text - Contents of the file.
+     */
+    importPresets(text) {
+        try {
+            const { added, errors } = this.presetStore.importJSON(text);
+            errors.forEach(message => console.warn(`Skipped imported preset. ${message}`));
+            const skipped = errors.length > 0 ? ` ${ViewManager.t('presets.skipped', { count: errors.length })}` : '';
+            ViewManager.showAlert(`${ViewManager.t('presets.imported', { count: added })}${skipped}`);
+        } catch (e) {
+            console.warn(`Preset import failed: ${e.message}`);
+            ViewManager.showAlert(e.message);
+        }
+    }
+
+    /**
+     * Rebuilds the recent durations and the preset list.
+     */
+    render() {
+        const { recent, presets } = this.presetStore;
+
+        this.recentGroup.classList.toggle('hidden', recent.length === 0);
+        this.recentList.innerHTML = recent.map(ms => `
+            <button data-duration="${ms}" class="bg-white hover:bg-blue-50 text-blue-700 font-mono font-bold py-1 px-4 rounded-full shadow border border-blue-200 transition duration-200" aria-label="${ViewManager.t('countdown.startRecent', { duration: PresetStore.formatDuration(ms) })}">${PresetStore.formatDuration(ms)}</button>
+        `).join('');
+
+        this.presetList.innerHTML = '';
+        presets.forEach((preset, index) => {
+            const row = document.createElement('li');
+            row.className = 'flex items-center gap-2 bg-white rounded-lg shadow p-2';
+            row.dataset.id = preset.id;
+            row.innerHTML = `
+                <button data-action="start" class="bg-green-600 hover:bg-green-700 text-white font-bold py-1 px-3 rounded-full shadow transition duration-200" aria-label="${ViewManager.t('presets.start')}">&#9654;</button>
+                <input type="text" maxlength="40" class="preset-name flex-1 min-w-0 font-bold text-gray-800 bg-transparent border-b border-transparent focus:border-gray-300 focus:outline-none" aria-label="${ViewManager.t('presets.name')}">
+                <input type="text" class="preset-duration w-24 font-mono text-gray-800 bg-transparent border-b border-transparent focus:border-gray-300 focus:outline-none text-right" aria-label="${ViewManager.t('presets.duration')}">
+                <button data-action="up" class="bg-gray-200 hover:bg-gray-300 text-gray-800 py-1 px-2 rounded-full transition duration-200" aria-label="${ViewManager.t('actions.moveUp')}" ${index === 0 ? 'disabled' : ''}>&uarr;</button>
+                <button data-action="down" class="bg-gray-200 hover:bg-gray-300 text-gray-800 py-1 px-2 rounded-full transition duration-200" aria-label="${ViewManager.t('actions.moveDown')}" ${index === presets.length - 1 ? 'disabled' : ''}>&darr;</button>
+                <button data-action="delete" class="text-red-600 hover:text-red-800 font-bold px-2" aria-label="${ViewManager.t('presets.delete')}">&times;</button>
+            `;
+            row.querySelector('.preset-name').value = preset.name;
+            row.querySelector('.preset-duration').value = PresetStore.formatDuration(preset.duration);
+            this.presetList.appendChild(row);
+        });
+    }
+}
+
+/**
+ * Dashboard Class
+ * Extends TimerBase to show any number of named stopwatches and countdowns
+ * side by side. The timers themselves live in a headless TimerCollection
+ * (see ../shared/timer-collection.js); this class renders one tile per timer
+ * and lets the user create, label, colour, reorder and delete them.
+ */
+class Dashboard extends TimerBase {
+    constructor(listElementId, emptyMessageId, formId, kindSelectId, labelInputId, colorInputId, durationGroupId, hoursInputId, minutesInputId, secondsInputId, alarmSelectId) {
+        // The dashboard has no single engine: `tick()` is overridden to tick the whole collection
+        super(listElementId, null);
+        this.collection = new TimerCollection({ i18n: ViewManager.i18n });
+        this.attachedEngines = new WeakSet(); // Engines whose events are already wired to tiles
+        this.historyStore = null;             // HistoryStore recording finished sessions, see useHistory()
+        this.alarmEngine = null;              // AlarmEngine ringing when a countdown expires, see useAlarms()
+        this.notifier = null;                 // ExpiryNotifier of background tabs, see useNotifier()
+        this.announcer = null;                // LiveAnnouncer for screen readers, see useAnnouncer()
+        this.api = null;                      // TimerApi reporting the timers' events, see useApi()
+        // Same limit as the single countdown: 99 hours, 59 minutes, 59 seconds in milliseconds
+        this.maxTimeMs = 99 * 3600000 + 59 * 60000 + 59 * 1000;
+
+        // Get references to the tile list and the "new timer" form
+        this.listElement = this.displayElement;
+        this.emptyMessage = document.getElementById(emptyMessageId);
+        this.form = document.getElementById(formId);
+        this.kindSelect = document.getElementById(kindSelectId);
+        this.labelInput = document.getElementById(labelInputId);
+        this.colorInput = document.getElementById(colorInputId);
+        this.durationGroup = document.getElementById(durationGroupId);
+        this.hoursInput = document.getElementById(hoursInputId);
+        this.minutesInput = document.getElementById(minutesInputId);
+        this.secondsInput = document.getElementById(secondsInputId);
+        this.alarmSelect = document.getElementById(alarmSelectId);
+        AlarmPanel.fillToneSelect(this.alarmSelect, true);
+
+        // Initialize event listeners and draw the (empty) dashboard
+        this.initEvents();
+        this.render();
+    }
+
+    /**
+     * True while at least one timer on the dashboard is counting.
+     * @returns {boolean} Whether any timer is running.
+     */
+    get isRunning() {
+        return this.collection.entries.some(entry => entry.engine.isRunning);
+    }
+
+    /**
+     * Rebuilds the tiles, e.g. after the time format changed.
+     */
+    redraw() {
+        this.render();
+    }
+
+    /**
+     * Ticks every timer in the collection.
+     */
+    tick() {
+        this.collection.tickAll();
+    }
+
+    /**
+     * The first running countdown must expire on time.
+     * @returns {number|null} Time in ms, or null when no countdown is running.
+     */
+    nextDeadline() {
+        return this.collection.getNextExpiry();
+    }
+
+    /**
+     * Sets up event listeners for the collection, the form and the tiles.
+     */
+    initEvents() {
+        // Re-render and persist whenever timers are added, removed, reordered, renamed or recoloured
+        this.collection.onChange(() => {
+            this.render();
+            this.saveState();
+        });
+
+        // Only countdowns need a duration
+        this.kindSelect.addEventListener('change', () => {
+            this.durationGroup.classList.toggle('hidden', this.kindSelect.value !== 'countdown');
+        });
+
+        this.form.addEventListener('submit', (event) => {
+            event.preventDefault(); // Stay on the page
+            try {
+                this.addTimer();
+            } catch (e) {
+                this.log(`Error adding timer: ${e.message}`, 'error');
+                ViewManager.showAlert(ViewManager.t('errors.addTimer'));
+            }
+        });
+
+        // Tile buttons are handled through event delegation on the list
+        this.listElement.addEventListener('click', (event) => {
+            const button = event.target.closest('button[data-action]');
+            if (!button) return;
+            const id = button.closest('[data-id]').dataset.id;
+            try {
+                this.handleTileAction(id, button.dataset.action);
+            } catch (e) {
+                this.log(`Error handling "${button.dataset.action}" on ${id}: ${e.message}`, 'error');
+                ViewManager.showAlert(ViewManager.t('errors.updateTimer'));
+            }
+        });
+
+        // Label edits are committed when the field loses focus or Enter is pressed
+        this.listElement.addEventListener('change', (event) => {
+            const tile = event.target.closest('[data-id]');
+            if (!tile) return;
+            try {
+                if (event.target.classList.contains('tile-label')) {
+                    this.collection.rename(tile.dataset.id, event.target.value);
+                } else if (event.target.classList.contains('tile-color')) {
+                    this.collection.setColor(tile.dataset.id, event.target.value);
+                } else if (event.target.classList.contains('tile-alarm')) {
+                    this.collection.setAlarm(tile.dataset.id, event.target.value || null);
+                }
+            } catch (e) {
+                this.log(`Error editing ${tile.dataset.id}: ${e.message}`, 'warn');
+                ViewManager.showAlert(e.message);
+                this.render(); // Put the previous label back
+            }
+        });
+    }
+
+    /**
+     * Creates a timer from the form values.
+     */
+    addTimer() {
+        const kind = this.kindSelect.value;
+        let duration = 0;
+
+        if (kind === 'countdown') {
+            // Read the duration fields, treating empty fields as zero
+            const read = input => parseInt(input.value || '0', 10);
+            const hours = read(this.hoursInput);
+            const minutes = read(this.minutesInput);
+            const seconds = read(this.secondsInput);
+            if ([hours, minutes, seconds].some(value => Number.isNaN(value) || value < 0)) {
+                ViewManager.showAlert(ViewManager.t('dashboard.invalidDuration'));
+                return;
+            }
+            duration = hours * 3600000 + minutes * 60000 + seconds * 1000;
+            if (duration === 0) {
+                ViewManager.showAlert(ViewManager.t('parser.zero'));
+                return;
+            }
+            if (duration > this.maxTimeMs) {
+                ViewManager.showAlert(ViewManager.t('parser.max', { max: DurationParser.formatLimit(this.maxTimeMs) }));
+                return;
+            }
+        }
+
+        const entry = this.collection.create({
+            kind,
+            label: this.labelInput.value,
+            color: this.colorInput.value,
+            duration,
+            alarm: kind === 'countdown' ? this.alarmSelect.value || null : null
+        });
+        this.log(`Dashboard timer "${entry.label}" (${kind}) created.`);
+
+        // Clear the form and suggest the next palette colour
+        this.labelInput.value = '';
+        this.colorInput.value = TimerCollection.COLORS[this.collection.entries.length % TimerCollection.COLORS.length];
+    }
+
+    /**
+     * Runs the action of a tile button.
+     * @param {string} id - Timer id.
+     * @param {'toggle' | 'reset' | 'up' | 'down' | 'delete'} action - The button's action.
+     */
+    handleTileAction(id, action) {
+        const entry = this.collection.get(id);
+        const { engine } = entry;
+
+        if (action === 'toggle') {
+            // Start, pause or continue depending on the current state
+            if (engine.isRunning) {
+                engine.pause();
+            } else {
+                engine.start();
+            }
+            this.log(`Dashboard timer "${entry.label}" is now ${engine.state}.`);
+        } else if (action === 'reset') {
+            engine.reset();
+            this.updateTile(entry);
+            this.log(`Dashboard timer "${entry.label}" reset.`);
+        } else if (action === 'up') {
+            this.collection.move(id, -1);
+        } else if (action === 'down') {
+            this.collection.move(id, 1);
+        } else if (action === 'delete') {
+            this.collection.remove(id);
+            this.log(`Dashboard timer "${entry.label}" deleted.`);
+        }
+        this.syncTicking();
+    }
+
+    /**
+     * Runs the tick interval only while some timer is running.
+     */
+    syncTicking() {
+        if (this.isRunning && this.tickId === null) {
+            this.startTicking();
+        } else if (!this.isRunning) {
+            this.stopTicking();
+        }
+    }
+
+    /**
+     * Records the sessions of every dashboard timer, under its label, from now on.
+     * @param {HistoryStore} historyStore - Log of finished sessions.
+     */
+    useHistory(historyStore) {
+        this.historyStore = historyStore;
+    }
+
+    /**
+     * Rings an alarm, chosen per timer, whenever a dashboard countdown expires.
+     * @param {AlarmEngine} alarmEngine - Engine ringing the alarms.
+     */
+    useAlarms(alarmEngine) {
+        this.alarmEngine = alarmEngine;
+    }
+
+    /**
+     * Announces the state changes of every dashboard timer to screen readers, under its label.
+     * @param {LiveAnnouncer} announcer - Shared live regions.
+     */
+    useAnnouncer(announcer) {
+        this.announcer = announcer;
+        this.collection.entries.forEach(entry => announcer.watch(entry.engine, { label: () => entry.label }));
+    }
+
+    /**
+     * Reports the events of every dashboard timer through the public API, under its id.
+     * @param {TimerApi} api - The API exposed as `window.TimerApp`.
+     */
+    useApi(api) {
+        this.api = api;
+        this.collection.entries.forEach(entry => api.watch(entry.engine, entry.id));
+    }
+
+    /**
+     * The dashboard timers as the public API sees them (see ../shared/timer-api.js),
+     * with the actions of their tile buttons.
+     * @returns {Array<Object>} One timer per tile.
+     */
+    getApiTimers() {
+        return this.collection.entries.map(entry => ({
+            id: entry.id,
+            kind: entry.kind,
+            label: entry.label,
+            engine: entry.engine,
+            start: () => this.handleTileAction(entry.id, 'toggle'),
+            pause: () => this.handleTileAction(entry.id, 'toggle'),
+            reset: () => this.handleTileAction(entry.id, 'reset')
+        }));
+    }
+
+    /**
+     * Reports dashboard countdowns expiring in a background tab with a system notification.
+     * @param {ExpiryNotifier} notifier - Notifier watching the countdowns.
+     */
+    useNotifier(notifier) {
+        this.notifier = notifier;
+    }
+
+    /**
+     * Status of the most relevant dashboard timer, for the browser tab.
+     * @returns {Object|null} The status (see ../shared/tab-status.js), or null when every timer is idle.
+     */
+    getTabStatus() {
+        return TabStatus.pick(this.collection.entries.map(entry => TabStatus.fromEngine(entry.engine, entry.label)));
+    }
+
+    /**
+     * Starts a timer again from zero (or from its full duration), e.g. from a notification.
+     * @param {string} id - Timer id.
+     */
+    restartTimer(id) {
+        const entry = this.collection.get(id);
+        entry.engine.reset();
+        entry.engine.start();
+        this.updateTile(entry);
+        this.log(`Dashboard timer "${entry.label}" restarted.`);
+    }
+
+    /**
+     * Wires an entry's engine events to its tile, once per engine.
+     * @param {Object} entry - Collection entry.
+     */
+    attachEngine(entry) {
+        if (this.attachedEngines.has(entry.engine)) return;
+        this.attachedEngines.add(entry.engine);
+
+        if (this.historyStore) {
+            this.historyStore.track(entry.engine, entry.id, { label: () => entry.label });
+        }
+        // The alarm stays on until dismissed, or until the tile is reset or deleted
+        if (this.alarmEngine && entry.kind === 'countdown') {
+            this.alarmEngine.track(entry.engine, entry.id, { label: () => entry.label, tone: () => entry.alarm });
+        }
+        if (this.notifier && entry.kind === 'countdown') {
+            this.notifier.watch(entry.engine, entry.id, { label: () => entry.label });
+        }
+        if (this.announcer) {
+            this.announcer.watch(entry.engine, { label: () => entry.label });
+        }
+        if (this.api) {
+            this.api.watch(entry.engine, entry.id);
+        }
+
+        entry.engine.on('tick', () => this.updateTile(entry));
+        entry.engine.on('statechange', () => {
+            this.updateTile(entry);
+            this.saveState();
+        });
+        entry.engine.on('expire', () => {
+            this.log(`Dashboard countdown "${entry.label}" expired.`);
+            this.syncTicking();
+        });
+    }
+
+    /**
+     * Rebuilds the tile list from the collection.
+     */
+    render() {
+        const entries = this.collection.entries;
+        this.emptyMessage.classList.toggle('hidden', entries.length > 0);
+        this.listElement.innerHTML = '';
+
+        entries.forEach((entry, index) => {
+            this.attachEngine(entry);
+
+            const tile = document.createElement('li');
+            tile.className = 'dashboard-tile bg-white rounded-xl shadow-md p-4 border-l-8';
+            tile.dataset.id = entry.id;
+            tile.style.borderLeftColor = entry.color;
+            tile.innerHTML = `
+                <div class="flex items-center gap-2 mb-2">
+                    <input type="text" maxlength="40" class="tile-label flex-1 min-w-0 font-bold text-gray-800 bg-transparent border-b border-transparent focus:border-gray-300 focus:outline-none" aria-label="${ViewManager.t('dashboard.label')}">
+                    <input type="color" class="tile-color w-8 h-8 cursor-pointer bg-transparent" aria-label="${ViewManager.t('dashboard.color')}">
+                    <span class="text-xs font-semibold uppercase text-gray-500">${ViewManager.t(`timers.${entry.kind}`)}</span>
+                </div>
+                ${entry.kind === 'countdown' ? `<select class="tile-alarm mb-2 text-sm border border-gray-300 rounded-lg px-2 py-1 text-gray-700" aria-label="${ViewManager.t('dashboard.alarm')}"></select>` : ''}
+                <div class="tile-time font-mono text-3xl font-bold text-gray-900" role="timer"></div>
+                <div class="flex flex-wrap gap-2 mt-3">
+                    <button data-action="toggle" class="tile-toggle text-white font-bold py-1 px-4 rounded-full shadow transition duration-200"></button>
+                    <button data-action="reset" class="bg-red-600 hover:bg-red-700 text-white font-bold py-1 px-4 rounded-full shadow transition duration-200">${ViewManager.t('actions.reset')}</button>
+                    <button data-action="up" class="bg-gray-200 hover:bg-gray-300 text-gray-800 py-1 px-3 rounded-full shadow transition duration-200" aria-label="${ViewManager.t('actions.moveUp')}" ${index === 0 ? 'disabled' : ''}>&uarr;</button>
+                    <button data-action="down" class="bg-gray-200 hover:bg-gray-300 text-gray-800 py-1 px-3 rounded-full shadow transition duration-200" aria-label="${ViewManager.t('actions.moveDown')}" ${index === entries.length - 1 ? 'disabled' : ''}>&darr;</button>
+                    <button data-action="delete" class="ml-auto text-red-600 hover:text-red-800 font-bold py-1 px-2">${ViewManager.t('actions.delete')}</button>
+                </div>
+            `;
+            // User-provided values are assigned as properties, never interpolated into HTML
+            tile.querySelector('.tile-label').value = entry.label;
+            tile.querySelector('.tile-color').value = entry.color;
+            if (entry.kind === 'countdown') {
+                const alarmSelect = tile.querySelector('.tile-alarm');
+                AlarmPanel.fillToneSelect(alarmSelect, true);
+                alarmSelect.value = AlarmEngine.isTone(entry.alarm) ? entry.alarm : '';
+            }
+            this.listElement.appendChild(tile);
+            this.updateTile(entry);
+        });
+    }
+
+    /**
+     * Refreshes the time and the Start/Pause/Continue button of one tile.
+     * @param {Object} entry - Collection entry.
+     */
+    updateTile(entry) {
+        const tile = this.listElement.querySelector(`[data-id="${entry.id}"]`);
+        if (!tile) return;
+
+        const { engine } = entry;
+        const time = entry.kind === 'countdown' ? engine.getRemaining() : engine.getElapsed();
+        const { main, fraction } = TimerBase.timeFormat.parts(time, { roundUp: entry.kind === 'countdown' });
+        tile.querySelector('.tile-time').innerHTML = fraction ? `${main}<span class="text-base opacity-70 ml-1 text-gray-600">${fraction}</span>` : main;
+
+        // The toggle button mirrors the stopwatch/countdown button sequence
+        const labels = { idle: 'actions.start', running: 'actions.pause', paused: 'actions.continue', expired: 'actions.expired' };
+        const toggle = tile.querySelector('.tile-toggle');
+        toggle.textContent = ViewManager.t(labels[engine.state]);
+        toggle.disabled = engine.state === TimerEngine.STATES.EXPIRED;
+        toggle.classList.toggle('bg-green-600', engine.state === TimerEngine.STATES.IDLE);
+        toggle.classList.toggle('bg-blue-600', engine.isRunning || engine.state === TimerEngine.STATES.PAUSED);
+        toggle.classList.toggle('bg-gray-400', engine.state === TimerEngine.STATES.EXPIRED);
+        tile.classList.toggle('tile-expired', engine.state === TimerEngine.STATES.EXPIRED);
+    }
+
+    /**
+     * Returns the persistable state of the dashboard.
+     * @returns {Array<Object>} Serialized timers in display order.
+     */
+    getState() {
+        return this.collection.serialize();
+    }
+
+    /**
+     * Restores the timers saved by `getState()`. Running timers keep counting;
+     * countdowns that ran out while the page was closed are reported as expired.
+     * @param {Array<Object>|null} state - The saved timers, or null if nothing was saved.
+     */
+    restoreState(state) {
+        if (!state) return;
+        const errors = this.collection.restore(state);
+        errors.forEach(message => this.log(`Ignoring saved dashboard timer. ${message}`, 'warn'));
+        this.syncTicking();
+        this.tick(); // Expire countdowns whose time ran out meanwhile
+        this.log(`Dashboard restored with ${this.collection.entries.length} timer(s).`);
+    }
+
+    /**
+     * Applies the timers as another tab saved them: added, removed, edited,
+     * started, paused or reset there. Tiles are redrawn by the collection's `change`.
+     * @param {Array<Object>|null} state - The saved timers.
+     */
+    syncState(state) {
+        const errors = this.collection.sync(state || []);
+        errors.forEach(message => this.log(`Ignoring dashboard timer from another tab. ${message}`, 'warn'));
+        this.syncTicking();
+        this.tick();
+    }
+}
+
+/**
+ * Sequence Class
+ * Pomodoro and interval training: runs a multi-phase sequence (see
+ * ../shared/sequence-runner.js) and shows the phase name, the round counter,
+ * the time left in the phase and in the whole sequence. Each automatic phase
+ * change plays a cue (a different sound for work, rest and the end).
+ */
+class Sequence extends TimerBase {
+    constructor(displayElementId, setupFormId, templateSelectId, workInputId, restInputId, roundsInputId, longBreakInputId, runPanelId, phaseNameId, roundId, totalId, toggleBtnId, skipBtnId, restartBtnId, stopBtnId) {
+        // The runner (and its engine) is created when a sequence starts: `tick()` is overridden
+        super(displayElementId, null);
+        this.runner = null;                        // SequenceRunner of the current sequence, if any
+        this.durationParser = new DurationParser({ i18n: ViewManager.i18n }); // Phase durations accept the same syntax as the countdown
+        this.audioContext = null;                   // Created on first use (browsers require a user gesture)
+
+        // Get references to the setup form and the running sequence controls
+        this.setupForm = document.getElementById(setupFormId);
+        this.templateSelect = document.getElementById(templateSelectId);
+        this.workInput = document.getElementById(workInputId);
+        this.restInput = document.getElementById(restInputId);
+        this.roundsInput = document.getElementById(roundsInputId);
+        this.longBreakInput = document.getElementById(longBreakInputId);
+        this.runPanel = document.getElementById(runPanelId);
+        this.phaseName = document.getElementById(phaseNameId);
+        this.roundLabel = document.getElementById(roundId);
+        this.totalLabel = document.getElementById(totalId);
+        this.toggleBtn = document.getElementById(toggleBtnId);
+        this.skipBtn = document.getElementById(skipBtnId);
+        this.restartBtn = document.getElementById(restartBtnId);
+        this.stopBtn = document.getElementById(stopBtnId);
+
+        this.initEvents();
+        this.fillTemplate(this.templateSelect.value);
+        this.showPanel('setup');
+    }
+
+    /**
+     * True while a sequence is counting.
+     * @returns {boolean} Whether the sequence is running.
+     */
+    get isRunning() {
+        return this.runner !== null && this.runner.engine.isRunning;
+    }
+
+    /**
+     * A sequence shows the time left in the current phase.
+     * @returns {boolean} Always true.
+     */
+    get countsDown() {
+        return true;
+    }
+
+    /**
+     * Draws the running sequence again, e.g. after the time format changed.
+     */
+    redraw() {
+        this.render();
+    }
+
+    /**
+     * Ticks the running sequence, if any.
+     */
+    tick() {
+        if (this.runner) this.runner.tick();
+    }
+
+    /**
+     * The next phase must start on time (its cue is played even in a hidden tab).
+     * @returns {number|null} Time in ms, or null when no sequence is running.
+     */
+    nextDeadline() {
+        return this.isRunning ? this.runner.getSnapshot().phaseRemaining : null;
+    }
+
+    /**
+     * Sets up event listeners for the setup form and the sequence controls.
+     */
+    initEvents() {
+        // Picking a template fills in its phases; the fields can still be edited afterwards
+        this.templateSelect.addEventListener('change', () => this.fillTemplate(this.templateSelect.value));
+
+        this.setupForm.addEventListener('submit', (event) => {
+            event.preventDefault(); // Stay on the page
+            try {
+                this.startSequence();
+            } catch (e) {
+                this.log(`Error starting sequence: ${e.message}`, 'error');
+                ViewManager.showAlert(ViewManager.t('errors.startSequence'));
+            }
+        });
+
+        // Each control runs through the same error handling
+        const bind = (button, action, description, errorKey) => {
+            button.addEventListener('click', () => {
+                try {
+                    action();
+                } catch (e) {
+                    this.log(`Error trying to ${description}: ${e.message}`, 'error');
+                    ViewManager.showAlert(ViewManager.t(errorKey));
+                }
+            });
+        };
+        bind(this.toggleBtn, () => this.toggle(), 'pause or continue the sequence', 'errors.toggleSequence');
+        bind(this.skipBtn, () => this.skipPhase(), 'skip the phase', 'errors.skipPhase');
+        bind(this.restartBtn, () => this.restartPhase(), 'restart the phase', 'errors.restartPhase');
+        bind(this.stopBtn, () => this.stop(), 'stop the sequence', 'errors.stopSequence');
+    }
+
+    /**
+     * Fills the setup fields with a built-in template.
+     * @param {string} key - Key of `SequenceRunner.TEMPLATES`, or 'custom' to keep the fields.
+     */
+    fillTemplate(key) {
+        const template = SequenceRunner.TEMPLATES[key];
+        if (!template) return;
+
+        const [work, rest] = template.phases;
+        this.workInput.value = PresetStore.formatDuration(work.duration);
+        this.restInput.value = rest ? PresetStore.formatDuration(rest.duration) : '';
+        this.roundsInput.value = template.rounds;
+        this.longBreakInput.value = template.after.length > 0 ? PresetStore.formatDuration(template.after[0].duration) : '';
+    }
+
+    /**
+     * Builds a sequence definition from the setup fields.
+     * @returns {Object|null} The definition, or null after alerting about an invalid field.
+     */
+    readDefinition() {
+        try {
+            const rounds = parseInt(this.roundsInput.value, 10);
+            const work = this.durationParser.parse(this.workInput.value);
+            // Rest and long break are optional
+            const rest = this.restInput.value.trim() ? this.durationParser.parse(this.restInput.value) : 0;
+            const longBreak = this.longBreakInput.value.trim() ? this.durationParser.parse(this.longBreakInput.value) : 0;
+
+            // Phase names are written in the current language and kept as they are once started
+            const phases = [{ name: ViewManager.t('sequence.phases.work'), duration: work, kind: 'work' }];
+            if (rest > 0) {
+                phases.push({ name: ViewManager.t(longBreak > 0 ? 'sequence.phases.shortBreak' : 'sequence.phases.rest'), duration: rest, kind: 'rest' });
+            }
+            return SequenceRunner.validate({
+                name: this.templateSelect.options[this.templateSelect.selectedIndex].text,
+                rounds,
+                phases,
+                after: longBreak > 0 ? [{ name: ViewManager.t('sequence.phases.longBreak'), duration: longBreak, kind: 'rest' }] : []
+            }, ViewManager.i18n);
+        } catch (e) {
+            this.log(`Invalid sequence: ${e.message}`, 'warn');
+            ViewManager.showAlert(e.message); // Parser and validation messages are written for the user
+            return null;
+        }
+    }
+
+    /**
+     * Starts a new sequence from the setup fields.
+     */
+    startSequence() {
+        const definition = this.readDefinition();
+        if (!definition) return;
+
+        this.load(definition);
+        this.runner.start();
+        this.startTicking();
+        this.showPanel('run');
+        this.render();
+        this.saveState();
+        this.log(`Sequence "${definition.name}" started (${this.runner.phases.length} phases).`);
+    }
+
+    /**
+     * Creates the runner for a definition and wires its events to the screen.
+     * @param {Object} definition - Sequence definition.
+     */
+    load(definition) {
+        this.stopTicking();
+        this.runner = new SequenceRunner(definition, { i18n: ViewManager.i18n });
+
+        this.runner.on('tick', () => this.render());
+        this.runner.on('statechange', () => this.updateButtons());
+        this.runner.on('phasechange', ({ phase, automatic }) => {
+            this.render();
+            this.saveState();
+            if (automatic) {
+                this.playCue(phase.kind);
+                this.log(`Phase "${phase.name}" (round ${phase.round}) started.`);
+            }
+        });
+        this.runner.on('finish', () => {
+            this.stopTicking();
+            this.render();
+            this.saveState();
+            this.playCue('finish');
+            ViewManager.showAlert(ViewManager.t('sequence.complete', { name: this.runner.definition.name }));
+            this.log('Sequence finished.');
+        });
+    }
+
+    /**
+     * Pauses or continues the whole sequence.
+     */
+    toggle() {
+        if (!this.runner) return;
+        if (this.isRunning) {
+            this.runner.pause();
+            this.stopTicking();
+            this.render(); // Show the exact paused time
+        } else if (this.runner.state !== TimerEngine.STATES.EXPIRED) {
+            this.runner.start();
+            this.startTicking();
+        }
+        this.saveState();
+    }
+
+    /**
+     * Ends the current phase and moves to the next one (or finishes the sequence).
+     */
+    skipPhase() {
+        if (!this.runner || this.runner.state === TimerEngine.STATES.EXPIRED) return;
+        this.runner.skip();
+        this.render();
+        this.saveState();
+    }
+
+    /**
+     * Restarts the current phase from its full duration.
+     */
+    restartPhase() {
+        if (!this.runner || this.runner.state === TimerEngine.STATES.EXPIRED) return;
+        this.runner.restartPhase();
+        this.render();
+        this.saveState();
+    }
+
+    /**
+     * Stops the sequence and returns to the setup form.
+     */
+    stop() {
+        this.stopTicking();
+        this.runner = null;
+        this.showPanel('setup');
+        this.saveState();
+        this.log('Sequence stopped.');
+    }
+
+    /**
+     * Shows either the setup form or the running sequence.
+     * @param {'setup' | 'run'} panel - Panel to show.
+     */
+    showPanel(panel) {
+        this.setupForm.classList.toggle('hidden', panel !== 'setup');
+        [this.runPanel, this.displayElement, this.phaseName, this.roundLabel].forEach(element => {
+            element.classList.toggle('hidden', panel !== 'run');
+        });
+    }
+
+    /**
+     * Renders the current phase, round and remaining times.
+     */
+    render() {
+        if (!this.runner) return;
+        const snapshot = this.runner.getSnapshot();
+        const finished = snapshot.state === TimerEngine.STATES.EXPIRED;
+
+        this.phaseName.textContent = finished ? ViewManager.t('sequence.done') : snapshot.phase.name;
+        this.roundLabel.textContent = ViewManager.t('sequence.progress', { round: snapshot.round, rounds: snapshot.rounds, phase: snapshot.phaseIndex + 1, phases: snapshot.phaseCount });
+        this.totalLabel.textContent = ViewManager.t('sequence.totalRemaining', { time: TimerBase.timeFormat.format(snapshot.totalRemaining, { roundUp: true, precision: 'seconds' }) });
+        this.updateDisplay(snapshot.phaseRemaining);
+
+        // Colour the phase name by kind so work and rest are told apart at a glance
+        this.phaseName.classList.toggle('text-red-600', !finished && snapshot.phase.kind === 'work');
+        this.phaseName.classList.toggle('text-green-600', !finished && snapshot.phase.kind === 'rest');
+        this.updateButtons();
+    }
+
+    /**
+     * Updates the Pause/Continue label and disables controls once the sequence is over.
+     */
+    updateButtons() {
+        if (!this.runner) return;
+        const state = this.runner.state;
+        const finished = state === TimerEngine.STATES.EXPIRED;
+
+        this.toggleBtn.textContent = ViewManager.t(state === TimerEngine.STATES.RUNNING ? 'actions.pause' : (state === TimerEngine.STATES.IDLE ? 'actions.start' : 'actions.continue'));
+        [this.toggleBtn, this.skipBtn, this.restartBtn].forEach(button => {
+            button.disabled = finished;
+        });
+    }
+
+    /**
+     * Plays the cue for the start of a phase or the end of the sequence, and
+     * flashes the display.
+     * @param {'work' | 'rest' | 'finish'} kind - What is starting.
+     */
+    playCue(kind) {
+        // Work: two high beeps; rest: one long low tone; finish: three rising beeps
+        const patterns = {
+            work: [[880, 0, 0.15], [880, 0.25, 0.15]],
+            rest: [[440, 0, 0.6]],
+            finish: [[523, 0, 0.2], [659, 0.25, 0.2], [784, 0.5, 0.4]]
+        };
+
+        this.displayElement.classList.remove('phase-flash');
+        void this.displayElement.offsetWidth; // Restart the CSS animation
+        this.displayElement.classList.add('phase-flash');
+
+        try {
+            const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+            if (!AudioContextClass) return;
+            this.audioContext = this.audioContext || new AudioContextClass();
+
+            const now = this.audioContext.currentTime;
+            patterns[kind].forEach(([frequency, offset, length]) => {
+                const oscillator = this.audioContext.createOscillator();
+                const gain = this.audioContext.createGain();
+                oscillator.frequency.value = frequency;
+                gain.gain.value = 0.3;
+                oscillator.connect(gain);
+                gain.connect(this.audioContext.destination);
+                oscillator.start(now + offset);
+                oscillator.stop(now + offset + length);
+            });
+        } catch (e) {
+            this.log(`Could not play the phase cue: ${e.message}`, 'warn');
+        }
+    }
+
+    /**
+     * Returns the persistable state of the sequence.
+     * @returns {Object|null} The serialized runner, or null when no sequence is loaded.
+     */
+    getState() {
+        return this.runner ? this.runner.serialize() : null;
+    }
+
+    /**
+     * Restores a sequence saved by `getState()`, catching up on phases that
+     * ended while the page was closed.
+     * @param {Object|null} state - Saved state.
+     */
+    restoreState(state) {
+        if (!state) return;
+        try {
+            this.load(state.definition);
+            this.runner.restore(state.engine);
+        } catch (e) {
+            this.log(`Ignoring saved sequence: ${e.message}`, 'warn');
+            this.runner = null;
+            return;
+        }
+
+        this.showPanel('run');
+        this.render();
+        if (this.isRunning) {
+            this.startTicking();
+            this.tick(); // Finishes at once if the sequence ended meanwhile
+        }
+        this.log(`Sequence "${this.runner.definition.name}" restored (${this.runner.state}).`);
+    }
+
+    /**
+     * Applies the sequence as another tab saved it: started, paused, moved to
+     * another phase or stopped there.
+     * @param {Object|null} state - Saved state; null once the sequence was stopped.
+     */
+    syncState(state) {
+        if (state) {
+            this.restoreState(state);
+            return;
+        }
+        this.stopTicking();
+        this.runner = null;
+        this.showPanel('setup');
+    }
+}
+
+/**
+ * HistoryScreen Class
+ * Shows the log of finished sessions kept by a HistoryStore
+ * (see ../shared/history-store.js): today's and this week's totals, daily and
+ * weekly bars, and the sessions themselves, optionally filtered by label.
+ * Sessions can be deleted one by one or all at once, and runs exported as
+ * CSV or JSON (see ../shared/run-exporter.js) can be imported.
+ */
+class HistoryScreen {
+    constructor(historyStore, exporter, filterSelectId, todayId, weekId, daysListId, weeksListId, entryListId, emptyMessageId, clearBtnId, importBtnId, importFileId) {
+        this.historyStore = historyStore; // Model of the finished sessions
+        this.exporter = exporter;         // Reads imported run files
+        this.filter = null;               // Label shown (null for all sessions, '' for unlabeled ones)
+
+        // Get references to the filter, the totals, the lists and the Clear button
+        this.filterSelect = document.getElementById(filterSelectId);
+        this.todayElement = document.getElementById(todayId);
+        this.weekElement = document.getElementById(weekId);
+        this.daysList = document.getElementById(daysListId);
+        this.weeksList = document.getElementById(weeksListId);
+        this.entryList = document.getElementById(entryListId);
+        this.emptyMessage = document.getElementById(emptyMessageId);
+        this.clearBtn = document.getElementById(clearBtnId);
+        this.importBtn = document.getElementById(importBtnId);
+        this.importFile = document.getElementById(importFileId);
+
+        this.initEvents();
+        this.render();
+    }
+
+    /**
+     * Sets up event listeners for the store, the filter and the delete buttons.
+     */
+    initEvents() {
+        // Re-render whenever a session is recorded or deleted (the store saves itself)
+        this.historyStore.onChange(() => this.render());
+
+        // The filter values are JSON so that "all" (null) and "no label" ('') stay distinct
+        this.filterSelect.addEventListener('change', () => {
+            this.filter = JSON.parse(this.filterSelect.value);
+            this.render();
+        });
+
+        // Delete buttons are handled through event delegation on the list
+        this.entryList.addEventListener('click', (event) => {
+            const button = event.target.closest('button[data-action="delete"]');
+            if (!button) return;
+            const id = button.closest('[data-id]').dataset.id;
+            try {
+                this.historyStore.remove(id);
+                console.log(`History entry ${id} deleted.`);
+            } catch (e) {
+                console.error(`Error deleting history entry ${id}: ${e.message}`);
+                ViewManager.showAlert(ViewManager.t('errors.deleteSession'));
+            }
+        });
+
+        this.clearBtn.addEventListener('click', () => {
+            if (this.historyStore.entries.length === 0) return;
+            if (!window.confirm(ViewManager.t('history.confirmClear'))) return;
+            this.historyStore.clear();
+            console.log('History cleared.');
+        });
+
+        // The Import button opens the hidden file picker
+        this.importBtn.addEventListener('click', () => this.importFile.click());
+        this.importFile.addEventListener('change', () => {
+            const file = this.importFile.files[0];
+            this.importFile.value = ''; // Allow importing the same file again
+            if (file) {
+                file.text().then(text => this.importRuns(text));
+            }
+        });
+    }
+
+    /**
+     * Adds the runs found in an exported CSV or JSON file and reports the result,
+     * including the rows that were rejected.
+     * @param {string} text - Contents of the file.
+     */
+    importRuns(text) {
+        try {
+            const { runs, errors } = this.exporter.parse(text);
+            const added = this.historyStore.addAll(runs.map(RunExporter.toSession));
+            errors.forEach(message => console.warn(`Skipped imported run. ${message}`));
+            const duplicates = runs.length - added > 0 ? ` ${ViewManager.t('runs.duplicates', { count: runs.length - added })}` : '';
+            const rows = `${errors.slice(0, 3).join('; ')}${errors.length > 3 ? '; ...' : ''}`;
+            const skipped = errors.length > 0 ? ` ${ViewManager.t('runs.skipped', { count: errors.length, rows })}` : '';
+            ViewManager.showAlert(`${ViewManager.t('runs.imported', { count: added })}${duplicates}${skipped}`);
+        } catch (e) {
+            console.warn(`Run import failed: ${e.message}`);
+            ViewManager.showAlert(e.message);
+        }
+    }
+
+    /**
+     * Rebuilds the filter options, the totals and the session list.
+     */
+    render() {
+        const labels = this.historyStore.labels();
+        // Fall back to all sessions when the filtered label no longer exists
+        if (this.filter && !labels.includes(this.filter)) {
+            this.filter = null;
+        }
+        this.renderFilter(labels);
+
+        const days = this.historyStore.dailyTotals({ days: 7, label: this.filter });
+        const weeks = this.historyStore.weeklyTotals({ weeks: 4, label: this.filter });
+        this.todayElement.textContent = HistoryStore.formatTotal(days[days.length - 1].total);
+        this.weekElement.textContent = HistoryStore.formatTotal(weeks[weeks.length - 1].total);
+        // Dates are written in the app's language rather than the browser's
+        const locale = ViewManager.i18n.locale;
+        this.renderBars(this.daysList, days, start => new Date(start).toLocaleDateString(locale, { weekday: 'short', day: 'numeric' }));
+        this.renderBars(this.weeksList, weeks, start => ViewManager.t('history.weekOf', { date: new Date(start).toLocaleDateString(locale, { month: 'short', day: 'numeric' }) }));
+
+        const entries = this.historyStore.list({ label: this.filter });
+        this.emptyMessage.classList.toggle('hidden', entries.length > 0);
+        this.entryList.innerHTML = '';
+        entries.forEach(entry => this.entryList.appendChild(this.renderEntry(entry)));
+    }
+
+    /**
+     * Fills the label filter with every label in the log.
+     * @param {Array<string>} labels - Distinct labels.
+     */
+    renderFilter(labels) {
+        const options = [[ViewManager.t('history.allSessions'), null], [ViewManager.t('history.noLabel'), ''], ...labels.map(label => [label, label])];
+        this.filterSelect.innerHTML = '';
+        options.forEach(([text, value]) => {
+            const option = document.createElement('option');
+            option.textContent = text;
+            option.value = JSON.stringify(value);
+            option.selected = value === this.filter;
+            this.filterSelect.appendChild(option);
+        });
+    }
+
+    /**
+     * Renders one horizontal bar per period, scaled to the longest period.
+     * @param {HTMLElement} list - List element to fill.
+     * @param {Array<{start: number, total: number}>} buckets - Totals from the store.
+     * @param {function(number): string} formatStart - Builds the period name from its start epoch.
+     */
+    renderBars(list, buckets, formatStart) {
+        const longest = Math.max(...buckets.map(bucket => bucket.total), 1);
+        list.innerHTML = buckets.map(bucket => `
+            <li class="flex items-center gap-3 text-sm text-gray-700">
+                <span class="w-28 shrink-0">${formatStart(bucket.start)}</span>
+                <span class="flex-1 h-3 bg-gray-200 rounded-full overflow-hidden">
+                    <span class="history-bar block h-3 bg-blue-500 rounded-full" style="width: ${(bucket.total / longest) * 100}%"></span>
+                </span>
+                <span class="w-20 shrink-0 text-right font-mono">${HistoryStore.formatTotal(bucket.total)}</span>
+            </li>
+        `).join('');
+    }
+
+    /**
+     * Builds the list item of one session.
+     * @param {Object} entry - History entry.
+     * @returns {HTMLElement} The list item.
+     */
+    renderEntry(entry) {
+        const kindName = ViewManager.t(`timers.${entry.kind === 'countdown' ? 'countdown' : 'stopwatch'}`);
+        const started = new Date(entry.startedAt);
+        const ended = new Date(entry.endedAt);
+        const locale = ViewManager.i18n.locale;
+        const time = { hour: '2-digit', minute: '2-digit' };
+        const details = [
+            `${started.toLocaleDateString(locale)} ${started.toLocaleTimeString(locale, time)} – ${ended.toLocaleTimeString(locale, time)}`,
+            entry.target ? ViewManager.t('history.timerOf', { kind: kindName, duration: PresetStore.formatDuration(entry.target) }) : kindName
+        ];
+        if (entry.laps.length > 0) {
+            details.push(ViewManager.t('history.laps', { count: entry.laps.length }));
+        }
+
+        const item = document.createElement('li');
+        item.className = 'flex items-start justify-between gap-3 bg-white rounded-xl shadow-md p-3';
+        item.dataset.id = entry.id;
+        item.innerHTML = `
+            <div class="min-w-0">
+                <p class="font-bold text-gray-800 truncate">
+                    <span class="history-label"></span>
+                    <span class="ml-2 text-xs font-sans font-bold uppercase ${entry.status === 'completed' ? 'text-green-600' : 'text-red-600'}">${ViewManager.t(entry.status === 'completed' ? 'history.completed' : 'history.cancelled')}</span>
+                </p>
+                <p class="text-sm text-gray-500">${details.join(' · ')}</p>
+            </div>
+            <div class="flex items-center gap-2 shrink-0">
+                <span class="font-mono font-bold text-gray-900">${HistoryStore.formatTotal(entry.duration)}</span>
+                <button data-action="delete" class="text-red-600 hover:text-red-800 font-bold px-2" aria-label="${ViewManager.t('history.delete')}">&times;</button>
+            </div>
+        `;
+        item.querySelector('.history-label').textContent = entry.label || kindName;
+        return item;
+    }
+}
+
+/**
+ * AlarmPanel Class
+ * Shows the alarms rung by an AlarmEngine (see ../shared/alarm-engine.js) on
+ * top of every view, each with Snooze (+1 min, +5 min) and Dismiss buttons,
+ * and wires the alarm settings form of the countdown screen.
+ */
+class AlarmPanel {
+    constructor(alarmEngine, panelId, listId, toneSelectId, volumeInputId, repeatInputId, escalateInputId, testBtnId) {
+        this.alarmEngine = alarmEngine; // Model of the settings and active alarms
+
+        // Get references to the panel and the settings form
+        this.panel = document.getElementById(panelId);
+        this.list = document.getElementById(listId);
+        this.toneSelect = document.getElementById(toneSelectId);
+        this.volumeInput = document.getElementById(volumeInputId);
+        this.repeatInput = document.getElementById(repeatInputId);
+        this.escalateInput = document.getElementById(escalateInputId);
+        this.testBtn = document.getElementById(testBtnId);
+        AlarmPanel.fillToneSelect(this.toneSelect);
+
+        this.initEvents();
+        this.render();
+    }
+
+    /**
+     * Fills a select element with the available tones, in the current language.
+     * Can be called again after a language switch: the selected tone is kept.
+     * @param {HTMLSelectElement} select - Select element to fill.
+     * @param {boolean} [withDefault=false] - Add a first option (value '') standing for the default tone.
      */
-    updateButtonVisibility(state) {
-        // Hide all action buttons by default
-        this.startBtn.classList.add('hidden');
-        this.pauseBtn.classList.add('hidden');
-        this.continueBtn.classList.add('hidden');
-        // The Clear timer button is always visible when in timer mode
-        this.clearTimerBtn.classList.remove('hidden');
+    static fillToneSelect(select, withDefault = false) {
+        const selected = select.value;
+        const options = Object.keys(AlarmEngine.TONES).map(value => [value, ViewManager.t(`alarms.tones.${value}`)]);
+        if (withDefault) {
+            options.unshift(['', ViewManager.t('alarms.defaultAlarm')]);
+        }
+        select.innerHTML = '';
+        options.forEach(([value, text]) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = text;
+            select.appendChild(option);
+        });
+        if (options.some(([value]) => value === selected)) select.value = selected;
+    }
 
-        // Show specific buttons based on the state
-        if (state === 'initial') {
-            this.startBtn.classList.remove('hidden');
-        } else if (state === 'running') {
-            this.pauseBtn.classList.remove('hidden');
-        } else if (state === 'paused') {
-            this.continueBtn.classList.remove('hidden');
+    /**
+     * Sets up event listeners for the engine, the alarm buttons and the settings form.
+     */
+    initEvents() {
+        // Re-render whenever an alarm rings, is snoozed or dismissed, or a setting changes
+        this.alarmEngine.on('change', () => this.render());
+
+        // Browsers only play sound after a user gesture: resume the audio on the first one
+        const unlock = () => this.alarmEngine.unlock();
+        document.addEventListener('pointerdown', unlock, { once: true });
+        document.addEventListener('keydown', unlock, { once: true });
+
+        // Snooze and Dismiss buttons are handled through event delegation on the list
+        this.list.addEventListener('click', (event) => {
+            const button = event.target.closest('button[data-action]');
+            if (!button) return;
+            const id = button.closest('[data-id]').dataset.id;
+            if (button.dataset.action === 'snooze') {
+                this.alarmEngine.snooze(id, Number(button.dataset.minutes));
+                console.log(`Alarm ${id} snoozed for ${button.dataset.minutes} min.`);
+            } else if (button.dataset.action === 'dismiss') {
+                this.alarmEngine.dismiss(id);
+                console.log(`Alarm ${id} dismissed.`);
+            }
+        });
+
+        // Settings are applied (and saved by the engine) as soon as they change
+        this.toneSelect.addEventListener('change', () => this.alarmEngine.configure({ tone: this.toneSelect.value }));
+        this.volumeInput.addEventListener('change', () => this.alarmEngine.configure({ volume: Number(this.volumeInput.value) / 100 }));
+        this.repeatInput.addEventListener('change', () => this.alarmEngine.configure({ repeat: this.repeatInput.checked }));
+        this.escalateInput.addEventListener('change', () => this.alarmEngine.configure({ escalate: this.escalateInput.checked }));
+        this.testBtn.addEventListener('click', () => this.alarmEngine.preview(this.toneSelect.value));
+    }
+
+    /**
+     * Rebuilds the list of active alarms and shows the current settings.
+     */
+    render() {
+        const alarms = this.alarmEngine.list();
+        this.panel.classList.toggle('hidden', alarms.length === 0);
+        this.list.innerHTML = '';
+        alarms.forEach(alarm => this.list.appendChild(this.renderAlarm(alarm)));
+
+        const { tone, volume, repeat, escalate } = this.alarmEngine.settings;
+        this.toneSelect.value = tone;
+        this.volumeInput.value = Math.round(volume * 100);
+        this.repeatInput.checked = repeat;
+        this.escalateInput.checked = escalate;
+        this.escalateInput.disabled = !repeat; // Only a repeating alarm can get louder
+    }
+
+    /**
+     * Builds the list item of one alarm.
+     * @param {{id: string, label: string, snoozedUntil: (number|null)}} alarm - Active alarm.
+     * @returns {HTMLElement} The list item.
+     */
+    renderAlarm(alarm) {
+        const status = alarm.snoozedUntil
+            ? ViewManager.t('alarms.snoozedUntil', { time: new Date(alarm.snoozedUntil).toLocaleTimeString(ViewManager.i18n.locale, { hour: '2-digit', minute: '2-digit' }) })
+            : ViewManager.t('alarms.timesUp');
+
+        const item = document.createElement('li');
+        item.className = `bg-white rounded-xl shadow-xl border-l-8 p-4 ${alarm.snoozedUntil ? 'border-gray-400' : 'border-red-500 alarm-ringing'}`;
+        item.dataset.id = alarm.id;
+        item.setAttribute('role', 'alert');
+        item.innerHTML = `
+            <div class="flex items-baseline justify-between gap-3 mb-3">
+                <span class="alarm-label font-bold text-gray-900 truncate"></span>
+                <span class="text-sm font-semibold shrink-0 ${alarm.snoozedUntil ? 'text-gray-500' : 'text-red-600'}">${status}</span>
+            </div>
+            <div class="flex gap-2">
+                <button data-action="snooze" data-minutes="1" class="bg-gray-200 hover:bg-gray-300 text-gray-800 font-semibold py-2 px-3 rounded-lg">${ViewManager.t('alarms.snooze', { minutes: 1 })}</button>
+                <button data-action="snooze" data-minutes="5" class="bg-gray-200 hover:bg-gray-300 text-gray-800 font-semibold py-2 px-3 rounded-lg">${ViewManager.t('alarms.snooze', { minutes: 5 })}</button>
+                <button data-action="dismiss" class="ml-auto bg-red-600 hover:bg-red-700 text-white font-bold py-2 px-4 rounded-lg">${ViewManager.t('alarms.dismiss')}</button>
+            </div>
+        `;
+        item.querySelector('.alarm-label').textContent = alarm.label || ViewManager.t('timers.countdown');
+        return item;
+    }
+}
+
+/**
+ * WarningPanel Class
+ * Settings form of the countdown warnings (see ../shared/countdown-warnings.js):
+ * one row per threshold with its time left, colour, pulse and sound, a remove
+ * button, and an Add button.
+ */
+class WarningPanel {
+    constructor(warnings, listId, emptyMessageId, addBtnId) {
+        this.warnings = warnings; // Model of the thresholds
+        // Threshold times use the same syntax as the countdown ("1:00", "30s", "5 min")
+        this.durationParser = new DurationParser({ i18n: ViewManager.i18n });
+
+        // Get references to the list, its empty message and the Add button
+        this.list = document.getElementById(listId);
+        this.emptyMessage = document.getElementById(emptyMessageId);
+        this.addBtn = document.getElementById(addBtnId);
+
+        this.initEvents();
+        this.render();
+    }
+
+    /**
+     * Sets up event listeners for the model, the rows and the Add button.
+     */
+    initEvents() {
+        // Re-render whenever the thresholds change (the model saves itself)
+        this.warnings.on('change', () => this.render());
+
+        // Remove buttons are handled through event delegation on the list
+        this.list.addEventListener('click', (event) => {
+            const button = event.target.closest('button[data-action="remove"]');
+            if (!button) return;
+            this.warnings.remove(Number(button.closest('[data-index]').dataset.index));
+        });
+
+        // Field edits are applied when the field changes (text fields on blur or Enter)
+        this.list.addEventListener('change', (event) => {
+            const row = event.target.closest('[data-index]');
+            if (!row) return;
+            try {
+                this.warnings.update(Number(row.dataset.index), this.readChange(event.target));
+            } catch (e) {
+                console.warn(`Error editing warning #${row.dataset.index}: ${e.message}`);
+                ViewManager.showAlert(e.message);
+                this.render(); // Put the previous values back
+            }
+        });
+
+        this.addBtn.addEventListener('click', () => {
+            try {
+                this.warnings.add(this.warnings.nextDefault());
+            } catch (e) {
+                console.warn(`Error adding warning: ${e.message}`);
+                ViewManager.showAlert(e.message);
+            }
+        });
+    }
+
+    /**
+     * Reads the change made in one field of a row.
+     * @param {HTMLElement} field - The field that changed.
+     * @returns {Object} The threshold fields to change.
+     */
+    readChange(field) {
+        if (field.classList.contains('warning-at')) return { at: this.durationParser.parse(field.value) };
+        if (field.classList.contains('warning-color')) return { color: field.value };
+        if (field.classList.contains('warning-pulse')) return { pulse: field.checked };
+        return { cue: field.checked };
+    }
+
+    /**
+     * Rebuilds the rows, from the earliest threshold to the most urgent.
+     */
+    render() {
+        const { thresholds } = this.warnings;
+        this.emptyMessage.classList.toggle('hidden', thresholds.length > 0);
+        this.addBtn.disabled = thresholds.length >= CountdownWarnings.MAX_THRESHOLDS;
+        this.addBtn.classList.toggle('opacity-50', this.addBtn.disabled);
+
+        const colors = CountdownWarnings.COLORS.map(color => `<option value="${color}">${ViewManager.t(`warnings.colors.${color}`)}</option>`).join('');
+        this.list.innerHTML = thresholds.map((threshold, index) => `
+            <li data-index="${index}" class="flex items-center gap-2">
+                <input type="text" class="warning-at w-16 border border-gray-300 rounded px-1 font-mono text-gray-800 text-right" value="${PresetStore.formatDuration(threshold.at)}" aria-label="${ViewManager.t('warnings.at')}">
+                <select class="warning-color border border-gray-300 rounded px-1 text-gray-800" aria-label="${ViewManager.t('warnings.color')}">${colors}</select>
+                <label class="flex items-center gap-1"><input type="checkbox" class="warning-pulse" ${threshold.pulse ? 'checked' : ''}>${ViewManager.t('warnings.pulse')}</label>
+                <label class="flex items-center gap-1"><input type="checkbox" class="warning-cue" ${threshold.cue ? 'checked' : ''}>${ViewManager.t('warnings.cue')}</label>
+                <button data-action="remove" type="button" class="ml-auto text-red-600 hover:text-red-800 font-bold px-1" aria-label="${ViewManager.t('warnings.remove')}">&times;</button>
+            </li>
+        `).join('');
+        this.list.querySelectorAll('.warning-color').forEach((select, index) => {
+            select.value = thresholds[index].color;
+        });
+    }
+}
+
+/**
+ * KeyboardController Class
+ * Keyboard layer for the whole app: routes shortcuts (see ../shared/key-bindings.js)
+ * to the active view and manages the help overlay, where keys can be rebound.
+ */
+class KeyboardController {
+    constructor(bindings, stopwatch, countdown, sequence, overlayId, listId, resetBtnId, closeBtnId) {
+        this.bindings = bindings;   // KeyBindings instance (key -> action map)
+        this.stopwatch = stopwatch; // Stopwatch view controlled by the keyboard
+        this.countdown = countdown; // Countdown view controlled by the keyboard
+        this.sequence = sequence;   // Interval sequence view controlled by the keyboard
+        this.rebindingAction = null; // Action waiting for its new key, if any
+
+        // Get references to the help overlay elements
+        this.overlay = document.getElementById(overlayId);
+        this.list = document.getElementById(listId);
+        this.resetBtn = document.getElementById(resetBtnId);
+        this.closeBtn = document.getElementById(closeBtnId);
+
+        this.initEvents();
+        this.renderHelp();
+    }
+
+    /**
+     * Sets up the global key listener and the help overlay buttons.
+     */
+    initEvents() {
+        document.addEventListener('keydown', (event) => this.handleKeydown(event));
+
+        // "Change" buttons in the help list start rebinding their action
+        this.list.addEventListener('click', (event) => {
+            const button = event.target.closest('button[data-action]');
+            if (button) this.startRebinding(button.dataset.action);
+        });
+        this.resetBtn.addEventListener('click', () => {
+            this.bindings.resetToDefaults();
+            this.rebindingAction = null;
+            this.renderHelp();
+            console.log('Keyboard shortcuts reset to defaults.');
+        });
+        this.closeBtn.addEventListener('click', () => this.hideHelp());
+        // Close the overlay if the user clicks outside its content
+        this.overlay.addEventListener('click', (event) => {
+            if (event.target === this.overlay) this.hideHelp();
+        });
+    }
+
+    /**
+     * Handles every key press on the page.
+     * @param {KeyboardEvent} event - The key event.
+     */
+    handleKeydown(event) {
+        // While rebinding, the next key press becomes the new binding (Esc cancels)
+        if (this.rebindingAction) {
+            event.preventDefault();
+            this.finishRebinding(event.key);
+            return;
+        }
+
+        if (KeyBindings.shouldIgnore(event)) return;
+
+        // An open alert is dismissed with Enter or Escape before anything else happens
+        if (!ViewManager.modalOverlay.classList.contains('hidden')) {
+            if (event.key === 'Enter' || event.key === 'Escape') {
+                event.preventDefault();
+                ViewManager.hideAlert();
+            }
+            return;
+        }
+
+        // Escape always closes the help overlay
+        if (this.isHelpVisible() && event.key === 'Escape') {
+            event.preventDefault();
+            this.hideHelp();
+            return;
+        }
+
+        const shortcut = this.bindings.resolve(event);
+        if (!shortcut) return;
+
+        event.preventDefault(); // Keep Space from scrolling and Enter from clicking the focused button
+        try {
+            this.runShortcut(shortcut);
+        } catch (e) {
+            console.error(`Error running shortcut "${shortcut.action}": ${e.message}`);
+            ViewManager.showAlert(ViewManager.t('errors.shortcut'));
+        }
+    }
+
+    /**
+     * Runs a resolved shortcut against the active view.
+     * @param {{action: string, digit: (string|undefined)}} shortcut - The resolved shortcut.
+     */
+    runShortcut({ action, digit }) {
+        if (action === 'help') {
+            this.isHelpVisible() ? this.hideHelp() : this.showHelp();
+            return;
+        }
+        if (['home', 'stopwatch', 'countdown', 'dashboard'].includes(action)) {
+            this.hideHelp();
+            ViewManager.showView(action);
+            return;
+        }
+        // Timer shortcuts do nothing while the help is covering the screen
+        if (this.isHelpVisible()) return;
+
+        if (ViewManager.currentView === 'stopwatch') {
+            this.runStopwatchShortcut(action);
+        } else if (ViewManager.currentView === 'countdown') {
+            this.runCountdownShortcut(action, digit);
+        } else if (ViewManager.currentView === 'sequence') {
+            if (action === 'toggle') this.sequence.toggle();
+            else if (action === 'clear') this.sequence.stop();
+        }
+    }
+
+    /**
+     * Applies a shortcut to the stopwatch.
+     * @param {string} action - The action name.
+     */
+    runStopwatchShortcut(action) {
+        if (action === 'toggle') {
+            // Space follows the Start -> Pause -> Continue button sequence
+            if (this.stopwatch.isRunning) {
+                this.stopwatch.pause();
+            } else if (this.stopwatch.engine.state === TimerEngine.STATES.PAUSED) {
+                this.stopwatch.continue();
+            } else {
+                this.stopwatch.start();
+            }
+        } else if (action === 'clear') {
+            this.stopwatch.reset();
+        } else if (action === 'lap') {
+            this.stopwatch.lap();
+        } else if (action === 'present') {
+            this.stopwatch.present();
+        }
+    }
+
+    /**
+     * Applies a shortcut to the countdown, depending on whether it is in input or timer mode.
+     * @param {string} action - The action name.
+     * @param {string} [digit] - The digit typed, for the `digit` action.
+     */
+    runCountdownShortcut(action, digit) {
+        if (action === 'present') {
+            this.countdown.present();
+            return;
+        }
+        if (this.countdown.isInputMode()) {
+            if (action === 'digit') this.countdown.appendDigit(digit);
+            else if (action === 'backspace') this.countdown.removeLastDigit();
+            else if (action === 'set') this.countdown.setTime();
+            else if (action === 'clear') this.countdown.resetInput();
+            return;
+        }
+
+        if (action === 'toggle') {
+            if (this.countdown.isRunning) {
+                this.countdown.pause();
+            } else if (this.countdown.engine.state === TimerEngine.STATES.PAUSED) {
+                this.countdown.continue();
+            } else {
+                this.countdown.start();
+            }
+        } else if (action === 'clear') {
+            this.countdown.resetTimer();
+        }
+    }
+
+    /**
+     * @returns {boolean} True while the help overlay is open.
+     */
+    isHelpVisible() {
+        return !this.overlay.classList.contains('hidden');
+    }
+
+    /**
+     * Opens the help overlay.
+     */
+    showHelp() {
+        this.renderHelp();
+        this.overlay.classList.remove('hidden');
+        this.overlay.classList.add('flex'); // Use flex to center the overlay content
+        this.closeBtn.focus();
+    }
+
+    /**
+     * Closes the help overlay and cancels any pending rebinding.
+     */
+    hideHelp() {
+        this.rebindingAction = null;
+        this.overlay.classList.add('hidden');
+        this.overlay.classList.remove('flex');
+    }
+
+    /**
+     * Waits for the next key press to become the key of `action`.
+     * @param {string} action - The action to rebind.
+     */
+    startRebinding(action) {
+        this.rebindingAction = action;
+        this.renderHelp();
+    }
+
+    /**
+     * Applies the key pressed while rebinding.
+     * @param {string} key - The pressed key (`KeyboardEvent.key`).
+     */
+    finishRebinding(key) {
+        const action = this.rebindingAction;
+        this.rebindingAction = null;
+
+        if (key !== 'Escape') {
+            try {
+                this.bindings.rebind(action, key);
+                console.log(`Shortcut for "${action}" changed to ${KeyBindings.keyLabel(key)}.`);
+            } catch (e) {
+                ViewManager.showAlert(e.message);
+            }
         }
+        this.renderHelp();
+    }
+
+    /**
+     * Rebuilds the list of shortcuts shown in the help overlay.
+     */
+    renderHelp() {
+        // Fixed keys first, then every rebindable action
+        const rows = [
+            { label: ViewManager.t('shortcuts.digits'), keys: '0-9' },
+            { label: ViewManager.t('shortcuts.backspace'), keys: this.bindings.keyName('Backspace') }
+        ].map(row => `
+            <li class="flex justify-between items-center py-2">
+                <span class="text-gray-700">${row.label}</span>
+                <kbd class="shortcut-key">${row.keys}</kbd>
+            </li>
+        `);
+
+        Object.keys(KeyBindings.ACTIONS).forEach(action => {
+            const waiting = this.rebindingAction === action;
+            rows.push(`
+                <li class="flex justify-between items-center py-2">
+                    <span class="text-gray-700">${this.bindings.describe(action)}</span>
+                    <button data-action="${action}" class="shortcut-key ${waiting ? 'shortcut-key-waiting' : ''}" aria-label="${ViewManager.t('shortcuts.change', { action: this.bindings.describe(action) })}">
+                        ${waiting ? ViewManager.t('shortcuts.pressKey') : this.bindings.keyName(this.bindings.bindings[action])}
+                    </button>
+                </li>
+            `);
+        });
+        this.list.innerHTML = rows.join('');
     }
 }
 
@@ -537,6 +2886,9 @@ class ViewManager {
     static homeScreen = document.getElementById('home-screen');
     static stopwatchScreen = document.getElementById('stopwatch-screen');
     static countdownScreen = document.getElementById('countdown-screen');
+    static dashboardScreen = document.getElementById('dashboard-screen');
+    static sequenceScreen = document.getElementById('sequence-screen');
+    static historyScreen = document.getElementById('history-screen');
     static appContainer = document.getElementById('app-container'); // Main app container for overflow management
     static modalOverlay = document.getElementById('modal-overlay');
     static modalMessage = document.getElementById('modal-message');
@@ -544,15 +2896,47 @@ class ViewManager {
     static screenTitleElement = document.getElementById('current-screen-title');
 
     static currentView = 'home'; // Keeps track of the currently active view
+    static store = null;         // Optional StateStore used to remember the current view
+    static router = null;        // Optional HashRouter keeping the current view in the URL
+    static alertReturnFocus = null; // Element focused before the alert opened, focused again when it closes
+    static i18n = null;          // I18n instance translating every message shown by the app, set before init()
+
+    // Message keys of the title bar text of each view (the home screen shows the app name)
+    static titleKeys = {
+        home: 'app.heading',
+        stopwatch: 'nav.stopwatch',
+        countdown: 'nav.countdown',
+        dashboard: 'nav.dashboard',
+        sequence: 'nav.intervals',
+        history: 'nav.history'
+    };
+
+    /**
+     * Translates a message in the current language (see ../shared/i18n.js).
+     * @param {string} key - Dotted message key.
+     * @param {Object} [params] - Placeholder values.
+     * @returns {string} The translated message.
+     */
+    static t(key, params) {
+        return ViewManager.i18n.t(key, params);
+    }
 
     /**
      * Initializes the ViewManager by setting up event listeners
      * for screen selection and modal interactions.
+     * @param {StateStore} [store] - Store used to remember and restore the current view.
+     * @param {HashRouter} [router] - Router keeping the view in the URL hash ("#/stopwatch").
      */
-    static init() {
+    static init(store = null, router = null) {
+        ViewManager.store = store;
+        ViewManager.router = router;
+
         // Set up event listeners for the Stopwatch and Countdown option icons
         document.getElementById('stopwatch-option').addEventListener('click', () => ViewManager.showView('stopwatch'));
         document.getElementById('countdown-option').addEventListener('click', () => ViewManager.showView('countdown'));
+        document.getElementById('dashboard-option').addEventListener('click', () => ViewManager.showView('dashboard'));
+        document.getElementById('sequence-option').addEventListener('click', () => ViewManager.showView('sequence'));
+        document.getElementById('history-option').addEventListener('click', () => ViewManager.showView('history'));
 
         // Set up event listeners for breadcrumb "Home" links
         document.querySelectorAll('.breadcrumb-home').forEach(btn => {
@@ -571,28 +2955,44 @@ class ViewManager {
             }
         });
 
-        // Initially display the home screen
-        ViewManager.showView('home');
+        // Browser Back/Forward (and edited hashes) switch views
+        if (router) {
+            router.onRoute(({ view }) => ViewManager.showView(view));
+        }
+
+        // Initially display the view named in the URL, else the one that was open
+        // before the page was reloaded, or the home screen
+        const route = router ? router.current() : null;
+        const savedView = store ? store.load('view') : null;
+        if (route) {
+            ViewManager.showView(route.view);
+        } else {
+            ViewManager.showView(['home', 'stopwatch', 'countdown', 'dashboard', 'sequence', 'history'].includes(savedView) ? savedView : 'home');
+        }
+    }
+
+    /**
+     * Whether the user asked the system to minimize animations (`prefers-reduced-motion`).
+     * @returns {boolean} True if the slide transition should be skipped.
+     */
+    static prefersReducedMotion() {
+        return typeof window.matchMedia === 'function' && window.matchMedia('(prefers-reduced-motion: reduce)').matches;
     }
 
     /**
-     * Displays the specified view with a sliding animation.
+     * Displays the specified view with a sliding animation (or at once, with reduced motion).
      * Handles hiding the current view and showing the new one.
-     * @param {'home' | 'stopwatch' | 'countdown'} viewName - The name of the view to show.
+     * @param {'home' | 'stopwatch' | 'countdown' | 'dashboard' | 'sequence' | 'history'} viewName - The name of the view to show.
      */
     static showView(viewName) {
         console.log(`Attempting to navigate to: ${viewName}`);
+        // Add a browser history entry, so Back returns to the previous view
+        if (ViewManager.router) {
+            ViewManager.router.navigate(viewName);
+        }
 
         // Update the main title bar based on the selected view
-        if (ViewManager.screenTitleElement) {
-            if (viewName === 'stopwatch') {
-                ViewManager.screenTitleElement.textContent = 'Stopwatch';
-            } else if (viewName === 'countdown') {
-                ViewManager.screenTitleElement.textContent = 'Countdown';
-            } else {
-                ViewManager.screenTitleElement.textContent = 'Timer App';
-            }
-        }
+        ViewManager.updateTitle(viewName);
 
         // Add transition class to the app container to handle potential layout shifts
         ViewManager.appContainer.style.transition = 'none'; // Temporarily disable transition for quick reset
@@ -601,10 +3001,14 @@ class ViewManager {
             ViewManager.homeScreen.classList.add('hidden', 'translate-x-full');
             ViewManager.stopwatchScreen.classList.add('hidden', 'translate-x-full');
             ViewManager.countdownScreen.classList.add('hidden', 'translate-x-full');
+            ViewManager.dashboardScreen.classList.add('hidden', 'translate-x-full');
+            ViewManager.sequenceScreen.classList.add('hidden', 'translate-x-full');
+            ViewManager.historyScreen.classList.add('hidden', 'translate-x-full');
 
             // Allow browser to apply 'hidden' and 'translate-x-full' before transition
             requestAnimationFrame(() => {
-                ViewManager.appContainer.style.transition = 'transform 0.5s ease-in-out'; // Re-enable transition
+                // Re-enable the transition, unless the user asked the system for reduced motion
+                ViewManager.appContainer.style.transition = ViewManager.prefersReducedMotion() ? 'none' : 'transform 0.5s ease-in-out';
 
                 let screenToShow;
                 // Determine which screen to show
@@ -614,6 +3018,12 @@ class ViewManager {
                     screenToShow = ViewManager.stopwatchScreen;
                 } else if (viewName === 'countdown') {
                     screenToShow = ViewManager.countdownScreen;
+                } else if (viewName === 'dashboard') {
+                    screenToShow = ViewManager.dashboardScreen;
+                } else if (viewName === 'sequence') {
+                    screenToShow = ViewManager.sequenceScreen;
+                } else if (viewName === 'history') {
+                    screenToShow = ViewManager.historyScreen;
                 }
 
                 if (screenToShow) {
@@ -628,11 +3038,24 @@ class ViewManager {
                     });
                 }
                 ViewManager.currentView = viewName;
+                if (ViewManager.store) {
+                    ViewManager.store.save('view', viewName); // Remember the view across reloads
+                }
                 console.log(`Navigated to: ${viewName}`);
             });
         });
     }
 
+    /**
+     * Shows the title of a view in the title bar, in the current language.
+     * @param {string} [viewName] - The view; defaults to the current one.
+     */
+    static updateTitle(viewName = ViewManager.currentView) {
+        if (ViewManager.screenTitleElement) {
+            ViewManager.screenTitleElement.textContent = ViewManager.t(ViewManager.titleKeys[viewName] || ViewManager.titleKeys.home);
+        }
+    }
+
     /**
      * Displays a custom alert modal with a given message.
      * @param {string} message - The message to display in the alert.
@@ -641,23 +3064,71 @@ class ViewManager {
         ViewManager.modalMessage.textContent = message;
         ViewManager.modalOverlay.classList.remove('hidden');
         ViewManager.modalOverlay.classList.add('flex'); // Use flex to center the modal content
+        // Move focus into the dialog, so keyboard and screen reader users land on it
+        if (!ViewManager.alertReturnFocus) ViewManager.alertReturnFocus = document.activeElement;
+        ViewManager.modalCloseBtn.focus();
         console.log(`ALERT: ${message}`);
     }
 
+    /**
+     * Downloads text as a file.
+     * @param {string} fileName - Suggested file name.
+     * @param {string} text - File contents.
+     * @param {string} type - MIME type.
+     */
+    static downloadFile(fileName, text, type) {
+        const blob = new Blob([text], { type });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        link.click();
+        URL.revokeObjectURL(url);
+    }
+
     /**
      * Hides the custom alert modal.
      */
     static hideAlert() {
         ViewManager.modalOverlay.classList.add('hidden');
         ViewManager.modalOverlay.classList.remove('flex');
+        // Give focus back to where it was (or to what replaced it, see FocusKeeper)
+        const returnFocus = ViewManager.alertReturnFocus;
+        ViewManager.alertReturnFocus = null;
+        if (returnFocus && returnFocus.isConnected && FocusKeeper.isShown(returnFocus)) returnFocus.focus();
         console.log('ALERT: Closed.');
     }
 }
 
 // Initialize the application once the DOM is fully loaded
 document.addEventListener('DOMContentLoaded', () => {
-    // Initialize the ViewManager to handle screen navigation
-    ViewManager.init();
+    // Ticking runs in a Worker, so background tabs and a busy page do not hold timers back
+    TimerBase.scheduler = new TickScheduler({ workerUrl: '../shared/tick-worker.js' });
+
+    // Local storage for timer state, so timers survive page reloads and browser restarts
+    const store = new StateStore('stopwatch-gemini');
+
+    // Other tabs of the app: what one of them saves is applied in the others (see below)
+    const tabSync = new TabSync({ store });
+
+    // Translations: the saved language, else the browser's preferred one, else English.
+    // Set before anything is built, as every view writes its text in this language.
+    const i18n = new I18n({ store, languages: navigator.languages || [navigator.language] });
+    ViewManager.i18n = i18n;
+    i18n.translatePage(document);
+
+    // Colour theme: the saved choice, else the operating system's light/dark and contrast settings
+    const themeManager = new ThemeManager({ store });
+
+    // How times are shown (precision, hidden zero hours, days); every view formats through it
+    const timeFormat = new TimeFormat({ store, i18n });
+    TimerBase.timeFormat = timeFormat;
+
+    // Keep the current view in the URL hash, so views can be bookmarked and Back/Forward work
+    const router = new HashRouter({ views: ['home', 'stopwatch', 'countdown', 'dashboard', 'sequence', 'history'] });
+
+    // Initialize the ViewManager to handle screen navigation (restoring the linked or last view)
+    ViewManager.init(store, router);
 
     // Instantiate Stopwatch and Countdown objects, passing their respective DOM element IDs
     const stopwatch = new Stopwatch(
@@ -665,7 +3136,10 @@ document.addEventListener('DOMContentLoaded', () => {
         'start-stopwatch',
         'pause-stopwatch',
         'continue-stopwatch',
-        'clear-stopwatch'
+        'clear-stopwatch',
+        'lap-stopwatch',
+        'stopwatch-laps',
+        'stopwatch-label'
     );
 
     const countdown = new Countdown(
@@ -677,9 +3151,310 @@ document.addEventListener('DOMContentLoaded', () => {
         'start-countdown',
         'pause-countdown',
         'continue-countdown',
-        'clear-countdown-timer'
+        'clear-countdown-timer',
+        'countdown-text-form',
+        'countdown-text',
+        'countdown-label',
+        'countdown-alarm',
+        'countdown-overtime'
+    );
+
+    // Countdown presets and recently used durations, saved in the same local storage
+    const presetStore = new PresetStore({ store, maxMs: countdown.maxTimeMs, i18n });
+    countdown.usePresets(presetStore);
+    const presetPanel = new PresetPanel(
+        presetStore,
+        countdown,
+        'countdown-recent-group',
+        'countdown-recent',
+        'countdown-presets',
+        'preset-form',
+        'preset-name',
+        'preset-duration',
+        'export-presets',
+        'import-presets',
+        'import-presets-file'
+    );
+
+    // Dashboard of any number of named stopwatches and countdowns
+    const dashboard = new Dashboard(
+        'dashboard-timers',
+        'dashboard-empty',
+        'dashboard-form',
+        'dashboard-kind',
+        'dashboard-label',
+        'dashboard-color',
+        'dashboard-duration',
+        'dashboard-hours',
+        'dashboard-minutes',
+        'dashboard-seconds',
+        'dashboard-alarm'
+    );
+
+    // Pomodoro and interval training sequences
+    const sequence = new Sequence(
+        'sequence-display',
+        'sequence-setup',
+        'sequence-template',
+        'sequence-work',
+        'sequence-rest',
+        'sequence-rounds',
+        'sequence-long-break',
+        'sequence-run',
+        'sequence-phase',
+        'sequence-round',
+        'sequence-total',
+        'sequence-toggle',
+        'sequence-skip',
+        'sequence-restart',
+        'sequence-stop'
+    );
+
+    // Keyboard shortcuts (press ? for the list) with user-defined keys
+    const keyboard = new KeyboardController(
+        new KeyBindings(store, i18n),
+        stopwatch,
+        countdown,
+        sequence,
+        'shortcuts-overlay',
+        'shortcuts-list',
+        'shortcuts-reset',
+        'shortcuts-close'
+    );
+
+    // Log of finished stopwatch runs and countdowns, shown on the History screen.
+    // Tracking starts before the timers are restored, so a countdown that ran out
+    // while the page was closed is still recorded.
+    const historyStore = new HistoryStore({ store });
+    historyStore.track(stopwatch.engine, 'stopwatch', { label: () => stopwatch.label, laps: () => stopwatch.lapRecorder.laps });
+    historyStore.track(countdown.engine, 'countdown', { label: () => countdown.label });
+    dashboard.useHistory(historyStore);
+
+    // Alarms ring when a countdown expires and stay on until dismissed. Like the history,
+    // they are hooked up before the timers are restored, so that an expiry missed while
+    // the page was closed still rings. With several tabs open, only one of them plays the
+    // sound, preferably one whose audio the user has unlocked.
+    const alarmEngine = new AlarmEngine({ store, audible: () => tabSync.isLeader });
+    tabSync.useAudio(() => alarmEngine.canPlay);
+    alarmEngine.on('unlock', () => tabSync.announce());
+    countdown.useAlarms(alarmEngine);
+    dashboard.useAlarms(alarmEngine);
+    const alarmPanel = new AlarmPanel(
+        alarmEngine,
+        'alarm-panel',
+        'alarm-list',
+        'alarm-tone',
+        'alarm-volume',
+        'alarm-repeat',
+        'alarm-escalate',
+        'alarm-test'
+    );
+
+    // Warnings before zero colour the countdown, pulse it and play a short cue
+    const warnings = new CountdownWarnings({ store, alarmEngine, i18n });
+    countdown.useWarnings(warnings);
+    const warningPanel = new WarningPanel(warnings, 'warning-list', 'warning-empty', 'warning-add');
+
+    // Countdowns expiring in a background tab are reported with a system notification whose
+    // Pause button acknowledges the alarm and Restart button runs the countdown again
+    const notifier = new ExpiryNotifier({ serviceWorkerUrl: '../shared/notification-sw.js', i18n });
+    notifier.watch(countdown.engine, 'countdown', { label: () => countdown.label || i18n.t('timers.countdown') });
+    dashboard.useNotifier(notifier);
+    notifier.onAction(({ id, action }) => {
+        try {
+            if (action === 'pause') {
+                alarmEngine.dismiss(id);
+            } else if (action === 'restart' && id === 'countdown') {
+                countdown.startWithDuration(countdown.initialTime);
+            } else if (action === 'restart') {
+                dashboard.restartTimer(id);
+            }
+        } catch (e) {
+            console.error(`Error applying notification action "${action}": ${e.message}`);
+        }
+    });
+
+    // The running time in the tab title, and a progress badge as the favicon
+    const tabStatus = new TabStatus({
+        sources: [
+            () => TabStatus.fromEngine(countdown.engine, countdown.label || i18n.t('timers.countdown')),
+            () => TabStatus.fromEngine(stopwatch.engine, stopwatch.label || i18n.t('timers.stopwatch')),
+            () => dashboard.getTabStatus()
+        ],
+        i18n
+    });
+    tabStatus.start();
+
+    // The service worker keeps the app working offline. When it has downloaded a new
+    // version, a banner offers to switch to it; Later keeps this version until the next visit.
+    const updater = new AppUpdater({ serviceWorkerUrl: 'sw.js' });
+    const updateBanner = document.getElementById('update-banner');
+    updater.onUpdate(() => updateBanner.classList.remove('hidden'));
+    document.getElementById('update-reload').addEventListener('click', () => updater.apply());
+    document.getElementById('update-later').addEventListener('click', () => updateBanner.classList.add('hidden'));
+
+    // CSV/JSON export of the current run, and import of exported runs into the history
+    // Exported files always hold the full HH:MM:SS.mmm time, whatever format the views show
+    const exportFormat = new TimeFormat({ i18n });
+    const runExporter = new RunExporter({ formatTime: ms => exportFormat.format(ms), i18n });
+    stopwatch.useExporter(runExporter, 'export-stopwatch-csv', 'export-stopwatch-json');
+    countdown.useExporter(runExporter, 'export-countdown-csv', 'export-countdown-json');
+
+    // Fullscreen presentation of the stopwatch or the countdown (projectors, wall screens)
+    const presentation = new PresentationMode();
+    stopwatch.usePresentation(presentation, 'present-stopwatch');
+    countdown.usePresentation(presentation, 'present-countdown');
+    const historyScreen = new HistoryScreen(
+        historyStore,
+        runExporter,
+        'history-filter',
+        'history-today',
+        'history-week',
+        'history-days',
+        'history-weeks',
+        'history-list',
+        'history-empty',
+        'clear-history',
+        'import-runs',
+        'import-runs-file'
     );
 
-    // Ensure the countdown starts in its input setting mode
-    countdown.resetInput();
-});
\ No newline at end of file
+    // Restore the saved timers; without saved state they stay in their initial mode
+    // (the countdown in its input setting mode)
+    stopwatch.persistTo(store, 'stopwatch');
+    countdown.persistTo(store, 'countdown');
+    dashboard.persistTo(store, 'dashboard');
+    sequence.persistTo(store, 'sequence');
+    stopwatch.restoreState(store.load('stopwatch'));
+    countdown.restoreState(store.load('countdown'));
+    dashboard.restoreState(store.load('dashboard'));
+    sequence.restoreState(store.load('sequence'));
+
+    // Keep the other tabs in step: starting, pausing, clearing or setting a timer,
+    // handling an alarm or logging a session in one tab shows in all of them
+    tabSync.follow('stopwatch', state => stopwatch.restoreState(state));
+    tabSync.follow('countdown', state => countdown.restoreState(state));
+    tabSync.follow('dashboard', state => dashboard.syncState(state));
+    tabSync.follow('sequence', state => sequence.syncState(state));
+    tabSync.follow('alarm', saved => alarmEngine.sync(saved));
+    tabSync.follow('history', saved => historyStore.sync(saved));
+
+    // Screen reader announcements (starting, pausing, time left, expiry); the restored state is not announced
+    const announcer = new LiveAnnouncer({ i18n });
+    stopwatch.useAnnouncer(announcer, 'timers.stopwatch');
+    countdown.useAnnouncer(announcer, 'timers.countdown');
+    dashboard.useAnnouncer(announcer);
+
+    // window.TimerApp: scripts on the page, or the page embedding it in an iframe, can drive
+    // the timers and follow their timer:* events (see ../shared/timer-api.js)
+    const timerApi = new TimerApi({
+        timers: () => [
+            {
+                id: 'stopwatch',
+                kind: 'stopwatch',
+                label: stopwatch.label,
+                engine: stopwatch.engine,
+                laps: stopwatch.lapRecorder.laps,
+                start: () => stopwatch.start(),
+                pause: () => stopwatch.pause(),
+                reset: () => stopwatch.reset()
+            },
+            {
+                id: 'countdown',
+                kind: 'countdown',
+                label: countdown.label,
+                engine: countdown.engine,
+                start: () => countdown.start(),
+                pause: () => countdown.pause(),
+                reset: () => countdown.resetTimer()
+            },
+            ...dashboard.getApiTimers()
+        ],
+        create: options => dashboard.collection.create(options).id,
+        setCountdown: (duration, { label, autostart }) => {
+            if (label !== undefined) countdown.setLabel(label);
+            if (autostart) {
+                countdown.startWithDuration(duration);
+            } else {
+                countdown.applyDuration(duration);
+            }
+        },
+        durationParser: new DurationParser({ i18n })
+    });
+    stopwatch.useApi(timerApi, 'stopwatch');
+    countdown.useApi(timerApi, 'countdown');
+    dashboard.useApi(timerApi);
+    timerApi.expose();
+
+    // Countdown links ("#/countdown?t=5m&autostart=1&label=Break") are applied after the
+    // saved state, so they replace it. The parameters are then dropped from the URL,
+    // so that reloading the page does not set the countdown again.
+    const openCountdownLink = ({ view, params }) => {
+        if (view !== 'countdown' || Object.keys(params).length === 0) return;
+        countdown.openLink(params);
+        router.replace('countdown');
+    };
+    router.onRoute(openCountdownLink);
+    const route = router.current();
+    if (route) {
+        openCountdownLink(route);
+    }
+
+    // Language switcher on the home screen, listing every loaded catalog by its own name
+    const languageSelect = document.getElementById('language-select');
+    I18n.locales.forEach(locale => {
+        const option = document.createElement('option');
+        option.value = locale;
+        option.textContent = I18n.catalogs[locale].language;
+        languageSelect.appendChild(option);
+    });
+    languageSelect.value = i18n.locale;
+    languageSelect.addEventListener('change', () => i18n.setLocale(languageSelect.value));
+
+    // Theme and accent colour pickers on the home screen
+    const themeSelect = document.getElementById('theme-select');
+    const accentInput = document.getElementById('accent-color');
+    themeSelect.value = themeManager.choice;
+    accentInput.value = themeManager.accent || ThemeManager.DEFAULT_ACCENT;
+    themeSelect.addEventListener('change', () => themeManager.setTheme(themeSelect.value));
+    accentInput.addEventListener('input', () => themeManager.setAccent(accentInput.value));
+    document.getElementById('accent-reset').addEventListener('click', () => {
+        themeManager.setAccent(null);
+        accentInput.value = ThemeManager.DEFAULT_ACCENT;
+    });
+    themeManager.onChange((theme, accent) => console.log(`Theme: ${theme}, accent ${accent}.`));
+
+    // Precision and layout of the times, shown again everywhere when changed
+    const precisionSelect = document.getElementById('precision-select');
+    const compactTime = document.getElementById('compact-time');
+    precisionSelect.value = timeFormat.precision;
+    compactTime.checked = timeFormat.layout === 'auto';
+    precisionSelect.addEventListener('change', () => timeFormat.setPrecision(precisionSelect.value));
+    compactTime.addEventListener('change', () => timeFormat.setLayout(compactTime.checked ? 'auto' : 'fixed'));
+    timeFormat.onChange(() => {
+        [stopwatch, countdown, dashboard, sequence].forEach(view => view.redraw());
+        stopwatch.renderLaps();
+        console.log(`Time format: ${timeFormat.precision}, ${timeFormat.layout}.`);
+    });
+
+    // Switching the language translates the page again and redraws everything built in script.
+    // Labels and sequence names the user already has are left as they are.
+    i18n.onChange(() => {
+        i18n.translatePage(document);
+        ViewManager.updateTitle();
+        tabStatus.setBaseTitle(i18n.t('app.title'));
+        [countdown.alarmSelect, dashboard.alarmSelect].forEach(select => AlarmPanel.fillToneSelect(select, true));
+        AlarmPanel.fillToneSelect(alarmPanel.toneSelect);
+        stopwatch.redraw(); // Day counts ("2d") are written in the language too
+        countdown.redraw();
+        stopwatch.renderLaps();
+        presetPanel.render();
+        dashboard.render();
+        sequence.render();
+        historyScreen.render();
+        alarmPanel.render();
+        warningPanel.render();
+        keyboard.renderHelp();
+        console.log(`Language switched to ${i18n.locale}.`);
+    });
+});
@@ -0,0 +1,22 @@
+// sw.js
+/**
+ * Service worker of the app: keeps it working offline (see ../shared/offline-cache.js).
+ * Raise VERSION whenever one of the files below changes, so that open tabs
+ * offer the new version.
+ */
+importScripts('../shared/offline-cache.js');
+
+const VERSION = 3;
+
+new OfflineCache({
+    name: 'stopwatch-gemini',
+    version: VERSION,
+    files: [
+        './',
+        'index.html',
+        'script.js',
+        'styles.css',
+        'manifest.webmanifest',
+        ...OfflineCache.SHARED_FILES
+    ]
+}).listen();
@@ -0,0 +1,16 @@
+// tailwind.config.js
+/**
+ * Build configuration of shared/tailwind.css, the Tailwind classes of both
+ * apps (run `npm run build:css` after changing the classes used in the markup
+ * or scripts). The colours follow the theme tokens, see shared/tailwind-theme.js.
+ */
+const { TAILWIND_THEME } = require('./shared/tailwind-theme.js');
+
+module.exports = {
+    ...TAILWIND_THEME,
+    content: [
+        './stopwatch-*/index.html',
+        './stopwatch-*/script.js',
+        './shared/**/*.js'
+    ]
+};
@@ -0,0 +1,212 @@
+// alarm-engine.test.js
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { TimerEngine } = require('../shared/timer-core.js');
+const { AlarmEngine } = require('../shared/alarm-engine.js');
+const { fakeClocks } = require('./helpers.js');
+
+// AlarmEngine#track refers to TimerEngine as the page global
+globalThis.TimerEngine = TimerEngine;
+
+/**
+ * An AudioContext that records the notes played instead of sounding them.
+ */
+class FakeAudioContext {
+    constructor() {
+        this.state = 'suspended';
+        this.currentTime = 0;
+        this.destination = {};
+        this.notes = [];  // Oscillators started, as { stopped }
+        this.levels = []; // Peak gain of each note
+    }
+
+    resume() {
+        this.state = 'running';
+        return Promise.resolve();
+    }
+
+    createOscillator() {
+        const note = { stopped: false };
+        this.notes.push(note);
+        return {
+            frequency: {},
+            connect() {},
+            start() {},
+            stop() {
+                note.stopped = true;
+            }
+        };
+    }
+
+    createGain() {
+        const levels = this.levels;
+        let ramps = 0;
+        return {
+            gain: {
+                setValueAtTime() {},
+                exponentialRampToValueAtTime(value) {
+                    if (ramps++ === 0) levels.push(value); // The attack ramp reaches the peak
+                }
+            },
+            connect() {}
+        };
+    }
+}
+
+/**
+ * An alarm engine on a fake clock whose scheduled callbacks run only when
+ * `advance` passes their time, with a fake audio context and a switchable
+ * `audible` gate.
+ * @param {Object} [options] - More AlarmEngine options.
+ */
+function setup(options = {}) {
+    const time = fakeClocks();
+    const now = () => time.wallClock.now();
+    const timers = new Map();
+    let nextHandle = 1;
+    const context = new FakeAudioContext();
+    const gate = { audible: true };
+    const events = [];
+    const alarms = new AlarmEngine({
+        createContext: () => context,
+        schedule: (callback, delay) => {
+            timers.set(nextHandle, { callback, at: now() + delay });
+            return nextHandle++;
+        },
+        cancel: handle => timers.delete(handle),
+        now,
+        audible: () => gate.audible,
+        ...options
+    });
+    ['ring', 'dismiss'].forEach(event => alarms.on(event, payload => events.push([event, payload.id])));
+
+    const played = () => context.notes.length;
+    return {
+        time,
+        alarms,
+        context,
+        gate,
+        events,
+        played,
+        pending: () => timers.size,
+        advance(ms) {
+            const until = now() + ms;
+            for (;;) {
+                const due = [...timers].filter(([, timer]) => timer.at <= until).sort((a, b) => a[1].at - b[1].at)[0];
+                if (!due) break;
+                time.advance(due[1].at - now());
+                timers.delete(due[0]);
+                due[1].callback();
+            }
+            time.advance(until - now());
+        }
+    };
+}
+
+const CHIME = AlarmEngine.TONES.chime;
+
+test('an alarm repeats its tone until dismissed', () => {
+    const { alarms, events, played, pending, context, advance } = setup();
+    alarms.ring('tea', { label: 'Tea' });
+    assert.equal(played(), CHIME.notes.length);
+    assert.deepEqual(alarms.list(), [{ id: 'tea', label: 'Tea', tone: null, snoozedUntil: null }]);
+
+    advance(CHIME.cycle * 1000 * 3);
+    assert.equal(played(), CHIME.notes.length * 4);
+    // Escalation: from 30% of the volume, 10% more on every cycle
+    const { volume } = AlarmEngine.DEFAULTS;
+    const peaks = context.levels.filter((level, index) => index % CHIME.notes.length === 0);
+    [0.3, 0.4, 0.5, 0.6].forEach((share, index) => assert.ok(Math.abs(peaks[index] - volume * share) < 1e-9));
+
+    assert.equal(alarms.dismiss('tea'), true);
+    assert.ok(context.notes.slice(-CHIME.notes.length).every(note => note.stopped));
+    assert.equal(pending(), 0);
+    advance(60000);
+    assert.equal(played(), CHIME.notes.length * 4);
+    assert.equal(alarms.dismiss('tea'), false);
+    assert.deepEqual(events, [['ring', 'tea'], ['dismiss', 'tea']]);
+});
+
+test('without repeat an alarm plays once but stays active', () => {
+    const { alarms, played, pending, advance } = setup();
+    alarms.configure({ repeat: false, tone: 'beep' });
+    alarms.ring('tea');
+    advance(60000);
+    assert.equal(played(), AlarmEngine.TONES.beep.notes.length);
+    assert.equal(pending(), 0);
+    assert.equal(alarms.isActive('tea'), true);
+});
+
+test('snooze silences an alarm and rings it again later', () => {
+    const { alarms, events, played, time, advance } = setup();
+    alarms.ring('tea');
+    alarms.snooze('tea', 5);
+    assert.equal(alarms.list()[0].snoozedUntil, time.wallClock.now() + 5 * 60000);
+
+    advance(5 * 60000 - 1);
+    assert.equal(played(), CHIME.notes.length);
+    advance(1);
+    assert.equal(played(), CHIME.notes.length * 2);
+    assert.equal(alarms.list()[0].snoozedUntil, null);
+    assert.deepEqual(events, [['ring', 'tea'], ['ring', 'tea']]);
+
+    assert.throws(() => alarms.snooze('tea', 0), /positive number of minutes/);
+    assert.throws(() => alarms.snooze('eggs', 5), /No active alarm with id eggs/);
+});
+
+test('a tab that is not audible keeps the alarm without playing it', () => {
+    const { alarms, gate, played, advance } = setup();
+    gate.audible = false;
+    alarms.ring('tea');
+    alarms.cue();
+    advance(CHIME.cycle * 1000 * 2);
+    assert.equal(played(), 0);
+    assert.equal(alarms.isActive('tea'), true);
+
+    // Elected later, e.g. when the ringing tab is closed: the next cycle plays
+    gate.audible = true;
+    advance(CHIME.cycle * 1000);
+    assert.equal(played(), CHIME.notes.length);
+    alarms.cue();
+    assert.equal(played(), CHIME.notes.length + AlarmEngine.CUE.notes.length);
+});
+
+test('a tracked countdown rings when it expires and stops when reset', () => {
+    const clocks = fakeClocks();
+    const { alarms, events } = setup();
+    const engine = new TimerEngine({ mode: 'countdown', duration: 1000, clock: clocks.clock, wallClock: clocks.wallClock });
+    alarms.track(engine, 'countdown', { label: () => 'Tea', tone: () => 'bell' });
+    engine.start();
+    clocks.advance(1000);
+    engine.tick();
+    assert.deepEqual(alarms.list(), [{ id: 'countdown', label: 'Tea', tone: 'bell', snoozedUntil: null }]);
+
+    engine.reset();
+    assert.equal(alarms.isActive('countdown'), false);
+    assert.deepEqual(events, [['ring', 'countdown'], ['dismiss', 'countdown']]);
+});
+
+test('alarms nobody acknowledged ring again after a reload', () => {
+    let saved = null;
+    const store = { load: () => saved, save: (key, value) => { saved = JSON.parse(JSON.stringify(value)); } };
+    const before = setup({ store });
+    before.alarms.configure({ tone: 'digital', volume: 0.5 });
+    before.alarms.ring('tea', { label: 'Tea' });
+    before.alarms.ring('eggs', { label: 'Eggs' });
+    before.alarms.snooze('eggs', 10);
+
+    const after = setup({ store });
+    assert.deepEqual(after.alarms.settings, { tone: 'digital', volume: 0.5, repeat: true, escalate: true });
+    assert.deepEqual(after.alarms.list().map(alarm => [alarm.id, alarm.snoozedUntil !== null]), [['tea', false], ['eggs', true]]);
+    assert.equal(after.played(), AlarmEngine.TONES.digital.notes.length);
+});
+
+test('unlock resumes the audio and reports it', async () => {
+    const { alarms, context } = setup();
+    const unlocked = new Promise(resolve => alarms.on('unlock', resolve));
+    assert.equal(alarms.canPlay, false);
+    alarms.unlock();
+    await unlocked;
+    assert.equal(context.state, 'running');
+    assert.equal(alarms.canPlay, true);
+});
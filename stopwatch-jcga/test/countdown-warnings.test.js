@@ -0,0 +1,107 @@
+// countdown-warnings.test.js
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { TimerEngine } = require('../shared/timer-core.js');
+const { CountdownWarnings } = require('../shared/countdown-warnings.js');
+const { fakeClocks, i18nFor } = require('./helpers.js');
+
+/**
+ * A 10 min countdown on a fake clock, watched with the default thresholds
+ * (5 min, 1 min and 10 s left). `advance` moves the clock and ticks once.
+ */
+function setup() {
+    const time = fakeClocks();
+    const cues = [];
+    const warnings = new CountdownWarnings({ alarmEngine: { cue: () => cues.push(time.clock.now()) }, i18n: i18nFor('en') });
+    const engine = new TimerEngine({ mode: 'countdown', duration: 10 * 60000, clock: time.clock, wallClock: time.wallClock });
+    const fired = [];
+    warnings.on('warning', ({ id, threshold, remaining }) => fired.push({ id, at: threshold.at, remaining }));
+    warnings.watch(engine, 'tea');
+    return {
+        time,
+        engine,
+        warnings,
+        fired,
+        cues,
+        advance(ms) {
+            time.advance(ms);
+            engine.tick();
+        }
+    };
+}
+
+test('a threshold fires once when a tick reaches it', () => {
+    const { engine, fired, cues, advance } = setup();
+    engine.start();
+    advance(4 * 60000);
+    assert.deepEqual(fired, []);
+
+    advance(60000);
+    advance(1000);
+    advance(1000);
+    assert.deepEqual(fired, [{ id: 'tea', at: 5 * 60000, remaining: 5 * 60000 }]);
+    assert.equal(cues.length, 1);
+});
+
+test('a tick that jumps over a threshold still fires it exactly once', () => {
+    const { engine, fired, advance } = setup();
+    engine.start();
+    advance(5 * 60000 + 30000); // A throttled tab wakes up well past 5 min left
+    advance(1000);
+    assert.deepEqual(fired, [{ id: 'tea', at: 5 * 60000, remaining: 4 * 60000 + 30000 }]);
+
+    // Past two thresholds at once: only the most urgent fires
+    advance(4 * 60000 + 25000);
+    assert.deepEqual(fired.map(warning => warning.at), [5 * 60000, 10000]);
+
+    // Zero is left to the alarm
+    advance(5000);
+    assert.equal(engine.state, TimerEngine.STATES.EXPIRED);
+    assert.equal(fired.length, 2);
+});
+
+test('pausing does not re-fire a threshold, a restart re-arms it', () => {
+    const { engine, fired, advance } = setup();
+    engine.start();
+    advance(5 * 60000);
+    engine.pause();
+    engine.start();
+    advance(1000);
+    assert.equal(fired.length, 1);
+
+    engine.reset();
+    engine.start();
+    advance(5 * 60000);
+    assert.deepEqual(fired.map(warning => warning.at), [5 * 60000, 5 * 60000]);
+
+    // Seeking back, as a sequence does to restart a phase, re-arms it too
+    engine.seek(0);
+    advance(1000);
+    advance(5 * 60000);
+    assert.deepEqual(fired.map(warning => warning.at), [5 * 60000, 5 * 60000, 5 * 60000]);
+});
+
+test('a countdown restored past a threshold does not fire it again', () => {
+    const { engine, warnings, fired, time, advance } = setup();
+    engine.start();
+    advance(6 * 60000);
+    assert.equal(fired.length, 1);
+
+    // The page is reloaded: a new engine picks up the saved countdown
+    const reloaded = new TimerEngine({ mode: 'countdown', duration: 10 * 60000, clock: time.clock, wallClock: time.wallClock });
+    reloaded.restore(engine.serialize());
+    assert.equal(reloaded.state, TimerEngine.STATES.RUNNING);
+    warnings.watch(reloaded, 'tea');
+    time.advance(1000);
+    reloaded.tick();
+    assert.equal(fired.length, 1);
+});
+
+test('thresholds without a cue only emit the warning', () => {
+    const { engine, warnings, fired, cues, advance } = setup();
+    warnings.update(0, { cue: false });
+    engine.start();
+    advance(5 * 60000);
+    assert.equal(fired.length, 1);
+    assert.equal(cues.length, 0);
+});
@@ -0,0 +1,86 @@
+// duration-parser.test.js
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { DurationParser } = require('../shared/duration-parser.js');
+const { i18nFor } = require('./helpers.js');
+
+/**
+ * A parser whose "now" is 14:00:00 local time on 15 January 2024, unless given.
+ */
+function parser(options = {}) {
+    return new DurationParser({ now: () => new Date(2024, 0, 15, 14, 0, 0), i18n: i18nFor('en'), ...options });
+}
+
+test('units, alone or combined, with decimals', () => {
+    const p = parser();
+    assert.equal(p.parse('1h 30m'), 5400000);
+    assert.equal(p.parse('90s'), 90000);
+    assert.equal(p.parse('2.5 min'), 150000);
+    assert.equal(p.parse('.5h'), 1800000);
+    assert.equal(p.parse('1 hour and 15 minutes'), 4500000);
+    assert.equal(p.parse('1H, 2M, 3S'), 3723000);
+    assert.equal(p.parse('1 hora y 15 minutos'), 4500000);
+});
+
+test('clock notation is m:ss or h:mm:ss', () => {
+    const p = parser();
+    assert.equal(p.parse('1:30'), 90000);
+    assert.equal(p.parse('1:30:00'), 5400000);
+    assert.equal(p.parse('  0:05 '), 5000);
+});
+
+test('input that cannot be read is rejected with a message for the user', () => {
+    const p = parser();
+    assert.throws(() => p.parse('90'), { message: 'Add a unit to "90", for example "90s" or "90m".' });
+    assert.throws(() => p.parse('5m 10m'), { message: '"5m 10m" gives the same unit twice.' });
+    assert.throws(() => p.parse('1 min 30 secs 2 minutes'), /same unit twice/);
+    assert.throws(() => p.parse('1:60'), { message: '"1:60" is not a valid time: minutes and seconds must be below 60.' });
+    assert.throws(() => p.parse('1:00:60'), /below 60/);
+    assert.throws(() => p.parse('3 fortnights'), /Unknown unit "fortnights"/);
+    assert.throws(() => p.parse('soon'), /Could not understand "soon"/);
+    assert.throws(() => p.parse('   '), /Please enter a time/);
+    assert.throws(() => p.parse(null), /Please enter a time/);
+    assert.throws(() => p.parse('0s'), { message: 'Please enter a time greater than zero.' });
+});
+
+test('the limit is configurable and defaults to 99:59:59', () => {
+    assert.equal(parser().parse('99h 59m 59s'), DurationParser.DEFAULT_MAX_MS);
+    assert.throws(() => parser().parse('100h'), { message: 'Maximum time allowed is 99:59:59.' });
+
+    const short = parser({ maxMs: 10 * 60000 });
+    assert.equal(short.parse('10m'), 600000);
+    assert.throws(() => short.parse('10m 1s'), { message: 'Maximum time allowed is 00:10:00.' });
+    assert.throws(() => short.validate(600001), /00:10:00/);
+});
+
+test('until a time of day later today', () => {
+    const p = parser();
+    assert.equal(p.parse('until 14:45'), 45 * 60000);
+    assert.equal(p.parse('until 2:45 pm'), 45 * 60000);
+    assert.equal(p.parse('until 14:00:30'), 30000);
+    assert.equal(p.parse('hasta 15:00'), 3600000);
+});
+
+test('until a time that has passed rolls over to tomorrow', () => {
+    const p = parser();
+    assert.equal(p.parse('until 9am'), 19 * 3600000);
+    assert.equal(p.parse('until 9:00'), 19 * 3600000);
+    assert.equal(p.parse('until 14:00'), 24 * 3600000); // Now is not "later today"
+
+    const lateEvening = parser({ now: () => new Date(2024, 0, 31, 23, 50, 0) });
+    assert.equal(lateEvening.parse('until 0:10'), 20 * 60000); // Across the end of the month
+});
+
+test('until needs an unambiguous, valid time', () => {
+    const p = parser();
+    assert.throws(() => p.parse('until 9'), { message: 'Add minutes or am/pm to "9", for example "until 9:00".' });
+    assert.throws(() => p.parse('until 24:00'), /"24:00" is not a valid time/);
+    assert.throws(() => p.parse('until 13pm'), /not a valid time/);
+    assert.throws(() => p.parse('until lunch'), /Could not understand the time "lunch"/);
+});
+
+test('messages follow the language of the injected I18n', () => {
+    const p = parser({ i18n: i18nFor('es') });
+    assert.throws(() => p.parse('0s'), { message: 'Introduce un tiempo mayor que cero.' });
+    assert.throws(() => p.parse('100h'), { message: 'El tiempo máximo permitido es 99:59:59.' });
+});
@@ -0,0 +1,125 @@
+// hash-router.test.js
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { HashRouter } = require('../shared/hash-router.js');
+const { DurationParser } = require('../shared/duration-parser.js');
+const { i18nFor } = require('./helpers.js');
+
+const VIEWS = ['home', 'stopwatch', 'countdown'];
+
+/**
+ * A window whose location and history only keep the hash. `visit` stands
+ * for a hash typed or pasted by the user, which fires `hashchange`.
+ * @param {string} [hash] - Hash of the page when it opens.
+ */
+function browser(hash = '') {
+    const listeners = {};
+    const entries = [hash];
+    const win = {
+        location: { pathname: '/stopwatch/', search: '', hash },
+        history: {
+            pushState: (state, title, url) => {
+                win.location.hash = url.slice(url.indexOf('#'));
+                entries.push(win.location.hash);
+            },
+            replaceState: (state, title, url) => {
+                win.location.hash = url.slice(url.indexOf('#'));
+                entries[entries.length - 1] = win.location.hash;
+            }
+        },
+        addEventListener: (type, listener) => {
+            listeners[type] = listener;
+        }
+    };
+    const routes = [];
+    const router = new HashRouter({ views: VIEWS, window: win });
+    router.onRoute(route => routes.push(route));
+    return {
+        router,
+        entries,
+        routes,
+        visit(next) {
+            win.location.hash = next;
+            entries.push(next);
+            listeners.hashchange();
+        }
+    };
+}
+
+/**
+ * Reads the duration of a countdown link the way the apps do.
+ * @param {string} hash - Location hash.
+ * @returns {number} The duration in ms.
+ */
+function linkDuration(hash) {
+    const { params } = HashRouter.parse(hash);
+    return new DurationParser({ i18n: i18nFor('en') }).parse(params.t);
+}
+
+test('parse splits a hash into its view and decoded parameters', () => {
+    assert.deepEqual(HashRouter.parse('#/countdown?t=5m&autostart=1&label=Coffee%20break'), {
+        path: '/countdown',
+        view: 'countdown',
+        params: { t: '5m', autostart: '1', label: 'Coffee break' }
+    });
+    assert.deepEqual(HashRouter.parse('/stopwatch/extra'), { path: '/stopwatch/extra', view: 'stopwatch', params: {} });
+    assert.deepEqual(HashRouter.parse('#/'), { path: '/', view: '', params: {} });
+    assert.deepEqual(HashRouter.parse('#top'), { path: null, view: '', params: {} });
+    assert.deepEqual(HashRouter.parse(''), { path: null, view: '', params: {} });
+});
+
+test('format builds hashes that parse back to the same route', () => {
+    const hash = HashRouter.format('countdown', { t: '1h 30m', label: 'Tea & cake' }, 'home');
+    assert.equal(hash, '#/countdown?t=1h+30m&label=Tea+%26+cake');
+    assert.deepEqual(HashRouter.parse(hash).params, { t: '1h 30m', label: 'Tea & cake' });
+    assert.equal(HashRouter.format('home', {}, 'home'), '#/');
+});
+
+test('countdown links carry durations in any format the parser accepts', () => {
+    assert.equal(linkDuration('#/countdown?t=5m'), 300000);
+    assert.equal(linkDuration('#/countdown?t=1:30'), 90000);
+    assert.equal(linkDuration('#/countdown?t=1h%2030m'), 5400000);
+    assert.equal(linkDuration('#/countdown?t=1h+30m&autostart=1'), 5400000);
+});
+
+test('bad durations in a countdown link are rejected with a message', () => {
+    assert.throws(() => linkDuration('#/countdown?t=banana'), {
+        message: 'Could not understand "banana". Try "1h 30m", "90s", "1:30" or "until 14:45".'
+    });
+    assert.throws(() => linkDuration('#/countdown?t=0s'), { message: 'Please enter a time greater than zero.' });
+    assert.throws(() => linkDuration('#/countdown?t=1:75'), { message: '"1:75" is not a valid time: minutes and seconds must be below 60.' });
+    assert.throws(() => linkDuration('#/countdown?t=500h'), { message: /^Maximum time allowed is / });
+    assert.throws(() => linkDuration('#/countdown?t='), { message: /^Please enter a time/ });
+    assert.throws(() => linkDuration('#/countdown?autostart=1'), { message: /^Please enter a time/ });
+});
+
+test('current resolves the default and unknown views', () => {
+    assert.deepEqual(browser('#/countdown?t=5m').router.current(), { view: 'countdown', params: { t: '5m' } });
+    assert.deepEqual(browser('#/?t=5m').router.current(), { view: 'home', params: { t: '5m' } });
+    assert.equal(browser('#/kitchen').router.current(), null);
+    assert.equal(browser('').router.current(), null);
+});
+
+test('navigate adds history entries, replace does not', () => {
+    const { router, entries, routes } = browser('');
+    router.navigate('home');
+    assert.deepEqual(entries, ['#/']); // The bare URL is replaced
+
+    router.navigate('stopwatch');
+    router.navigate('stopwatch');
+    router.replace('countdown', { t: '5m' });
+    router.navigate('countdown');
+    assert.deepEqual(entries, ['#/', '#/countdown?t=5m']);
+    assert.deepEqual(routes, []); // The app's own changes are not reported back
+});
+
+test('hashes changed by the user are reported, unknown views fall back to the default one', () => {
+    const { router, entries, routes, visit } = browser('#/stopwatch');
+    visit('#/countdown?t=90s');
+    assert.deepEqual(routes, [{ view: 'countdown', params: { t: '90s' } }]);
+
+    visit('#/kitchen');
+    assert.deepEqual(routes[1], { view: 'home', params: {} });
+    assert.equal(entries[entries.length - 1], '#/');
+    assert.deepEqual(router.current(), { view: 'home', params: {} });
+});
@@ -0,0 +1,42 @@
+// helpers.js
+/**
+ * Helpers shared by the unit tests.
+ */
+
+const { I18n } = require('../shared/i18n.js');
+
+// The locale scripts register their catalogs on the global I18n, as in the page
+globalThis.I18n = I18n;
+require('../shared/locales/en.js');
+require('../shared/locales/es.js');
+
+/**
+ * An I18n in a given language, for the modules that translate their messages.
+ * @param {string} [locale='en'] - Language code.
+ * @returns {I18n} The translations.
+ */
+function i18nFor(locale = 'en') {
+    return new I18n({ languages: [locale] });
+}
+
+/**
+ * A clock pair for TimerEngine that only moves when told to: `clock` is the
+ * monotonic reading (restarting from zero like a fresh page) and `wallClock`
+ * the epoch time.
+ * @param {number} [epoch=Date.UTC(2024, 0, 1)] - Wall-clock time at the start.
+ * @returns {{clock: {now: function(): number}, wallClock: {now: function(): number}, advance: function(number)}}
+ */
+function fakeClocks(epoch = Date.UTC(2024, 0, 1)) {
+    let monotonic = 0;
+    let wall = epoch;
+    return {
+        clock: { now: () => monotonic },
+        wallClock: { now: () => wall },
+        advance(ms) {
+            monotonic += ms;
+            wall += ms;
+        }
+    };
+}
+
+module.exports = { fakeClocks, i18nFor };
@@ -0,0 +1,139 @@
+// history-store.test.js
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { TimerEngine } = require('../shared/timer-core.js');
+const { HistoryStore } = require('../shared/history-store.js');
+const { fakeClocks } = require('./helpers.js');
+
+// Wednesday 17 January 2024, noon local time; the totals are by local date
+const NOW = new Date(2024, 0, 17, 12, 0).getTime();
+
+/**
+ * A completed stopwatch session of a given length, started at a local time.
+ * @param {Array<number>} date - Year, month (0-based), day, hours and minutes.
+ * @param {number} duration - Time counted in ms.
+ * @param {string} [label] - Session label.
+ * @returns {Object} Raw session values.
+ */
+function session([year, month, day, hours = 0, minutes = 0], duration, label = '') {
+    const startedAt = new Date(year, month, day, hours, minutes).getTime();
+    return { timer: 'stopwatch', kind: 'stopwatch', label, startedAt, endedAt: startedAt + duration, duration, status: 'completed' };
+}
+
+test('tracked engines log their sessions, once per timer', () => {
+    const time = fakeClocks();
+    const history = new HistoryStore();
+    const tea = new TimerEngine({ mode: 'countdown', duration: 60000, clock: time.clock, wallClock: time.wallClock });
+    const eggs = new TimerEngine({ mode: 'countdown', duration: 60000, clock: time.clock, wallClock: time.wallClock });
+    history.track(tea, 'timer-a', { label: () => 'Tea' });
+    history.track(eggs, 'timer-b', { label: () => 'Eggs' });
+
+    // Started together from the dashboard: two sessions with the same start
+    tea.start();
+    eggs.start();
+    time.advance(30000);
+    const saved = tea.serialize(); // As another tab receives it
+    time.advance(30000);
+    tea.tick();
+    eggs.tick();
+    assert.deepEqual(history.list().map(entry => [entry.timer, entry.label, entry.status]), [
+        ['timer-b', 'Eggs', 'completed'],
+        ['timer-a', 'Tea', 'completed']
+    ]);
+
+    // The same countdown expiring in another tab is not logged twice there
+    const otherTab = new HistoryStore();
+    const teaThere = new TimerEngine({ mode: 'countdown', duration: 60000, clock: time.clock, wallClock: time.wallClock });
+    otherTab.track(teaThere, 'timer-a', { label: () => 'Tea' });
+    teaThere.restore(saved);
+    otherTab.sync(history.entries);
+    teaThere.tick();
+    assert.equal(teaThere.state, TimerEngine.STATES.EXPIRED);
+    assert.equal(otherTab.list().length, 2);
+});
+
+test('runs shorter than MIN_DURATION are not logged', () => {
+    const time = fakeClocks();
+    const history = new HistoryStore();
+    const engine = new TimerEngine({ clock: time.clock, wallClock: time.wallClock });
+    history.track(engine, 'stopwatch');
+    engine.start();
+    time.advance(HistoryStore.MIN_DURATION - 1);
+    engine.reset();
+    assert.equal(history.list().length, 0);
+});
+
+test('daily totals cover the last days by local start date', () => {
+    const history = new HistoryStore({ now: () => NOW });
+    history.addAll([
+        session([2024, 0, 17, 8], 60000),
+        session([2024, 0, 17, 0, 0], 30000),  // Midnight belongs to the new day
+        session([2024, 0, 16, 23, 59], 20000), // Ends after midnight, counted on the day it started
+        session([2024, 0, 11, 9], 10000),
+        session([2024, 0, 10, 9], 5000)        // Before the first day
+    ]);
+
+    const days = history.dailyTotals();
+    assert.equal(days.length, 7);
+    assert.equal(days[0].start, new Date(2024, 0, 11).getTime());
+    assert.equal(days[6].start, new Date(2024, 0, 17).getTime());
+    assert.deepEqual(days.map(day => day.total), [10000, 0, 0, 0, 0, 20000, 90000]);
+    assert.deepEqual(days.map(day => day.count), [1, 0, 0, 0, 0, 1, 2]);
+    assert.equal(history.dailyTotals({ days: 1 })[0].total, 90000);
+});
+
+test('weekly totals run from Monday to Sunday', () => {
+    const history = new HistoryStore({ now: () => NOW });
+    history.addAll([
+        session([2024, 0, 15, 0, 0], 40000),   // Monday of the current week
+        session([2024, 0, 14, 23, 59], 30000), // Sunday before it
+        session([2024, 0, 8, 0, 0], 20000),    // Monday of the previous week
+        session([2023, 11, 25, 10], 10000),    // Monday of the first week, across the new year
+        session([2023, 11, 24, 10], 5000)      // Sunday before the first week
+    ]);
+
+    const weeks = history.weeklyTotals();
+    assert.deepEqual(weeks.map(week => week.start), [
+        new Date(2023, 11, 25).getTime(),
+        new Date(2024, 0, 1).getTime(),
+        new Date(2024, 0, 8).getTime(),
+        new Date(2024, 0, 15).getTime()
+    ]);
+    assert.deepEqual(weeks.map(week => week.total), [10000, 0, 50000, 40000]);
+
+    // On a Monday, the current week starts that very day
+    const monday = new HistoryStore({ now: () => new Date(2024, 0, 15, 0, 0).getTime() });
+    assert.equal(monday.weeklyTotals({ weeks: 1 })[0].start, new Date(2024, 0, 15).getTime());
+});
+
+test('bucket puts each session in the last period started before it', () => {
+    const history = new HistoryStore({ now: () => NOW });
+    history.addAll([session([2024, 0, 1, 9], 1000), session([2024, 0, 10, 9], 2000), session([2024, 0, 17, 9], 4000)]);
+    const starts = [new Date(2024, 0, 1).getTime(), new Date(2024, 0, 10, 9).getTime()];
+    assert.deepEqual(history.bucket(starts, null).map(period => period.total), [1000, 6000]);
+});
+
+test('lists and totals can be filtered by label', () => {
+    const history = new HistoryStore({ now: () => NOW });
+    history.addAll([
+        session([2024, 0, 17, 8], 60000, 'Run'),
+        session([2024, 0, 17, 9], 30000, 'Swim'),
+        session([2024, 0, 16, 9], 20000, 'Run'),
+        session([2024, 0, 16, 10], 10000)
+    ]);
+
+    assert.deepEqual(history.labels(), ['Run', 'Swim']);
+    assert.deepEqual(history.list({ label: 'Run' }).map(entry => entry.duration), [60000, 20000]);
+    assert.deepEqual(history.list({ label: '' }).map(entry => entry.duration), [10000]);
+    assert.deepEqual(history.dailyTotals({ days: 2, label: 'Run' }).map(day => day.total), [20000, 60000]);
+    assert.deepEqual(history.weeklyTotals({ weeks: 1, label: 'Swim' }).map(week => week.total), [30000]);
+    assert.equal(history.weeklyTotals({ weeks: 1 })[0].total, 120000);
+});
+
+test('a log saved before sessions had a timer still loads', () => {
+    const { timer, ...legacy } = session([2024, 0, 17, 8], 60000, 'Run');
+    const store = { load: () => [legacy, { ...legacy, kind: 'sundial' }], save() {} };
+    const history = new HistoryStore({ store });
+    assert.equal(history.list().length, 1);
+    assert.equal(history.list()[0].timer, '');
+});
@@ -0,0 +1,113 @@
+// preset-store.test.js
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { PresetStore } = require('../shared/preset-store.js');
+const { i18nFor } = require('./helpers.js');
+
+/**
+ * A store keeping its saves in memory, standing for a StateStore.
+ */
+function memoryStore() {
+    const saved = {};
+    return {
+        load: key => (key in saved ? JSON.parse(saved[key]) : null),
+        save(key, value) {
+            saved[key] = JSON.stringify(value);
+        }
+    };
+}
+
+/**
+ * A preset store with the default presets and English messages.
+ * @param {Object} [options] - More PresetStore options.
+ * @returns {PresetStore} The presets.
+ */
+function presets(options = {}) {
+    return new PresetStore({ i18n: i18nFor('en'), ...options });
+}
+
+test('presets go through an export and an import unchanged', () => {
+    const here = presets();
+    here.add({ name: '  Tea ', duration: 180000 });
+    const there = presets();
+    there.remove(there.presets[0].id);
+    there.remove(there.presets[0].id);
+
+    assert.deepEqual(there.importJSON(here.exportJSON()), { added: 3, errors: [] });
+    assert.deepEqual(there.presets.map(({ name, duration }) => ({ name, duration })), [
+        { name: 'Standup', duration: 15 * 60000 },
+        { name: 'Pomodoro', duration: 25 * 60000 },
+        { name: 'Tea', duration: 180000 }
+    ]);
+    assert.equal(new Set(there.presets.map(preset => preset.id)).size, 3);
+
+    // Importing the same file again adds nothing
+    assert.deepEqual(there.importJSON(here.exportJSON()), { added: 0, errors: [] });
+    // A plain array of presets is accepted too
+    assert.deepEqual(there.importJSON('[{"name": "Eggs", "duration": 420000}]'), { added: 1, errors: [] });
+});
+
+test('malformed files are rejected as a whole', () => {
+    const store = presets();
+    assert.throws(() => store.importJSON('{"version": 1, "presets": ['), { message: 'The file is not valid JSON.' });
+    assert.throws(() => store.importJSON('{"version": 1}'), { message: 'The file does not contain a list of presets.' });
+    assert.throws(() => store.importJSON('null'), { message: 'The file does not contain a list of presets.' });
+    assert.throws(() => store.importJSON('{"version": 2, "presets": []}'), { message: 'Unsupported file version: 2' });
+    assert.equal(store.presets.length, 2);
+});
+
+test('invalid presets in a file are reported and the others imported', () => {
+    const store = presets();
+    const file = JSON.stringify({
+        version: PresetStore.EXPORT_VERSION,
+        presets: [
+            { name: 'Tea', duration: 180000 },
+            { name: '   ', duration: 60000 },
+            { name: 'Never', duration: 0 },
+            { name: 'Forever', duration: 100 * 3600000 },
+            { name: 'Fraction', duration: 1.5 },
+            null
+        ]
+    });
+
+    const { added, errors } = store.importJSON(file);
+    assert.equal(added, 1);
+    assert.deepEqual(errors, [
+        'Preset 2: Preset name cannot be empty',
+        'Preset 3: Preset duration must be greater than zero and at most 99:59:59',
+        'Preset 4: Preset duration must be greater than zero and at most 99:59:59',
+        'Preset 5: Preset duration must be greater than zero and at most 99:59:59',
+        'Preset 6: Preset name cannot be empty'
+    ]);
+});
+
+test('recent durations are deduplicated, most recent first, up to the limit', () => {
+    const store = presets({ recentLimit: 3 });
+    [60000, 120000, 60000, 180000, 240000].forEach(ms => store.recordRecent(ms));
+    assert.deepEqual(store.recent, [240000, 180000, 60000]);
+
+    store.recordRecent(180000);
+    assert.deepEqual(store.recent, [180000, 240000, 60000]);
+
+    store.recordRecent(0);
+    store.recordRecent(NaN);
+    assert.deepEqual(store.recent, [180000, 240000, 60000]);
+
+    store.clearRecent();
+    assert.deepEqual(store.recent, []);
+});
+
+test('presets and recent durations survive a reload, within the limit', () => {
+    const store = memoryStore();
+    const before = presets({ store, recentLimit: 5 });
+    before.add({ name: 'Tea', duration: 180000 });
+    [60000, 120000, 180000, 240000].forEach(ms => before.recordRecent(ms));
+
+    const after = presets({ store, recentLimit: 2 });
+    assert.deepEqual(after.presets.map(preset => preset.name), ['Standup', 'Pomodoro', 'Tea']);
+    assert.deepEqual(after.recent, [240000, 180000]);
+
+    // Without any preset left, the defaults do not come back
+    after.presets.slice().forEach(preset => after.remove(preset.id));
+    assert.deepEqual(presets({ store }).presets, []);
+});
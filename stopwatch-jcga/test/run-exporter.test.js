@@ -0,0 +1,154 @@
+// run-exporter.test.js
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { TimerEngine } = require('../shared/timer-core.js');
+const { RunExporter } = require('../shared/run-exporter.js');
+const { fakeClocks, i18nFor } = require('./helpers.js');
+
+/**
+ * An exporter on a fake clock, and a stopwatch run of 10 s with a 5 s pause
+ * in the middle and two laps.
+ */
+function setup() {
+    const time = fakeClocks();
+    const exporter = new RunExporter({
+        formatTime: ms => `${ms / 1000}s`,
+        now: () => time.wallClock.now(),
+        i18n: i18nFor('en')
+    });
+    const engine = new TimerEngine({ clock: time.clock, wallClock: time.wallClock });
+    engine.start();
+    time.advance(4000);
+    engine.pause();
+    time.advance(5000);
+    engine.start();
+    time.advance(6000);
+    engine.pause();
+    const laps = [{ number: 1, lapTime: 4000, splitTime: 4000 }, { number: 2, lapTime: 6000, splitTime: 10000 }];
+    const record = exporter.createRun(engine.getRun(), { label: ' Morning, "easy"\nrun ', laps });
+    return { exporter, record };
+}
+
+/**
+ * A valid countdown record, to be broken one field at a time.
+ */
+const countdown = Object.freeze({
+    kind: 'countdown',
+    label: 'Tea',
+    state: 'expired',
+    startedAt: '2024-01-01T10:00:00.000Z',
+    endedAt: '2024-01-01T10:03:00.000Z',
+    elapsedMs: 180000,
+    targetMs: 180000,
+    pauses: [],
+    laps: []
+});
+
+test('a run goes through JSON unchanged', () => {
+    const { exporter, record } = setup();
+    assert.equal(record.state, 'paused');
+    assert.equal(record.elapsedMs, 10000);
+    assert.equal(record.pauses.length, 2); // The pause in the middle, then the one still open
+
+    const { runs, errors } = exporter.parse(exporter.toJSON([record]));
+    assert.deepEqual(errors, []);
+    assert.deepEqual(runs, [record]);
+});
+
+test('a run goes through CSV unchanged, with quotes, commas and a line break in its label', () => {
+    const { exporter, record } = setup();
+    const csv = exporter.toCSV([record, { ...record, label: '=SUM(A1)' }]);
+    assert.match(csv, /"Morning, ""easy""\nrun"/);
+    assert.match(csv, /,'=SUM\(A1\),/);
+
+    const { runs, errors } = exporter.parse(csv);
+    assert.deepEqual(errors, []);
+    assert.deepEqual(runs, [record, { ...record, label: '=SUM(A1)' }]);
+    assert.equal(runs[0].label, 'Morning, "easy"\nrun');
+});
+
+test('only the current JSON version is accepted', () => {
+    const { exporter } = setup();
+    assert.throws(() => exporter.parse(JSON.stringify({ version: 2, runs: [countdown] })), {
+        message: 'Unsupported file version: 2'
+    });
+    assert.throws(() => exporter.parse(JSON.stringify({ version: '1', runs: [countdown] })), {
+        message: 'Unsupported file version: 1'
+    });
+    // A single record or a plain array has no version to check
+    assert.equal(exporter.parse(JSON.stringify(countdown)).runs.length, 1);
+    assert.equal(exporter.parse(JSON.stringify([countdown, countdown])).runs.length, 2);
+});
+
+test('unreadable files are rejected as a whole', () => {
+    const { exporter } = setup();
+    assert.throws(() => exporter.parse('  \n'), { message: 'The file is empty.' });
+    assert.throws(() => exporter.parse('{"version": 1, "runs": ['), { message: 'The file is not valid JSON.' });
+    assert.throws(() => exporter.parse('kind,label\r\nstopwatch,Run\r\n'), {
+        message: /^The CSV file is missing the columns: state, startedAt, /
+    });
+});
+
+test('invalid records are reported one by one and the valid ones kept', () => {
+    const { exporter } = setup();
+    const file = JSON.stringify({
+        version: RunExporter.VERSION,
+        runs: [
+            countdown,
+            { ...countdown, startedAt: 'yesterday' },
+            { ...countdown, endedAt: '2024-01-01T09:00:00.000Z' },
+            { ...countdown, elapsedMs: -1 },
+            { ...countdown, elapsedMs: 1.5 },
+            { ...countdown, elapsedMs: 200000 },
+            { ...countdown, targetMs: -180000 },
+            { ...countdown, kind: 'sundial' },
+            { ...countdown, pauses: [{ start: '2024-01-01T10:02:00.000Z', end: '2024-01-01T10:01:00.000Z' }] },
+            { ...countdown, pauses: [{ start: 'noon', end: null }] },
+            { ...countdown, laps: [1000] },
+            { ...countdown, kind: 'stopwatch', laps: [1000, -1000] },
+            'a run'
+        ]
+    });
+
+    const { runs, errors } = exporter.parse(file);
+    assert.equal(runs.length, 1);
+    assert.deepEqual(errors, [
+        'Run 2: startedAt is not a valid date',
+        'Run 3: endedAt is before startedAt',
+        'Run 4: elapsedMs must be a whole number of ms',
+        'Run 5: elapsedMs must be a whole number of ms',
+        'Run 6: elapsedMs is longer than targetMs',
+        'Run 7: a countdown needs a positive targetMs',
+        'Run 8: unknown kind "sundial"',
+        'Run 9: pause 1 ends before it starts',
+        'Run 10: pause 1 start is not a valid date',
+        'Run 11: countdowns have no laps',
+        'Run 12: lap 2 is not a whole number of ms',
+        'Run 13: not a run record'
+    ]);
+});
+
+test('CSV errors name the file row, counting the header', () => {
+    const { exporter } = setup();
+    const csv = exporter.toCSV([countdown, { ...countdown, pauses: [] }])
+        .replace('2024-01-01T10:03:00.000Z', 'later');
+
+    const { runs, errors } = exporter.parse(csv);
+    assert.equal(runs.length, 1);
+    assert.deepEqual(errors, ['Row 2: endedAt is not a valid date']);
+});
+
+test('validate normalizes a record', () => {
+    const { exporter } = setup();
+    const record = exporter.validate({
+        ...countdown,
+        label: '  Tea  ',
+        startedAt: '2024-01-01T11:00:00+01:00',
+        elapsed: 'whatever',
+        laps: undefined
+    });
+    assert.equal(record.label, 'Tea');
+    assert.equal(record.startedAt, '2024-01-01T10:00:00.000Z');
+    assert.equal(record.elapsed, '180s');
+    assert.deepEqual(record.laps, []);
+});
@@ -0,0 +1,163 @@
+// sequence-runner.test.js
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { TimerEngine } = require('../shared/timer-core.js');
+const { SequenceRunner } = require('../shared/sequence-runner.js');
+const { fakeClocks, i18nFor } = require('./helpers.js');
+
+const MINUTE = 60000;
+
+/**
+ * A runner of a built-in sequence on a fake clock, recording its events.
+ * `advance` moves the clock and ticks once, like a (possibly throttled) frame.
+ * @param {Object} [definition] - Sequence to run; Pomodoro by default.
+ * @param {Object} [time] - Clocks from `fakeClocks`, to share them between tabs.
+ */
+function setup(definition = SequenceRunner.TEMPLATES.pomodoro, time = fakeClocks()) {
+    const runner = new SequenceRunner(definition, {
+        createEngine: options => new TimerEngine({ ...options, clock: time.clock, wallClock: time.wallClock }),
+        i18n: i18nFor('en')
+    });
+    const events = [];
+    runner.on('phasechange', ({ from, to, automatic }) => events.push({ from, to, automatic }));
+    runner.on('finish', () => events.push('finish'));
+    return {
+        time,
+        runner,
+        events,
+        advance(ms) {
+            time.advance(ms);
+            runner.tick();
+        }
+    };
+}
+
+test('phases follow each other as time runs', () => {
+    const { runner, events, advance } = setup();
+    assert.equal(runner.phases.length, 9); // 4 rounds of work and short break, then the long break
+    assert.equal(runner.totalDuration, 4 * 30 * MINUTE + 15 * MINUTE);
+
+    runner.start();
+    advance(25 * MINUTE - 1);
+    assert.deepEqual(events, []);
+    assert.equal(runner.getSnapshot().phaseRemaining, 1);
+
+    advance(1);
+    assert.deepEqual(events, [{ from: 0, to: 1, automatic: true }]);
+    const snapshot = runner.getSnapshot();
+    assert.equal(snapshot.phase.name, 'Short break');
+    assert.equal(snapshot.round, 1);
+    assert.equal(snapshot.phaseRemaining, 5 * MINUTE);
+
+    advance(5 * MINUTE);
+    assert.equal(runner.getSnapshot().phase.name, 'Work');
+    assert.equal(runner.getSnapshot().round, 2);
+});
+
+test('the long break comes after the last round, then the sequence finishes', () => {
+    const { runner, events, advance } = setup();
+    runner.start();
+    advance(3 * 30 * MINUTE + 25 * MINUTE);
+    assert.equal(runner.getSnapshot().phase.name, 'Short break');
+    assert.equal(runner.getSnapshot().round, 4);
+
+    advance(5 * MINUTE);
+    const snapshot = runner.getSnapshot();
+    assert.equal(snapshot.phase.name, 'Long break');
+    assert.equal(snapshot.round, 4);
+    assert.equal(snapshot.phaseIndex, 8);
+    assert.equal(snapshot.totalRemaining, 15 * MINUTE);
+
+    advance(15 * MINUTE);
+    assert.equal(runner.state, TimerEngine.STATES.EXPIRED);
+    assert.equal(events[events.length - 1], 'finish');
+    assert.equal(events.filter(event => event === 'finish').length, 1);
+});
+
+test('phases that ended between two ticks are caught up at once', () => {
+    const { runner, events, advance } = setup();
+    runner.start();
+    advance(65 * MINUTE); // A hidden tab wakes up in the third work phase
+    assert.deepEqual(events, [{ from: 0, to: 4, automatic: true }]);
+    assert.equal(runner.getSnapshot().round, 3);
+    assert.equal(runner.getSnapshot().phaseRemaining, 20 * MINUTE);
+});
+
+test('skip and restartPhase move within the sequence', () => {
+    const { runner, events, advance } = setup(SequenceRunner.TEMPLATES.hiit);
+    runner.start();
+    advance(10000);
+    runner.skip();
+    assert.deepEqual(events, [{ from: 0, to: 1, automatic: false }]);
+    assert.equal(runner.getSnapshot().phaseRemaining, 20000);
+
+    advance(5000);
+    runner.restartPhase();
+    assert.equal(runner.getSnapshot().phaseRemaining, 20000);
+    assert.equal(runner.state, TimerEngine.STATES.RUNNING);
+
+    runner.reset();
+    assert.deepEqual(events[events.length - 1], { from: 1, to: 0, automatic: false });
+    assert.equal(runner.getSnapshot().totalRemaining, runner.totalDuration);
+});
+
+test('another tab restores the sequence where it is, without replaying phase changes', () => {
+    const time = fakeClocks();
+    const here = setup(SequenceRunner.TEMPLATES.pomodoro, time);
+    here.runner.start();
+    here.advance(27 * MINUTE);
+    const saved = JSON.parse(JSON.stringify(here.runner.serialize()));
+
+    const there = setup(saved.definition, time);
+    there.runner.restore(saved.engine);
+    assert.deepEqual(there.runner.getSnapshot(), here.runner.getSnapshot());
+
+    there.advance(MINUTE);
+    here.runner.tick();
+    assert.deepEqual(there.events, []);
+    assert.deepEqual(there.runner.getSnapshot(), here.runner.getSnapshot());
+
+    // Both move on to the next work phase together
+    time.advance(2 * MINUTE);
+    here.runner.tick();
+    there.runner.tick();
+    assert.deepEqual(there.events, [{ from: 1, to: 2, automatic: true }]);
+    assert.deepEqual(there.runner.getSnapshot(), here.runner.getSnapshot());
+});
+
+test('a paused sequence restored later has not moved', () => {
+    const time = fakeClocks();
+    const here = setup(SequenceRunner.TEMPLATES.hiit, time);
+    here.runner.start();
+    here.advance(50000);
+    here.runner.pause();
+    const saved = here.runner.serialize();
+
+    time.advance(10 * MINUTE);
+    const there = setup(saved.definition, time);
+    there.runner.restore(saved.engine);
+    assert.equal(there.runner.state, TimerEngine.STATES.PAUSED);
+    assert.equal(there.runner.getSnapshot().phase.name, 'Rest');
+    assert.equal(there.runner.getSnapshot().phaseRemaining, 10000);
+});
+
+test('invalid definitions are rejected', () => {
+    const i18n = i18nFor('en');
+    const work = { name: 'Work', duration: MINUTE };
+    assert.throws(() => SequenceRunner.validate({ phases: [] }, i18n), { message: 'A sequence needs at least one phase' });
+    assert.throws(() => SequenceRunner.validate({ rounds: 0, phases: [work] }, i18n), {
+        message: 'Rounds must be a whole number between 1 and 99'
+    });
+    assert.throws(() => SequenceRunner.validate({ phases: [{ name: ' ', duration: MINUTE }] }, i18n), {
+        message: 'Every phase needs a name'
+    });
+    assert.throws(() => SequenceRunner.validate({ phases: [work], after: [{ name: 'Cool down', duration: -1 }] }, i18n), {
+        message: 'Phase "Cool down" needs a duration greater than zero'
+    });
+    assert.deepEqual(SequenceRunner.validate({ phases: [work] }, i18n), {
+        name: 'Sequence',
+        rounds: 1,
+        phases: [{ name: 'Work', duration: MINUTE, kind: 'work' }],
+        after: []
+    });
+});
@@ -0,0 +1,135 @@
+// tab-sync.test.js
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { TabSync } = require('../shared/tab-sync.js');
+
+/**
+ * Browser tabs of one app on a shared clock, talking through an in-memory
+ * BroadcastChannel. Timers never fire on their own: `heartbeat` runs them.
+ */
+function browser() {
+    let time = Date.UTC(2024, 0, 1);
+    const channels = [];
+    const intervals = [];
+
+    class FakeChannel {
+        constructor(name) {
+            this.name = name;
+            this.listeners = [];
+            channels.push(this);
+        }
+
+        addEventListener(type, listener) {
+            this.listeners.push(listener);
+        }
+
+        postMessage(data) {
+            if (!channels.includes(this)) return;
+            channels
+                .filter(channel => channel !== this && channel.name === this.name)
+                .forEach(channel => channel.listeners.forEach(listener => listener({ data: structuredClone(data) })));
+        }
+
+        close() {
+            channels.splice(channels.indexOf(this), 1);
+        }
+    }
+
+    const store = {
+        namespace: 'test',
+        keyFor: key => `test:${key}`,
+        onSave() {}
+    };
+
+    return {
+        advance(ms) {
+            time += ms;
+        },
+        heartbeat() {
+            intervals.filter(Boolean).forEach(callback => callback());
+        },
+        open({ audio = true } = {}) {
+            const listeners = {};
+            const document = {
+                visibilityState: 'visible',
+                addEventListener: (type, listener) => { listeners[type] = listener; }
+            };
+            const win = {
+                BroadcastChannel: FakeChannel,
+                document,
+                addEventListener() {},
+                setInterval: callback => intervals.push(callback) - 1,
+                clearInterval: id => { intervals[id] = null; }
+            };
+            const tab = new TabSync({ store, window: win, now: () => time });
+            tab.useAudio(() => audio);
+            tab.unlock = () => {
+                audio = true;
+                tab.announce();
+            };
+            tab.hide = () => {
+                document.visibilityState = 'hidden';
+                listeners.visibilitychange();
+            };
+            return tab;
+        }
+    };
+}
+
+test('a new tab waits one heartbeat before claiming leadership', () => {
+    const tabs = browser();
+    const first = tabs.open();
+    assert.equal(first.isLeader, false);
+
+    tabs.advance(TabSync.HEARTBEAT);
+    assert.equal(first.isLeader, true);
+
+    const second = tabs.open();
+    assert.equal(second.isLeader, false);
+    tabs.advance(TabSync.HEARTBEAT);
+    tabs.heartbeat();
+    assert.equal(first.isLeader, true);
+    assert.equal(second.isLeader, false);
+});
+
+test('the leader is a tab whose audio is unlocked, preferring a visible one', () => {
+    const tabs = browser();
+    const locked = tabs.open({ audio: false });
+    tabs.advance(1);
+    const hidden = tabs.open({ audio: false });
+    tabs.advance(1);
+    const visible = tabs.open({ audio: false });
+    tabs.advance(TabSync.HEARTBEAT);
+    tabs.heartbeat();
+
+    // Without unlocked audio anywhere, the oldest tab is elected
+    assert.deepEqual([locked, hidden, visible].map(tab => tab.isLeader), [true, false, false]);
+
+    hidden.unlock();
+    hidden.hide();
+    assert.deepEqual([locked, hidden, visible].map(tab => tab.isLeader), [false, true, false]);
+
+    visible.unlock();
+    assert.deepEqual([locked, hidden, visible].map(tab => tab.isLeader), [false, false, true]);
+});
+
+test('leadership passes on when the leader closes or stops answering', () => {
+    const tabs = browser();
+    const first = tabs.open();
+    tabs.advance(1);
+    const second = tabs.open();
+    tabs.advance(1);
+    const third = tabs.open();
+    tabs.advance(TabSync.HEARTBEAT);
+    tabs.heartbeat();
+
+    first.close();
+    assert.equal(second.isLeader, true);
+    assert.equal(third.isLeader, false);
+
+    // The second tab freezes: its heartbeats stop reaching the third
+    second.channel.close();
+    tabs.advance(TabSync.TIMEOUT + 1);
+    tabs.heartbeat();
+    assert.equal(third.isLeader, true);
+});
@@ -0,0 +1,96 @@
+// time-format.test.js
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { TimeFormat } = require('../shared/time-format.js');
+const { StateStore } = require('../shared/state-store.js');
+const { i18nFor } = require('./helpers.js');
+
+const HOUR = 3600000;
+const DAY = 24 * HOUR;
+
+function format(options = {}) {
+    return new TimeFormat({ i18n: i18nFor('en'), ...options });
+}
+
+test('59.9995 s is cut at every precision and rounds up into the next minute', () => {
+    const cases = {
+        ms: ['00:00:59.999', '00:01:00.000'],
+        hundredths: ['00:00:59.99', '00:01:00.00'],
+        tenths: ['00:00:59.9', '00:01:00.0'],
+        seconds: ['00:00:59', '00:01:00']
+    };
+    Object.entries(cases).forEach(([precision, [cut, roundedUp]]) => {
+        const f = format({ precision });
+        assert.equal(f.format(59999.5), cut, precision);
+        assert.equal(f.format(59999.5, { roundUp: true }), roundedUp, precision);
+    });
+});
+
+test('each precision steps at its own unit', () => {
+    const f = format();
+    assert.equal(f.format(1234.5, { precision: 'ms' }), '00:00:01.234');
+    assert.equal(f.format(1239, { precision: 'hundredths' }), '00:00:01.23');
+    assert.equal(f.format(1231, { precision: 'hundredths', roundUp: true }), '00:00:01.24');
+    assert.equal(f.format(1990, { precision: 'tenths' }), '00:00:01.9');
+    assert.equal(f.format(1901, { precision: 'tenths', roundUp: true }), '00:00:02.0');
+    assert.equal(f.format(1999, { precision: 'seconds' }), '00:00:01');
+    assert.equal(f.format(1001, { precision: 'seconds', roundUp: true }), '00:00:02');
+    assert.equal(f.format(1000, { precision: 'seconds', roundUp: true }), '00:00:01'); // Exact values are not bumped
+});
+
+test('rounding up carries through the seconds, minutes and hours', () => {
+    const f = format({ precision: 'tenths' });
+    assert.equal(f.format(HOUR - 1, { roundUp: true }), '01:00:00.0');
+    assert.equal(f.format(10 * HOUR - 1, { roundUp: true }), '10:00:00.0');
+    assert.equal(f.format(HOUR - 1), '00:59:59.9');
+
+    const parts = f.parts(2 * HOUR - 50, { roundUp: true });
+    assert.deepEqual([parts.hours, parts.minutes, parts.seconds, parts.fraction], [2, 0, 0, '0']);
+});
+
+test('the fixed layout keeps counting hours past 99', () => {
+    const f = format();
+    assert.equal(f.format(0), '00:00:00.000');
+    assert.equal(f.format(5 * 60000 + 9250), '00:05:09.250');
+    assert.equal(f.format(120 * HOUR), '120:00:00.000');
+    assert.equal(f.format(1000 * HOUR + 61000, { precision: 'seconds' }), '1000:01:01');
+    assert.equal(f.parts(30 * HOUR).days, 0);
+});
+
+test('the auto layout hides zero hours and adds days past 24 hours', () => {
+    const f = format({ layout: 'auto' });
+    assert.equal(f.format(5 * 60000 + 9250), '05:09.250');
+    assert.equal(f.format(4 * HOUR + 5 * 60000 + 9250), '4:05:09.250');
+    assert.equal(f.format(2 * DAY + 4 * HOUR + 5 * 60000 + 9250), '2d 04:05:09.250');
+    assert.equal(f.format(DAY - 1, { roundUp: true, precision: 'seconds' }), '1d 00:00:00');
+    assert.equal(f.format(DAY - 1, { precision: 'seconds' }), '23:59:59');
+
+    const parts = f.parts(3 * DAY + 2 * HOUR);
+    assert.deepEqual([parts.days, parts.hours, parts.main], [3, 2, '3d 02:00:00']);
+
+    const spanish = format({ layout: 'auto', i18n: i18nFor('es') });
+    assert.equal(spanish.format(DAY, { precision: 'seconds' }), '1 d 00:00:00');
+});
+
+test('negative times show as zero', () => {
+    assert.equal(format().format(-250), '00:00:00.000');
+    assert.equal(format({ layout: 'auto' }).format(-250, { roundUp: true }), '00:00.000');
+});
+
+test('the choice is validated, saved and announced', () => {
+    const values = new Map();
+    const storage = { getItem: key => (values.has(key) ? values.get(key) : null), setItem: (key, value) => values.set(key, value), removeItem: key => values.delete(key) };
+    const store = new StateStore('test', storage);
+    const f = format({ store });
+    const changes = [];
+    f.onChange(changed => changes.push(`${changed.precision}/${changed.layout}`));
+
+    f.setPrecision('tenths');
+    f.setLayout('auto');
+    assert.deepEqual(changes, ['tenths/fixed', 'tenths/auto']);
+    assert.throws(() => f.setPrecision('minutes'), /Unknown precision/);
+    assert.throws(() => f.setLayout('roman'), /Unknown layout/);
+
+    const reloaded = format({ store });
+    assert.deepEqual([reloaded.precision, reloaded.layout], ['tenths', 'auto']);
+});
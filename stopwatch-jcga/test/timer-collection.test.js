@@ -0,0 +1,99 @@
+// timer-collection.test.js
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { TimerEngine } = require('../shared/timer-core.js');
+const { TimerCollection } = require('../shared/timer-collection.js');
+const { fakeClocks, i18nFor } = require('./helpers.js');
+
+/**
+ * Two collections standing for two tabs, sharing one clock.
+ */
+function tabs() {
+    const time = fakeClocks();
+    const collection = () => new TimerCollection({
+        createEngine: options => new TimerEngine({ ...options, clock: time.clock, wallClock: time.wallClock }),
+        i18n: i18nFor('en')
+    });
+    return { time, here: collection(), there: collection() };
+}
+
+test('sync adds, updates and drops timers to match the other tab', () => {
+    const { time, here, there } = tabs();
+    const tea = here.create({ kind: 'countdown', label: 'Tea', duration: 180000 });
+    const run = here.create({ kind: 'stopwatch', label: 'Run' });
+    there.sync(here.serialize());
+    assert.deepEqual(there.entries.map(entry => entry.label), ['Tea', 'Run']);
+
+    tea.engine.start();
+    time.advance(30000);
+    here.rename(run.id, 'Long run');
+    here.setColor(tea.id, '#16A34A');
+    there.sync(here.serialize());
+    const [theirTea, theirRun] = there.entries;
+    assert.equal(theirTea.engine.state, TimerEngine.STATES.RUNNING);
+    assert.equal(theirTea.engine.getRemaining(), 150000);
+    assert.equal(theirTea.color, '#16a34a');
+    assert.equal(theirRun.label, 'Long run');
+
+    here.remove(run.id);
+    there.sync(here.serialize());
+    assert.deepEqual(there.entries.map(entry => entry.id), [tea.id]);
+    assert.equal(there.entries[0], theirTea); // Updated in place
+});
+
+test('sync resets no engine, so no session ends in the following tab', () => {
+    const { time, here, there } = tabs();
+    const run = here.create({ kind: 'stopwatch', label: 'Run' });
+    run.engine.start();
+    there.sync(here.serialize());
+    const sessions = [];
+    there.entries[0].engine.on('sessionend', session => sessions.push(session));
+
+    time.advance(5000);
+    here.remove(run.id);
+    there.sync(here.serialize());
+    assert.equal(there.entries.length, 0);
+    assert.equal(sessions.length, 0);
+});
+
+test('sync skips invalid timers and keeps new ids unique', () => {
+    const { here, there } = tabs();
+    here.create({ kind: 'stopwatch' });
+    here.create({ kind: 'stopwatch' });
+    const errors = there.sync([...here.serialize(), { id: 'timer-9', kind: 'sundial' }]);
+
+    assert.deepEqual(errors, ['Timer 3: unknown timer kind']);
+    assert.equal(there.entries.length, 2);
+    const ids = [...there.entries, there.create({ kind: 'stopwatch' })].map(entry => entry.id);
+    assert.equal(new Set(ids).size, 3);
+});
+
+test('timers created at the same time in two tabs get different ids', () => {
+    const { here, there } = tabs();
+    const tea = here.create({ kind: 'countdown', label: 'Tea', duration: 180000 });
+    const run = there.create({ kind: 'stopwatch', label: 'Run' });
+    assert.notEqual(tea.id, run.id);
+
+    // The last save wins: the other tab's timer replaces this one rather than taking its place
+    here.sync(there.serialize());
+    assert.deepEqual(here.entries.map(entry => entry.label), ['Run']);
+    assert.notEqual(here.entries[0], tea);
+    assert.equal(here.entries[0].kind, 'stopwatch');
+});
+
+test('restore renumbers a repeated id and sync skips it', () => {
+    const { here, there } = tabs();
+    here.create({ kind: 'stopwatch', label: 'Run' });
+    here.create({ kind: 'countdown', label: 'Tea', duration: 180000 });
+    here.create({ kind: 'stopwatch', label: 'Swim' });
+    const saved = here.serialize().map((item, index) => ({ ...item, id: ['timer-1', 'timer-1', 'timer-2'][index] }));
+
+    assert.deepEqual(here.restore(saved), []);
+    assert.deepEqual(here.entries.map(entry => entry.label), ['Run', 'Tea', 'Swim']);
+    assert.equal(here.entries[0].id, 'timer-1');
+    assert.equal(here.entries[2].id, 'timer-2');
+    assert.equal(new Set(here.entries.map(entry => entry.id)).size, 3);
+
+    assert.deepEqual(there.sync(saved), ['Timer 2: duplicate timer id timer-1']);
+    assert.deepEqual(there.entries.map(entry => entry.id), ['timer-1', 'timer-2']);
+});
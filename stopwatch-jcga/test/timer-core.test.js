@@ -0,0 +1,241 @@
+// timer-core.test.js
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { TimerEngine, LapRecorder } = require('../shared/timer-core.js');
+const { fakeClocks } = require('./helpers.js');
+
+const { IDLE, RUNNING, PAUSED, EXPIRED } = TimerEngine.STATES;
+
+test('a stopwatch counts only while running', () => {
+    const time = fakeClocks();
+    const engine = new TimerEngine({ clock: time.clock, wallClock: time.wallClock });
+
+    assert.equal(engine.state, IDLE);
+    time.advance(500);
+    assert.equal(engine.getElapsed(), 0);
+
+    engine.start();
+    time.advance(1500);
+    assert.equal(engine.state, RUNNING);
+    assert.equal(engine.getElapsed(), 1500);
+    assert.equal(engine.getRemaining(), null);
+
+    engine.reset();
+    assert.equal(engine.state, IDLE);
+    assert.equal(engine.getElapsed(), 0);
+});
+
+test('start, pause and resume report whether they changed anything', () => {
+    const time = fakeClocks();
+    const engine = new TimerEngine({ clock: time.clock, wallClock: time.wallClock });
+
+    assert.equal(engine.pause(), false);
+    assert.equal(engine.resume(), false);
+    assert.equal(engine.start(), true);
+    assert.equal(engine.start(), false);
+    assert.equal(engine.pause(), true);
+    assert.equal(engine.resume(), true);
+});
+
+test('events: statechange on every transition, tick only while running', () => {
+    const time = fakeClocks();
+    const engine = new TimerEngine({ clock: time.clock, wallClock: time.wallClock });
+    const changes = [];
+    const ticks = [];
+    engine.on('statechange', ({ from, to }) => changes.push(`${from}>${to}`));
+    const offTick = engine.on('tick', snapshot => ticks.push(snapshot.elapsed));
+
+    engine.tick();
+    engine.start();
+    time.advance(100);
+    engine.tick();
+    engine.pause();
+    engine.tick();
+    offTick();
+    engine.resume();
+    engine.tick();
+    engine.reset();
+
+    assert.deepEqual(changes, ['idle>running', 'running>paused', 'paused>running', 'running>idle']);
+    assert.deepEqual(ticks, [100]);
+});
+
+test('a countdown expires once and keeps its duration for the next run', () => {
+    const time = fakeClocks();
+    const engine = new TimerEngine({ mode: 'countdown', duration: 3000, clock: time.clock, wallClock: time.wallClock });
+    let expiries = 0;
+    engine.on('expire', () => expiries++);
+
+    engine.start();
+    time.advance(1000);
+    engine.tick();
+    assert.equal(engine.getRemaining(), 2000);
+
+    time.advance(2000);
+    engine.tick();
+    engine.tick();
+    assert.equal(engine.state, EXPIRED);
+    assert.equal(engine.getRemaining(), 0);
+    assert.equal(expiries, 1);
+    assert.throws(() => engine.start(), /expired/);
+
+    engine.reset();
+    assert.equal(engine.getRemaining(), 3000);
+    assert.equal(engine.start(), true);
+});
+
+test('a countdown needs a valid duration', () => {
+    assert.throws(() => new TimerEngine({ mode: 'sideways' }), /Unknown timer mode/);
+    assert.throws(() => new TimerEngine({ mode: 'countdown' }).start(), /not set/);
+    assert.throws(() => new TimerEngine({ mode: 'countdown', duration: -1 }), /Invalid countdown duration/);
+    assert.throws(() => new TimerEngine().setDuration(1000), /Only countdown/);
+});
+
+test('a run is reported with its running segments when it ends', () => {
+    const time = fakeClocks(1000000);
+    const engine = new TimerEngine({ clock: time.clock, wallClock: time.wallClock });
+    const runs = [];
+    engine.on('sessionend', run => runs.push(run));
+
+    engine.start();
+    time.advance(1000);
+    engine.pause();
+    time.advance(5000);
+    engine.resume();
+    time.advance(2000);
+    engine.pause();
+    time.advance(60000);
+    engine.reset();
+
+    assert.equal(runs.length, 1);
+    assert.equal(runs[0].reason, 'reset');
+    assert.equal(runs[0].elapsed, 3000);
+    assert.equal(runs[0].startedAt, 1000000);
+    assert.equal(runs[0].endedAt, 1008000); // When it last stopped counting, not when it was reset
+    assert.deepEqual(runs[0].segments, [{ start: 1000000, end: 1001000 }, { start: 1006000, end: 1008000 }]);
+    assert.equal(engine.getRun().segments.length, 0);
+});
+
+test('laps record lap and split times and find the extremes', () => {
+    const laps = new LapRecorder();
+    laps.record(1000);
+    laps.record(3500);
+    laps.record(4000);
+
+    assert.deepEqual(laps.laps[1], { number: 2, lapTime: 2500, splitTime: 3500 });
+    assert.deepEqual(laps.getExtremes(), { fastest: 3, slowest: 2 });
+    assert.throws(() => laps.record(3999), /earlier/);
+});
+
+test('pausing and resuming a countdown keeps the exact remaining time', () => {
+    const time = fakeClocks();
+    const engine = new TimerEngine({ mode: 'countdown', duration: 60000, clock: time.clock, wallClock: time.wallClock });
+
+    engine.start();
+    time.advance(12345);
+    engine.pause();
+    assert.equal(engine.getRemaining(), 47655);
+
+    time.advance(600000); // A long pause counts for nothing
+    assert.equal(engine.getRemaining(), 47655);
+
+    engine.resume();
+    time.advance(7655);
+    engine.tick();
+    assert.equal(engine.getRemaining(), 40000);
+    assert.equal(engine.getElapsed(), 20000);
+});
+
+test('many small pauses do not add up to any drift', () => {
+    const time = fakeClocks();
+    const engine = new TimerEngine({ mode: 'countdown', duration: 10000, clock: time.clock, wallClock: time.wallClock });
+
+    for (let i = 0; i < 100; i++) {
+        engine.start();
+        time.advance(33);
+        engine.tick();
+        engine.pause();
+        time.advance(17);
+    }
+    assert.equal(engine.getRemaining(), 10000 - 3300);
+});
+
+test('a late tick in a throttled tab dates the expiry at the real zero crossing', () => {
+    const time = fakeClocks(1000000);
+    const engine = new TimerEngine({ mode: 'countdown', duration: 5000, clock: time.clock, wallClock: time.wallClock, overtime: true });
+    const snapshots = [];
+    engine.on('expire', snapshot => snapshots.push(snapshot));
+
+    engine.start();
+    time.advance(1000);
+    engine.tick();
+    time.advance(64000); // The background tab is only woken up a minute later
+    engine.tick();
+
+    assert.equal(engine.state, EXPIRED);
+    assert.equal(snapshots.length, 1);
+    assert.deepEqual([snapshots[0].elapsed, snapshots[0].remaining], [5000, 0]);
+    assert.equal(engine.getOvertime(), 60000);
+    assert.deepEqual(engine.getRun().segments, [{ start: 1000000, end: 1005000 }]);
+});
+
+test('a running countdown survives a reload, counting the time the page was closed', () => {
+    const before = fakeClocks(1000000);
+    const engine = new TimerEngine({ mode: 'countdown', duration: 60000, clock: before.clock, wallClock: before.wallClock });
+    engine.start();
+    before.advance(4000);
+    engine.pause();
+    before.advance(1000);
+    engine.resume();
+    before.advance(6000);
+    const saved = JSON.parse(JSON.stringify(engine.serialize()));
+
+    // The page is closed for 20 s; the new page's monotonic clock starts again from zero
+    const after = fakeClocks(before.wallClock.now() + 20000);
+    after.advance(250);
+    const restored = new TimerEngine({ mode: 'countdown', clock: after.clock, wallClock: after.wallClock });
+    restored.restore(saved);
+
+    assert.equal(restored.state, RUNNING);
+    assert.equal(restored.getElapsed(), 4000 + 6000 + 20250);
+    assert.equal(restored.getRun().segments.length, 2);
+
+    restored.pause();
+    after.advance(5000);
+    assert.equal(restored.getRemaining(), 60000 - 30250);
+});
+
+test('a countdown that ran out while the page was closed expires at its real end', () => {
+    const before = fakeClocks(1000000);
+    const engine = new TimerEngine({ mode: 'countdown', duration: 10000, clock: before.clock, wallClock: before.wallClock, overtime: true });
+    engine.start();
+    before.advance(3000);
+    const saved = engine.serialize();
+
+    const after = fakeClocks(before.wallClock.now() + 60000);
+    const restored = new TimerEngine({ mode: 'countdown', clock: after.clock, wallClock: after.wallClock, overtime: true });
+    restored.restore(saved);
+    restored.tick();
+
+    assert.equal(restored.state, EXPIRED);
+    assert.equal(restored.getOvertime(), 53000);
+    assert.equal(restored.getRun().segments[0].end, 1010000);
+});
+
+test('paused and expired states restore unchanged, invalid ones are rejected', () => {
+    const time = fakeClocks();
+    const engine = new TimerEngine({ clock: time.clock, wallClock: time.wallClock });
+    engine.start();
+    time.advance(2500);
+    engine.pause();
+
+    const restored = new TimerEngine({ clock: time.clock, wallClock: time.wallClock });
+    restored.restore(engine.serialize());
+    time.advance(10000);
+    assert.equal(restored.state, PAUSED);
+    assert.equal(restored.getElapsed(), 2500);
+
+    assert.throws(() => restored.restore({ ...engine.serialize(), mode: 'countdown' }), /Invalid saved timer state/);
+    assert.throws(() => restored.restore({ ...engine.serialize(), consumed: -1 }), /Invalid saved timer values/);
+    assert.throws(() => restored.restore({ ...engine.serialize(), state: 'running', startedAt: null }), /no start time/);
+});